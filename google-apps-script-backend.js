@@ -7,10 +7,146 @@
 const SHEET_ID = 'YOUR_GOOGLE_SHEET_ID'; // Replace with your actual sheet ID
 const USER_SHEET_NAME = 'Users';
 const MOOD_SHEET_NAME = 'Moods';
+const SESSION_SHEET_NAME = 'Sessions';
+const LOGIN_ATTEMPTS_SHEET_NAME = 'LoginAttempts';
+const AUDIT_SHEET_NAME = 'AuditLog';
+const MESSAGES_SHEET_NAME = 'Messages';
+const ANNOUNCEMENTS_SHEET_NAME = 'Announcements';
+const ANNOUNCEMENT_RECEIPTS_SHEET_NAME = 'AnnouncementReceipts';
 
 // Password reset token expiry (24 hours)
 const RESET_TOKEN_EXPIRY_HOURS = 24;
 
+// Password hashes are stored as 'pbkdf2-sha256$<iterations>$<hash>' with the salt
+// in its own column; hashes without a '$' are legacy single SHA-256 and get
+// upgraded on the next login. Must match PASSWORD_CONFIG in src/utils/auth.js.
+const PASSWORD_HASH_ALGORITHM = 'pbkdf2-sha256';
+const PASSWORD_HASH_ITERATIONS = 100000;
+
+// Where the web app is hosted; password reset links point here
+const APP_URL = 'https://your-fitmood-site.netlify.app'; // Replace with your deployed app URL
+
+// How emails and texts are sent: 'live' uses the adapters below, 'fake' only
+// records them (see getFakeOutbox). The DELIVERY_TRANSPORT script property overrides this.
+const DELIVERY_TRANSPORT = 'live';
+
+// Email adapter: 'mailapp' (MailApp) or 'gmail' (GmailApp, sends from the script owner's Gmail)
+const EMAIL_SENDER = 'mailapp';
+
+// Session token expiry (7 days)
+const SESSION_EXPIRY_HOURS = 24 * 7;
+const SESSION_LAST_SEEN_INTERVAL_MINUTES = 5; // LastSeen is written at most this often
+
+// Client clocks may run this far ahead before an entry counts as "in the future"
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// How far back a mood entry can be logged (must match MAX_BACKDATE_DAYS in the client)
+const MAX_BACKDATE_DAYS = 30;
+
+// Version of the exportUserData bundle format
+const EXPORT_FORMAT_VERSION = 1;
+
+// Email/phone change verification codes
+const VERIFICATION_CODE_EXPIRY_MINUTES = 15;
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+// Two-factor authentication (TOTP, RFC 6238): 6-digit codes every 30 seconds,
+// accepting one step of clock drift either way
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW_STEPS = 1;
+const TWO_FACTOR_CHALLENGE_MINUTES = 5; // Time to enter the code after the password
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// End-to-end encrypted notes: the server only stores the wrapped data key
+const NOTE_KEY_VERSION = 1;
+const NOTE_CIPHER_PREFIX = 'enc:v1:';
+
+// Days between a user asking to delete their account and their data being erased
+const ACCOUNT_DELETION_GRACE_DAYS = 7;
+
+// Login throttling: after LOGIN_FREE_ATTEMPTS failures each attempt has to wait
+// LOGIN_BASE_DELAY_SECONDS, doubling with every further failure (up to LOGIN_MAX_DELAY_MINUTES).
+// Reaching a lockout threshold blocks the account or device for LOGIN_LOCKOUT_MINUTES.
+const LOGIN_FREE_ATTEMPTS = 3;
+const LOGIN_BASE_DELAY_SECONDS = 5;
+const LOGIN_MAX_DELAY_MINUTES = 15;
+const LOGIN_ACCOUNT_LOCKOUT_THRESHOLD = 10;
+const LOGIN_DEVICE_LOCKOUT_THRESHOLD = 25;
+const LOGIN_LOCKOUT_MINUTES = 30;
+const LOGIN_ATTEMPT_WINDOW_HOURS = 24; // Failures older than this are forgotten
+
+// Longest message staff or users can send in the in-app inbox
+const MESSAGE_MAX_LENGTH = 2000;
+
+// Announcement audiences: 'all', a 'role', 'inactive' (no mood logged for
+// `days` days) or 'decliningMood' (average mood over the last `days` days at
+// least MOOD_DECLINE_THRESHOLD below the `days` before). Users are matched the
+// first time they open the app while the announcement runs.
+const ANNOUNCEMENT_AUDIENCES = ['all', 'role', 'inactive', 'decliningMood'];
+const MOOD_DECLINE_THRESHOLD = 0.5;
+const ANNOUNCEMENT_TITLE_MAX_LENGTH = 120;
+const ANNOUNCEMENT_MAX_DAYS = 365; // Largest `days` an audience may use
+
+// Most entries a single importMoods request may carry (the client sends batches)
+const MAX_IMPORT_BATCH = 200;
+
+// Check-in slots a mood entry can be tagged with
+const TIME_SLOTS = ['morning', 'afternoon', 'evening'];
+
+// Actions that can be called without a session token
+const PUBLIC_ACTIONS = ['register', 'login', 'verifyTwoFactorLogin', 'requestPasswordReset', 'resetPassword', 'unlockAccount'];
+
+// Roles a user can have: 'user' is a regular member, the rest are staff
+const ROLES = ['user', 'viewer', 'moderator', 'admin'];
+
+// Permissions staff roles can be granted
+const PERMISSIONS = [
+  'users.view', 'users.message', 'users.unlock', 'users.resetPassword',
+  'users.revokeSessions', 'users.changeRole', 'users.delete', 'roles.manage',
+  'audit.view', 'announcements.manage'
+];
+
+// Default permission matrix. Viewer and moderator permissions can be changed from
+// the admin Roles tab (saved in the ROLE_PERMISSIONS script property); members
+// never have any and admins always have all of them.
+const DEFAULT_ROLE_PERMISSIONS = {
+  user: [],
+  viewer: ['users.view'],
+  moderator: ['users.view', 'users.message', 'users.unlock'],
+  admin: PERMISSIONS
+};
+const EDITABLE_ROLES = ['viewer', 'moderator'];
+
+// Permission each staff action requires; doPost checks it before routing
+const ACTION_PERMISSIONS = {
+  getAllUsers: 'users.view',
+  getUserDetails: 'users.view',
+  getUserMessages: 'users.view',
+  sendUserMessage: 'users.message',
+  adminUnlockAccount: 'users.unlock',
+  adminResetPassword: 'users.resetPassword',
+  adminRevokeSessions: 'users.revokeSessions',
+  updateUserRole: 'users.changeRole',
+  deleteUser: 'users.delete',
+  updateRolePermissions: 'roles.manage',
+  getAuditLog: 'audit.view',
+  getAllAnnouncements: 'announcements.manage',
+  createAnnouncement: 'announcements.manage',
+  cancelAnnouncement: 'announcements.manage'
+};
+
+// Staff actions written to the AuditLog sheet
+const AUDITED_ACTIONS = [
+  'updateUserRole', 'adminResetPassword', 'deleteUser', 'sendUserMessage',
+  'adminUnlockAccount', 'adminRevokeSessions', 'updateRolePermissions',
+  'createAnnouncement', 'cancelAnnouncement'
+];
+
+// Most audit entries getAuditLog returns in one response
+const AUDIT_LOG_MAX_RESULTS = 1000;
+
 /**
  * Main entry point for all API calls
  */
@@ -29,6 +165,29 @@ function doPost(e) {
     const requestData = JSON.parse(e.postData.contents);
     const action = requestData.action;
     
+    // Every non-public action acts on behalf of the user behind the session token,
+    // never on a userId supplied in the payload
+    let session = null;
+    if (PUBLIC_ACTIONS.indexOf(action) === -1) {
+      session = verifySessionToken(requestData.sessionToken);
+      if (!session) {
+        return ContentService
+          .createTextOutput(JSON.stringify({
+            success: false,
+            error: 'Session expired. Please log in again.',
+            sessionExpired: true
+          }))
+          .setMimeType(ContentService.MimeType.JSON);
+      }
+      
+      const requiredPermission = ACTION_PERMISSIONS[action];
+      if (requiredPermission && !hasPermission(session.userId, requiredPermission)) {
+        return ContentService
+          .createTextOutput(JSON.stringify({ success: false, error: 'Insufficient permissions' }))
+          .setMimeType(ContentService.MimeType.JSON);
+      }
+    }
+    
     // Route to appropriate handler
     let result;
     switch (action) {
@@ -38,38 +197,155 @@ function doPost(e) {
       case 'login':
         result = handleLogin(requestData);
         break;
+      case 'verifyTwoFactorLogin':
+        result = handleVerifyTwoFactorLogin(requestData);
+        break;
       case 'requestPasswordReset':
         result = handlePasswordResetRequest(requestData);
         break;
       case 'resetPassword':
         result = handlePasswordReset(requestData);
         break;
+      case 'unlockAccount':
+        result = handleUnlockAccount(requestData);
+        break;
+      case 'refreshSession':
+        result = handleRefreshSession(requestData, session);
+        break;
+      case 'logout':
+        result = handleLogout(requestData, session);
+        break;
+      case 'getMessages':
+        result = handleGetMessages(requestData, session);
+        break;
+      case 'getUnreadMessageCount':
+        result = handleGetUnreadMessageCount(requestData, session);
+        break;
+      case 'markMessagesRead':
+        result = handleMarkMessagesRead(requestData, session);
+        break;
+      case 'replyToSupport':
+        result = handleReplyToSupport(requestData, session);
+        break;
+      case 'getAnnouncements':
+        result = handleGetAnnouncements(requestData, session);
+        break;
+      case 'dismissAnnouncement':
+        result = handleDismissAnnouncement(requestData, session);
+        break;
+      case 'getDevices':
+        result = handleGetDevices(requestData, session);
+        break;
+      case 'signOutDevice':
+        result = handleSignOutDevice(requestData, session);
+        break;
+      case 'signOutEverywhere':
+        result = handleSignOutEverywhere(requestData, session);
+        break;
       case 'getUserMoods':
-        result = handleGetUserMoods(requestData);
+        result = handleGetUserMoods(requestData, session);
         break;
       case 'addMood':
-        result = handleAddMood(requestData);
+        result = handleAddMood(requestData, session);
+        break;
+      case 'updateMood':
+        result = handleUpdateMood(requestData, session);
+        break;
+      case 'deleteMood':
+        result = handleDeleteMood(requestData, session);
         break;
       case 'getUserStats':
-        result = handleGetUserStats(requestData);
+        result = handleGetUserStats(requestData, session);
+        break;
+      case 'exportUserData':
+        result = handleExportUserData(requestData, session);
+        break;
+      case 'importMoods':
+        result = handleImportMoods(requestData, session);
+        break;
+      case 'changePassword':
+        result = handleChangePassword(requestData, session);
+        break;
+      case 'requestIdentifierChange':
+        result = handleRequestIdentifierChange(requestData, session);
+        break;
+      case 'confirmIdentifierChange':
+        result = handleConfirmIdentifierChange(requestData, session);
+        break;
+      case 'getTwoFactorStatus':
+        result = handleGetTwoFactorStatus(requestData, session);
+        break;
+      case 'startTwoFactorSetup':
+        result = handleStartTwoFactorSetup(requestData, session);
+        break;
+      case 'confirmTwoFactorSetup':
+        result = handleConfirmTwoFactorSetup(requestData, session);
+        break;
+      case 'disableTwoFactor':
+        result = handleDisableTwoFactor(requestData, session);
+        break;
+      case 'getNoteKey':
+        result = handleGetNoteKey(requestData, session);
+        break;
+      case 'saveNoteKey':
+        result = handleSaveNoteKey(requestData, session);
+        break;
+      case 'disableNoteEncryption':
+        result = handleDisableNoteEncryption(requestData, session);
+        break;
+      case 'rewriteMoodNotes':
+        result = handleRewriteMoodNotes(requestData, session);
+        break;
+      case 'requestAccountDeletion':
+        result = handleRequestAccountDeletion(requestData, session);
+        break;
+      case 'cancelAccountDeletion':
+        result = handleCancelAccountDeletion(requestData, session);
         break;
       case 'getAllUsers':
-        result = handleGetAllUsers(requestData);
+        result = handleGetAllUsers(requestData, session);
         break;
       case 'updateUserRole':
-        result = handleUpdateUserRole(requestData);
+        result = handleUpdateUserRole(requestData, session);
+        break;
+      case 'getRoles':
+        result = handleGetRoles(requestData, session);
+        break;
+      case 'updateRolePermissions':
+        result = handleUpdateRolePermissions(requestData, session);
         break;
       case 'getUserDetails':
-        result = handleGetUserDetails(requestData);
+        result = handleGetUserDetails(requestData, session);
         break;
       case 'adminResetPassword':
-        result = handleAdminResetPassword(requestData);
+        result = handleAdminResetPassword(requestData, session);
         break;
       case 'sendUserMessage':
-        result = handleSendUserMessage(requestData);
+        result = handleSendUserMessage(requestData, session);
+        break;
+      case 'getUserMessages':
+        result = handleGetUserMessages(requestData, session);
+        break;
+      case 'adminUnlockAccount':
+        result = handleAdminUnlockAccount(requestData, session);
+        break;
+      case 'adminRevokeSessions':
+        result = handleAdminRevokeSessions(requestData, session);
         break;
       case 'deleteUser':
-        result = handleDeleteUser(requestData);
+        result = handleDeleteUser(requestData, session);
+        break;
+      case 'getAuditLog':
+        result = handleGetAuditLog(requestData, session);
+        break;
+      case 'getAllAnnouncements':
+        result = handleGetAllAnnouncements(requestData, session);
+        break;
+      case 'createAnnouncement':
+        result = handleCreateAnnouncement(requestData, session);
+        break;
+      case 'cancelAnnouncement':
+        result = handleCancelAnnouncement(requestData, session);
         break;
       default:
         result = { success: false, error: 'Unknown action: ' + action };
@@ -120,6 +396,10 @@ function handleRegister(data) {
       return { success: false, error: 'Missing required fields' };
     }
     
+    if (!isAcceptedPasswordHash(passwordHash)) {
+      return { success: false, error: 'Please update the app and try again' };
+    }
+    
     // Validate email format
     if (!isValidEmail(email)) {
       return { success: false, error: 'Invalid email format' };
@@ -147,7 +427,7 @@ function handleRegister(data) {
     const now = new Date().toISOString();
     
     // Add user to sheet
-    // Columns: [ID, Name, Email, Phone, Role, Created, LastActive, PasswordHash, Salt, ResetToken, ResetExpiry, MigrationStatus]
+    // Columns: [ID, Name, Email, Phone, Role, Created, LastActive, PasswordHash, Salt, ResetToken, ResetExpiry, MigrationStatus, DeletionScheduledFor, PendingIdentifierChange, TwoFactor, NoteKey]
     sheet.appendRow([
       userId,
       name,
@@ -160,16 +440,24 @@ function handleRegister(data) {
       salt,
       '', // ResetToken
       '', // ResetExpiry
-      'completed' // MigrationStatus (new users don't need migration)
+      'completed', // MigrationStatus (new users don't need migration)
+      '', // DeletionScheduledFor
+      '', // PendingIdentifierChange
+      '', // TwoFactor
+      '' // NoteKey
     ]);
     
+    const session = createSession(userId, getDeviceDetails(data));
+    
     return {
       success: true,
       userId: userId,
       name: name,
       email: email,
       phone: phone,
-      role: 'user'
+      role: 'user',
+      sessionToken: session.token,
+      sessionExpiresAt: session.expiresAt
     };
     
   } catch (error) {
@@ -183,7 +471,7 @@ function handleRegister(data) {
  */
 function handleLogin(data) {
   try {
-    const { identifier, identifierType, password } = data;
+    const { identifier, identifierType, password, deviceId } = data;
     
     if (!identifier || !password) {
       return { success: false, error: 'Missing credentials' };
@@ -210,16 +498,26 @@ function handleLogin(data) {
       }
     }
     
+    const attemptKeys = getLoginAttemptKeys(userRow, identifier, deviceId);
+    const wait = beginLoginAttempt(attemptKeys);
+    if (wait) {
+      return getThrottledLoginResponse(wait);
+    }
+    
     if (!userRow) {
+      recordLoginFailure(attemptKeys, null);
       return { success: false, error: 'Invalid login credentials' };
     }
     
-    // Verify password
-    const storedHash = userRow[7]; // PasswordHash column
-    const salt = userRow[8]; // Salt column
+    // Accounts past their deletion grace period are erased on the spot
+    if (isDeletionDue(userRow)) {
+      eraseUserAccount(userRow[0]);
+      return { success: false, error: 'Invalid login credentials' };
+    }
     
-    if (!storedHash || !salt) {
+    if (!userRow[7] || !userRow[8]) { // PasswordHash, Salt columns
       // User exists but has no password (legacy user)
+      undoLoginAttempt([attemptKeys.account, attemptKeys.device]);
       return { 
         success: false, 
         error: 'Please set up your password first',
@@ -228,27 +526,26 @@ function handleLogin(data) {
       };
     }
     
-    // For server-side verification, we expect the client to send the hashed password
-    // The client should hash the password with salt before sending
-    const expectedHash = hashPasswordServerSide(password, salt);
-    
-    if (expectedHash !== storedHash) {
+    if (!verifyUserPassword(userRow, password)) {
+      recordLoginFailure(attemptKeys, userRow);
       return { success: false, error: 'Invalid login credentials' };
     }
     
-    // Update last login time
-    const now = new Date().toISOString();
-    sheet.getRange(rowIndex, 6).setValue(now); // LastActive column
+    // Legacy hashes are replaced now that we have the plain password
+    if (passwordHashNeedsUpgrade(userRow[7])) {
+      upgradePasswordHash(sheet, rowIndex, password);
+    }
     
-    return {
-      success: true,
-      userId: userRow[0],
-      name: userRow[1],
-      email: userRow[2],
-      phone: userRow[3],
-      role: userRow[4],
-      migrationStatus: userRow[11] || 'completed'
-    };
+    // With 2FA on, the attempt only counts as a success once the code is right
+    const twoFactor = getTwoFactorState(userRow);
+    if (twoFactor.enabled) {
+      return startTwoFactorChallenge(sheet, rowIndex, twoFactor);
+    }
+    
+    clearLoginAttempts(attemptKeys.account);
+    undoLoginAttempt([attemptKeys.device]);
+    
+    return completeLogin(sheet, rowIndex, userRow, getDeviceDetails(data));
     
   } catch (error) {
     console.error('Login error:', error);
@@ -256,6 +553,31 @@ function handleLogin(data) {
   }
 }
 
+/**
+ * Open a session for a user who passed every login check
+ */
+function completeLogin(sheet, rowIndex, userRow, device) {
+  // Update last login time
+  const now = new Date().toISOString();
+  sheet.getRange(rowIndex, 6).setValue(now); // LastActive column
+  
+  const session = createSession(userRow[0], device);
+  
+  return {
+    success: true,
+    userId: userRow[0],
+    name: userRow[1],
+    email: userRow[2],
+    phone: userRow[3],
+    role: userRow[4],
+    migrationStatus: userRow[11] || 'completed',
+    deletionScheduledFor: userRow[12] ? new Date(userRow[12]).toISOString() : null,
+    noteKey: getNoteKeyEnvelope(userRow),
+    sessionToken: session.token,
+    sessionExpiresAt: session.expiresAt
+  };
+}
+
 /**
  * Handle password reset request
  */
@@ -288,27 +610,29 @@ function handlePasswordResetRequest(data) {
       }
     }
     
+    // Same answer whether or not the account exists
+    const response = { success: true, message: 'If the account exists, reset instructions will be sent' };
+    
     if (!userRow) {
-      // Don't reveal if user exists or not
-      return { success: true, message: 'If the account exists, a reset link will be sent' };
+      return response;
     }
     
-    // Generate reset token
+    // Only a hash of the token is stored; the token itself only travels in the link
     const resetToken = generateResetToken();
     const expiryTime = new Date();
     expiryTime.setHours(expiryTime.getHours() + RESET_TOKEN_EXPIRY_HOURS);
     
-    // Store reset token and expiry
-    sheet.getRange(rowIndex, 10).setValue(resetToken); // ResetToken column
+    sheet.getRange(rowIndex, 10).setValue(hashResetToken(resetToken)); // ResetToken column
     sheet.getRange(rowIndex, 11).setValue(expiryTime.toISOString()); // ResetExpiry column
     
-    // In a real implementation, you would send an email/SMS here
-    // For now, we'll return the token (remove this in production)
-    return {
-      success: true,
-      message: 'Reset instructions sent',
-      resetToken: resetToken // Remove this in production
-    };
+    try {
+      sendPasswordResetLink(userRow, identifierType, resetToken);
+    } catch (deliveryError) {
+      // Still answer generically so delivery failures don't reveal the account
+      console.error('Password reset delivery error:', deliveryError);
+    }
+    
+    return response;
     
   } catch (error) {
     console.error('Password reset request error:', error);
@@ -327,49 +651,68 @@ function handlePasswordReset(data) {
       return { success: false, error: 'Missing required fields' };
     }
     
-    const sheet = getSheet(USER_SHEET_NAME);
-    const data_range = sheet.getDataRange();
-    const values = data_range.getValues();
+    if (!isAcceptedPasswordHash(passwordHash)) {
+      return { success: false, error: 'Please update the app and try again' };
+    }
     
-    // Find user with matching reset token
-    let userRow = null;
-    let rowIndex = -1;
+    // Lock so two requests can't both use the same token
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
     
-    for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      const storedToken = row[9]; // ResetToken column
+    try {
+      const sheet = getSheet(USER_SHEET_NAME);
+      const data_range = sheet.getDataRange();
+      const values = data_range.getValues();
+    
+      // Find user with matching reset token
+      const tokenHash = hashResetToken(token);
+      let userRow = null;
+      let rowIndex = -1;
+    
+      for (let i = 1; i < values.length; i++) {
+        const row = values[i];
+        const storedHash = row[9]; // ResetToken column
       
-      if (storedToken === token) {
-        userRow = row;
-        rowIndex = i + 1;
-        break;
+        if (storedHash && timingSafeEqual(String(storedHash), tokenHash)) {
+          userRow = row;
+          rowIndex = i + 1;
+          break;
+        }
       }
-    }
     
-    if (!userRow) {
-      return { success: false, error: 'Invalid or expired reset token' };
-    }
+      if (!userRow) {
+        return { success: false, error: 'Invalid or expired reset token' };
+      }
     
-    // Check token expiry
-    const expiryTime = new Date(userRow[10]); // ResetExpiry column
-    const now = new Date();
+      // Check token expiry
+      const expiryTime = new Date(userRow[10]); // ResetExpiry column
+      const now = new Date();
     
-    if (now > expiryTime) {
-      return { success: false, error: 'Reset token has expired' };
-    }
+      if (now > expiryTime) {
+        sheet.getRange(rowIndex, 10).setValue(''); // ResetToken column
+        sheet.getRange(rowIndex, 11).setValue(''); // ResetExpiry column
+        return { success: false, error: 'Reset token has expired' };
+      }
     
-    // Update password
-    sheet.getRange(rowIndex, 8).setValue(passwordHash); // PasswordHash column
-    sheet.getRange(rowIndex, 9).setValue(salt); // Salt column
+      // Update password
+      sheet.getRange(rowIndex, 8).setValue(passwordHash); // PasswordHash column
+      sheet.getRange(rowIndex, 9).setValue(salt); // Salt column
     
-    // Clear reset token
-    sheet.getRange(rowIndex, 10).setValue(''); // ResetToken column
-    sheet.getRange(rowIndex, 11).setValue(''); // ResetExpiry column
+      // Clear reset token so the link only works once
+      sheet.getRange(rowIndex, 10).setValue(''); // ResetToken column
+      sheet.getRange(rowIndex, 11).setValue(''); // ResetExpiry column
     
-    return {
-      success: true,
-      message: 'Password reset successfully'
-    };
+      // Existing sessions were opened with the old password
+      revokeUserSessions(userRow[0]);
+      clearLoginAttempts('user:' + userRow[0]);
+    
+      return {
+        success: true,
+        message: 'Password reset successfully'
+      };
+    } finally {
+      lock.releaseLock();
+    }
     
   } catch (error) {
     console.error('Password reset error:', error);
@@ -378,497 +721,2871 @@ function handlePasswordReset(data) {
 }
 
 // ========================================
-// MOOD MANAGEMENT FUNCTIONS (Updated)
+// ACCOUNT CREDENTIAL FUNCTIONS
 // ========================================
 
 /**
- * Get user moods
+ * Change the caller's password after checking the current one
+ * Every other session is signed out; this one stays valid.
  */
-function handleGetUserMoods(data) {
+function handleChangePassword(data, session) {
   try {
-    const { userId } = data;
+    const { currentPassword, passwordHash, salt, noteKey } = data;
     
-    if (!userId) {
-      return { success: false, error: 'Missing user ID' };
+    if (!currentPassword || !passwordHash || !salt) {
+      return { success: false, error: 'Missing required fields' };
     }
     
-    const sheet = getSheet(MOOD_SHEET_NAME);
-    const data_range = sheet.getDataRange();
-    const values = data_range.getValues();
+    if (!isAcceptedPasswordHash(passwordHash)) {
+      return { success: false, error: 'Please update the app and try again' };
+    }
     
-    const moods = [];
-    for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      if (row[1] === userId) { // UserId column
-        moods.push({
-          id: row[0],
-          userId: row[1],
-          moodLevel: row[2],
-          notes: row[3],
-          timestamp: row[4],
-          activities: row[5] ? JSON.parse(row[5]) : [],
-          customEmoji: row[6] || null
-        });
-      }
+    if (noteKey !== undefined && !isValidNoteKey(noteKey)) {
+      return { success: false, error: 'Invalid note key' };
     }
     
-    // Sort by timestamp (newest first)
-    moods.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const sheet = getSheet(USER_SHEET_NAME);
+    const rowIndex = findUserRow(sheet, session.userId);
     
-    return { success: true, moods: moods };
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    const userRow = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+    if (!verifyUserPassword(userRow, currentPassword)) {
+      return { success: false, error: 'Current password is incorrect' };
+    }
+    
+    sheet.getRange(rowIndex, 8).setValue(passwordHash); // PasswordHash column
+    sheet.getRange(rowIndex, 9).setValue(salt); // Salt column
+    
+    // The client re-wrapped the notes key with the new password
+    if (noteKey && getNoteKeyEnvelope(userRow)) {
+      sheet.getRange(rowIndex, 16).setValue(JSON.stringify(noteKey)); // NoteKey column
+    }
+    
+    const revoked = revokeUserSessions(session.userId, session.sessionId);
+    
+    return { success: true, message: 'Password changed', sessionsRevoked: revoked };
     
   } catch (error) {
-    console.error('Get moods error:', error);
-    return { success: false, error: 'Failed to retrieve moods' };
+    console.error('Change password error:', error);
+    return { success: false, error: 'Failed to change password' };
   }
 }
 
 /**
- * Add new mood entry
+ * Start changing the caller's email or phone
+ * Checks the password, then sends a one-time code that confirmIdentifierChange
+ * must be called with. Only a hash of the code is stored.
  */
-function handleAddMood(data) {
+function handleRequestIdentifierChange(data, session) {
   try {
-    const { userId, moodLevel, notes, activities, customEmoji } = data;
+    const { password, identifierType, newValue } = data;
     
-    if (!userId || moodLevel === undefined) {
+    if (!password || !newValue || (identifierType !== 'email' && identifierType !== 'phone')) {
       return { success: false, error: 'Missing required fields' };
     }
     
-    const sheet = getSheet(MOOD_SHEET_NAME);
-    const moodId = generateMoodId();
-    const timestamp = new Date().toISOString();
+    if (identifierType === 'email' && !isValidEmail(newValue)) {
+      return { success: false, error: 'Invalid email format' };
+    }
     
-    // Add mood entry
-    // Columns: [ID, UserId, MoodLevel, Notes, Timestamp, Activities, CustomEmoji]
-    sheet.appendRow([
-      moodId,
-      userId,
-      moodLevel,
-      notes || '',
-      timestamp,
-      activities ? JSON.stringify(activities) : '[]',
-      customEmoji || ''
-    ]);
+    if (identifierType === 'phone' && !isValidPhone(newValue)) {
+      return { success: false, error: 'Invalid phone format' };
+    }
+    
+    const sheet = getSheet(USER_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    const column = identifierType === 'email' ? 2 : 3;
+    let rowIndex = -1;
+    let taken = false;
+    
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === session.userId) {
+        rowIndex = i + 1;
+      } else if (values[i][column] === newValue) {
+        taken = true;
+      }
+    }
+    
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    // Check the password first so this can't be used to probe for accounts
+    const userRow = values[rowIndex - 1];
+    if (!verifyUserPassword(userRow, password)) {
+      return { success: false, error: 'Incorrect password' };
+    }
+    
+    if (userRow[column] === newValue) {
+      return { success: false, error: 'That is already your ' + identifierType };
+    }
+    
+    if (taken) {
+      return { success: false, error: 'This ' + identifierType + ' is already in use' };
+    }
+    
+    const code = generateVerificationCode();
+    const expiresAt = new Date(Date.now() + VERIFICATION_CODE_EXPIRY_MINUTES * 60 * 1000).toISOString();
+    
+    sheet.getRange(rowIndex, 14).setValue(JSON.stringify({ // PendingIdentifierChange column
+      type: identifierType,
+      value: newValue,
+      codeHash: hashVerificationCode(code, session.userId),
+      expiresAt: expiresAt,
+      attempts: 0
+    }));
+    
+    // The new email or phone gets the code itself, proving the user owns it.
+    // Without SMS_WEBHOOK_URL a phone code can only go to the account email;
+    // smsFallback tells the app to say so.
+    const subject = 'Your FitMood verification code';
+    if (identifierType === 'phone' && deliverMessage('sms', newValue, subject,
+      'Your FitMood code is ' + code + '. It expires in ' + VERIFICATION_CODE_EXPIRY_MINUTES + ' minutes.')) {
+      return { success: true, sentTo: maskPhone(newValue), expiresAt: expiresAt };
+    }
+    
+    const recipient = identifierType === 'email' ? newValue : userRow[2];
+    if (!recipient) {
+      return { success: false, error: 'Text messages are not available, and there is no account email to send the code to' };
+    }
+    deliverMessage(
+      'email',
+      recipient,
+      subject,
+      'Your code to confirm your new ' + identifierType + ' (' + newValue + ') is ' + code + '.\n\n' +
+      'It expires in ' + VERIFICATION_CODE_EXPIRY_MINUTES + ' minutes. If you did not ask for this, change your password.'
+    );
     
     return {
       success: true,
-      moodId: moodId,
-      timestamp: timestamp
+      sentTo: maskEmail(recipient),
+      smsFallback: identifierType === 'phone',
+      expiresAt: expiresAt
     };
     
   } catch (error) {
-    console.error('Add mood error:', error);
-    return { success: false, error: 'Failed to add mood entry' };
+    console.error('Request identifier change error:', error);
+    return { success: false, error: 'Failed to send verification code' };
   }
 }
 
 /**
- * Get user statistics
+ * Apply a pending email/phone change once the verification code matches
+ * Every other session is signed out; this one stays valid.
  */
-function handleGetUserStats(data) {
+function handleConfirmIdentifierChange(data, session) {
   try {
-    const { userId } = data;
+    const { code } = data;
     
-    if (!userId) {
-      return { success: false, error: 'Missing user ID' };
+    if (!code) {
+      return { success: false, error: 'Please enter the verification code' };
     }
     
-    const sheet = getSheet(MOOD_SHEET_NAME);
-    const data_range = sheet.getDataRange();
-    const values = data_range.getValues();
+    const sheet = getSheet(USER_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    const rowIndex = findUserRow(sheet, session.userId);
     
-    const userMoods = [];
-    for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      if (row[1] === userId) {
-        userMoods.push({
-          moodLevel: row[2],
-          timestamp: row[4]
-        });
-      }
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
     }
     
-    if (userMoods.length === 0) {
-      return {
-        success: true,
-        stats: {
-          totalEntries: 0,
-          avgMood: 0,
-          streak: 0
-        }
-      };
+    let pending = null;
+    try {
+      pending = JSON.parse(values[rowIndex - 1][13] || 'null'); // PendingIdentifierChange column
+    } catch (e) {
+      pending = null;
     }
     
-    // Calculate statistics
-    const totalEntries = userMoods.length;
-    const avgMood = userMoods.reduce((sum, mood) => sum + mood.moodLevel, 0) / totalEntries;
+    if (!pending || new Date(pending.expiresAt) < new Date()) {
+      sheet.getRange(rowIndex, 14).setValue('');
+      return { success: false, error: 'This code has expired. Please request a new one.' };
+    }
     
-    // Calculate streak (simplified)
-    const sortedMoods = userMoods.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    let streak = 0;
-    const today = new Date().toDateString();
+    if (!timingSafeEqual(hashVerificationCode(String(code).trim(), session.userId), pending.codeHash)) {
+      pending.attempts++;
+      if (pending.attempts >= MAX_VERIFICATION_ATTEMPTS) {
+        sheet.getRange(rowIndex, 14).setValue('');
+        return { success: false, error: 'Too many incorrect codes. Please request a new one.' };
+      }
+      sheet.getRange(rowIndex, 14).setValue(JSON.stringify(pending));
+      return { success: false, error: 'Incorrect code' };
+    }
     
-    for (let mood of sortedMoods) {
-      const moodDate = new Date(mood.timestamp).toDateString();
-      if (moodDate === today || streak === 0) {
-        streak++;
-      } else {
-        break;
+    // Someone may have claimed the address while the code was outstanding
+    const column = pending.type === 'email' ? 2 : 3;
+    for (let i = 1; i < values.length; i++) {
+      if (i !== rowIndex - 1 && values[i][column] === pending.value) {
+        sheet.getRange(rowIndex, 14).setValue('');
+        return { success: false, error: 'This ' + pending.type + ' is already in use' };
       }
     }
     
+    sheet.getRange(rowIndex, column + 1).setValue(pending.value);
+    sheet.getRange(rowIndex, 14).setValue('');
+    
+    const revoked = revokeUserSessions(session.userId, session.sessionId);
+    
     return {
       success: true,
-      stats: {
-        totalEntries: totalEntries,
-        avgMood: Math.round(avgMood * 10) / 10,
-        streak: streak
-      }
+      identifierType: pending.type,
+      value: pending.value,
+      sessionsRevoked: revoked
     };
     
   } catch (error) {
-    console.error('Get stats error:', error);
-    return { success: false, error: 'Failed to retrieve statistics' };
+    console.error('Confirm identifier change error:', error);
+    return { success: false, error: 'Failed to confirm change' };
   }
 }
 
-// ========================================
-// ADMIN FUNCTIONS (Updated)
-// ========================================
+/**
+ * Six-digit numeric code
+ */
+function generateVerificationCode() {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid());
+  const value = ((bytes[0] & 0xff) << 16 | (bytes[1] & 0xff) << 8 | (bytes[2] & 0xff)) % 1000000;
+  return ('000000' + value).slice(-6);
+}
 
 /**
- * Get all users (admin only)
+ * Hash a verification code, salted with the user ID
  */
-function handleGetAllUsers(data) {
-  try {
-    const { requestingUserId } = data;
-    
-    // Verify admin permissions
-    if (!isAdmin(requestingUserId)) {
-      return { success: false, error: 'Insufficient permissions' };
-    }
-    
-    const sheet = getSheet(USER_SHEET_NAME);
-    const data_range = sheet.getDataRange();
-    const values = data_range.getValues();
-    
-    const users = [];
-    for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      users.push({
-        userId: row[0],
-        name: row[1],
-        email: row[2],
-        phone: row[3],
-        role: row[4],
-        createdAt: row[5],
-        lastActive: row[6],
-        hasPassword: !!(row[7] && row[8]), // Has both hash and salt
-        migrationStatus: row[11] || 'pending'
-      });
+function hashVerificationCode(code, userId) {
+  return Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, code + ':' + userId));
+}
+
+/**
+ * Show enough of an email address to recognise it: j***@example.com
+ */
+function maskEmail(email) {
+  const parts = String(email).split('@');
+  return parts[0].charAt(0) + '***@' + (parts[1] || '');
+}
+
+/**
+ * Show only the last digits of a phone number: ***4567
+ */
+function maskPhone(phone) {
+  return '***' + String(phone).slice(-4);
+}
+
+// ========================================
+// TWO-FACTOR AUTHENTICATION
+// ========================================
+
+/**
+ * Whether 2FA is on and how many recovery codes are left
+ */
+function handleGetTwoFactorStatus(data, session) {
+  try {
+    const sheet = getSheet(USER_SHEET_NAME);
+    const rowIndex = findUserRow(sheet, session.userId);
+    
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
     }
     
-    return { success: true, users: users };
+    const state = getTwoFactorState(sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0]);
+    
+    return {
+      success: true,
+      enabled: !!state.enabled,
+      enabledAt: state.enabledAt || null,
+      recoveryCodesRemaining: state.enabled ? (state.recoveryCodes || []).length : 0
+    };
     
   } catch (error) {
-    console.error('Get all users error:', error);
-    return { success: false, error: 'Failed to retrieve users' };
+    console.error('Get two-factor status error:', error);
+    return { success: false, error: 'Failed to load two-factor settings' };
   }
 }
 
 /**
- * Get detailed user information (admin only)
+ * Check the password and create a secret for the authenticator app
+ * 2FA stays off until confirmTwoFactorSetup receives a code from that app.
  */
-function handleGetUserDetails(data) {
+function handleStartTwoFactorSetup(data, session) {
   try {
-    const { requesterId, userId } = data;
+    const { password } = data;
     
-    // Verify admin permissions
-    if (!isAdmin(requesterId)) {
-      return { success: false, error: 'Insufficient permissions' };
+    if (!password) {
+      return { success: false, error: 'Missing required fields' };
     }
     
-    // Get user info
-    const userData = getUserById(userId);
+    const sheet = getSheet(USER_SHEET_NAME);
+    const rowIndex = findUserRow(sheet, session.userId);
     
-    if (!userData) {
+    if (rowIndex === -1) {
       return { success: false, error: 'User not found' };
     }
     
-    // Get user's mood data
-    const moodSheet = getSheet(MOOD_SHEET_NAME);
-    const moodData = moodSheet.getDataRange().getValues();
-    const userMoods = [];
-    
-    for (let i = 1; i < moodData.length; i++) {
-      const row = moodData[i];
-      if (row[1] === userId) { // UserID column
-        userMoods.push({
-          id: row[0],
-          userId: row[1],
-          mood: row[2], // MoodLevel
-          moodLevel: row[2], // MoodLevel (for compatibility)
-          notes: row[3] || 'No notes provided',
-          timestamp: row[4],
-          activities: row[5] ? (typeof row[5] === 'string' ? row[5] : JSON.stringify(row[5])) : '',
-          triggers: '', // Not stored in current schema
-          moodEmoji: row[6] || getMoodEmoji(row[2])
-        });
-      }
+    const userRow = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+    if (!verifyUserPassword(userRow, password)) {
+      return { success: false, error: 'Password is incorrect' };
     }
     
-    // Sort moods by timestamp (newest first)
-    userMoods.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    
-    // Calculate stats
-    const stats = calculateUserStats(userMoods, userData);
-    
-    // Calculate analytics
-    const analytics = calculateUserAnalytics(userMoods);
+    const state = getTwoFactorState(userRow);
+    if (state.enabled) {
+      return { success: false, error: 'Two-factor authentication is already on' };
+    }
     
-    // Generate activity log
-    const activityLog = generateActivityLog(userData, userMoods);
+    const secret = generateTotpSecret();
+    state.pendingSecret = secret;
+    state.pendingExpiresAt = new Date(Date.now() + VERIFICATION_CODE_EXPIRY_MINUTES * 60 * 1000).toISOString();
+    saveTwoFactorState(sheet, rowIndex, state);
     
+    const account = userRow[2] || userRow[3];
     return {
       success: true,
-      user: {
-        userId: userData.userId,
-        name: userData.name,
-        email: userData.email,
-        phone: userData.phone,
-        role: userData.role,
-        createdAt: userData.createdAt,
-        lastActive: userData.lastActive
-      },
-      moods: userMoods,
-      stats: stats,
-      analytics: analytics,
-      activityLog: activityLog
+      secret: secret,
+      otpauthUrl: 'otpauth://totp/FitMood:' + encodeURIComponent(account) +
+        '?secret=' + secret + '&issuer=FitMood&algorithm=SHA1&digits=' + TOTP_DIGITS + '&period=' + TOTP_PERIOD_SECONDS
     };
     
   } catch (error) {
-    console.error('Get user details error:', error);
-    return { success: false, error: 'Failed to get user details: ' + error.message };
+    console.error('Start two-factor setup error:', error);
+    return { success: false, error: 'Failed to start two-factor setup' };
   }
 }
 
 /**
- * Admin reset user password
+ * Turn 2FA on once the user proves their app has the secret
+ * Returns the recovery codes; only their hashes are kept.
  */
-function handleAdminResetPassword(data) {
+function handleConfirmTwoFactorSetup(data, session) {
   try {
-    const { requestingUserId, targetUserId } = data;
+    const { code } = data;
     
-    // Verify admin permissions
-    if (!isAdmin(requestingUserId)) {
-      return { success: false, error: 'Insufficient permissions' };
+    if (!code) {
+      return { success: false, error: 'Missing code' };
     }
     
     const sheet = getSheet(USER_SHEET_NAME);
-    const data_range = sheet.getDataRange();
-    const values = data_range.getValues();
+    const rowIndex = findUserRow(sheet, session.userId);
     
-    // Find user
-    for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      if (row[0] === targetUserId) {
-        // Clear password hash and salt
-        sheet.getRange(i + 1, 8).setValue(''); // PasswordHash column
-        sheet.getRange(i + 1, 9).setValue(''); // Salt column
-        
-        return { success: true, message: 'Password reset successfully' };
-      }
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
     }
     
-    return { success: false, error: 'User not found' };
+    const state = getTwoFactorState(sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0]);
+    if (!state.pendingSecret || new Date() > new Date(state.pendingExpiresAt)) {
+      return { success: false, error: 'Setup has expired. Please start again.' };
+    }
+    
+    const step = verifyTotpCode(state.pendingSecret, code, -1);
+    if (step === -1) {
+      return { success: false, error: 'That code didn\'t match. Check the time on your phone and try again.' };
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    const enabledState = {
+      enabled: true,
+      enabledAt: new Date().toISOString(),
+      secret: state.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(recoveryCode => hashRecoveryCode(recoveryCode, session.userId))
+    };
+    saveTwoFactorState(sheet, rowIndex, enabledState);
+    
+    // Other devices signed in with only the password
+    const revoked = revokeUserSessions(session.userId, session.sessionId);
+    
+    return { success: true, recoveryCodes: recoveryCodes, sessionsRevoked: revoked };
     
   } catch (error) {
-    console.error('Admin reset password error:', error);
-    return { success: false, error: 'Failed to reset password' };
+    console.error('Confirm two-factor setup error:', error);
+    return { success: false, error: 'Failed to turn on two-factor authentication' };
   }
 }
 
 /**
- * Send message to user (placeholder - would integrate with email service)
+ * Turn 2FA off (password plus a current code or a recovery code)
  */
-function handleSendUserMessage(data) {
+function handleDisableTwoFactor(data, session) {
   try {
-    const { requestingUserId, targetUserId, message } = data;
+    const { password, code } = data;
     
-    // Verify admin permissions
-    if (!isAdmin(requestingUserId)) {
-      return { success: false, error: 'Insufficient permissions' };
+    if (!password || !code) {
+      return { success: false, error: 'Missing required fields' };
     }
     
-    // Get user details
-    const targetUser = getUserById(targetUserId);
-    if (!targetUser) {
+    const sheet = getSheet(USER_SHEET_NAME);
+    const rowIndex = findUserRow(sheet, session.userId);
+    
+    if (rowIndex === -1) {
       return { success: false, error: 'User not found' };
     }
     
-    // In a real implementation, you would send an email here
-    // For now, we'll just log it and return success
-    console.log(`Admin message to ${targetUser.email}: ${message}`);
+    const userRow = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+    if (!verifyUserPassword(userRow, password)) {
+      return { success: false, error: 'Password is incorrect' };
+    }
     
-    // You could integrate with Gmail API or other email service here
-    // Example: GmailApp.sendEmail(targetUser.email, 'Message from FitMood Admin', message);
+    const state = getTwoFactorState(userRow);
+    if (!state.enabled) {
+      return { success: false, error: 'Two-factor authentication is not on' };
+    }
     
-    return { 
-      success: true, 
-      message: 'Message sent successfully',
-      note: 'Email integration not configured - message logged to console'
-    };
+    if (!checkSecondFactor(state, code, session.userId)) {
+      return { success: false, error: 'Invalid code' };
+    }
+    
+    sheet.getRange(rowIndex, 15).setValue(''); // TwoFactor column
+    
+    return { success: true, message: 'Two-factor authentication turned off' };
     
   } catch (error) {
-    console.error('Send user message error:', error);
-    return { success: false, error: 'Failed to send message' };
+    console.error('Disable two-factor error:', error);
+    return { success: false, error: 'Failed to turn off two-factor authentication' };
   }
 }
 
 /**
- * Calculate comprehensive user statistics
+ * After a correct password, hand out a short-lived challenge for the code step
  */
-function calculateUserStats(moods, userData) {
-  if (!moods || moods.length === 0) {
-    return {
-      totalEntries: 0,
-      totalMoods: 0,
-      avgMood: 0,
-      streakDays: 0,
-      lastActive: userData.lastActive
-    };
-  }
-  
-  // Calculate average mood (assuming mood is numeric 1-5)
-  const numericMoods = moods.filter(m => !isNaN(parseFloat(m.moodLevel || m.mood))).map(m => parseFloat(m.moodLevel || m.mood));
-  const avgMood = numericMoods.length > 0 ? numericMoods.reduce((a, b) => a + b, 0) / numericMoods.length : 0;
-  
-  // Calculate streak (consecutive days with entries)
-  const dates = [...new Set(moods.map(m => {
-    const date = new Date(m.timestamp);
-    return date.toISOString().split('T')[0];
-  }))].sort().reverse();
-  
-  let streakDays = 0;
-  const today = new Date().toISOString().split('T')[0];
-  
-  for (let i = 0; i < dates.length; i++) {
-    const expectedDate = new Date();
-    expectedDate.setDate(expectedDate.getDate() - i);
-    const expectedDateStr = expectedDate.toISOString().split('T')[0];
-    
-    if (dates[i] === expectedDateStr) {
-      streakDays++;
-    } else {
-      break;
-    }
-  }
+function startTwoFactorChallenge(sheet, rowIndex, state) {
+  const challengeToken = generateResetToken();
+  state.challengeHash = hashResetToken(challengeToken);
+  state.challengeExpiresAt = new Date(Date.now() + TWO_FACTOR_CHALLENGE_MINUTES * 60 * 1000).toISOString();
+  state.challengeAttempts = 0;
+  saveTwoFactorState(sheet, rowIndex, state);
   
   return {
-    totalEntries: moods.length,
-    totalMoods: moods.length,
-    avgMood: Math.round(avgMood * 10) / 10,
-    streakDays: streakDays,
-    lastActive: userData.lastActive
+    success: true,
+    twoFactorRequired: true,
+    challengeToken: challengeToken,
+    challengeExpiresAt: state.challengeExpiresAt
   };
 }
 
 /**
- * Calculate user analytics
+ * Second login step: exchange the challenge and a TOTP or recovery code for a session
  */
-function calculateUserAnalytics(moods) {
-  if (!moods || moods.length === 0) {
-    return {
-      moodDistribution: {},
-      topActivities: []
-    };
-  }
-  
-  // Mood distribution
-  const moodDistribution = {};
-  moods.forEach(mood => {
-    const moodValue = mood.moodLevel || mood.mood || 'unknown';
-    moodDistribution[moodValue] = (moodDistribution[moodValue] || 0) + 1;
-  });
-  
-  // Top activities
-  const activityCount = {};
-  moods.forEach(mood => {
-    if (mood.activities) {
-      let activities = [];
-      
-      try {
-        // Handle different activity formats
-        if (typeof mood.activities === 'string') {
-          if (mood.activities.startsWith('[') || mood.activities.startsWith('{')) {
-            activities = JSON.parse(mood.activities);
-          } else {
-            activities = mood.activities.split(',').map(a => a.trim());
-          }
-        } else if (Array.isArray(mood.activities)) {
-          activities = mood.activities;
-        }
-      } catch (e) {
-        // If JSON parsing fails, treat as comma-separated string
-        activities = String(mood.activities).split(',').map(a => a.trim());
+function handleVerifyTwoFactorLogin(data) {
+  try {
+    const { challengeToken, code, deviceId } = data;
+    
+    if (!challengeToken || !code) {
+      return { success: false, error: 'Missing required fields' };
+    }
+    
+    const sheet = getSheet(USER_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    const challengeHash = hashResetToken(challengeToken);
+    
+    let userRow = null;
+    let rowIndex = -1;
+    let state = null;
+    for (let i = 1; i < values.length; i++) {
+      const rowState = getTwoFactorState(values[i]);
+      if (rowState.challengeHash && timingSafeEqual(rowState.challengeHash, challengeHash)) {
+        userRow = values[i];
+        rowIndex = i + 1;
+        state = rowState;
+        break;
       }
-      
-      if (Array.isArray(activities)) {
-        activities.forEach(activity => {
-          if (activity && activity.trim()) {
-            const activityName = activity.trim();
-            activityCount[activityName] = (activityCount[activityName] || 0) + 1;
-          }
-        });
+    }
+    
+    if (!userRow || new Date() > new Date(state.challengeExpiresAt)) {
+      return { success: false, error: 'This sign-in has expired. Please log in again.', restartLogin: true };
+    }
+    
+    const attemptKeys = getLoginAttemptKeys(userRow, null, deviceId);
+    const wait = beginLoginAttempt(attemptKeys);
+    if (wait) {
+      return getThrottledLoginResponse(wait);
+    }
+    
+    const usedRecoveryCode = !/^\d+$/.test(normalizeSecondFactorCode(code));
+    if (!checkSecondFactor(state, code, userRow[0])) {
+      state.challengeAttempts = (state.challengeAttempts || 0) + 1;
+      const exhausted = state.challengeAttempts >= MAX_VERIFICATION_ATTEMPTS;
+      if (exhausted) {
+        clearTwoFactorChallenge(state);
       }
+      saveTwoFactorState(sheet, rowIndex, state);
+      recordLoginFailure(attemptKeys, userRow);
+      
+      return {
+        success: false,
+        error: exhausted ? 'Too many wrong codes. Please log in again.' : 'Invalid code',
+        restartLogin: exhausted
+      };
     }
-  });
-  
-  const topActivities = Object.entries(activityCount)
-    .map(([name, count]) => ({ name, count }))
-    .sort((a, b) => b.count - a.count)
-    .slice(0, 10);
-  
-  return {
-    moodDistribution,
-    topActivities
-  };
+    
+    clearTwoFactorChallenge(state);
+    saveTwoFactorState(sheet, rowIndex, state);
+    clearLoginAttempts(attemptKeys.account);
+    undoLoginAttempt([attemptKeys.device]);
+    
+    const result = completeLogin(sheet, rowIndex, userRow, getDeviceDetails(data));
+    if (usedRecoveryCode) {
+      result.recoveryCodesRemaining = state.recoveryCodes.length;
+    }
+    return result;
+    
+  } catch (error) {
+    console.error('Verify two-factor login error:', error);
+    return { success: false, error: 'Verification failed' };
+  }
 }
 
 /**
- * Generate activity log for user
+ * Check a TOTP code or an unused recovery code against an enabled 2FA state
+ * A match is consumed in place: the TOTP step can't be replayed and the
+ * recovery code is removed. Callers save the state afterwards.
  */
-function generateActivityLog(userData, moods) {
-  const activities = [];
-  
-  // User registration
-  activities.push({
-    icon: '👤',
-    action: 'User registered',
-    timestamp: userData.createdAt
-  });
-  
-  // Recent mood entries (last 10)
-  const recentMoods = moods.slice(0, 10);
-  recentMoods.forEach(mood => {
-    const moodValue = mood.moodLevel || mood.mood || 'Unknown';
-    activities.push({
-      icon: mood.moodEmoji || getMoodEmoji(moodValue),
-      action: `Logged mood: ${moodValue}`,
-      timestamp: mood.timestamp
-    });
-  });
+function checkSecondFactor(state, code, userId) {
+  const normalized = normalizeSecondFactorCode(code);
   
-  // Sort by timestamp (newest first)
-  activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  if (/^\d+$/.test(normalized)) {
+    const step = verifyTotpCode(state.secret, normalized, state.lastUsedStep);
+    if (step === -1) {
+      return false;
+    }
+    state.lastUsedStep = step;
+    return true;
+  }
   
-  return activities.slice(0, 20); // Return last 20 activities
+  const index = (state.recoveryCodes || []).indexOf(hashRecoveryCode(normalized, userId));
+  if (index === -1) {
+    return false;
+  }
+  state.recoveryCodes.splice(index, 1);
+  return true;
+}
+
+function normalizeSecondFactorCode(code) {
+  return String(code).replace(/[\s-]/g, '').toLowerCase();
+}
+
+function clearTwoFactorChallenge(state) {
+  delete state.challengeHash;
+  delete state.challengeExpiresAt;
+  delete state.challengeAttempts;
 }
 
 /**
- * Get mood emoji based on mood value
+ * Parse a user row's TwoFactor column ({} when 2FA was never set up)
  */
-function getMoodEmoji(mood) {
+function getTwoFactorState(userRow) {
+  try {
+    return JSON.parse(userRow[14] || '{}') || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveTwoFactorState(sheet, rowIndex, state) {
+  sheet.getRange(rowIndex, 15).setValue(JSON.stringify(state)); // TwoFactor column
+}
+
+/**
+ * Ten codes like 'a1b2-c3d4' for when the authenticator app is lost
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const hex = Utilities.getUuid().replace(/-/g, '');
+    codes.push(hex.substring(0, 4) + '-' + hex.substring(4, 8));
+  }
+  return codes;
+}
+
+function hashRecoveryCode(code, userId) {
+  return hashVerificationCode(normalizeSecondFactorCode(code), userId);
+}
+
+/**
+ * 160-bit random secret, base32 encoded as authenticator apps expect
+ */
+function generateTotpSecret() {
+  const random = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid() + Utilities.getUuid());
+  return base32Encode(random.slice(0, 20));
+}
+
+/**
+ * Find the time step a code belongs to, allowing TOTP_WINDOW_STEPS of drift
+ * Steps at or before lastUsedStep are refused so a code works only once.
+ * Returns the step, or -1 if the code doesn't match.
+ */
+function verifyTotpCode(secret, code, lastUsedStep) {
+  const normalized = normalizeSecondFactorCode(code);
+  if (normalized.length !== TOTP_DIGITS || !secret) {
+    return -1;
+  }
+  
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let offset = -TOTP_WINDOW_STEPS; offset <= TOTP_WINDOW_STEPS; offset++) {
+    const step = currentStep + offset;
+    if (step > lastUsedStep && timingSafeEqual(generateTotp(key, step, TOTP_DIGITS), normalized)) {
+      return step;
+    }
+  }
+  return -1;
+}
+
+/**
+ * HOTP (RFC 4226) for a time step: HMAC-SHA1 of the 8-byte counter, dynamically truncated
+ */
+function generateTotp(keyBytes, step, digits) {
+  const counter = [];
+  let high = Math.floor(step / 0x100000000);
+  let low = step % 0x100000000;
+  for (let i = 3; i >= 0; i--) {
+    counter[i] = toSignedByte(high & 0xff);
+    counter[i + 4] = toSignedByte(low & 0xff);
+    high = Math.floor(high / 256);
+    low = Math.floor(low / 256);
+  }
+  
+  const hmac = Utilities.computeHmacSignature(Utilities.MacAlgorithm.HMAC_SHA_1, counter, keyBytes);
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+  
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+}
+
+function toSignedByte(value) {
+  return value > 127 ? value - 256 : value;
+}
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (let i = 0; i < bytes.length; i++) {
+    value = (value << 8) | (bytes[i] & 0xff);
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (let i = 0; i < clean.length; i++) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(clean[i]);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push(toSignedByte((value >>> (bits - 8)) & 0xff));
+      bits -= 8;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Manual test (run from the Apps Script editor): TOTP against the SHA-1
+ * vectors from RFC 6238 appendix B, plus a base32 round trip
+ */
+function testTotpVectors() {
+  const key = Utilities.newBlob('12345678901234567890').getBytes();
+  const vectors = [
+    { time: 59, code: '94287082' },
+    { time: 1111111109, code: '07081804' },
+    { time: 1111111111, code: '14050471' },
+    { time: 1234567890, code: '89005924' },
+    { time: 2000000000, code: '69279037' },
+    { time: 20000000000, code: '65353130' }
+  ];
+  
+  const results = vectors.map(vector => {
+    const code = generateTotp(key, Math.floor(vector.time / TOTP_PERIOD_SECONDS), 8);
+    return { time: vector.time, expected: vector.code, got: code, ok: code === vector.code };
+  });
+  const roundTrip = base32Decode(base32Encode(key)).join(',') === key.join(',');
+  
+  console.log(JSON.stringify({ vectors: results, base32RoundTrip: roundTrip }, null, 2));
+  return roundTrip && results.every(result => result.ok);
+}
+
+// ========================================
+// END-TO-END ENCRYPTED NOTES
+// ========================================
+// Notes and triggers are encrypted on the device with a random data key.
+// Only that key wrapped with a password-derived key is stored here (NoteKey
+// column), so the server never sees the plaintext. Encrypted entries keep
+// the ciphertext in the Notes column and an empty Triggers list.
+
+/**
+ * Get the caller's wrapped notes key (null when encryption is off)
+ */
+function handleGetNoteKey(data, session) {
+  try {
+    const sheet = getSheet(USER_SHEET_NAME);
+    const rowIndex = findUserRow(sheet, session.userId);
+    
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    const userRow = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+    
+    return { success: true, noteKey: getNoteKeyEnvelope(userRow) };
+    
+  } catch (error) {
+    console.error('Get note key error:', error);
+    return { success: false, error: 'Failed to load encryption settings' };
+  }
+}
+
+/**
+ * Store the wrapped notes key after checking the password
+ * Turning encryption on signs out other sessions so they pick up the key at
+ * their next login; replace re-wraps the existing key (e.g. after a reset).
+ */
+function handleSaveNoteKey(data, session) {
+  try {
+    const { password, noteKey, replace } = data;
+    
+    if (!password || !noteKey) {
+      return { success: false, error: 'Missing required fields' };
+    }
+    
+    if (!isValidNoteKey(noteKey)) {
+      return { success: false, error: 'Invalid note key' };
+    }
+    
+    const sheet = getSheet(USER_SHEET_NAME);
+    const rowIndex = findUserRow(sheet, session.userId);
+    
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    const userRow = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+    
+    if (!verifyUserPassword(userRow, password)) {
+      return { success: false, error: 'Password is incorrect' };
+    }
+    
+    const existing = getNoteKeyEnvelope(userRow);
+    if (existing && !replace) {
+      return { success: false, error: 'Encrypted notes are already on' };
+    }
+    
+    sheet.getRange(rowIndex, 16).setValue(JSON.stringify(noteKey)); // NoteKey column
+    
+    const revoked = existing ? 0 : revokeUserSessions(session.userId, session.sessionId);
+    
+    return { success: true, sessionsRevoked: revoked };
+    
+  } catch (error) {
+    console.error('Save note key error:', error);
+    return { success: false, error: 'Failed to save encryption key' };
+  }
+}
+
+/**
+ * Turn encryption off once the client has written every note back in plaintext
+ */
+function handleDisableNoteEncryption(data, session) {
+  try {
+    const { password } = data;
+    
+    if (!password) {
+      return { success: false, error: 'Missing required fields' };
+    }
+    
+    const sheet = getSheet(USER_SHEET_NAME);
+    const rowIndex = findUserRow(sheet, session.userId);
+    
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    const userRow = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+    
+    if (!verifyUserPassword(userRow, password)) {
+      return { success: false, error: 'Password is incorrect' };
+    }
+    
+    if (countEncryptedMoods(session.userId) > 0) {
+      return { success: false, error: 'Some notes are still encrypted. Please try again.' };
+    }
+    
+    sheet.getRange(rowIndex, 16).setValue(''); // NoteKey column
+    
+    return { success: true };
+    
+  } catch (error) {
+    console.error('Disable note encryption error:', error);
+    return { success: false, error: 'Failed to turn off encrypted notes' };
+  }
+}
+
+/**
+ * Replace the notes and triggers of up to MAX_IMPORT_BATCH of the caller's
+ * entries, used to encrypt or decrypt existing entries in bulk. UpdatedAt is
+ * left alone since the content itself doesn't change.
+ */
+function handleRewriteMoodNotes(data, session) {
+  try {
+    const entries = data.entries;
+    
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return { success: false, error: 'No entries to update' };
+    }
+    
+    if (entries.length > MAX_IMPORT_BATCH) {
+      return { success: false, error: 'Send at most ' + MAX_IMPORT_BATCH + ' entries per request' };
+    }
+    
+    const sheet = getSheet(MOOD_SHEET_NAME);
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    
+    try {
+      const values = sheet.getDataRange().getValues();
+      const rowsById = {};
+      for (let i = 1; i < values.length; i++) {
+        if (values[i][1] === session.userId && !isMoodDeleted(values[i])) {
+          rowsById[values[i][0]] = i + 1;
+        }
+      }
+      
+      let updated = 0;
+      const missing = [];
+      entries.forEach(entry => {
+        const rowIndex = rowsById[entry.moodId];
+        if (!rowIndex) {
+          missing.push(entry.moodId);
+          return;
+        }
+        sheet.getRange(rowIndex, 4).setValue(entry.notes || ''); // Notes column
+        sheet.getRange(rowIndex, 8).setValue(JSON.stringify(normalizeTriggers(entry.triggers))); // Triggers column
+        updated++;
+      });
+      
+      return { success: true, updated: updated, missing: missing };
+    } finally {
+      lock.releaseLock();
+    }
+    
+  } catch (error) {
+    console.error('Rewrite mood notes error:', error);
+    return { success: false, error: 'Failed to update mood entries' };
+  }
+}
+
+/**
+ * Parse the NoteKey column of a user row
+ */
+function getNoteKeyEnvelope(userRow) {
+  if (!userRow[15]) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(userRow[15]);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check the shape of a wrapped key sent by the client; its contents are opaque here
+ */
+function isValidNoteKey(noteKey) {
+  return !!noteKey &&
+    typeof noteKey === 'object' &&
+    noteKey.version === NOTE_KEY_VERSION &&
+    typeof noteKey.salt === 'string' &&
+    typeof noteKey.iv === 'string' &&
+    typeof noteKey.wrappedKey === 'string' &&
+    Number(noteKey.iterations) >= PASSWORD_HASH_ITERATIONS &&
+    JSON.stringify(noteKey).length < 1000;
+}
+
+/**
+ * Count a user's live entries whose notes are still ciphertext
+ */
+function countEncryptedMoods(userId) {
+  const values = getSheet(MOOD_SHEET_NAME).getDataRange().getValues();
+  let count = 0;
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if (row[1] === userId && !isMoodDeleted(row) && String(row[3]).indexOf(NOTE_CIPHER_PREFIX) === 0) {
+      count++;
+    }
+  }
+  
+  return count;
+}
+
+// ========================================
+// ACCOUNT DELETION FUNCTIONS
+// ========================================
+
+/**
+ * Schedule the caller's account for erasure after a grace period
+ * Requires the current password. Every session is revoked, so the account
+ * can only be restored by logging in again and cancelling.
+ */
+function handleRequestAccountDeletion(data, session) {
+  try {
+    const { password } = data;
+    
+    if (!password) {
+      return { success: false, error: 'Please enter your password' };
+    }
+    
+    const sheet = getSheet(USER_SHEET_NAME);
+    const rowIndex = findUserRow(sheet, session.userId);
+    
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    const userRow = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+    if (!verifyUserPassword(userRow, password)) {
+      return { success: false, error: 'Incorrect password' };
+    }
+    
+    const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    sheet.getRange(rowIndex, 13).setValue(scheduledFor); // DeletionScheduledFor column
+    revokeUserSessions(session.userId);
+    
+    return { success: true, deletionScheduledFor: scheduledFor };
+    
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    return { success: false, error: 'Failed to schedule account deletion' };
+  }
+}
+
+/**
+ * Cancel a pending account deletion
+ */
+function handleCancelAccountDeletion(data, session) {
+  try {
+    const sheet = getSheet(USER_SHEET_NAME);
+    const rowIndex = findUserRow(sheet, session.userId);
+    
+    if (rowIndex === -1) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    sheet.getRange(rowIndex, 13).setValue(''); // DeletionScheduledFor column
+    
+    return { success: true, message: 'Account deletion cancelled' };
+    
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    return { success: false, error: 'Failed to cancel account deletion' };
+  }
+}
+
+/**
+ * Erase every account whose grace period has ended
+ * Run daily from a time-driven trigger (see installAccountDeletionTrigger)
+ */
+function processScheduledDeletions() {
+  const values = getSheet(USER_SHEET_NAME).getDataRange().getValues();
+  const due = [];
+  
+  for (let i = 1; i < values.length; i++) {
+    if (isDeletionDue(values[i])) {
+      due.push(values[i][0]);
+    }
+  }
+  
+  due.forEach(userId => eraseUserAccount(userId));
+  console.log('Erased ' + due.length + ' account(s)');
+  return due.length;
+}
+
+/**
+ * One-time setup: run processScheduledDeletions every day
+ */
+function installAccountDeletionTrigger() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'processScheduledDeletions')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  
+  ScriptApp.newTrigger('processScheduledDeletions').timeBased().everyDays(1).create();
+}
+
+/**
+ * Check the DeletionScheduledFor column of a user row
+ */
+function isDeletionDue(row) {
+  return !!row[12] && new Date(row[12]).getTime() <= Date.now();
+}
+
+/**
+ * Permanently remove a user's row, mood entries, sessions and messages
+ * Runs under the script lock because it moves rows that other handlers find
+ * and then write to. The Users row goes last, so a run that is cut short is
+ * picked up again by processScheduledDeletions.
+ */
+function eraseUserAccount(userId) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    deleteRowsForUser(getSheet(MOOD_SHEET_NAME), userId);
+    deleteRowsForUser(getSheet(SESSION_SHEET_NAME), userId);
+    deleteRowsForUser(getSheet(MESSAGES_SHEET_NAME), userId);
+    deleteRowsForUser(getSheet(ANNOUNCEMENT_RECEIPTS_SHEET_NAME), userId);
+    
+    const userSheet = getSheet(USER_SHEET_NAME);
+    const userRowIndex = findUserRow(userSheet, userId);
+    if (userRowIndex !== -1) {
+      userSheet.deleteRow(userRowIndex);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+  
+  // Takes the lock itself
+  clearLoginAttempts('user:' + userId);
+}
+
+/**
+ * Remove every row whose second column (UserId) matches by rewriting the rows
+ * below the header in one go; deleting them one by one can run into the
+ * execution time limit on a large account
+ */
+function deleteRowsForUser(sheet, userId) {
+  const values = sheet.getDataRange().getValues();
+  const kept = values.slice(1).filter(row => row[1] !== userId);
+  const removed = values.length - 1 - kept.length;
+  if (removed === 0) {
+    return;
+  }
+  
+  const width = values[0].length;
+  if (kept.length > 0) {
+    sheet.getRange(2, 1, kept.length, width).setValues(kept);
+  }
+  sheet.getRange(2 + kept.length, 1, removed, width).clearContents();
+}
+
+/**
+ * Find the sheet row (1-indexed) of a user, or -1
+ */
+function findUserRow(sheet, userId) {
+  const values = sheet.getDataRange().getValues();
+  
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][0] === userId) {
+      return i + 1;
+    }
+  }
+  
+  return -1;
+}
+
+// ========================================
+// LOGIN THROTTLING
+// ========================================
+
+/**
+ * Counter keys for a login attempt: the account (or the typed identifier when
+ * no account matches, so unknown identifiers behave the same) and the device
+ */
+function getLoginAttemptKeys(userRow, identifier, deviceId) {
+  return {
+    account: userRow ? 'user:' + userRow[0] : 'identifier:' + String(identifier).trim().toLowerCase(),
+    device: deviceId ? 'device:' + String(deviceId).substring(0, 64) : null
+  };
+}
+
+/**
+ * Check delays and lockouts before a login attempt
+ * An attempt that may go ahead is counted as a failure right away (and taken
+ * back on success) so parallel guesses can't slip past the delay.
+ * Returns { retryAfterSeconds, locked } when the attempt has to wait, else null.
+ */
+function beginLoginAttempt(keys) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    const sheet = getSheet(LOGIN_ATTEMPTS_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    const now = Date.now();
+    const records = [keys.account, keys.device]
+      .filter(key => key)
+      .map(key => findLoginAttempt(values, key, now));
+    
+    let wait = null;
+    records.forEach(record => {
+      const recordWait = getLoginWait(record, now);
+      if (recordWait && (!wait || recordWait.retryAfterSeconds > wait.retryAfterSeconds)) {
+        wait = recordWait;
+      }
+    });
+    if (wait) {
+      return wait;
+    }
+    
+    records.forEach(record => {
+      record.failures++;
+      record.lastFailureAt = now;
+      saveLoginAttempt(sheet, record);
+    });
+    return null;
+    
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * After a failed attempt, lock the account and/or device once they reach
+ * their threshold. A newly locked account is emailed an unlock link.
+ */
+function recordLoginFailure(keys, userRow) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  let unlockToken = null;
+  try {
+    const sheet = getSheet(LOGIN_ATTEMPTS_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    const now = Date.now();
+    
+    const account = findLoginAttempt(values, keys.account, now);
+    if (account.failures >= LOGIN_ACCOUNT_LOCKOUT_THRESHOLD && account.lockedUntil <= now) {
+      account.lockedUntil = now + LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+      if (userRow && userRow[2]) {
+        unlockToken = generateResetToken();
+        account.unlockTokenHash = hashResetToken(unlockToken);
+      }
+      saveLoginAttempt(sheet, account);
+    }
+    
+    if (keys.device) {
+      const device = findLoginAttempt(values, keys.device, now);
+      if (device.failures >= LOGIN_DEVICE_LOCKOUT_THRESHOLD && device.lockedUntil <= now) {
+        device.lockedUntil = now + LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+        saveLoginAttempt(sheet, device);
+      }
+    }
+    
+  } finally {
+    lock.releaseLock();
+  }
+  
+  if (unlockToken) {
+    try {
+      sendUnlockLink(userRow, unlockToken);
+    } catch (deliveryError) {
+      console.error('Unlock link delivery error:', deliveryError);
+    }
+  }
+}
+
+/**
+ * Take back the failure beginLoginAttempt counted up front for each key.
+ * Used for the device after a successful login: its earlier failures may
+ * be guesses at other accounts, so they stay.
+ */
+function undoLoginAttempt(keys) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    const sheet = getSheet(LOGIN_ATTEMPTS_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    const now = Date.now();
+    keys.filter(key => key)
+      .map(key => findLoginAttempt(values, key, now))
+      .filter(record => record.rowIndex !== -1)
+      .sort((a, b) => b.rowIndex - a.rowIndex) // Bottom-up so deletions don't shift the others
+      .forEach(record => {
+        if (record.failures <= 1) {
+          sheet.deleteRow(record.rowIndex);
+        } else {
+          record.failures--;
+          saveLoginAttempt(sheet, record);
+        }
+      });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Forget the failures and any lockout for a key
+ */
+function clearLoginAttempts(key) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    const sheet = getSheet(LOGIN_ATTEMPTS_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    for (let i = values.length - 1; i >= 1; i--) {
+      if (values[i][0] === key) {
+        sheet.deleteRow(i + 1);
+      }
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Read the counters for a key from LoginAttempts values
+ * Counters start over once a lockout has ended or the last failure is older
+ * than LOGIN_ATTEMPT_WINDOW_HOURS.
+ */
+function findLoginAttempt(values, key, now) {
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if (row[0] !== key) {
+      continue;
+    }
+    
+    const record = {
+      key: key,
+      rowIndex: i + 1,
+      failures: Number(row[1]) || 0,
+      lastFailureAt: row[2] ? new Date(row[2]).getTime() : 0,
+      lockedUntil: row[3] ? new Date(row[3]).getTime() : 0,
+      unlockTokenHash: row[4] || ''
+    };
+    
+    const lockoutOver = record.lockedUntil && record.lockedUntil <= now;
+    const stale = !record.lockedUntil && now - record.lastFailureAt > LOGIN_ATTEMPT_WINDOW_HOURS * 60 * 60 * 1000;
+    if (lockoutOver || stale) {
+      record.failures = 0;
+      record.lockedUntil = 0;
+      record.unlockTokenHash = '';
+    }
+    return record;
+  }
+  
+  return { key: key, rowIndex: -1, failures: 0, lastFailureAt: 0, lockedUntil: 0, unlockTokenHash: '' };
+}
+
+function saveLoginAttempt(sheet, record) {
+  const row = [
+    record.key,
+    record.failures,
+    record.lastFailureAt ? new Date(record.lastFailureAt).toISOString() : '',
+    record.lockedUntil ? new Date(record.lockedUntil).toISOString() : '',
+    record.unlockTokenHash
+  ];
+  
+  if (record.rowIndex === -1) {
+    sheet.appendRow(row);
+  } else {
+    sheet.getRange(record.rowIndex, 1, 1, row.length).setValues([row]);
+  }
+}
+
+/**
+ * How long a key has to wait before its next attempt, or null if it may try now
+ */
+function getLoginWait(record, now) {
+  if (record.lockedUntil > now) {
+    return { retryAfterSeconds: Math.ceil((record.lockedUntil - now) / 1000), locked: true };
+  }
+  if (record.failures < LOGIN_FREE_ATTEMPTS) {
+    return null;
+  }
+  
+  const delayMs = Math.min(
+    LOGIN_BASE_DELAY_SECONDS * 1000 * Math.pow(2, record.failures - LOGIN_FREE_ATTEMPTS),
+    LOGIN_MAX_DELAY_MINUTES * 60 * 1000
+  );
+  const waitMs = record.lastFailureAt + delayMs - now;
+  return waitMs > 0 ? { retryAfterSeconds: Math.ceil(waitMs / 1000), locked: false } : null;
+}
+
+function getThrottledLoginResponse(wait) {
+  const retryIn = formatRetryAfter(wait.retryAfterSeconds);
+  return {
+    success: false,
+    error: wait.locked
+      ? 'Too many failed attempts, so sign-in is locked. Try again in ' + retryIn +
+        ', or use the unlock link we emailed to the account owner.'
+      : 'Too many failed attempts. Try again in ' + retryIn + '.',
+    retryAfterSeconds: wait.retryAfterSeconds,
+    locked: wait.locked
+  };
+}
+
+function formatRetryAfter(seconds) {
+  if (seconds < 60) {
+    return seconds + (seconds === 1 ? ' second' : ' seconds');
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return minutes + (minutes === 1 ? ' minute' : ' minutes');
+}
+
+/**
+ * Accounts with failed logins, keyed by user ID: { failures, lockedUntil }
+ */
+function getAccountLockouts() {
+  const values = getSheet(LOGIN_ATTEMPTS_SHEET_NAME).getDataRange().getValues();
+  const now = Date.now();
+  const lockouts = {};
+  
+  for (let i = 1; i < values.length; i++) {
+    const key = String(values[i][0]);
+    if (key.indexOf('user:') !== 0) {
+      continue;
+    }
+    const record = findLoginAttempt(values, key, now);
+    if (record.failures > 0 || record.lockedUntil > now) {
+      lockouts[key.substring(5)] = {
+        failures: record.failures,
+        lockedUntil: record.lockedUntil > now ? new Date(record.lockedUntil).toISOString() : null
+      };
+    }
+  }
+  
+  return lockouts;
+}
+
+/**
+ * Unlock an account from the link in the lockout email
+ */
+function handleUnlockAccount(data) {
+  try {
+    const { token } = data;
+    
+    if (!token) {
+      return { success: false, error: 'Missing unlock token' };
+    }
+    
+    const tokenHash = hashResetToken(token);
+    const values = getSheet(LOGIN_ATTEMPTS_SHEET_NAME).getDataRange().getValues();
+    
+    for (let i = 1; i < values.length; i++) {
+      const storedHash = values[i][4]; // UnlockTokenHash column
+      if (storedHash && timingSafeEqual(String(storedHash), tokenHash)) {
+        clearLoginAttempts(values[i][0]);
+        return { success: true, message: 'Your account is unlocked. You can log in again.' };
+      }
+    }
+    
+    return { success: false, error: 'This unlock link is invalid or has already been used' };
+    
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    return { success: false, error: 'Failed to unlock account' };
+  }
+}
+
+// ========================================
+// MESSAGE DELIVERY
+// ========================================
+
+/**
+ * Email or text a password reset link for a user row
+ * Phone identifiers get an SMS; if SMS isn't configured the link goes to the
+ * account email instead.
+ */
+function sendPasswordResetLink(userRow, identifierType, resetToken) {
+  const link = APP_URL + '/reset-password?token=' + encodeURIComponent(resetToken);
+  const subject = 'Reset your FitMood password';
+  
+  if (identifierType === 'phone' && deliverMessage('sms', userRow[3], subject,
+    'FitMood password reset: ' + link + ' (expires in ' + RESET_TOKEN_EXPIRY_HOURS + 'h)')) {
+    return;
+  }
+  
+  if (!userRow[2]) {
+    console.warn('No way to deliver a reset link for user ' + userRow[0]);
+    return;
+  }
+  
+  deliverMessage('email', userRow[2], subject,
+    'Hi ' + userRow[1] + ',\n\n' +
+    'Someone asked to reset the password for your FitMood account. Open this link to choose a new one:\n\n' +
+    link + '\n\n' +
+    'The link works once and expires in ' + RESET_TOKEN_EXPIRY_HOURS + ' hours. ' +
+    'If you did not ask for this, you can ignore this email.'
+  );
+}
+
+/**
+ * Email an unlock link for an account locked after failed logins
+ */
+function sendUnlockLink(userRow, unlockToken) {
+  const link = APP_URL + '/unlock-account?token=' + encodeURIComponent(unlockToken);
+  
+  deliverMessage('email', userRow[2], 'Your FitMood account was locked',
+    'Hi ' + userRow[1] + ',\n\n' +
+    'There were ' + LOGIN_ACCOUNT_LOCKOUT_THRESHOLD + ' failed attempts to sign in to your FitMood account, ' +
+    'so sign-in is blocked for ' + LOGIN_LOCKOUT_MINUTES + ' minutes.\n\n' +
+    'If this was you, open this link to unlock it now:\n\n' +
+    link + '\n\n' +
+    'If it wasn\'t you, someone may be guessing your password. Consider resetting it from the login page.'
+  );
+}
+
+/**
+ * Send a message on a channel ('email' or 'sms') through the active transport
+ * Returns true if the message was handed off, false if the channel isn't set up.
+ */
+function deliverMessage(channel, to, subject, body) {
+  if (getDeliveryTransport() === 'fake') {
+    return recordFakeMessage(channel, to, subject, body);
+  }
+  
+  if (channel === 'email') {
+    return sendEmailMessage(to, subject, body);
+  }
+  if (channel === 'sms') {
+    return sendSmsMessage(to, body);
+  }
+  throw new Error('Unknown delivery channel: ' + channel);
+}
+
+/**
+ * 'live' or 'fake', from the DELIVERY_TRANSPORT script property or constant
+ */
+function getDeliveryTransport() {
+  return PropertiesService.getScriptProperties().getProperty('DELIVERY_TRANSPORT') || DELIVERY_TRANSPORT;
+}
+
+/**
+ * Email adapter (MailApp or GmailApp, see EMAIL_SENDER)
+ */
+function sendEmailMessage(to, subject, body) {
+  const sender = EMAIL_SENDER === 'gmail' ? GmailApp : MailApp;
+  sender.sendEmail(to, subject, body, { name: 'FitMood' });
+  return true;
+}
+
+/**
+ * SMS adapter stub. Apps Script can't send texts itself: set the
+ * SMS_WEBHOOK_URL script property to an endpoint (e.g. a Twilio Function)
+ * that accepts { to, body } as JSON. Without it, nothing is sent.
+ */
+function sendSmsMessage(to, body) {
+  const webhookUrl = PropertiesService.getScriptProperties().getProperty('SMS_WEBHOOK_URL');
+  if (!webhookUrl) {
+    console.warn('SMS delivery is not configured; message to ' + to + ' not sent');
+    return false;
+  }
+  
+  const response = UrlFetchApp.fetch(webhookUrl, {
+    method: 'post',
+    contentType: 'application/json',
+    payload: JSON.stringify({ to: to, body: body }),
+    muteHttpExceptions: true
+  });
+  return response.getResponseCode() < 300;
+}
+
+/**
+ * Fake transport: keep the last 20 messages in script properties instead of sending
+ */
+function recordFakeMessage(channel, to, subject, body) {
+  const outbox = getFakeOutbox();
+  outbox.push({ channel: channel, to: to, subject: subject, body: body, sentAt: new Date().toISOString() });
+  PropertiesService.getScriptProperties().setProperty('FAKE_OUTBOX', JSON.stringify(outbox.slice(-20)));
+  return true;
+}
+
+/**
+ * Messages captured by the fake transport, oldest first
+ */
+function getFakeOutbox() {
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty('FAKE_OUTBOX') || '[]');
+}
+
+function clearFakeOutbox() {
+  PropertiesService.getScriptProperties().deleteProperty('FAKE_OUTBOX');
+}
+
+/**
+ * Manual test (run from the Apps Script editor): send a reset link to a
+ * made-up user through the fake transport and check the link and token hashing
+ */
+function testPasswordResetDelivery() {
+  const properties = PropertiesService.getScriptProperties();
+  const previousTransport = properties.getProperty('DELIVERY_TRANSPORT');
+  properties.setProperty('DELIVERY_TRANSPORT', 'fake');
+  
+  try {
+    clearFakeOutbox();
+    const token = generateResetToken();
+    const userRow = ['user_test', 'Test User', 'test@example.com', '+15550100000'];
+    
+    sendPasswordResetLink(userRow, 'phone', token);
+    const outbox = getFakeOutbox();
+    
+    const checks = {
+      oneMessageSent: outbox.length === 1,
+      linkContainsToken: outbox.length === 1 && outbox[0].body.indexOf(encodeURIComponent(token)) !== -1,
+      hashIsStable: hashResetToken(token) === hashResetToken(token),
+      hashHidesToken: hashResetToken(token) !== token
+    };
+    console.log(JSON.stringify({ checks: checks, outbox: outbox }, null, 2));
+    return Object.keys(checks).every(name => checks[name]);
+  } finally {
+    clearFakeOutbox();
+    if (previousTransport) {
+      properties.setProperty('DELIVERY_TRANSPORT', previousTransport);
+    } else {
+      properties.deleteProperty('DELIVERY_TRANSPORT');
+    }
+  }
+}
+
+// ========================================
+// SESSION MANAGEMENT FUNCTIONS
+// ========================================
+
+/**
+ * Issue a fresh session token and revoke the one used for this request
+ */
+function handleRefreshSession(data, session) {
+  try {
+    const newSession = createSession(session.userId, session.device);
+    revokeSession(session.sessionId);
+    
+    return {
+      success: true,
+      sessionToken: newSession.token,
+      sessionExpiresAt: newSession.expiresAt
+    };
+    
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    return { success: false, error: 'Failed to refresh session' };
+  }
+}
+
+/**
+ * Revoke the session used for this request
+ */
+function handleLogout(data, session) {
+  try {
+    revokeSession(session.sessionId);
+    return { success: true, message: 'Logged out' };
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    return { success: false, error: 'Logout failed' };
+  }
+}
+
+/**
+ * Create a session row and return its signed token
+ * Token format: <sessionId>.<expiresAtMillis>.<signature>
+ * device comes from getDeviceDetails (or the session being refreshed)
+ */
+function createSession(userId, device) {
+  const sheet = getSheet(SESSION_SHEET_NAME);
+  const sessionId = generateSessionId();
+  const now = new Date();
+  const expiry = new Date(now.getTime() + SESSION_EXPIRY_HOURS * 60 * 60 * 1000);
+  const details = device || getDeviceDetails({});
+  const firstSeen = details.firstSeen || findDeviceFirstSeen(sheet, userId, details) || now.toISOString();
+  
+  // Columns: [SessionId, UserId, Created, Expires, Revoked, DeviceId, DeviceLabel, Platform, FirstSeen, LastSeen, Fingerprint]
+  sheet.appendRow([
+    sessionId,
+    userId,
+    now.toISOString(),
+    expiry.toISOString(),
+    '',
+    details.deviceId,
+    details.deviceLabel,
+    details.platform,
+    firstSeen,
+    now.toISOString(),
+    details.fingerprint
+  ]);
+  
+  const payload = sessionId + '.' + expiry.getTime();
+  
+  return {
+    token: payload + '.' + signSessionPayload(payload),
+    expiresAt: expiry.toISOString()
+  };
+}
+
+/**
+ * Verify a session token's signature, expiry and revocation status
+ * Returns { sessionId, userId } or null
+ */
+function verifySessionToken(token) {
+  try {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+    
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+    
+    const sessionId = parts[0];
+    const expiresAt = Number(parts[1]);
+    const payload = sessionId + '.' + parts[1];
+    
+    if (!timingSafeEqual(signSessionPayload(payload), parts[2])) {
+      return null;
+    }
+    
+    if (!expiresAt || Date.now() > expiresAt) {
+      return null;
+    }
+    
+    const sheet = getSheet(SESSION_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      if (row[0] === sessionId) {
+        if (row[4]) { // Revoked column
+          return null;
+        }
+        
+        const lastSeen = row[9] ? new Date(row[9]).getTime() : 0;
+        if (Date.now() - lastSeen > SESSION_LAST_SEEN_INTERVAL_MINUTES * 60 * 1000) {
+          sheet.getRange(i + 1, 10).setValue(new Date().toISOString()); // LastSeen column
+        }
+        
+        return {
+          sessionId: sessionId,
+          userId: row[1],
+          deviceId: row[5] || null,
+          device: {
+            deviceId: row[5] || '',
+            deviceLabel: row[6] || '',
+            platform: row[7] || '',
+            firstSeen: row[8] ? new Date(row[8]).toISOString() : '',
+            fingerprint: row[10] || ''
+          }
+        };
+      }
+    }
+    
+    return null;
+  } catch (error) {
+    console.error('Session verification error:', error);
+    return null;
+  }
+}
+
+/**
+ * Mark a session as revoked
+ */
+function revokeSession(sessionId) {
+  const sheet = getSheet(SESSION_SHEET_NAME);
+  const values = sheet.getDataRange().getValues();
+  
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][0] === sessionId) {
+      sheet.getRange(i + 1, 5).setValue(new Date().toISOString()); // Revoked column
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Revoke every active session belonging to a user, optionally keeping one
+ * (the session making the request)
+ */
+function revokeUserSessions(userId, keepSessionId) {
+  const sheet = getSheet(SESSION_SHEET_NAME);
+  const values = sheet.getDataRange().getValues();
+  const now = new Date().toISOString();
+  let revoked = 0;
+  
+  for (let i = 1; i < values.length; i++) {
+    if (values[i][1] === userId && !values[i][4] && values[i][0] !== keepSessionId) {
+      sheet.getRange(i + 1, 5).setValue(now); // Revoked column
+      revoked++;
+    }
+  }
+  
+  return revoked;
+}
+
+// ========================================
+// DEVICES
+// ========================================
+
+/**
+ * List the devices the caller is signed in on
+ */
+function handleGetDevices(data, session) {
+  try {
+    return { success: true, devices: getUserDevices(session.userId, session.sessionId) };
+    
+  } catch (error) {
+    console.error('Get devices error:', error);
+    return { success: false, error: 'Failed to load devices' };
+  }
+}
+
+/**
+ * Sign out every session of one of the caller's devices
+ * deviceId is a device's ID from getDevices; signedOutCurrent tells the
+ * client it signed itself out
+ */
+function handleSignOutDevice(data, session) {
+  try {
+    const { deviceId } = data;
+    
+    if (!deviceId) {
+      return { success: false, error: 'Missing device ID' };
+    }
+    
+    const revoked = revokeDeviceSessions(session.userId, deviceId);
+    if (revoked === 0) {
+      return { success: false, error: 'Device not found' };
+    }
+    
+    return {
+      success: true,
+      revoked: revoked,
+      signedOutCurrent: deviceId === (session.deviceId || session.sessionId)
+    };
+    
+  } catch (error) {
+    console.error('Sign out device error:', error);
+    return { success: false, error: 'Failed to sign out device' };
+  }
+}
+
+/**
+ * Revoke every session of the caller, this one included
+ */
+function handleSignOutEverywhere(data, session) {
+  try {
+    const revoked = revokeUserSessions(session.userId);
+    return { success: true, revoked: revoked };
+    
+  } catch (error) {
+    console.error('Sign out everywhere error:', error);
+    return { success: false, error: 'Failed to sign out' };
+  }
+}
+
+/**
+ * Admin: revoke a user's sessions, on one device or all of them
+ */
+function handleAdminRevokeSessions(data, session) {
+  try {
+    const { targetUserId, deviceId } = data;
+    
+    if (!targetUserId) {
+      return { success: false, error: 'Missing user ID' };
+    }
+    
+    if (!canManageUser(session.userId, targetUserId)) {
+      return { success: false, error: 'Insufficient permissions' };
+    }
+    
+    const revoked = deviceId
+      ? revokeDeviceSessions(targetUserId, deviceId)
+      : revokeUserSessions(targetUserId);
+    
+    recordAudit(session.userId, 'adminRevokeSessions', targetUserId, null, { deviceId: deviceId || 'all', revoked: revoked });
+    
+    return { success: true, revoked: revoked };
+    
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    return { success: false, error: 'Failed to revoke sessions' };
+  }
+}
+
+/**
+ * Device details sent by the client at login/registration, trimmed to size
+ */
+function getDeviceDetails(data) {
+  const clean = (value, max) => String(value || '').trim().substring(0, max);
+  
+  return {
+    deviceId: clean(data.deviceId, 64),
+    deviceLabel: clean(data.deviceLabel, 60) || 'Unknown device',
+    platform: clean(data.platform, 40),
+    fingerprint: clean(data.fingerprint, 64)
+  };
+}
+
+/**
+ * Earliest time a user was seen on this device, matched by device ID or
+ * fingerprint so clearing site data doesn't make it look new
+ */
+function findDeviceFirstSeen(sheet, userId, device) {
+  if (!device.deviceId && !device.fingerprint) {
+    return null;
+  }
+  
+  const values = sheet.getDataRange().getValues();
+  let firstSeen = null;
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    const sameDevice = (device.deviceId && row[5] === device.deviceId) ||
+      (device.fingerprint && row[10] === device.fingerprint);
+    if (row[1] === userId && sameDevice) {
+      const seen = new Date(row[8] || row[2]);
+      if (!firstSeen || seen < firstSeen) {
+        firstSeen = seen;
+      }
+    }
+  }
+  
+  return firstSeen ? firstSeen.toISOString() : null;
+}
+
+/**
+ * A user's active sessions grouped by device, most recently seen first
+ * Sessions from before device tracking are listed on their own.
+ */
+function getUserDevices(userId, currentSessionId) {
+  const values = getSheet(SESSION_SHEET_NAME).getDataRange().getValues();
+  const now = new Date();
+  const devices = {};
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if (row[1] !== userId || row[4] || new Date(row[3]) < now) {
+      continue;
+    }
+    
+    const deviceId = row[5] || row[0];
+    const lastSeen = new Date(row[9] || row[2]).toISOString();
+    const firstSeen = new Date(row[8] || row[2]).toISOString();
+    const device = devices[deviceId] || (devices[deviceId] = {
+      deviceId: deviceId,
+      label: row[6] || 'Unknown device',
+      platform: row[7] || '',
+      firstSeen: firstSeen,
+      lastSeen: lastSeen,
+      sessions: 0,
+      current: false
+    });
+    
+    device.sessions++;
+    if (firstSeen < device.firstSeen) {
+      device.firstSeen = firstSeen;
+    }
+    if (lastSeen >= device.lastSeen) {
+      device.lastSeen = lastSeen;
+      device.label = row[6] || device.label;
+      device.platform = row[7] || device.platform;
+    }
+    if (row[0] === currentSessionId) {
+      device.current = true;
+    }
+  }
+  
+  return Object.keys(devices)
+    .map(id => devices[id])
+    .sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1));
+}
+
+/**
+ * Revoke a user's active sessions on one device (matched like getUserDevices)
+ */
+function revokeDeviceSessions(userId, deviceId) {
+  const sheet = getSheet(SESSION_SHEET_NAME);
+  const values = sheet.getDataRange().getValues();
+  const now = new Date().toISOString();
+  let revoked = 0;
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if (row[1] === userId && !row[4] && (row[5] || row[0]) === deviceId) {
+      sheet.getRange(i + 1, 5).setValue(now); // Revoked column
+      revoked++;
+    }
+  }
+  
+  return revoked;
+}
+
+/**
+ * HMAC-SHA256 signature of a session payload, web-safe base64 encoded
+ */
+function signSessionPayload(payload) {
+  const signature = Utilities.computeHmacSha256Signature(payload, getSessionSecret());
+  return Utilities.base64EncodeWebSafe(signature);
+}
+
+/**
+ * Get the session signing secret, generating it on first use
+ */
+function getSessionSecret() {
+  const properties = PropertiesService.getScriptProperties();
+  let secret = properties.getProperty('SESSION_SECRET');
+  
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    properties.setProperty('SESSION_SECRET', secret);
+  }
+  
+  return secret;
+}
+
+// ========================================
+// MOOD MANAGEMENT FUNCTIONS (Updated)
+// ========================================
+
+/**
+ * Get user moods
+ */
+function handleGetUserMoods(data, session) {
+  try {
+    const userId = session.userId;
+    
+    const sheet = getSheet(MOOD_SHEET_NAME);
+    const data_range = sheet.getDataRange();
+    const values = data_range.getValues();
+    
+    const moods = [];
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      if (row[1] === userId && !isMoodDeleted(row)) { // UserId column
+        moods.push({
+          id: row[0],
+          userId: row[1],
+          moodLevel: row[2],
+          notes: row[3],
+          timestamp: row[4],
+          activities: row[5] ? JSON.parse(row[5]) : [],
+          customEmoji: row[6] || null,
+          moodEmoji: row[6] || getMoodEmoji(row[2]),
+          triggers: parseListField(row[7]),
+          updatedAt: row[8] || null,
+          timeSlot: row[11] || null,
+          clientId: row[12] || null
+        });
+      }
+    }
+    
+    // Sort by timestamp (newest first)
+    moods.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    
+    return { success: true, moods: moods };
+    
+  } catch (error) {
+    console.error('Get moods error:', error);
+    return { success: false, error: 'Failed to retrieve moods' };
+  }
+}
+
+/**
+ * Add new mood entry
+ */
+function handleAddMood(data, session) {
+  try {
+    const { moodLevel, notes, activities, customEmoji, moodEmoji, triggers, timeSlot, clientId } = data;
+    const userId = session.userId;
+    
+    if (moodLevel === undefined) {
+      return { success: false, error: 'Missing required fields' };
+    }
+    
+    if (!isValidMoodLevel(moodLevel)) {
+      return { success: false, error: 'Invalid mood level' };
+    }
+    
+    if (timeSlot && TIME_SLOTS.indexOf(timeSlot) === -1) {
+      return { success: false, error: 'Invalid time slot' };
+    }
+    
+    // Entries can be backdated; LoggedAt keeps the time the server received them
+    const loggedAt = new Date();
+    const entryTime = data.timestamp ? new Date(data.timestamp) : loggedAt;
+    const timestampError = validateMoodTimestamp(entryTime, loggedAt);
+    if (timestampError) {
+      return { success: false, error: timestampError };
+    }
+    
+    const sheet = getSheet(MOOD_SHEET_NAME);
+    
+    // Offline sync may replay an entry the server already saved; hold the lock
+    // so two replays of the same entry can't both pass the duplicate check
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    
+    try {
+      const existing = clientId ? findMoodByClientId(sheet, clientId, userId) : null;
+      if (existing) {
+        return {
+          success: true,
+          moodId: existing[0],
+          timestamp: new Date(existing[4]).toISOString(),
+          duplicate: true
+        };
+      }
+      
+      return appendMoodRow(sheet, {
+        userId: userId,
+        moodLevel: moodLevel,
+        notes: notes,
+        timestamp: entryTime.toISOString(),
+        activities: activities,
+        moodEmoji: customEmoji || moodEmoji,
+        triggers: triggers,
+        loggedAt: loggedAt.toISOString(),
+        timeSlot: timeSlot,
+        clientId: clientId
+      });
+    } finally {
+      lock.releaseLock();
+    }
+    
+  } catch (error) {
+    console.error('Add mood error:', error);
+    return { success: false, error: 'Failed to add mood entry' };
+  }
+}
+
+/**
+ * Append a mood row and return the new entry's ID and timestamp
+ */
+function appendMoodRow(sheet, entry) {
+  const moodId = generateMoodId();
+  
+  // Columns: [ID, UserId, MoodLevel, Notes, Timestamp, Activities, CustomEmoji, Triggers, UpdatedAt, DeletedAt, LoggedAt, TimeSlot, ClientId]
+  sheet.appendRow([
+    moodId,
+    entry.userId,
+    Number(entry.moodLevel),
+    entry.notes || '',
+    entry.timestamp,
+    entry.activities ? JSON.stringify(entry.activities) : '[]',
+    entry.moodEmoji || '',
+    JSON.stringify(normalizeTriggers(entry.triggers)),
+    '', // UpdatedAt
+    '', // DeletedAt
+    entry.loggedAt,
+    entry.timeSlot || '',
+    entry.clientId || ''
+  ]);
+  
+  return {
+    success: true,
+    moodId: moodId,
+    timestamp: entry.timestamp
+  };
+}
+
+/**
+ * Find a user's mood row by the client-generated ID it was created with
+ * Deleted rows still count, so a replayed add can't resurrect a deleted entry
+ */
+function findMoodByClientId(sheet, clientId, userId) {
+  const values = sheet.getDataRange().getValues();
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if (row[12] === clientId && row[1] === userId) { // ClientId column
+      return row;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Update an existing mood entry owned by the caller
+ */
+function handleUpdateMood(data, session) {
+  try {
+    const { moodId, moodLevel, notes, triggers, moodEmoji } = data;
+    
+    if (!moodId) {
+      return { success: false, error: 'Missing mood ID' };
+    }
+    
+    if (moodLevel !== undefined && !isValidMoodLevel(moodLevel)) {
+      return { success: false, error: 'Invalid mood level' };
+    }
+    
+    const sheet = getSheet(MOOD_SHEET_NAME);
+    
+    // Hold the lock so an account erasure can't move the row before the write
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    
+    try {
+      const rowIndex = findOwnedMoodRow(sheet, moodId, session.userId);
+      
+      if (rowIndex === -1) {
+        return { success: false, error: 'Mood entry not found' };
+      }
+      
+      if (moodLevel !== undefined) {
+        sheet.getRange(rowIndex, 3).setValue(Number(moodLevel)); // MoodLevel column
+      }
+      if (notes !== undefined) {
+        sheet.getRange(rowIndex, 4).setValue(notes || ''); // Notes column
+      }
+      if (moodEmoji !== undefined) {
+        sheet.getRange(rowIndex, 7).setValue(moodEmoji || ''); // CustomEmoji column
+      }
+      if (triggers !== undefined) {
+        sheet.getRange(rowIndex, 8).setValue(JSON.stringify(normalizeTriggers(triggers))); // Triggers column
+      }
+      
+      const updatedAt = new Date().toISOString();
+      sheet.getRange(rowIndex, 9).setValue(updatedAt); // UpdatedAt column
+      
+      return { success: true, moodId: moodId, updatedAt: updatedAt };
+    } finally {
+      lock.releaseLock();
+    }
+    
+  } catch (error) {
+    console.error('Update mood error:', error);
+    return { success: false, error: 'Failed to update mood entry' };
+  }
+}
+
+/**
+ * Soft-delete a mood entry owned by the caller
+ * The row is kept with a DeletedAt stamp and excluded from every read
+ */
+function handleDeleteMood(data, session) {
+  try {
+    const { moodId } = data;
+    
+    if (!moodId) {
+      return { success: false, error: 'Missing mood ID' };
+    }
+    
+    const sheet = getSheet(MOOD_SHEET_NAME);
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    
+    try {
+      const rowIndex = findOwnedMoodRow(sheet, moodId, session.userId, true);
+      
+      if (rowIndex === -1) {
+        return { success: false, error: 'Mood entry not found' };
+      }
+      
+      // Deleting twice (e.g. a replayed offline delete) is a no-op
+      const existingDeletedAt = sheet.getRange(rowIndex, 10).getValue(); // DeletedAt column
+      if (existingDeletedAt) {
+        return { success: true, moodId: moodId, deletedAt: existingDeletedAt };
+      }
+      
+      const deletedAt = new Date().toISOString();
+      sheet.getRange(rowIndex, 9).setValue(deletedAt); // UpdatedAt column
+      sheet.getRange(rowIndex, 10).setValue(deletedAt); // DeletedAt column
+      
+      return { success: true, moodId: moodId, deletedAt: deletedAt };
+    } finally {
+      lock.releaseLock();
+    }
+    
+  } catch (error) {
+    console.error('Delete mood error:', error);
+    return { success: false, error: 'Failed to delete mood entry' };
+  }
+}
+
+/**
+ * Find the sheet row (1-indexed) of a mood entry owned by a user
+ * Returns -1 if it doesn't exist, belongs to someone else or was deleted
+ * (unless includeDeleted is set)
+ */
+function findOwnedMoodRow(sheet, moodId, userId, includeDeleted) {
+  const values = sheet.getDataRange().getValues();
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if (row[0] === moodId) {
+      return (row[1] === userId && (includeDeleted || !isMoodDeleted(row))) ? i + 1 : -1;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Check the DeletedAt column of a mood row
+ */
+function isMoodDeleted(row) {
+  return !!row[9];
+}
+
+/**
+ * Get user statistics
+ * The streak counts calendar days in data.timeZone (the client's IANA zone),
+ * so it matches the one the app computes offline.
+ */
+function handleGetUserStats(data, session) {
+  try {
+    const userId = session.userId;
+    
+    const sheet = getSheet(MOOD_SHEET_NAME);
+    const data_range = sheet.getDataRange();
+    const values = data_range.getValues();
+    
+    const userMoods = [];
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      if (row[1] === userId && !isMoodDeleted(row)) {
+        userMoods.push({
+          moodLevel: row[2],
+          timestamp: row[4],
+          triggers: row[7]
+        });
+      }
+    }
+    
+    if (userMoods.length === 0) {
+      return {
+        success: true,
+        stats: {
+          totalEntries: 0,
+          avgMood: 0,
+          streak: 0,
+          topTriggers: [],
+          lastEntryAt: null
+        }
+      };
+    }
+    
+    // Calculate statistics
+    const totalEntries = userMoods.length;
+    const avgMood = userMoods.reduce((sum, mood) => sum + mood.moodLevel, 0) / totalEntries;
+    
+    const streak = calculateStreakDays(userMoods, data.timeZone);
+    const lastEntryAt = userMoods.reduce((latest, mood) => {
+      const time = new Date(mood.timestamp);
+      return !latest || time > latest ? time : latest;
+    }, null);
+    
+    return {
+      success: true,
+      stats: {
+        totalEntries: totalEntries,
+        avgMood: Math.round(avgMood * 10) / 10,
+        streak: streak,
+        topTriggers: calculateUserAnalytics(userMoods).topTriggers.slice(0, 5),
+        lastEntryAt: lastEntryAt ? lastEntryAt.toISOString() : null
+      }
+    };
+    
+  } catch (error) {
+    console.error('Get stats error:', error);
+    return { success: false, error: 'Failed to retrieve statistics' };
+  }
+}
+
+/**
+ * Export the caller's profile and every live mood entry
+ * Habits and app settings are stored on the device and added by the client
+ */
+function handleExportUserData(data, session) {
+  try {
+    const user = getUserById(session.userId);
+    
+    if (!user) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    const sheet = getSheet(MOOD_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    const moods = [];
+    
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      if (row[1] === session.userId && !isMoodDeleted(row)) {
+        moods.push({
+          id: row[0],
+          moodLevel: row[2],
+          notes: row[3] || '',
+          timestamp: row[4],
+          activities: parseListField(row[5]),
+          moodEmoji: row[6] || getMoodEmoji(row[2]),
+          triggers: parseListField(row[7]),
+          updatedAt: row[8] || null,
+          loggedAt: row[10] || null,
+          timeSlot: row[11] || null
+        });
+      }
+    }
+    
+    moods.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    
+    return {
+      success: true,
+      export: {
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        user: {
+          userId: user.userId,
+          name: user.name,
+          email: user.email,
+          phone: user.phone,
+          role: user.role,
+          createdAt: user.createdAt
+        },
+        moods: moods
+      }
+    };
+    
+  } catch (error) {
+    console.error('Export user data error:', error);
+    return { success: false, error: 'Failed to export data' };
+  }
+}
+
+/**
+ * Import a batch of historical mood entries for the caller
+ * Unlike addMood there is no backdate limit. Entries whose clientId or
+ * exact time and level already exist are skipped, so an import can be re-run.
+ */
+function handleImportMoods(data, session) {
+  try {
+    const entries = data.moods;
+    const userId = session.userId;
+    
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return { success: false, error: 'No mood entries to import' };
+    }
+    
+    if (entries.length > MAX_IMPORT_BATCH) {
+      return { success: false, error: 'Import at most ' + MAX_IMPORT_BATCH + ' entries per request' };
+    }
+    
+    const sheet = getSheet(MOOD_SHEET_NAME);
+    const lock = LockService.getScriptLock();
+    lock.waitLock(10000);
+    
+    try {
+      const values = sheet.getDataRange().getValues();
+      const seenClientIds = {};
+      const seenEntries = {};
+      for (let i = 1; i < values.length; i++) {
+        const row = values[i];
+        if (row[1] !== userId) continue;
+        if (row[12]) seenClientIds[row[12]] = true;
+        if (!isMoodDeleted(row)) seenEntries[getImportKey(row[4], row[2])] = true;
+      }
+      
+      const now = new Date();
+      const loggedAt = now.toISOString();
+      const rows = [];
+      const skipped = [];
+      let duplicates = 0;
+      
+      entries.forEach((entry, index) => {
+        const entryTime = new Date(entry.timestamp);
+        let error = null;
+        
+        if (!isValidMoodLevel(entry.moodLevel)) {
+          error = 'Invalid mood level';
+        } else if (entry.timeSlot && TIME_SLOTS.indexOf(entry.timeSlot) === -1) {
+          error = 'Invalid time slot';
+        } else if (isNaN(entryTime.getTime())) {
+          error = 'Invalid timestamp';
+        } else if (entryTime.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+          error = 'Timestamp is in the future';
+        }
+        
+        if (error) {
+          skipped.push({ index: index, error: error });
+          return;
+        }
+        
+        const key = getImportKey(entryTime, entry.moodLevel);
+        if ((entry.clientId && seenClientIds[entry.clientId]) || seenEntries[key]) {
+          duplicates++;
+          return;
+        }
+        if (entry.clientId) seenClientIds[entry.clientId] = true;
+        seenEntries[key] = true;
+        
+        // Same columns as appendMoodRow
+        rows.push([
+          generateMoodId(),
+          userId,
+          Number(entry.moodLevel),
+          entry.notes ? String(entry.notes) : '',
+          entryTime.toISOString(),
+          '[]',
+          entry.moodEmoji || '',
+          JSON.stringify(normalizeTriggers(entry.triggers)),
+          '', // UpdatedAt
+          '', // DeletedAt
+          loggedAt,
+          entry.timeSlot || '',
+          entry.clientId || ''
+        ]);
+      });
+      
+      // One write for the whole batch instead of an appendRow per entry
+      if (rows.length > 0) {
+        sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+      }
+      
+      return {
+        success: true,
+        imported: rows.length,
+        duplicates: duplicates,
+        skipped: skipped
+      };
+    } finally {
+      lock.releaseLock();
+    }
+    
+  } catch (error) {
+    console.error('Import moods error:', error);
+    return { success: false, error: 'Failed to import mood entries' };
+  }
+}
+
+/**
+ * Identify an entry by its time (to the minute) and level for duplicate checks
+ */
+function getImportKey(timestamp, moodLevel) {
+  const minutes = Math.floor(new Date(timestamp).getTime() / 60000);
+  return minutes + ':' + Number(moodLevel);
+}
+
+// ========================================
+// ADMIN FUNCTIONS (Updated)
+// ========================================
+
+/**
+ * Get all users (admin only)
+ */
+function handleGetAllUsers(data, session) {
+  try {
+    const sheet = getSheet(USER_SHEET_NAME);
+    const data_range = sheet.getDataRange();
+    const values = data_range.getValues();
+    
+    const lockouts = getAccountLockouts();
+    
+    const users = [];
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      const lockout = lockouts[row[0]];
+      users.push({
+        userId: row[0],
+        name: row[1],
+        email: row[2],
+        phone: row[3],
+        role: row[4],
+        createdAt: row[5],
+        lastActive: row[6],
+        hasPassword: !!(row[7] && row[8]), // Has both hash and salt
+        migrationStatus: row[11] || 'pending',
+        failedLogins: lockout ? lockout.failures : 0,
+        lockedUntil: lockout ? lockout.lockedUntil : null
+      });
+    }
+    
+    return { success: true, users: users };
+    
+  } catch (error) {
+    console.error('Get all users error:', error);
+    return { success: false, error: 'Failed to retrieve users' };
+  }
+}
+
+/**
+ * Get detailed user information (admin only)
+ */
+function handleGetUserDetails(data, session) {
+  try {
+    const { userId } = data;
+    
+    // Get user info
+    const userData = getUserById(userId);
+    
+    if (!userData) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    // Get user's mood data
+    const moodSheet = getSheet(MOOD_SHEET_NAME);
+    const moodData = moodSheet.getDataRange().getValues();
+    const userMoods = [];
+    
+    for (let i = 1; i < moodData.length; i++) {
+      const row = moodData[i];
+      if (row[1] === userId && !isMoodDeleted(row)) { // UserID column
+        userMoods.push({
+          id: row[0],
+          userId: row[1],
+          mood: row[2], // MoodLevel
+          moodLevel: row[2], // MoodLevel (for compatibility)
+          notes: row[3] || 'No notes provided',
+          timestamp: row[4],
+          activities: row[5] ? (typeof row[5] === 'string' ? row[5] : JSON.stringify(row[5])) : '',
+          triggers: parseListField(row[7]),
+          moodEmoji: row[6] || getMoodEmoji(row[2]),
+          timeSlot: row[11] || null
+        });
+      }
+    }
+    
+    // Sort moods by timestamp (newest first)
+    userMoods.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    
+    // Calculate stats
+    const stats = calculateUserStats(userMoods, userData);
+    
+    // Calculate analytics
+    const analytics = calculateUserAnalytics(userMoods);
+    
+    // Generate activity log
+    const activityLog = generateActivityLog(userData, userMoods);
+    
+    return {
+      success: true,
+      user: {
+        userId: userData.userId,
+        name: userData.name,
+        email: userData.email,
+        phone: userData.phone,
+        role: userData.role,
+        createdAt: userData.createdAt,
+        lastActive: userData.lastActive
+      },
+      moods: userMoods,
+      stats: stats,
+      analytics: analytics,
+      activityLog: activityLog,
+      devices: getUserDevices(userId)
+    };
+    
+  } catch (error) {
+    console.error('Get user details error:', error);
+    return { success: false, error: 'Failed to get user details: ' + error.message };
+  }
+}
+
+/**
+ * Admin reset user password
+ */
+function handleAdminResetPassword(data, session) {
+  try {
+    const { targetUserId } = data;
+    
+    if (!canManageUser(session.userId, targetUserId)) {
+      return { success: false, error: 'Insufficient permissions' };
+    }
+    
+    const sheet = getSheet(USER_SHEET_NAME);
+    const data_range = sheet.getDataRange();
+    const values = data_range.getValues();
+    
+    // Find user
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      if (row[0] === targetUserId) {
+        // Clear password hash and salt
+        sheet.getRange(i + 1, 8).setValue(''); // PasswordHash column
+        sheet.getRange(i + 1, 9).setValue(''); // Salt column
+        
+        // Sign the user out everywhere
+        const revoked = revokeUserSessions(targetUserId);
+        
+        recordAudit(session.userId, 'adminResetPassword', targetUserId,
+          { hasPassword: !!(row[7] && row[8]) },
+          { hasPassword: false, sessionsRevoked: revoked });
+        
+        return { success: true, message: 'Password reset successfully' };
+      }
+    }
+    
+    return { success: false, error: 'User not found' };
+    
+  } catch (error) {
+    console.error('Admin reset password error:', error);
+    return { success: false, error: 'Failed to reset password' };
+  }
+}
+
+/**
+ * Clear failed logins and any lockout for a user (admin only)
+ */
+function handleAdminUnlockAccount(data, session) {
+  try {
+    const { targetUserId } = data;
+    
+    if (!targetUserId) {
+      return { success: false, error: 'Missing user ID' };
+    }
+    
+    if (!canManageUser(session.userId, targetUserId)) {
+      return { success: false, error: 'Insufficient permissions' };
+    }
+    
+    const lockout = getAccountLockouts()[targetUserId];
+    clearLoginAttempts('user:' + targetUserId);
+    
+    recordAudit(session.userId, 'adminUnlockAccount', targetUserId,
+      { failedLogins: lockout ? lockout.failures : 0, lockedUntil: lockout ? lockout.lockedUntil : null },
+      { failedLogins: 0, lockedUntil: null });
+    
+    return { success: true, message: 'Account unlocked' };
+    
+  } catch (error) {
+    console.error('Admin unlock account error:', error);
+    return { success: false, error: 'Failed to unlock account' };
+  }
+}
+
+/**
+ * Send a message to a user's inbox, optionally with an email copy
+ * The copy goes through deliverMessage, so it follows DELIVERY_TRANSPORT.
+ */
+function handleSendUserMessage(data, session) {
+  try {
+    const { targetUserId, message, sendEmailCopy } = data;
+    const body = String(message || '').trim();
+    
+    if (!body) {
+      return { success: false, error: 'Message is empty' };
+    }
+    if (body.length > MESSAGE_MAX_LENGTH) {
+      return { success: false, error: 'Messages can be at most ' + MESSAGE_MAX_LENGTH + ' characters' };
+    }
+    
+    // Get user details
+    const targetUser = getUserById(targetUserId);
+    if (!targetUser) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    if (!canManageUser(session.userId, targetUserId)) {
+      return { success: false, error: 'Insufficient permissions' };
+    }
+    
+    const sent = appendMessage(targetUserId, session.userId, true, body);
+    
+    let emailed = false;
+    if (sendEmailCopy && targetUser.email) {
+      try {
+        emailed = deliverMessage('email', targetUser.email, 'New message from FitMood support',
+          'Hi ' + targetUser.name + ',\n\n' +
+          'You have a new message in your FitMood inbox:\n\n' +
+          body + '\n\n' +
+          'Reply in the app: ' + APP_URL
+        );
+      } catch (error) {
+        console.error('Message email copy failed:', error);
+      }
+      if (emailed) {
+        markMessageEmailed(sent.id);
+        sent.emailedAt = new Date().toISOString();
+      }
+    }
+    
+    recordAudit(session.userId, 'sendUserMessage', targetUserId, null, { message: body, emailed: emailed });
+    
+    return { 
+      success: true, 
+      sentMessage: sent,
+      emailed: emailed
+    };
+    
+  } catch (error) {
+    console.error('Send user message error:', error);
+    return { success: false, error: 'Failed to send message' };
+  }
+}
+
+/**
+ * Calculate comprehensive user statistics
+ */
+function calculateUserStats(moods, userData) {
+  if (!moods || moods.length === 0) {
+    return {
+      totalEntries: 0,
+      totalMoods: 0,
+      avgMood: 0,
+      streakDays: 0,
+      lastActive: userData.lastActive
+    };
+  }
+  
+  // Calculate average mood (assuming mood is numeric 1-5)
+  const numericMoods = moods.filter(m => !isNaN(parseFloat(m.moodLevel || m.mood))).map(m => parseFloat(m.moodLevel || m.mood));
+  const avgMood = numericMoods.length > 0 ? numericMoods.reduce((a, b) => a + b, 0) / numericMoods.length : 0;
+  
+  const streakDays = calculateStreakDays(moods);
+  
+  return {
+    totalEntries: moods.length,
+    totalMoods: moods.length,
+    avgMood: Math.round(avgMood * 10) / 10,
+    streakDays: streakDays,
+    lastActive: userData.lastActive
+  };
+}
+
+/**
+ * Count consecutive days with entries, ending today. A streak that ended
+ * yesterday is still alive until today is over. Days are keyed by entry
+ * timestamp in timeZone (UTC when missing), so backdated entries fill in the
+ * day they belong to.
+ */
+function calculateStreakDays(moods, timeZone) {
+  const zone = getValidTimeZone(timeZone);
+  const dayKey = date => Utilities.formatDate(date, zone, 'yyyy-MM-dd');
+  // Step back on the key itself, so a daylight saving change can't skip a day
+  const previousDay = key => {
+    const date = new Date(key + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() - 1);
+    return date.toISOString().split('T')[0];
+  };
+  
+  const days = {};
+  moods.forEach(m => {
+    const date = new Date(m.timestamp);
+    if (!isNaN(date.getTime())) {
+      days[dayKey(date)] = true;
+    }
+  });
+  
+  let key = dayKey(new Date());
+  if (!days[key]) {
+    key = previousDay(key);
+  }
+  
+  let streak = 0;
+  while (days[key]) {
+    streak++;
+    key = previousDay(key);
+  }
+  return streak;
+}
+
+/**
+ * An IANA time zone name sent by the client, or 'UTC' when it is missing or unknown
+ */
+function getValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return 'UTC';
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+    return timeZone;
+  } catch (e) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Calculate user analytics
+ */
+function calculateUserAnalytics(moods) {
+  if (!moods || moods.length === 0) {
+    return {
+      moodDistribution: {},
+      topActivities: [],
+      topTriggers: []
+    };
+  }
+  
+  // Mood distribution
+  const moodDistribution = {};
+  moods.forEach(mood => {
+    const moodValue = mood.moodLevel || mood.mood || 'unknown';
+    moodDistribution[moodValue] = (moodDistribution[moodValue] || 0) + 1;
+  });
+  
+  // Top activities
+  const activityCount = {};
+  moods.forEach(mood => {
+    parseListField(mood.activities).forEach(activityName => {
+      activityCount[activityName] = (activityCount[activityName] || 0) + 1;
+    });
+  });
+  
+  const topActivities = Object.entries(activityCount)
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 10);
+  
+  // Top triggers (counted case-insensitively, reported with the first spelling seen)
+  const triggerCount = {};
+  const triggerNames = {};
+  moods.forEach(mood => {
+    normalizeTriggers(mood.triggers).forEach(trigger => {
+      const key = trigger.toLowerCase();
+      triggerNames[key] = triggerNames[key] || trigger;
+      triggerCount[key] = (triggerCount[key] || 0) + 1;
+    });
+  });
+  
+  const topTriggers = Object.entries(triggerCount)
+    .map(([key, count]) => ({ name: triggerNames[key], count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, 10);
+  
+  return {
+    moodDistribution,
+    topActivities,
+    topTriggers
+  };
+}
+
+/**
+ * Generate activity log for user
+ */
+function generateActivityLog(userData, moods) {
+  const activities = [];
+  
+  // User registration
+  activities.push({
+    icon: '👤',
+    action: 'User registered',
+    timestamp: userData.createdAt
+  });
+  
+  // Recent mood entries (last 10)
+  const recentMoods = moods.slice(0, 10);
+  recentMoods.forEach(mood => {
+    const moodValue = mood.moodLevel || mood.mood || 'Unknown';
+    activities.push({
+      icon: mood.moodEmoji || getMoodEmoji(moodValue),
+      action: `Logged mood: ${moodValue}`,
+      timestamp: mood.timestamp
+    });
+  });
+  
+  // Sort by timestamp (newest first)
+  activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  
+  return activities.slice(0, 20); // Return last 20 activities
+}
+
+/**
+ * Get mood emoji based on mood value
+ */
+function getMoodEmoji(mood) {
   const moodEmojis = {
     '1': '😢',
     '2': '😔',
@@ -887,90 +3604,855 @@ function getMoodEmoji(mood) {
     'energetic': '⚡'
   };
   
-  return moodEmojis[String(mood).toLowerCase()] || '😐';
+  return moodEmojis[String(mood).toLowerCase()] || '😐';
+}
+/**
+ * Change a user's role
+ * Staff can only hand out, or take away, roles whose permissions they have
+ * themselves, and the last admin can't be demoted.
+ */
+function handleUpdateUserRole(data, session) {
+  try {
+    const { targetUserId, newRole } = data;
+    
+    if (ROLES.indexOf(newRole) === -1) {
+      return { success: false, error: 'Invalid role' };
+    }
+    
+    if (targetUserId === session.userId) {
+      return { success: false, error: 'You cannot change your own role' };
+    }
+    
+    const sheet = getSheet(USER_SHEET_NAME);
+    const data_range = sheet.getDataRange();
+    const values = data_range.getValues();
+    
+    const matrix = getRolePermissions();
+    const callerPermissions = matrix[getUserRole(session.userId)] || [];
+    
+    // Find target user
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      if (row[0] === targetUserId) {
+        const currentRole = row[4] || 'user';
+        if (!canAssignRole(callerPermissions, matrix[currentRole]) || !canAssignRole(callerPermissions, matrix[newRole])) {
+          return { success: false, error: 'Insufficient permissions' };
+        }
+        
+        if (currentRole === 'admin' && newRole !== 'admin' &&
+            values.filter(user => user[4] === 'admin').length <= 1) {
+          return { success: false, error: 'There must be at least one admin' };
+        }
+        
+        sheet.getRange(i + 1, 5).setValue(newRole); // Role column
+        recordAudit(session.userId, 'updateUserRole', targetUserId, { role: currentRole }, { role: newRole });
+        return { success: true, message: 'User role updated' };
+      }
+    }
+    
+    return { success: false, error: 'User not found' };
+    
+  } catch (error) {
+    console.error('Update user role error:', error);
+    return { success: false, error: 'Failed to update user role' };
+  }
+}
+
+/**
+ * The permission matrix plus the caller's own role and permissions
+ * Any signed-in user may call this; members just get an empty permission list.
+ */
+function handleGetRoles(data, session) {
+  try {
+    const matrix = getRolePermissions();
+    const myRole = getUserRole(session.userId) || 'user';
+    const myPermissions = matrix[myRole] || [];
+    
+    return {
+      success: true,
+      roles: ROLES,
+      permissions: PERMISSIONS,
+      matrix: matrix,
+      editableRoles: EDITABLE_ROLES.filter(role => canEditRole(myRole, myPermissions, matrix[role], role)),
+      assignableRoles: ROLES.filter(role => canAssignRole(myPermissions, matrix[role])),
+      myRole: myRole,
+      myPermissions: myPermissions
+    };
+    
+  } catch (error) {
+    console.error('Get roles error:', error);
+    return { success: false, error: 'Failed to load roles' };
+  }
+}
+
+/**
+ * Replace the permissions of an editable staff role
+ */
+function handleUpdateRolePermissions(data, session) {
+  try {
+    const { role, permissions } = data;
+    
+    if (EDITABLE_ROLES.indexOf(role) === -1) {
+      return { success: false, error: 'This role cannot be edited' };
+    }
+    
+    if (!Array.isArray(permissions) || permissions.some(permission => PERMISSIONS.indexOf(permission) === -1)) {
+      return { success: false, error: 'Invalid permissions' };
+    }
+    
+    const matrix = getRolePermissions();
+    const myRole = getUserRole(session.userId) || 'user';
+    const myPermissions = matrix[myRole] || [];
+    if (!canEditRole(myRole, myPermissions, matrix[role], role) || !canAssignRole(myPermissions, permissions)) {
+      return { success: false, error: 'You can only edit other roles, and only with permissions you hold' };
+    }
+    
+    const before = matrix[role];
+    const properties = PropertiesService.getScriptProperties();
+    const stored = JSON.parse(properties.getProperty('ROLE_PERMISSIONS') || '{}');
+    stored[role] = PERMISSIONS.filter(permission => permissions.indexOf(permission) !== -1);
+    properties.setProperty('ROLE_PERMISSIONS', JSON.stringify(stored));
+    
+    recordAudit(session.userId, 'updateRolePermissions', '', { role: role, permissions: before }, { role: role, permissions: stored[role] });
+    
+    return { success: true, matrix: getRolePermissions() };
+    
+  } catch (error) {
+    console.error('Update role permissions error:', error);
+    return { success: false, error: 'Failed to update role permissions' };
+  }
+}
+
+/**
+ * Delete user (admin only)
+ */
+function handleDeleteUser(data, session) {
+  try {
+    const { targetUserId } = data;
+    
+    // Don't allow deleting self
+    if (session.userId === targetUserId) {
+      return { success: false, error: 'Cannot delete your own account' };
+    }
+    
+    if (!canManageUser(session.userId, targetUserId)) {
+      return { success: false, error: 'Insufficient permissions' };
+    }
+    
+    const targetUser = getUserById(targetUserId);
+    if (!targetUser) {
+      return { success: false, error: 'User not found' };
+    }
+    
+    eraseUserAccount(targetUserId);
+    recordAudit(session.userId, 'deleteUser', targetUserId,
+      { name: targetUser.name, email: targetUser.email, role: targetUser.role }, null);
+    
+    return { success: true, message: 'User deleted successfully' };
+    
+  } catch (error) {
+    console.error('Delete user error:', error);
+    return { success: false, error: 'Failed to delete user' };
+  }
+}
+
+// ========================================
+// IN-APP MESSAGES
+// ========================================
+
+/**
+ * The caller's support thread, oldest first
+ */
+function handleGetMessages(data, session) {
+  try {
+    const messages = getThreadMessages(session.userId);
+    
+    return {
+      success: true,
+      messages: messages,
+      unreadCount: messages.filter(message => message.fromStaff && !message.readAt).length
+    };
+    
+  } catch (error) {
+    console.error('Get messages error:', error);
+    return { success: false, error: 'Failed to load messages' };
+  }
+}
+
+/**
+ * Number of staff messages the caller hasn't read (for the navigation badge)
+ */
+function handleGetUnreadMessageCount(data, session) {
+  try {
+    const unreadCount = getSheet(MESSAGES_SHEET_NAME).getDataRange().getValues()
+      .filter(row => row[1] === session.userId && row[3] === true && !row[6]).length;
+    
+    return { success: true, unreadCount: unreadCount };
+    
+  } catch (error) {
+    console.error('Unread message count error:', error);
+    return { success: false, error: 'Failed to load messages' };
+  }
+}
+
+/**
+ * Mark the staff messages in the caller's thread as read
+ */
+function handleMarkMessagesRead(data, session) {
+  try {
+    return { success: true, marked: markThreadRead(session.userId, true) };
+    
+  } catch (error) {
+    console.error('Mark messages read error:', error);
+    return { success: false, error: 'Failed to update messages' };
+  }
+}
+
+/**
+ * Reply to staff from the caller's inbox
+ */
+function handleReplyToSupport(data, session) {
+  try {
+    const body = String(data.message || '').trim();
+    
+    if (!body) {
+      return { success: false, error: 'Message is empty' };
+    }
+    if (body.length > MESSAGE_MAX_LENGTH) {
+      return { success: false, error: 'Messages can be at most ' + MESSAGE_MAX_LENGTH + ' characters' };
+    }
+    
+    return { success: true, sentMessage: appendMessage(session.userId, session.userId, false, body) };
+    
+  } catch (error) {
+    console.error('Reply to support error:', error);
+    return { success: false, error: 'Failed to send message' };
+  }
+}
+
+/**
+ * Staff: a user's thread, oldest first. Opening it marks the user's replies
+ * read when the caller can answer them (users.message).
+ */
+function handleGetUserMessages(data, session) {
+  try {
+    const { targetUserId } = data;
+    
+    if (!targetUserId) {
+      return { success: false, error: 'Missing user ID' };
+    }
+    
+    if (!canManageUser(session.userId, targetUserId)) {
+      return { success: false, error: 'Insufficient permissions' };
+    }
+    
+    if (hasPermission(session.userId, 'users.message')) {
+      markThreadRead(targetUserId, false);
+    }
+    
+    return { success: true, messages: getThreadMessages(targetUserId) };
+    
+  } catch (error) {
+    console.error('Get user messages error:', error);
+    return { success: false, error: 'Failed to load messages' };
+  }
+}
+
+/**
+ * Append a message to a user's thread and return it
+ */
+function appendMessage(userId, senderId, fromStaff, body) {
+  const message = {
+    id: Utilities.getUuid(),
+    userId: userId,
+    senderId: senderId,
+    fromStaff: fromStaff,
+    body: body,
+    sentAt: new Date().toISOString(),
+    readAt: null,
+    emailedAt: null
+  };
+  
+  // Columns: [ID, UserId, SenderId, FromStaff, Body, SentAt, ReadAt, EmailedAt]
+  getSheet(MESSAGES_SHEET_NAME).appendRow([
+    message.id,
+    userId,
+    senderId,
+    fromStaff,
+    body,
+    message.sentAt,
+    '',
+    ''
+  ]);
+  
+  return message;
+}
+
+/**
+ * Every message in a user's thread, oldest first, with sender names for staff
+ */
+function getThreadMessages(userId) {
+  const values = getSheet(MESSAGES_SHEET_NAME).getDataRange().getValues();
+  const users = getSheet(USER_SHEET_NAME).getDataRange().getValues();
+  const nameOf = (id) => {
+    const row = users.find(user => user[0] === id);
+    return row ? row[1] : 'FitMood team';
+  };
+  
+  const messages = [];
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if (row[1] !== userId) continue;
+    
+    messages.push({
+      id: row[0],
+      userId: row[1],
+      senderId: row[2],
+      senderName: row[3] === true ? nameOf(row[2]) : null,
+      fromStaff: row[3] === true,
+      body: row[4],
+      sentAt: new Date(row[5]).toISOString(),
+      readAt: row[6] ? new Date(row[6]).toISOString() : null,
+      emailedAt: row[7] ? new Date(row[7]).toISOString() : null
+    });
+  }
+  
+  return messages.sort((a, b) => (a.sentAt < b.sentAt ? -1 : 1));
+}
+
+/**
+ * Set ReadAt on the unread messages of a thread sent by staff (fromStaff true)
+ * or by the user (false); returns how many were marked
+ */
+function markThreadRead(userId, fromStaff) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    const sheet = getSheet(MESSAGES_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    const now = new Date().toISOString();
+    let marked = 0;
+    
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      if (row[1] === userId && (row[3] === true) === fromStaff && !row[6]) {
+        sheet.getRange(i + 1, 7).setValue(now); // ReadAt column
+        marked++;
+      }
+    }
+    
+    return marked;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Note when the email copy of a message went out
+ */
+function markMessageEmailed(messageId) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    const sheet = getSheet(MESSAGES_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === messageId) {
+        sheet.getRange(i + 1, 8).setValue(new Date().toISOString()); // EmailedAt column
+        return;
+      }
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ========================================
+// ANNOUNCEMENTS
+// ========================================
+
+/**
+ * Announcements running now for the caller that they haven't dismissed
+ * The first time one matches, a receipt row records the delivery.
+ */
+function handleGetAnnouncements(data, session) {
+  try {
+    const now = new Date();
+    const running = readAnnouncements().filter(announcement => getAnnouncementStatus(announcement, now) === 'active');
+    if (running.length === 0) {
+      return { success: true, announcements: [] };
+    }
+    
+    const receipts = readAnnouncementReceipts(session.userId);
+    const users = getSheet(USER_SHEET_NAME).getDataRange().getValues();
+    const userRow = users.find(row => row[0] === session.userId);
+    let moods = null; // Only read when a mood-based audience needs them
+    
+    const announcements = [];
+    const newlyDelivered = [];
+    running.forEach(announcement => {
+      const receipt = receipts[announcement.id];
+      if (receipt && receipt.dismissedAt) return;
+      
+      if (!receipt) {
+        if (announcement.audience.type === 'inactive' || announcement.audience.type === 'decliningMood') {
+          moods = moods || (getMoodLevelsByUser(session.userId)[session.userId] || []);
+        }
+        if (!userRow || !matchesAudience(announcement.audience, userRow, moods || [], now)) return;
+        newlyDelivered.push(announcement.id);
+      }
+      
+      announcements.push({
+        id: announcement.id,
+        title: announcement.title,
+        body: announcement.body,
+        startsAt: announcement.startsAt,
+        expiresAt: announcement.expiresAt
+      });
+    });
+    
+    if (newlyDelivered.length > 0) {
+      recordAnnouncementDeliveries(newlyDelivered, session.userId, now);
+    }
+    
+    return { success: true, announcements: announcements };
+    
+  } catch (error) {
+    console.error('Get announcements error:', error);
+    return { success: false, error: 'Failed to load announcements' };
+  }
+}
+
+/**
+ * The caller's receipts keyed by announcement ID: { dismissedAt }
+ */
+function readAnnouncementReceipts(userId) {
+  const receipts = {};
+  getSheet(ANNOUNCEMENT_RECEIPTS_SHEET_NAME).getDataRange().getValues().forEach(row => {
+    if (row[1] === userId) {
+      receipts[row[0]] = { dismissedAt: row[3] };
+    }
+  });
+  return receipts;
+}
+
+/**
+ * Append delivery receipts under the script lock, skipping any that a
+ * parallel request (another tab) wrote first, so counts aren't doubled
+ */
+function recordAnnouncementDeliveries(announcementIds, userId, now) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
+    const receipts = readAnnouncementReceipts(userId);
+    const sheet = getSheet(ANNOUNCEMENT_RECEIPTS_SHEET_NAME);
+    announcementIds
+      .filter(announcementId => !receipts[announcementId])
+      .forEach(announcementId => sheet.appendRow([announcementId, userId, now.toISOString(), '']));
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Hide an announcement for the caller
+ */
+function handleDismissAnnouncement(data, session) {
+  try {
+    const { announcementId } = data;
+    
+    if (!announcementId) {
+      return { success: false, error: 'Missing announcement ID' };
+    }
+    
+    const sheet = getSheet(ANNOUNCEMENT_RECEIPTS_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
+    const now = new Date().toISOString();
+    
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === announcementId && values[i][1] === session.userId) {
+        if (!values[i][3]) {
+          sheet.getRange(i + 1, 4).setValue(now); // DismissedAt column
+        }
+        return { success: true };
+      }
+    }
+    
+    return { success: false, error: 'Announcement not found' };
+    
+  } catch (error) {
+    console.error('Dismiss announcement error:', error);
+    return { success: false, error: 'Failed to dismiss announcement' };
+  }
+}
+
+/**
+ * Staff: every announcement, newest first, with delivery and dismissal counts
+ * audienceSize is how many users match the audience right now.
+ */
+function handleGetAllAnnouncements(data, session) {
+  try {
+    const now = new Date();
+    const announcements = readAnnouncements();
+    
+    const counts = {};
+    getSheet(ANNOUNCEMENT_RECEIPTS_SHEET_NAME).getDataRange().getValues().slice(1).forEach(row => {
+      const count = counts[row[0]] || (counts[row[0]] = { delivered: 0, dismissed: 0 });
+      count.delivered++;
+      if (row[3]) count.dismissed++;
+    });
+    
+    const users = getSheet(USER_SHEET_NAME).getDataRange().getValues().slice(1);
+    const moodsByUser = announcements.some(a => a.audience.type === 'inactive' || a.audience.type === 'decliningMood')
+      ? getMoodLevelsByUser()
+      : {};
+    
+    return {
+      success: true,
+      announcements: announcements
+        .map(announcement => Object.assign({}, announcement, {
+          status: getAnnouncementStatus(announcement, now),
+          delivered: counts[announcement.id] ? counts[announcement.id].delivered : 0,
+          dismissed: counts[announcement.id] ? counts[announcement.id].dismissed : 0,
+          audienceSize: users.filter(row => matchesAudience(announcement.audience, row, moodsByUser[row[0]] || [], now)).length
+        }))
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    };
+    
+  } catch (error) {
+    console.error('Get all announcements error:', error);
+    return { success: false, error: 'Failed to load announcements' };
+  }
 }
-function handleUpdateUserRole(data) {
+
+/**
+ * Staff: schedule an announcement
+ * audience is { type, role?, days? }; startsAt defaults to now, expiresAt is optional
+ */
+function handleCreateAnnouncement(data, session) {
   try {
-    const { requestingUserId, targetUserId, newRole } = data;
+    const title = String(data.title || '').trim();
+    const body = String(data.body || '').trim();
+    const audience = normalizeAudience(data.audience);
+    const startsAt = data.startsAt ? new Date(data.startsAt) : new Date();
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
     
-    // Verify admin permissions
-    if (!isAdmin(requestingUserId)) {
-      return { success: false, error: 'Insufficient permissions' };
+    if (!title || !body) {
+      return { success: false, error: 'Title and message are required' };
     }
-    
-    if (!['user', 'admin'].includes(newRole)) {
-      return { success: false, error: 'Invalid role' };
+    if (title.length > ANNOUNCEMENT_TITLE_MAX_LENGTH || body.length > MESSAGE_MAX_LENGTH) {
+      return { success: false, error: 'Announcement is too long' };
+    }
+    if (!audience) {
+      return { success: false, error: 'Invalid audience' };
+    }
+    if (isNaN(startsAt.getTime()) || (expiresAt && isNaN(expiresAt.getTime()))) {
+      return { success: false, error: 'Invalid date' };
+    }
+    if (expiresAt && expiresAt <= startsAt) {
+      return { success: false, error: 'Expiry must be after the start' };
     }
     
-    const sheet = getSheet(USER_SHEET_NAME);
-    const data_range = sheet.getDataRange();
-    const values = data_range.getValues();
+    const announcement = {
+      id: Utilities.getUuid(),
+      createdBy: session.userId,
+      createdAt: new Date().toISOString(),
+      title: title,
+      body: body,
+      audience: audience,
+      startsAt: startsAt.toISOString(),
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      cancelledAt: null
+    };
     
-    // Find target user
-    for (let i = 1; i < values.length; i++) {
-      const row = values[i];
-      if (row[0] === targetUserId) {
-        sheet.getRange(i + 1, 5).setValue(newRole); // Role column
-        return { success: true, message: 'User role updated' };
-      }
-    }
+    // Columns: [ID, CreatedBy, CreatedAt, Title, Body, Audience, StartsAt, ExpiresAt, CancelledAt]
+    getSheet(ANNOUNCEMENTS_SHEET_NAME).appendRow([
+      announcement.id,
+      announcement.createdBy,
+      announcement.createdAt,
+      title,
+      body,
+      JSON.stringify(audience),
+      announcement.startsAt,
+      announcement.expiresAt || '',
+      ''
+    ]);
     
-    return { success: false, error: 'User not found' };
+    recordAudit(session.userId, 'createAnnouncement', '', null,
+      { title: title, audience: describeAudience(audience), startsAt: announcement.startsAt, expiresAt: announcement.expiresAt });
+    
+    return { success: true, announcement: announcement };
     
   } catch (error) {
-    console.error('Update user role error:', error);
-    return { success: false, error: 'Failed to update user role' };
+    console.error('Create announcement error:', error);
+    return { success: false, error: 'Failed to create announcement' };
   }
 }
 
 /**
- * Delete user (admin only)
+ * Staff: stop an announcement; it disappears for everyone
  */
-function handleDeleteUser(data) {
+function handleCancelAnnouncement(data, session) {
   try {
-    const { requestingUserId, targetUserId } = data;
-    
-    // Verify admin permissions
-    if (!isAdmin(requestingUserId)) {
-      return { success: false, error: 'Insufficient permissions' };
-    }
+    const { announcementId } = data;
+    const sheet = getSheet(ANNOUNCEMENTS_SHEET_NAME);
+    const values = sheet.getDataRange().getValues();
     
-    // Don't allow deleting self
-    if (requestingUserId === targetUserId) {
-      return { success: false, error: 'Cannot delete your own account' };
+    for (let i = 1; i < values.length; i++) {
+      if (values[i][0] === announcementId) {
+        if (values[i][8]) {
+          return { success: false, error: 'Announcement is already cancelled' };
+        }
+        sheet.getRange(i + 1, 9).setValue(new Date().toISOString()); // CancelledAt column
+        recordAudit(session.userId, 'cancelAnnouncement', '', { title: values[i][3] }, null);
+        return { success: true };
+      }
     }
     
-    const userSheet = getSheet(USER_SHEET_NAME);
-    const moodSheet = getSheet(MOOD_SHEET_NAME);
-    
-    // Delete user
-    const userData = userSheet.getDataRange();
-    const userValues = userData.getValues();
+    return { success: false, error: 'Announcement not found' };
     
-    for (let i = 1; i < userValues.length; i++) {
-      const row = userValues[i];
-      if (row[0] === targetUserId) {
-        userSheet.deleteRow(i + 1);
-        break;
-      }
+  } catch (error) {
+    console.error('Cancel announcement error:', error);
+    return { success: false, error: 'Failed to cancel announcement' };
+  }
+}
+
+/**
+ * Every announcement row as an object
+ */
+function readAnnouncements() {
+  const values = getSheet(ANNOUNCEMENTS_SHEET_NAME).getDataRange().getValues();
+  const toIso = (value) => (value ? new Date(value).toISOString() : null);
+  
+  return values.slice(1).map(row => ({
+    id: row[0],
+    createdBy: row[1],
+    createdAt: toIso(row[2]),
+    title: row[3],
+    body: row[4],
+    audience: JSON.parse(row[5] || '{"type":"all"}'),
+    startsAt: toIso(row[6]),
+    expiresAt: toIso(row[7]),
+    cancelledAt: toIso(row[8])
+  }));
+}
+
+/**
+ * 'scheduled', 'active', 'expired' or 'cancelled'
+ */
+function getAnnouncementStatus(announcement, now) {
+  if (announcement.cancelledAt) return 'cancelled';
+  if (new Date(announcement.startsAt) > now) return 'scheduled';
+  if (announcement.expiresAt && new Date(announcement.expiresAt) <= now) return 'expired';
+  return 'active';
+}
+
+/**
+ * Validated copy of an audience from the client, or null
+ */
+function normalizeAudience(audience) {
+  if (!audience || ANNOUNCEMENT_AUDIENCES.indexOf(audience.type) === -1) {
+    return null;
+  }
+  
+  if (audience.type === 'role') {
+    return ROLES.indexOf(audience.role) !== -1 ? { type: 'role', role: audience.role } : null;
+  }
+  
+  if (audience.type === 'inactive' || audience.type === 'decliningMood') {
+    const days = Number(audience.days);
+    return Number.isInteger(days) && days >= 1 && days <= ANNOUNCEMENT_MAX_DAYS
+      ? { type: audience.type, days: days }
+      : null;
+  }
+  
+  return { type: 'all' };
+}
+
+/**
+ * Short text for an audience, used in the audit log
+ */
+function describeAudience(audience) {
+  if (audience.type === 'role') return 'role: ' + audience.role;
+  if (audience.type === 'inactive') return 'inactive for ' + audience.days + ' days';
+  if (audience.type === 'decliningMood') return 'declining mood over ' + audience.days + ' days';
+  return 'all users';
+}
+
+/**
+ * Whether a Users row belongs to an audience
+ * moods are that user's { level, time } entries from getMoodLevelsByUser.
+ */
+function matchesAudience(audience, userRow, moods, now) {
+  const windowMs = (audience.days || 0) * 24 * 60 * 60 * 1000;
+  const average = (entries) => entries.reduce((sum, entry) => sum + entry.level, 0) / entries.length;
+  
+  switch (audience.type) {
+    case 'all':
+      return true;
+    case 'role':
+      return (userRow[4] || 'user') === audience.role;
+    case 'inactive': {
+      const cutoff = now.getTime() - windowMs;
+      // Someone who joined within the window hasn't had the chance to be inactive
+      if (new Date(userRow[5]).getTime() > cutoff) return false;
+      return !moods.some(entry => entry.time >= cutoff);
+    }
+    case 'decliningMood': {
+      const recentStart = now.getTime() - windowMs;
+      const previousStart = recentStart - windowMs;
+      const recent = moods.filter(entry => entry.time >= recentStart);
+      const previous = moods.filter(entry => entry.time >= previousStart && entry.time < recentStart);
+      if (recent.length === 0 || previous.length === 0) return false;
+      return average(recent) <= average(previous) - MOOD_DECLINE_THRESHOLD;
     }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Non-deleted moods as { level, time } grouped by user, for one user or everyone
+ */
+function getMoodLevelsByUser(userId) {
+  const values = getSheet(MOOD_SHEET_NAME).getDataRange().getValues();
+  const byUser = {};
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    if ((userId && row[1] !== userId) || isMoodDeleted(row)) continue;
     
-    // Delete user's moods
-    const moodData = moodSheet.getDataRange();
-    const moodValues = moodData.getValues();
+    (byUser[row[1]] || (byUser[row[1]] = [])).push({
+      level: Number(row[2]),
+      time: new Date(row[4]).getTime()
+    });
+  }
+  
+  return byUser;
+}
+
+// ========================================
+// AUDIT LOG
+// ========================================
+
+/**
+ * Append a staff action to the AuditLog sheet
+ * Emails are copied in so entries stay readable after the user is deleted.
+ * The action has already happened, so a failure here is logged, not thrown.
+ */
+function recordAudit(actorId, action, targetUserId, before, after) {
+  try {
+    const users = getSheet(USER_SHEET_NAME).getDataRange().getValues();
+    const emailOf = (userId) => {
+      const row = users.find(user => userId && user[0] === userId);
+      return row ? row[2] : '';
+    };
     
-    for (let i = moodValues.length - 1; i >= 1; i--) {
-      const row = moodValues[i];
-      if (row[1] === targetUserId) {
-        moodSheet.deleteRow(i + 1);
+    // Columns: [ID, Timestamp, ActorId, ActorEmail, Action, TargetId, TargetEmail, Before, After]
+    getSheet(AUDIT_SHEET_NAME).appendRow([
+      Utilities.getUuid(),
+      new Date().toISOString(),
+      actorId,
+      emailOf(actorId),
+      action,
+      targetUserId || '',
+      emailOf(targetUserId) || (before && before.email) || '',
+      before ? JSON.stringify(before) : '',
+      after ? JSON.stringify(after) : ''
+    ]);
+  } catch (error) {
+    console.error('Audit log error:', action, targetUserId, error);
+  }
+}
+
+/**
+ * Search the audit log, newest first
+ * Filters: action, search (matches emails, IDs and values), from/to (ISO timestamps)
+ */
+function handleGetAuditLog(data, session) {
+  try {
+    const { action, search, from, to } = data;
+    const query = String(search || '').trim().toLowerCase();
+    const values = getSheet(AUDIT_SHEET_NAME).getDataRange().getValues();
+    // The sheet can be edited by hand, so a bad cell mustn't break the whole log
+    const toIso = (value) => {
+      const date = value ? new Date(value) : null;
+      return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+    };
+    const parseValue = (value) => {
+      if (!value) return null;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return String(value);
       }
+    };
+    
+    const entries = [];
+    for (let i = values.length - 1; i >= 1; i--) {
+      const row = values[i];
+      const timestamp = toIso(row[1]);
+      
+      if (action && row[4] !== action) continue;
+      if ((from || to) && !timestamp) continue;
+      if ((from && timestamp < from) || (to && timestamp > to)) continue;
+      if (query && row.slice(2).join(' ').toLowerCase().indexOf(query) === -1) continue;
+      
+      entries.push({
+        id: row[0],
+        timestamp: timestamp,
+        actorId: row[2],
+        actorEmail: row[3],
+        action: row[4],
+        targetId: row[5],
+        targetEmail: row[6],
+        before: parseValue(row[7]),
+        after: parseValue(row[8])
+      });
     }
     
-    return { success: true, message: 'User deleted successfully' };
+    return {
+      success: true,
+      entries: entries.slice(0, AUDIT_LOG_MAX_RESULTS),
+      total: entries.length,
+      truncated: entries.length > AUDIT_LOG_MAX_RESULTS,
+      actions: AUDITED_ACTIONS
+    };
     
   } catch (error) {
-    console.error('Delete user error:', error);
-    return { success: false, error: 'Failed to delete user' };
+    console.error('Get audit log error:', error);
+    return { success: false, error: 'Failed to load audit log' };
+  }
+}
+
+/**
+ * Protect the AuditLog sheet so only superadmins can edit or delete it by hand
+ * Superadmins are the script owner plus the emails in the SUPERADMIN_EMAILS
+ * script property (comma-separated). The web app runs as the owner, so it can
+ * still append. Run this again after changing SUPERADMIN_EMAILS.
+ */
+function protectAuditLog() {
+  const sheet = getSheet(AUDIT_SHEET_NAME);
+  const existing = sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET);
+  const protection = existing.length > 0 ? existing[0] : sheet.protect();
+  
+  const superadmins = (PropertiesService.getScriptProperties().getProperty('SUPERADMIN_EMAILS') || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+  
+  protection.setDescription('Audit log: append-only, superadmins only');
+  protection.removeEditors(protection.getEditors());
+  protection.addEditor(Session.getEffectiveUser());
+  if (superadmins.length > 0) {
+    protection.addEditors(superadmins);
+  }
+  if (protection.canDomainEdit()) {
+    protection.setDomainEdit(false);
   }
 }
 
@@ -990,14 +4472,42 @@ function getSheet(sheetName) {
     
     // Set up headers based on sheet type
     if (sheetName === USER_SHEET_NAME) {
-      sheet.getRange(1, 1, 1, 12).setValues([[
+      sheet.getRange(1, 1, 1, 16).setValues([[
         'ID', 'Name', 'Email', 'Phone', 'Role', 'Created', 'LastActive', 
-        'PasswordHash', 'Salt', 'ResetToken', 'ResetExpiry', 'MigrationStatus'
+        'PasswordHash', 'Salt', 'ResetToken', 'ResetExpiry', 'MigrationStatus', 'DeletionScheduledFor',
+        'PendingIdentifierChange', 'TwoFactor', 'NoteKey'
       ]]);
     } else if (sheetName === MOOD_SHEET_NAME) {
-      sheet.getRange(1, 1, 1, 7).setValues([[
-        'ID', 'UserId', 'MoodLevel', 'Notes', 'Timestamp', 'Activities', 'CustomEmoji'
+      sheet.getRange(1, 1, 1, 13).setValues([[
+        'ID', 'UserId', 'MoodLevel', 'Notes', 'Timestamp', 'Activities', 'CustomEmoji', 'Triggers',
+        'UpdatedAt', 'DeletedAt', 'LoggedAt', 'TimeSlot', 'ClientId'
       ]]);
+    } else if (sheetName === SESSION_SHEET_NAME) {
+      sheet.getRange(1, 1, 1, 11).setValues([[
+        'SessionId', 'UserId', 'Created', 'Expires', 'Revoked',
+        'DeviceId', 'DeviceLabel', 'Platform', 'FirstSeen', 'LastSeen', 'Fingerprint'
+      ]]);
+    } else if (sheetName === LOGIN_ATTEMPTS_SHEET_NAME) {
+      sheet.getRange(1, 1, 1, 5).setValues([[
+        'Key', 'Failures', 'LastFailureAt', 'LockedUntil', 'UnlockTokenHash'
+      ]]);
+    } else if (sheetName === MESSAGES_SHEET_NAME) {
+      sheet.getRange(1, 1, 1, 8).setValues([[
+        'ID', 'UserId', 'SenderId', 'FromStaff', 'Body', 'SentAt', 'ReadAt', 'EmailedAt'
+      ]]);
+    } else if (sheetName === ANNOUNCEMENTS_SHEET_NAME) {
+      sheet.getRange(1, 1, 1, 9).setValues([[
+        'ID', 'CreatedBy', 'CreatedAt', 'Title', 'Body', 'Audience', 'StartsAt', 'ExpiresAt', 'CancelledAt'
+      ]]);
+    } else if (sheetName === ANNOUNCEMENT_RECEIPTS_SHEET_NAME) {
+      sheet.getRange(1, 1, 1, 4).setValues([[
+        'AnnouncementId', 'UserId', 'DeliveredAt', 'DismissedAt'
+      ]]);
+    } else if (sheetName === AUDIT_SHEET_NAME) {
+      sheet.getRange(1, 1, 1, 9).setValues([[
+        'ID', 'Timestamp', 'ActorId', 'ActorEmail', 'Action', 'TargetId', 'TargetEmail', 'Before', 'After'
+      ]]);
+      protectAuditLog();
     }
   }
   
@@ -1018,23 +4528,259 @@ function generateMoodId() {
   return 'mood_' + Utilities.getUuid().replace(/-/g, '');
 }
 
+/**
+ * Generate unique session ID
+ */
+function generateSessionId() {
+  return 'sess_' + Utilities.getUuid().replace(/-/g, '');
+}
+
 /**
  * Generate secure reset token
  */
 function generateResetToken() {
-  return Utilities.getUuid().replace(/-/g, '') + Date.now().toString(36);
+  return Utilities.getUuid().replace(/-/g, '') + Utilities.getUuid().replace(/-/g, '');
+}
+
+/**
+ * Hash a reset token for storage (tokens are random, so no salt is needed)
+ */
+function hashResetToken(token) {
+  return Utilities.base64EncodeWebSafe(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(token)));
 }
 
 /**
- * Server-side password hashing (simplified)
- * Note: In production, use proper password hashing libraries
+ * Hash a password in the current versioned format
+ * The salt is base64, as generated by the client's generateSalt.
  */
 function hashPasswordServerSide(password, salt) {
-  // This is a simplified hash - in production use proper PBKDF2 or bcrypt
+  const derived = pbkdf2Sha256(password, salt, PASSWORD_HASH_ITERATIONS);
+  return [PASSWORD_HASH_ALGORITHM, PASSWORD_HASH_ITERATIONS, derived].join('$');
+}
+
+/**
+ * Hash used before versioned hashes: one SHA-256 of password + salt
+ */
+function hashPasswordLegacy(password, salt) {
   const combined = password + salt;
   return Utilities.base64Encode(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, combined));
 }
 
+/**
+ * PBKDF2-HMAC-SHA256 with a 32-byte output (a single block), base64 encoded
+ * Apps Script has no PBKDF2, so it is built on Utilities' HMAC. Output matches
+ * Web Crypto's deriveBits (see deriveKey in src/utils/crypto.js).
+ */
+function pbkdf2Sha256(password, salt, iterations) {
+  const passwordBytes = Utilities.newBlob(String(password)).getBytes();
+  const block = Utilities.base64Decode(salt).concat([0, 0, 0, 1]); // Salt || INT(1)
+  
+  let u = Utilities.computeHmacSha256Signature(block, passwordBytes);
+  const result = u.slice();
+  for (let i = 1; i < iterations; i++) {
+    u = Utilities.computeHmacSha256Signature(u, passwordBytes);
+    for (let j = 0; j < result.length; j++) {
+      result[j] ^= u[j];
+    }
+  }
+  
+  return Utilities.base64Encode(result);
+}
+
+/**
+ * Split a stored PasswordHash into { algorithm, iterations, hash }
+ */
+function parsePasswordHash(storedHash) {
+  const parts = String(storedHash || '').split('$');
+  if (parts.length === 1) {
+    return { algorithm: 'sha256', iterations: 1, hash: parts[0] };
+  }
+  if (parts.length !== 3) {
+    return null;
+  }
+  return { algorithm: parts[0], iterations: parseInt(parts[1], 10), hash: parts[2] };
+}
+
+/**
+ * Whether a hash sent by the client (register, reset, change) meets the current
+ * format, so outdated clients can't store weak hashes
+ */
+function isAcceptedPasswordHash(passwordHash) {
+  const parsed = parsePasswordHash(passwordHash);
+  return !!parsed &&
+    parsed.algorithm === PASSWORD_HASH_ALGORITHM &&
+    parsed.iterations >= PASSWORD_HASH_ITERATIONS &&
+    !!parsed.hash;
+}
+
+/**
+ * Whether a stored hash should be replaced with the current format
+ */
+function passwordHashNeedsUpgrade(storedHash) {
+  const parsed = parsePasswordHash(storedHash);
+  return !parsed || parsed.algorithm !== PASSWORD_HASH_ALGORITHM || parsed.iterations < PASSWORD_HASH_ITERATIONS;
+}
+
+/**
+ * Check a password against a user row's PasswordHash and Salt columns
+ * This is the only place stored hashes are compared; it understands every format.
+ */
+function verifyUserPassword(userRow, password) {
+  const salt = userRow[8];
+  const parsed = parsePasswordHash(userRow[7]);
+  if (!parsed || !parsed.hash || !salt || !password) {
+    return false;
+  }
+  
+  let computed;
+  if (parsed.algorithm === 'sha256') {
+    computed = hashPasswordLegacy(password, salt);
+  } else if (parsed.algorithm === PASSWORD_HASH_ALGORITHM && parsed.iterations > 0) {
+    computed = pbkdf2Sha256(password, salt, parsed.iterations);
+  } else {
+    return false;
+  }
+  
+  return timingSafeEqual(computed, parsed.hash);
+}
+
+/**
+ * Rehash a verified password in the current format, with a fresh salt
+ */
+function upgradePasswordHash(sheet, rowIndex, password) {
+  const salt = Utilities.base64Encode(
+    Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, Utilities.getUuid() + Utilities.getUuid())
+  );
+  sheet.getRange(rowIndex, 8).setValue(hashPasswordServerSide(password, salt)); // PasswordHash column
+  sheet.getRange(rowIndex, 9).setValue(salt); // Salt column
+}
+
+/**
+ * Manual test (run from the Apps Script editor): PBKDF2 against the
+ * RFC 7914 section 11 PBKDF2-HMAC-SHA256 vector ("passwd", "salt", c=1)
+ */
+function testPasswordHashing() {
+  const salt = Utilities.base64Encode(Utilities.newBlob('salt').getBytes());
+  const expected = Utilities.base64Encode(hexToBytes('55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc'));
+  
+  const vectorMatches = pbkdf2Sha256('passwd', salt, 1) === expected;
+  const legacyRow = ['user_test', '', '', '', '', '', '', hashPasswordLegacy('secret!pw', salt), salt];
+  const currentRow = ['user_test', '', '', '', '', '', '', hashPasswordServerSide('secret!pw', salt), salt];
+  
+  const checks = {
+    vectorMatches: vectorMatches,
+    legacyVerifies: verifyUserPassword(legacyRow, 'secret!pw'),
+    legacyNeedsUpgrade: passwordHashNeedsUpgrade(legacyRow[7]),
+    currentVerifies: verifyUserPassword(currentRow, 'secret!pw'),
+    currentRejectsWrong: !verifyUserPassword(currentRow, 'wrong!pw'),
+    currentIsAccepted: isAcceptedPasswordHash(currentRow[7]) && !passwordHashNeedsUpgrade(currentRow[7])
+  };
+  console.log(JSON.stringify(checks, null, 2));
+  return Object.keys(checks).every(name => checks[name]);
+}
+
+function hexToBytes(hex) {
+  const bytes = [];
+  for (let i = 0; i < hex.length; i += 2) {
+    const value = parseInt(hex.substr(i, 2), 16);
+    bytes.push(value > 127 ? value - 256 : value);
+  }
+  return bytes;
+}
+
+/**
+ * Parse a list column stored as a JSON array or a comma-separated string
+ */
+function parseListField(value) {
+  if (!value) {
+    return [];
+  }
+  
+  let list = [];
+  try {
+    if (Array.isArray(value)) {
+      list = value;
+    } else {
+      const text = String(value).trim();
+      list = (text.startsWith('[') || text.startsWith('{')) ? JSON.parse(text) : text.split(',');
+    }
+  } catch (e) {
+    // If JSON parsing fails, treat as comma-separated string
+    list = String(value).split(',');
+  }
+  
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  
+  return list
+    .map(item => String(item || '').trim())
+    .filter(item => item);
+}
+
+/**
+ * Normalize triggers to a de-duplicated list of at most 10 short tags
+ */
+function normalizeTriggers(value) {
+  const seen = {};
+  const triggers = [];
+  
+  parseListField(value).forEach(trigger => {
+    const name = trigger.substring(0, 40);
+    const key = name.toLowerCase();
+    if (!seen[key] && triggers.length < 10) {
+      seen[key] = true;
+      triggers.push(name);
+    }
+  });
+  
+  return triggers;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  
+  let result = 0;
+  for (let i = 0; i < a.length; i++) {
+    result |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  
+  return result === 0;
+}
+
+/**
+ * Validate mood level (integer 1-5)
+ */
+function isValidMoodLevel(level) {
+  const value = Number(level);
+  return Number.isInteger(value) && value >= 1 && value <= 5;
+}
+
+/**
+ * Validate a mood entry time: not in the future (allowing a few minutes of
+ * clock skew) and no older than MAX_BACKDATE_DAYS. Returns an error or null.
+ */
+function validateMoodTimestamp(date, now) {
+  if (isNaN(date.getTime())) {
+    return 'Invalid timestamp';
+  }
+  
+  if (date.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+    return 'Moods cannot be logged in the future';
+  }
+  
+  const earliest = now.getTime() - MAX_BACKDATE_DAYS * 24 * 60 * 60 * 1000;
+  if (date.getTime() < earliest) {
+    return 'Moods can only be logged up to ' + MAX_BACKDATE_DAYS + ' days back';
+  }
+  return null;
+}
+
 /**
  * Validate email format
  */
@@ -1052,9 +4798,9 @@ function isValidPhone(phone) {
 }
 
 /**
- * Check if user is admin
+ * Get a user's role, or null if the user doesn't exist
  */
-function isAdmin(userId) {
+function getUserRole(userId) {
   try {
     const sheet = getSheet(USER_SHEET_NAME);
     const data_range = sheet.getDataRange();
@@ -1062,18 +4808,68 @@ function isAdmin(userId) {
     
     for (let i = 1; i < values.length; i++) {
       const row = values[i];
-      if (row[0] === userId && row[4] === 'admin') {
-        return true;
+      if (row[0] === userId) {
+        return row[4] || 'user';
       }
     }
     
-    return false;
+    return null;
   } catch (error) {
-    console.error('Admin check error:', error);
-    return false;
+    console.error('Role lookup error:', error);
+    return null;
   }
 }
 
+/**
+ * The permission matrix: defaults overlaid with the edited staff roles
+ */
+function getRolePermissions() {
+  const stored = JSON.parse(PropertiesService.getScriptProperties().getProperty('ROLE_PERMISSIONS') || '{}');
+  const matrix = {};
+  
+  ROLES.forEach(role => {
+    const permissions = EDITABLE_ROLES.indexOf(role) !== -1 && Array.isArray(stored[role])
+      ? stored[role]
+      : DEFAULT_ROLE_PERMISSIONS[role];
+    matrix[role] = permissions.filter(permission => PERMISSIONS.indexOf(permission) !== -1);
+  });
+  
+  return matrix;
+}
+
+/**
+ * Check whether a user's role grants a permission
+ */
+function hasPermission(userId, permission) {
+  const role = getUserRole(userId);
+  return !!role && (getRolePermissions()[role] || []).indexOf(permission) !== -1;
+}
+
+/**
+ * A role can be handed out only by someone holding all of its permissions
+ */
+function canAssignRole(callerPermissions, rolePermissions) {
+  return (rolePermissions || []).every(permission => callerPermissions.indexOf(permission) !== -1);
+}
+
+/**
+ * Role permissions follow the same rule, and nobody edits their own role,
+ * so holding roles.manage can't be used to grant yourself more
+ */
+function canEditRole(callerRole, callerPermissions, rolePermissions, role) {
+  return role !== callerRole && canAssignRole(callerPermissions, rolePermissions);
+}
+
+/**
+ * Staff can only act on users whose role they could have assigned, so a
+ * moderator can't reset an admin's password
+ */
+function canManageUser(callerId, targetUserId) {
+  const matrix = getRolePermissions();
+  const targetRole = getUserRole(targetUserId) || 'user';
+  return canAssignRole(matrix[getUserRole(callerId)] || [], matrix[targetRole]);
+}
+
 /**
  * Get user by ID
  */
@@ -1113,5 +4909,10 @@ function getUserById(userId) {
 function initializeSheets() {
   getSheet(USER_SHEET_NAME);
   getSheet(MOOD_SHEET_NAME);
+  getSheet(SESSION_SHEET_NAME);
+  getSheet(MESSAGES_SHEET_NAME);
+  getSheet(ANNOUNCEMENTS_SHEET_NAME);
+  getSheet(ANNOUNCEMENT_RECEIPTS_SHEET_NAME);
+  getSheet(AUDIT_SHEET_NAME);
   console.log('Sheets initialized successfully');
 }
\ No newline at end of file
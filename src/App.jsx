@@ -1,21 +1,33 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
 import { 
   Home, TrendingUp, User, Users, Calendar, Activity, 
   MessageCircle, LogOut, Menu, X, Smile, Frown, Meh,
   Sun, Moon, Cloud, ChevronRight, Award, Target, Heart,
   BarChart3, Clock, AlertCircle, CheckCircle2, Wifi, WifiOff,
   Settings, Bell, BellOff, Sparkles, CheckCircle, Circle, Lock,
-  Eye, EyeOff, Shield, Key, Phone
+  Eye, EyeOff, Shield, Key, Phone, Pencil, Trash2, RefreshCw, CloudOff,
+  Download, FileText, Upload, Smartphone, Monitor, Mail
 } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell, AreaChart, Area } from 'recharts';
-import { initDB, saveMoodOffline, getMoodsOffline, syncOfflineData, saveSetting, getSetting } from './utils/offlineStorage';
-import { requestNotificationPermission, scheduleDailyReminder, showNotification, cancelReminders, isNotificationSupported } from './utils/notifications';
+import { initDB, saveMoodOffline, queueMoodChange, getMoodsOffline, syncOfflineData, getSyncStatus, notifySyncStatus, retryDeadLetters, discardDeadLetters, saveSyncCredentials, getCachedMoods, saveCachedMoods, SYNC_CONFIG } from './utils/offlineStorage';
+import { generateUUID } from './utils/crypto';
+import { APP_LOCK_CONFIG, getAppLockSettings, isAppLockEnabled, isAppLockDue, recordAppActivity, enableAppLock, disableAppLock, updateAppLockSettings, verifyPin, isPlatformAuthenticatorAvailable, registerBiometricUnlock, removeBiometricUnlock, unlockWithBiometrics } from './utils/appLock';
+import { encryptMoodPayload, decryptMoods, isEncryptedNote, getNoteEncryptionStatus, enableNoteEncryption, disableNoteEncryption, unlockNotesOnDevice } from './utils/noteEncryption';
+import { requestNotificationPermission, loadReminderSchedule, applyReminderSchedule, initReminders, updateMoodActivity, isNotificationSupported } from './utils/notifications';
+import { getDefaultReminderSchedule } from './utils/reminders';
 import { getRecommendations, getRandomActivity, getAllActivities } from './utils/moodRecommendations';
 import { getCustomEmojis, saveCustomEmojis, getEmojiPresets, applyPreset, resetToDefault } from './utils/customEmojis';
 import { getUserHabits, saveUserHabits, logHabit, unlogHabit, getHabitStats, getStreak, isHabitLoggedToday, getDefaultHabits } from './utils/habits';
-import { AuthenticationService, validatePassword, getIdentifierType } from './utils/auth';
+import { getDefaultTriggers, getTriggerIcon, normalizeTriggers, addTrigger, removeTrigger, hasTrigger } from './utils/triggers';
+import { calculateStreak, getBackdateBounds, getTimeZone, toDateTimeLocalValue, toLocalDateKey, validateMoodTimestamp } from './utils/moodDates';
+import { mergeMoodHistory, calculateLocalStats } from './utils/moodHistory';
+import { getTimeSlots, getTimeSlotInfo, getTimeSlotForDate, getMoodTimeSlot, getLoggedSlotsToday, buildMoodHeatmap, getSlotAverages } from './utils/timeSlots';
+import { buildExportBundle, filterMoodsByRange, moodsToCsv, auditLogToCsv, downloadFile, getExportFilename, buildPrintableReport, openPrintableReport } from './utils/dataExport';
+import { parseImportFile, guessColumnMapping, detectScale, getImportScales, getDateFormats, buildCsvEntries, buildBundleEntries, markDuplicates, importMoodBatches, restoreBundleSettings } from './utils/dataImport';
+import { AuthenticationService, validatePassword, getIdentifierType, getSession, saveSession, clearSession, sessionNeedsRefresh, notifySessionExpired, ACCOUNT_DELETION_GRACE_DAYS, getResetTokenFromUrl, getUnlockTokenFromUrl, clearLinkTokenFromUrl } from './utils/auth';
 import { migrationService, getStorageItem, setStorageItem, getStorageKey } from './utils/migration';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import QRCode from 'qrcode';
 import ContactDisplay from './components/ContactDisplay';
 import MigrationNotification, { MigrationStatusIndicator } from './components/MigrationNotification';
 import PasswordSetupPrompt from './components/PasswordSetupPrompt';
@@ -25,54 +37,143 @@ import PasswordSetupPrompt from './components/PasswordSetupPrompt';
 // ========================================
 const API_URL = 'https://script.google.com/macros/s/AKfycby7AbX2wTwcGXZE9u5sWFTa6eHn5YCzsk9wCNewL6IXzGATd2BgbsH0O_2mMLSisMC6/exec'; // Replace with your new Apps Script Web App URL
 
+// Actions the backend accepts without a session token
+const PUBLIC_ACTIONS = ['register', 'login', 'verifyTwoFactorLogin', 'requestPasswordReset', 'resetPassword', 'unlockAccount'];
+
+// Actions that are queued in IndexedDB while offline
+const OFFLINE_ACTIONS = ['addMood', 'updateMood', 'deleteMood'];
+
+// How often the unread badge on Inbox is refreshed while online
+const MESSAGE_POLL_INTERVAL_MS = 2 * 60 * 1000;
+
+// The signed-in user; queued changes are stamped with it so they are only
+// replayed with the same user's session
+function getSignedInUserId() {
+  try {
+    return JSON.parse(getStorageItem('user') || 'null')?.userId || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Give the service worker what it needs to replay the queue on its own
+async function rememberSyncCredentials(userId) {
+  const sessionToken = getSession()?.token;
+  if (!sessionToken) return;
+  try {
+    await saveSyncCredentials({ apiUrl: API_URL, sessionToken, userId: userId || getSignedInUserId() });
+  } catch (err) {
+    console.error('Saving sync credentials failed:', err);
+  }
+}
+
+async function saveActionOffline(action, payload) {
+  const userId = payload.userId || getSignedInUserId();
+  rememberSyncCredentials(userId);
+  if (action === 'addMood') {
+    await saveMoodOffline({ ...payload, userId });
+    return { success: true, offline: true };
+  }
+  return queueMoodChange(action, payload, userId);
+}
+
+// ========================================
+// SESSION REFRESH
+// ========================================
+let sessionRefreshPromise = null;
+
+async function refreshSessionIfNeeded() {
+  const session = getSession();
+  if (!session || !sessionNeedsRefresh(session)) return;
+
+  // Share one refresh between concurrent calls
+  if (!sessionRefreshPromise) {
+    sessionRefreshPromise = apiCall('refreshSession')
+      .then(result => {
+        saveSession(result.sessionToken, result.sessionExpiresAt);
+        rememberSyncCredentials();
+      })
+      .catch(err => console.warn('Session refresh failed:', err.message))
+      .finally(() => { sessionRefreshPromise = null; });
+  }
+  await sessionRefreshPromise;
+}
+
 // ========================================
 // API HELPER FUNCTION WITH OFFLINE SUPPORT AND AUTH HANDLING
 // ========================================
+
+// Sends one request to the backend. The sync engine replays the queue through
+// this directly so replayed items are never re-queued and never start a sync.
+async function sendRequest(action, payload = {}) {
+  // Attach the session token to every authenticated action
+  let sessionToken;
+  if (!PUBLIC_ACTIONS.includes(action)) {
+    if (action !== 'refreshSession') {
+      await refreshSessionIfNeeded();
+    }
+    sessionToken = getSession()?.token;
+  }
+
+  const body = JSON.stringify({
+    action,
+    ...payload,
+    sessionToken
+  });
+
+  const response = await fetch(API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'text/plain;charset=utf-8'
+    },
+    body: body
+  });
+
+  const text = await response.text();
+  const result = JSON.parse(text);
+  
+  // Handle authentication errors
+  if (result.error) {
+    const error = new Error(result.error);
+    error.response = result;
+    // The backend rejected the session token: drop it and let AuthContext log out
+    if (result.sessionExpired || result.error.includes('Session expired')) {
+      console.warn('Authentication error detected:', result.error);
+      error.sessionExpired = true;
+      clearSession();
+      notifySessionExpired();
+    }
+    throw error;
+  }
+
+  return result;
+}
+
 async function apiCall(action, payload = {}) {
+  // New entries carry a client ID so the backend can drop replays and retries
+  if (action === 'addMood' && !payload.clientId) {
+    payload = { ...payload, clientId: generateUUID() };
+  }
+
+  // Notes leave the device encrypted when the user turned that on; this also
+  // covers what gets queued offline
+  payload = await encryptMoodPayload(action, payload);
+
   // Check if offline
   if (!navigator.onLine) {
     // For mood entries, save offline
-    if (action === 'addMood') {
-      await saveMoodOffline(payload);
-      return { success: true, offline: true };
+    if (OFFLINE_ACTIONS.includes(action)) {
+      return saveActionOffline(action, payload);
     }
     throw new Error('You are offline. Your data will sync when you reconnect.');
   }
 
   try {
-    const body = JSON.stringify({
-      action,
-      ...payload
-    });
-
-    const response = await fetch(API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'text/plain;charset=utf-8'
-      },
-      body: body
-    });
-
-    const text = await response.text();
-    const result = JSON.parse(text);
-    
-    // Handle authentication errors
-    if (result.error) {
-      // Check for authentication-related errors
-      if (result.error.includes('Invalid login credentials') || 
-          result.error.includes('Unauthorized') ||
-          result.error.includes('Session expired')) {
-        // Trigger logout for authentication errors
-        console.warn('Authentication error detected:', result.error);
-        // Don't automatically logout here as it might cause loops
-        // Let the calling component handle it
-      }
-      throw new Error(result.error);
-    }
+    const result = await sendRequest(action, payload);
 
     // Sync offline data after successful API call
-    if (action === 'addMood' || action === 'getUserMoods') {
-      syncOfflineData(apiCall).catch(err => console.log('Sync error:', err));
+    if (OFFLINE_ACTIONS.includes(action) || action === 'getUserMoods') {
+      syncOfflineData(sendRequest).catch(err => console.log('Sync error:', err));
     }
 
     return result;
@@ -80,15 +181,13 @@ async function apiCall(action, payload = {}) {
   } catch (err) {
     console.error('API Error Details:', err);
     // If offline and it's a mood entry, save offline
-    if (!navigator.onLine && action === 'addMood') {
-      await saveMoodOffline(payload);
-      return { success: true, offline: true };
+    if (!navigator.onLine && OFFLINE_ACTIONS.includes(action)) {
+      return saveActionOffline(action, payload);
     }
     throw err;
   }
 }
 
-
 // ========================================
 // MAIN APP WRAPPER WITH AUTH PROVIDER
 // ========================================
@@ -109,21 +208,34 @@ function FitMoodApp() {
     isAuthenticated, 
     loading: authLoading, 
     needsPasswordSetup,
-    logout 
+    logout,
+    cancelAccountDeletion
   } = useAuth();
   
-  const [currentPage, setCurrentPage] = useState('splash');
+  // Opening an emailed link lands on its page, signed in or not
+  const [currentPage, setCurrentPage] = useState(() => {
+    if (getResetTokenFromUrl() !== null) return 'reset-password';
+    if (getUnlockTokenFromUrl() !== null) return 'unlock-account';
+    return 'splash';
+  });
   const [loading, setLoading] = useState(false);
   const [moodHistory, setMoodHistory] = useState([]);
   const [userStats, setUserStats] = useState(null);
   const [allUsers, setAllUsers] = useState([]);
   const [darkMode, setDarkMode] = useState(false);
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [syncStatus, setSyncStatus] = useState({ pending: 0, failed: 0, syncing: false });
+  const [unreadMessages, setUnreadMessages] = useState(0);
+  const appLock = useAppLock(isAuthenticated ? currentUser : null);
 
   // Initialize dark mode and offline storage
   useEffect(() => {
-    // Initialize IndexedDB
-    initDB().catch(err => console.error('DB init error:', err));
+    // Initialize IndexedDB and pick up anything queued in an earlier visit
+    initDB()
+      .then(() => getSyncStatus())
+      .then(setSyncStatus)
+      .then(() => navigator.onLine && syncOfflineData(sendRequest))
+      .catch(err => console.error('DB init error:', err));
     
     // Check dark mode preference
     const savedTheme = getStorageItem('dark_mode');
@@ -132,37 +244,82 @@ function FitMoodApp() {
     setDarkMode(shouldBeDark);
     updateTheme(shouldBeDark);
 
-    // Monitor online/offline status
-    const handleOnline = () => setIsOnline(true);
+    // Monitor online/offline status and flush the queue on reconnect
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncOfflineData(sendRequest).catch(err => console.log('Sync error:', err));
+    };
     const handleOffline = () => setIsOnline(false);
+    const handleSyncStatus = (event) => setSyncStatus(event.detail);
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type === SYNC_CONFIG.completeMessage) notifySyncStatus();
+    };
     window.addEventListener('online', handleOnline);
     window.addEventListener('offline', handleOffline);
+    window.addEventListener(SYNC_CONFIG.statusEvent, handleSyncStatus);
+    navigator.serviceWorker?.addEventListener('message', handleWorkerMessage);
 
     return () => {
       window.removeEventListener('online', handleOnline);
       window.removeEventListener('offline', handleOffline);
+      window.removeEventListener(SYNC_CONFIG.statusEvent, handleSyncStatus);
+      navigator.serviceWorker?.removeEventListener('message', handleWorkerMessage);
     };
   }, []);
 
+  // Reload once the queue drains so synced entries show their server copies
+  const lastPendingSync = useRef(0);
+  useEffect(() => {
+    if (lastPendingSync.current > 0 && syncStatus.pending === 0 && currentUser) {
+      loadUserData(currentUser.userId);
+    }
+    lastPendingSync.current = syncStatus.pending;
+  }, [syncStatus.pending]);
+
   // Handle authentication state changes
+  const onLinkPage = currentPage === 'reset-password' || currentPage === 'unlock-account';
   useEffect(() => {
     if (authLoading) {
       return; // Wait for auth to initialize
     }
 
+    if (onLinkPage) {
+      return; // Link pages handle their own navigation
+    }
+
     if (needsPasswordSetup) {
       setCurrentPage('password-setup');
     } else if (isAuthenticated && currentUser) {
+      rememberSyncCredentials(currentUser.userId);
+      initReminders().catch(err => console.error('Reminder init error:', err));
       if (currentPage === 'splash' || currentPage === 'auth' || currentPage === 'password-setup') {
         setCurrentPage('home');
         loadUserData(currentUser.userId);
       }
     } else {
-      if (currentPage !== 'splash') {
+      if (currentPage !== 'splash' && currentPage !== 'auth') {
         setCurrentPage('splash');
       }
     }
-  }, [isAuthenticated, currentUser, needsPasswordSetup, authLoading]);
+  }, [isAuthenticated, currentUser, needsPasswordSetup, authLoading, onLinkPage]);
+
+  // Keep the Inbox badge current while signed in
+  useEffect(() => {
+    if (!isAuthenticated || !isOnline) return;
+
+    refreshUnreadMessages();
+    const timer = setInterval(refreshUnreadMessages, MESSAGE_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isAuthenticated, isOnline]);
+
+  const refreshUnreadMessages = async () => {
+    try {
+      const result = await apiCall('getUnreadMessageCount');
+      setUnreadMessages(result.unreadCount || 0);
+    } catch (error) {
+      console.error('Unread messages error:', error);
+    }
+  };
 
   const updateTheme = (isDark) => {
     if (isDark) {
@@ -181,29 +338,44 @@ function FitMoodApp() {
 
   const loadUserData = async (userId) => {
     try {
-      // Try online first, fallback to offline
-      let moods = [];
+      // Try online first, fall back to the last server copy kept in IndexedDB
+      let serverMoods = null;
       let stats = null;
 
       if (navigator.onLine) {
         try {
-          const moodsResult = await apiCall('getUserMoods', { userId });
-          const statsResult = await apiCall('getUserStats', { userId });
-          moods = moodsResult.moods || [];
+          const moodsResult = await apiCall('getUserMoods');
+          const statsResult = await apiCall('getUserStats', { timeZone: getTimeZone() });
+          serverMoods = moodsResult.moods || [];
           stats = statsResult.stats || null;
+          saveCachedMoods(userId, serverMoods).catch(err => console.error('Mood cache error:', err));
         } catch (error) {
           console.log('Online fetch failed, trying offline...');
         }
       }
 
-      // Load from offline storage
+      if (!serverMoods) {
+        serverMoods = (await getCachedMoods(userId)) || [];
+      }
+
+      // Add entries that only exist locally (logged offline, not synced yet).
+      // Both caches keep encrypted notes as ciphertext; they are decrypted here.
+      if (navigator.onLine) {
+        await getNoteEncryptionStatus(apiCall, userId).catch(err => console.error('Note encryption status error:', err));
+      }
       const offlineMoods = await getMoodsOffline(userId);
-      if (offlineMoods.length > 0) {
-        moods = [...moods, ...offlineMoods].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      const moods = await decryptMoods(mergeMoodHistory(serverMoods, offlineMoods));
+
+      // The backend can't see encrypted triggers, so count them here
+      if (stats && moods.some(m => m.encrypted)) {
+        stats = { ...stats, topTriggers: calculateLocalStats(moods).topTriggers.slice(0, 5) };
       }
 
       setMoodHistory(moods);
-      setUserStats(stats);
+      updateMoodActivity({ lastMoodAt: moods[0]?.timestamp || null, streak: calculateStreak(moods) })
+        .catch(err => console.error('Mood activity error:', err));
+      // The backend's stats don't cover local entries, so compute them here when it's unreachable
+      setUserStats(stats || (moods.length > 0 ? calculateLocalStats(moods) : null));
     } catch (error) {
       console.error('Error loading user data:', error);
     }
@@ -221,6 +393,10 @@ function FitMoodApp() {
     );
   }
 
+  if (appLock.locked) {
+    return <AppLockScreen currentUser={currentUser} onUnlock={appLock.unlock} logout={logout} />;
+  }
+
   if (currentPage === 'splash') {
     return <LandingPage setCurrentPage={setCurrentPage} />;
   }
@@ -229,6 +405,14 @@ function FitMoodApp() {
     return <AuthPage setCurrentPage={setCurrentPage} />;
   }
 
+  if (currentPage === 'reset-password') {
+    return <ResetPasswordPage setCurrentPage={setCurrentPage} />;
+  }
+
+  if (currentPage === 'unlock-account') {
+    return <UnlockAccountPage setCurrentPage={setCurrentPage} />;
+  }
+
   if (currentPage === 'password-setup') {
     return <PasswordSetupPage setCurrentPage={setCurrentPage} />;
   }
@@ -244,11 +428,70 @@ function FitMoodApp() {
       {/* Migration Status Indicator (development only) */}
       <MigrationStatusIndicator />
       
+      {/* Pending Account Deletion */}
+      {currentUser?.deletionScheduledFor && (
+        <div className="bg-red-500 dark:bg-red-600 text-white text-center py-2 px-4 flex items-center justify-center gap-3">
+          <AlertCircle size={16} />
+          <span className="text-sm">
+            Your account will be deleted on {new Date(currentUser.deletionScheduledFor).toLocaleDateString()}.
+          </span>
+          <button
+            onClick={async () => {
+              const result = await cancelAccountDeletion();
+              if (!result.success) alert(result.error);
+            }}
+            className="text-sm font-semibold underline"
+          >
+            Keep my account
+          </button>
+        </div>
+      )}
+
       {/* Online/Offline Indicator */}
       {!isOnline && (
         <div className="bg-yellow-500 dark:bg-yellow-600 text-white text-center py-2 px-4 flex items-center justify-center gap-2">
           <WifiOff size={16} />
-          <span className="text-sm">You're offline. Changes will sync when you reconnect.</span>
+          <span className="text-sm">
+            You're offline. {syncStatus.pending > 0 ? `${syncStatus.pending} pending change${syncStatus.pending === 1 ? '' : 's'} will` : 'Changes will'} sync when you reconnect.
+          </span>
+        </div>
+      )}
+
+      {/* Sync Status */}
+      {isOnline && syncStatus.pending > 0 && (
+        <div className="bg-indigo-500 dark:bg-indigo-600 text-white text-center py-2 px-4 flex items-center justify-center gap-2">
+          <RefreshCw size={16} className={syncStatus.syncing ? 'animate-spin' : ''} />
+          <span className="text-sm">
+            {syncStatus.syncing ? 'Syncing' : 'Waiting to sync'} {syncStatus.pending} change{syncStatus.pending === 1 ? '' : 's'}...
+          </span>
+        </div>
+      )}
+      {syncStatus.failed > 0 && (
+        <div className="bg-red-500 dark:bg-red-600 text-white py-2 px-4 flex items-center justify-center gap-3">
+          <AlertCircle size={16} />
+          <span className="text-sm">
+            {syncStatus.failed} change{syncStatus.failed === 1 ? '' : 's'} couldn't be synced.
+          </span>
+          <button
+            onClick={() => retryDeadLetters()
+              .then(() => syncOfflineData(sendRequest))
+              .then(() => currentUser && loadUserData(currentUser.userId))
+              .catch(err => console.error('Retry sync error:', err))}
+            className="text-sm font-semibold underline"
+          >
+            Retry
+          </button>
+          <button
+            onClick={() => {
+              if (!confirm('Discard the changes that could not be synced?')) return;
+              discardDeadLetters()
+                .then(() => currentUser && loadUserData(currentUser.userId))
+                .catch(err => console.error('Discard sync error:', err));
+            }}
+            className="text-sm underline opacity-90"
+          >
+            Discard
+          </button>
         </div>
       )}
 
@@ -260,6 +503,8 @@ function FitMoodApp() {
         darkMode={darkMode}
         toggleDarkMode={toggleDarkMode}
         isOnline={isOnline}
+        pendingSync={syncStatus.pending}
+        unreadMessages={unreadMessages}
       />
       
       <div className="pb-20">
@@ -282,10 +527,15 @@ function FitMoodApp() {
         {currentPage === 'habits' && (
           <HabitsPage currentUser={currentUser} darkMode={darkMode} />
         )}
+        {currentPage === 'inbox' && (
+          <InboxPage isOnline={isOnline} onRead={() => setUnreadMessages(0)} />
+        )}
         {currentPage === 'profile' && (
           <ProfilePage 
             currentUser={currentUser} 
             userStats={userStats} 
+            moodHistory={moodHistory}
+            loadUserData={loadUserData}
             logout={logout}
             darkMode={darkMode}
             toggleDarkMode={toggleDarkMode}
@@ -294,7 +544,7 @@ function FitMoodApp() {
         {currentPage === 'contact' && (
           <ContactDisplay darkMode={darkMode} />
         )}
-        {currentPage === 'admin' && currentUser?.role === 'admin' && (
+        {currentPage === 'admin' && isStaffRole(currentUser?.role) && (
           <AdminPage currentUser={currentUser} allUsers={allUsers} setAllUsers={setAllUsers} darkMode={darkMode} />
         )}
       </div>
@@ -302,11 +552,176 @@ function FitMoodApp() {
   );
 }
 
+// ========================================
+// APP LOCK (PIN / WEBAUTHN ON RESUME)
+// ========================================
+function useAppLock(currentUser) {
+  const userId = currentUser?.userId;
+  const [locked, setLocked] = useState(false);
+  const lockedRef = useRef(false);
+
+  const setLockedState = (value) => {
+    lockedRef.current = value;
+    setLocked(value);
+  };
+
+  // A restored session starts locked when it sat idle long enough; checked
+  // before paint so its content never flashes
+  useLayoutEffect(() => {
+    setLockedState(!!userId && isAppLockDue(userId));
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    // Activity while locked doesn't count, so a reload can't skip the lock
+    let lastRecorded = 0;
+    const handleActivity = () => {
+      if (lockedRef.current || Date.now() - lastRecorded < APP_LOCK_CONFIG.activityThrottleMs) return;
+      lastRecorded = Date.now();
+      recordAppActivity();
+    };
+
+    // Blur synchronously so the app switcher snapshot is already obscured
+    const obscure = () => {
+      if (isAppLockEnabled(userId)) document.documentElement.classList.add('app-obscured');
+    };
+    const reveal = () => document.documentElement.classList.remove('app-obscured');
+
+    const handleVisibility = () => {
+      if (document.hidden) {
+        obscure();
+        if (!lockedRef.current) recordAppActivity();
+      } else {
+        if (!lockedRef.current && isAppLockDue(userId)) setLockedState(true);
+        reveal();
+      }
+    };
+
+    const activityEvents = ['pointerdown', 'keydown', 'scroll'];
+    activityEvents.forEach(name => window.addEventListener(name, handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('blur', obscure);
+    window.addEventListener('focus', reveal);
+
+    return () => {
+      activityEvents.forEach(name => window.removeEventListener(name, handleActivity));
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('blur', obscure);
+      window.removeEventListener('focus', reveal);
+      reveal();
+    };
+  }, [userId]);
+
+  const unlock = () => {
+    recordAppActivity();
+    setLockedState(false);
+  };
+
+  return { locked: locked && !!userId, unlock };
+}
+
+function AppLockScreen({ currentUser, onUnlock, logout }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+  const hasBiometrics = !!getAppLockSettings(currentUser.userId)?.credentialId;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setChecking(true);
+    setError('');
+
+    const result = await verifyPin(currentUser.userId, pin);
+    if (result.success) {
+      onUnlock();
+      return;
+    }
+
+    setChecking(false);
+    setPin('');
+    if (result.signOut) {
+      alert('Too many wrong PINs. Please log in with your password.');
+      logout();
+      return;
+    }
+    setError(`Wrong PIN. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left before you are signed out.`);
+  };
+
+  const handleBiometrics = async () => {
+    setError('');
+    try {
+      if (await unlockWithBiometrics(currentUser.userId)) {
+        onUnlock();
+      } else {
+        setError('Could not verify it\'s you. Please use your PIN.');
+      }
+    } catch (err) {
+      // NotAllowedError when the prompt is dismissed
+      setError(err.name === 'NotAllowedError' ? 'Unlock was cancelled. Please use your PIN.' : err.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-600 via-purple-600 via-pink-500 to-orange-500 flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white/95 dark:bg-gray-900/95 backdrop-blur-xl rounded-3xl shadow-2xl p-8 border border-white/20 space-y-5">
+        <div className="text-center">
+          <div className="text-6xl mb-4">🔒</div>
+          <h2 className="text-2xl font-bold text-gray-800 dark:text-white mb-1">FitMood is locked</h2>
+          <p className="text-gray-600 dark:text-gray-300">Welcome back, {currentUser.name}. Enter your PIN to continue.</p>
+        </div>
+
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          maxLength={8}
+          placeholder="PIN"
+          value={pin}
+          onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+          className="w-full px-4 py-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-center text-3xl tracking-widest focus:border-indigo-500 focus:outline-none"
+          autoFocus
+          required
+        />
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-600 dark:text-red-400 p-3 rounded-xl text-sm flex items-center gap-2">
+            <AlertCircle size={16} />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={checking || pin.length < 4}
+          className="w-full py-4 rounded-xl bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {checking ? 'Checking...' : 'Unlock'}
+        </button>
+
+        {hasBiometrics && (
+          <button
+            type="button"
+            onClick={handleBiometrics}
+            className="w-full py-3 rounded-xl border-2 border-indigo-200 dark:border-indigo-800 text-indigo-600 dark:text-indigo-400 font-semibold hover:bg-indigo-50 dark:hover:bg-indigo-900/30 transition"
+          >
+            Unlock with Fingerprint or Face
+          </button>
+        )}
+
+        <button type="button" onClick={logout} className="w-full text-sm text-gray-500 dark:text-gray-400 hover:underline">
+          Not you? Sign out
+        </button>
+      </form>
+    </div>
+  );
+}
+
 // ========================================
 // ENHANCED AUTH PAGE WITH ANIMATIONS
 // ========================================
 function AuthPage({ setCurrentPage }) {
-  const { login, register, error, loading, clearError } = useAuth();
+  const { login, register, requestPasswordReset, twoFactorChallenge, error, loading, clearError } = useAuth();
   
   const [isLogin, setIsLogin] = useState(true);
   const [formData, setFormData] = useState({ name: '', email: '', phone: '', password: '', confirmPassword: '' });
@@ -319,6 +734,8 @@ function AuthPage({ setCurrentPage }) {
   const [showForgotPassword, setShowForgotPassword] = useState(false);
   const [resetEmail, setResetEmail] = useState('');
   const [resetSuccess, setResetSuccess] = useState(false);
+  const [resetError, setResetError] = useState('');
+  const [resetLoading, setResetLoading] = useState(false);
 
   useEffect(() => {
     setTimeout(() => setShowContent(true), 100);
@@ -387,7 +804,7 @@ function AuthPage({ setCurrentPage }) {
 
   const toggleMode = () => {
     setIsLogin(!isLogin);
-    setError('');
+    clearError();
     setFormData({ name: '', email: '', phone: '', password: '', confirmPassword: '' });
     setPasswordStrength(0);
     setPasswordErrors([]);
@@ -399,25 +816,28 @@ function AuthPage({ setCurrentPage }) {
 
   const handleForgotPassword = async (e) => {
     e.preventDefault();
-    setError('');
-    setLoading(true);
+    setResetError('');
+    setResetLoading(true);
 
     try {
-      const authService = new AuthenticationService(apiCall);
-      const result = await authService.requestPasswordReset(resetEmail);
+      const result = await requestPasswordReset(resetEmail);
 
       if (result.success) {
         setResetSuccess(true);
       } else {
-        setError(result.error || 'Password reset request failed');
+        setResetError(result.error || 'Password reset request failed');
       }
     } catch (err) {
-      setError(err.message || 'An error occurred');
+      setResetError(err.message || 'An error occurred');
     } finally {
-      setLoading(false);
+      setResetLoading(false);
     }
   };
 
+  if (twoFactorChallenge) {
+    return <TwoFactorLoginStep />;
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-600 via-purple-600 via-pink-500 to-orange-500 flex items-center justify-center p-4 relative overflow-hidden">
       {/* Animated Background Elements */}
@@ -587,42 +1007,7 @@ function AuthPage({ setCurrentPage }) {
 
             {/* Password Strength Indicator (Registration only) */}
             {!isLogin && formData.password && (
-              <div className="space-y-2">
-                <div className="flex items-center justify-between text-sm">
-                  <span className="text-gray-600 dark:text-gray-400">Password Strength</span>
-                  <span className={`font-medium ${
-                    passwordStrength >= 80 ? 'text-green-600 dark:text-green-400' :
-                    passwordStrength >= 60 ? 'text-yellow-600 dark:text-yellow-400' :
-                    passwordStrength >= 40 ? 'text-orange-600 dark:text-orange-400' :
-                    'text-red-600 dark:text-red-400'
-                  }`}>
-                    {passwordStrength >= 80 ? 'Strong' :
-                     passwordStrength >= 60 ? 'Good' :
-                     passwordStrength >= 40 ? 'Fair' : 'Weak'}
-                  </span>
-                </div>
-                <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
-                  <div 
-                    className={`h-2 rounded-full transition-all duration-300 ${
-                      passwordStrength >= 80 ? 'bg-green-500' :
-                      passwordStrength >= 60 ? 'bg-yellow-500' :
-                      passwordStrength >= 40 ? 'bg-orange-500' :
-                      'bg-red-500'
-                    }`}
-                    style={{ width: `${passwordStrength}%` }}
-                  ></div>
-                </div>
-                {passwordErrors.length > 0 && (
-                  <div className="text-xs text-red-600 dark:text-red-400 space-y-1">
-                    {passwordErrors.map((error, index) => (
-                      <div key={index} className="flex items-center gap-1">
-                        <span>•</span>
-                        <span>{error}</span>
-                      </div>
-                    ))}
-                  </div>
-                )}
-              </div>
+              <PasswordStrengthMeter strength={passwordStrength} errors={passwordErrors} />
             )}
 
             {/* Confirm Password Field (Registration only) */}
@@ -766,11 +1151,11 @@ function AuthPage({ setCurrentPage }) {
             <div className="text-center mb-6">
               <div className="text-4xl mb-3">🔑</div>
               <h3 className="text-2xl font-bold text-gray-800 dark:text-white mb-2">
-                {resetSuccess ? 'Check Your Email' : 'Reset Password'}
+                {resetSuccess ? 'Check Your Inbox' : 'Reset Password'}
               </h3>
               <p className="text-gray-600 dark:text-gray-300 text-sm">
                 {resetSuccess 
-                  ? 'We\'ve sent password reset instructions to your email address.'
+                  ? 'We\'ve sent a reset link to your email, or by text if you used a phone number.'
                   : 'Enter your email address or phone number and we\'ll send you a link to reset your password.'
                 }
               </p>
@@ -789,10 +1174,10 @@ function AuthPage({ setCurrentPage }) {
                   />
                 </div>
 
-                {error && (
+                {resetError && (
                   <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-600 dark:text-red-400 p-3 rounded-xl text-sm flex items-center gap-2">
                     <AlertCircle size={16} />
-                    <span>{error}</span>
+                    <span>{resetError}</span>
                   </div>
                 )}
 
@@ -802,7 +1187,7 @@ function AuthPage({ setCurrentPage }) {
                     onClick={() => {
                       setShowForgotPassword(false);
                       setResetEmail('');
-                      setError('');
+                      setResetError('');
                       setResetSuccess(false);
                     }}
                     className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors"
@@ -811,10 +1196,10 @@ function AuthPage({ setCurrentPage }) {
                   </button>
                   <button
                     type="submit"
-                    disabled={loading}
+                    disabled={resetLoading}
                     className="flex-1 py-3 px-4 rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                   >
-                    {loading ? (
+                    {resetLoading ? (
                       <div className="flex items-center justify-center gap-2">
                         <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin"></div>
                         <span>Sending...</span>
@@ -837,7 +1222,7 @@ function AuthPage({ setCurrentPage }) {
                   onClick={() => {
                     setShowForgotPassword(false);
                     setResetEmail('');
-                    setError('');
+                    setResetError('');
                     setResetSuccess(false);
                   }}
                   className="w-full py-3 px-4 rounded-xl bg-indigo-600 hover:bg-indigo-700 text-white font-medium transition-colors"
@@ -854,24 +1239,121 @@ function AuthPage({ setCurrentPage }) {
 }
 
 // ========================================
-// PASSWORD SETUP PAGE FOR EXISTING USERS
+// TWO-FACTOR LOGIN STEP
 // ========================================
-function PasswordSetupPage({ setCurrentPage }) {
-  const { setupPassword, skipPasswordSetup, error, loading, clearError } = useAuth();
-  
+function TwoFactorLoginStep() {
+  const { verifyTwoFactor, cancelTwoFactor } = useAuth();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setVerifying(true);
+    setError('');
+
+    const result = await verifyTwoFactor(code);
+    if (result.success) {
+      if (result.recoveryCodesRemaining !== undefined) {
+        alert(`Recovery code used. You have ${result.recoveryCodesRemaining} left; you can set up two-factor again from your profile to get new ones.`);
+      }
+      return; // Navigation will be handled by useEffect in FitMoodApp
+    }
+
+    setError(result.error || 'Verification failed');
+    setCode('');
+    setVerifying(false);
+  };
+
+  const switchMode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError('');
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-600 via-purple-600 via-pink-500 to-orange-500 flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-md bg-white/95 dark:bg-gray-900/95 backdrop-blur-xl rounded-3xl shadow-2xl p-8 border border-white/20 space-y-5">
+        <div className="text-center">
+          <div className="text-6xl mb-4">🔐</div>
+          <h2 className="text-3xl font-bold text-gray-800 dark:text-white mb-2">Two-Factor Check</h2>
+          <p className="text-gray-600 dark:text-gray-300">
+            {useRecoveryCode
+              ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+        </div>
+
+        {useRecoveryCode ? (
+          <input
+            type="text"
+            placeholder="xxxx-xxxx"
+            autoComplete="off"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="w-full px-4 py-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-center text-xl font-mono focus:border-indigo-500 focus:outline-none"
+            autoFocus
+            required
+          />
+        ) : (
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+            className="w-full px-4 py-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-center text-3xl tracking-widest focus:border-indigo-500 focus:outline-none"
+            autoFocus
+            required
+          />
+        )}
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-600 dark:text-red-400 p-3 rounded-xl text-sm flex items-center gap-2">
+            <AlertCircle size={16} />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={verifying || (!useRecoveryCode && code.length !== 6) || !code}
+          className="w-full py-4 rounded-xl bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {verifying ? 'Verifying...' : 'Verify'}
+        </button>
+
+        <div className="flex justify-between text-sm">
+          <button type="button" onClick={switchMode} className="text-indigo-600 dark:text-indigo-400 hover:underline">
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+          <button type="button" onClick={cancelTwoFactor} className="text-gray-500 dark:text-gray-400 hover:underline">
+            Back to login
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// ========================================
+// RESET PASSWORD PAGE (landing route for emailed/texted reset links)
+// ========================================
+function ResetPasswordPage({ setCurrentPage }) {
+  const { resetPassword } = useAuth();
+
+  const [token, setToken] = useState(() => getResetTokenFromUrl() || '');
   const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
-  const [showContent, setShowContent] = useState(false);
-  const [focusedField, setFocusedField] = useState(null);
+  const [showPassword, setShowPassword] = useState(false);
   const [passwordStrength, setPasswordStrength] = useState(0);
   const [passwordErrors, setPasswordErrors] = useState([]);
-  const [showPassword, setShowPassword] = useState(false);
-  const [showConfirmPassword, setShowConfirmPassword] = useState(false);
-
-  useEffect(() => {
-    setTimeout(() => setShowContent(true), 100);
-  }, []);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [success, setSuccess] = useState(false);
 
-  // Password validation effect
   useEffect(() => {
     if (formData.password) {
       const validation = validatePassword(formData.password);
@@ -885,26 +1367,278 @@ function PasswordSetupPage({ setCurrentPage }) {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    clearError();
+    setError('');
 
     if (formData.password !== formData.confirmPassword) {
-      return; // Let validation handle this
-    }
-
-    const validation = validatePassword(formData.password);
-    if (!validation.isValid) {
-      return; // Let validation handle this
+      setError('Passwords do not match');
+      return;
     }
 
-    const result = await setupPassword(formData.password);
-    if (result.success) {
-      // Navigation will be handled by useEffect in FitMoodApp
+    setLoading(true);
+    try {
+      const result = await resetPassword(token.trim(), formData.password);
+      if (result.success) {
+        clearLinkTokenFromUrl();
+        setSuccess(true);
+      } else {
+        setError(result.error || 'Password reset failed');
+      }
+    } finally {
+      setLoading(false);
     }
   };
 
-  const handleSkip = () => {
-    skipPasswordSetup();
-    // Navigation will be handled by useEffect in FitMoodApp
+  const leave = (page) => {
+    clearLinkTokenFromUrl();
+    setCurrentPage(page);
+  };
+
+  const inputClass = 'w-full pl-12 pr-4 py-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none transition-colors';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-600 via-purple-600 via-pink-500 to-orange-500 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-white/95 dark:bg-gray-900/95 backdrop-blur-xl rounded-3xl shadow-2xl p-8 border border-white/20">
+        <div className="text-center mb-8">
+          <div className="text-6xl mb-4">🔑</div>
+          <h2 className="text-3xl font-bold text-gray-800 dark:text-white mb-2">
+            {success ? 'Password Changed' : 'Choose a New Password'}
+          </h2>
+          <p className="text-gray-600 dark:text-gray-300">
+            {success
+              ? 'Your password has been reset and other devices have been signed out.'
+              : 'The code from your reset link is filled in below.'}
+          </p>
+        </div>
+
+        {success ? (
+          <button
+            onClick={() => leave('auth')}
+            className="w-full py-4 rounded-xl bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-semibold"
+          >
+            Log In
+          </button>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <div className="relative">
+              <Key size={20} className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Reset code"
+                className={`${inputClass} font-mono text-sm`}
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+                autoComplete="off"
+                required
+              />
+            </div>
+
+            <div className="relative">
+              <Lock size={20} className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type={showPassword ? 'text' : 'password'}
+                placeholder="New Password"
+                className={inputClass}
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                autoComplete="new-password"
+                required
+              />
+              <button
+                type="button"
+                onClick={() => setShowPassword(!showPassword)}
+                className="absolute right-4 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+              >
+                {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+              </button>
+            </div>
+
+            {formData.password && (
+              <PasswordStrengthMeter strength={passwordStrength} errors={passwordErrors} />
+            )}
+
+            <div className="relative">
+              <Shield size={20} className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type={showPassword ? 'text' : 'password'}
+                placeholder="Confirm New Password"
+                className={inputClass}
+                value={formData.confirmPassword}
+                onChange={(e) => setFormData({ ...formData, confirmPassword: e.target.value })}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+
+            {error && (
+              <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-600 dark:text-red-400 p-3 rounded-xl text-sm flex items-center gap-2">
+                <AlertCircle size={16} />
+                <span>{error}</span>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={loading || !token.trim() || passwordErrors.length > 0}
+              className="w-full py-4 rounded-xl bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+
+            <button
+              type="button"
+              onClick={() => leave('splash')}
+              className="w-full text-sm text-gray-500 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400"
+            >
+              Cancel
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// UNLOCK ACCOUNT PAGE (landing route for lockout emails)
+// ========================================
+function UnlockAccountPage({ setCurrentPage }) {
+  const { unlockAccount } = useAuth();
+  const [status, setStatus] = useState({ state: 'working', message: '' });
+
+  useEffect(() => {
+    const token = getUnlockTokenFromUrl();
+    if (!token) {
+      setStatus({ state: 'error', message: 'This unlock link is incomplete. Open it again from the email.' });
+      return;
+    }
+
+    unlockAccount(token).then(result => {
+      clearLinkTokenFromUrl();
+      setStatus(result.success
+        ? { state: 'done', message: result.message || 'Your account is unlocked.' }
+        : { state: 'error', message: result.error || 'Failed to unlock account' });
+    });
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-indigo-600 via-purple-600 via-pink-500 to-orange-500 flex items-center justify-center p-4">
+      <div className="w-full max-w-md bg-white/95 dark:bg-gray-900/95 backdrop-blur-xl rounded-3xl shadow-2xl p-8 border border-white/20 text-center">
+        <div className="text-6xl mb-4">{status.state === 'error' ? '🔒' : '🔓'}</div>
+        <h2 className="text-3xl font-bold text-gray-800 dark:text-white mb-2">
+          {status.state === 'working' ? 'Unlocking...' : status.state === 'done' ? 'Account Unlocked' : 'Could Not Unlock'}
+        </h2>
+        {status.message && (
+          <p className="text-gray-600 dark:text-gray-300 mb-6">{status.message}</p>
+        )}
+        {status.state !== 'working' && (
+          <button
+            onClick={() => setCurrentPage('auth')}
+            className="w-full py-4 rounded-xl bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-semibold"
+          >
+            Go to Log In
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// PASSWORD STRENGTH METER
+// ========================================
+function PasswordStrengthMeter({ strength, errors = [] }) {
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-600 dark:text-gray-400">Password Strength</span>
+        <span className={`font-medium ${
+          strength >= 80 ? 'text-green-600 dark:text-green-400' :
+          strength >= 60 ? 'text-yellow-600 dark:text-yellow-400' :
+          strength >= 40 ? 'text-orange-600 dark:text-orange-400' :
+          'text-red-600 dark:text-red-400'
+        }`}>
+          {strength >= 80 ? 'Strong' :
+           strength >= 60 ? 'Good' :
+           strength >= 40 ? 'Fair' : 'Weak'}
+        </span>
+      </div>
+      <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+        <div 
+          className={`h-2 rounded-full transition-all duration-300 ${
+            strength >= 80 ? 'bg-green-500' :
+            strength >= 60 ? 'bg-yellow-500' :
+            strength >= 40 ? 'bg-orange-500' :
+            'bg-red-500'
+          }`}
+          style={{ width: `${strength}%` }}
+        ></div>
+      </div>
+      {errors.length > 0 && (
+        <div className="text-xs text-red-600 dark:text-red-400 space-y-1">
+          {errors.map((error, index) => (
+            <div key={index} className="flex items-center gap-1">
+              <span>•</span>
+              <span>{error}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================================
+// PASSWORD SETUP PAGE FOR EXISTING USERS
+// ========================================
+function PasswordSetupPage({ setCurrentPage }) {
+  const { setupPassword, skipPasswordSetup, error, loading, clearError } = useAuth();
+  
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [showContent, setShowContent] = useState(false);
+  const [focusedField, setFocusedField] = useState(null);
+  const [passwordStrength, setPasswordStrength] = useState(0);
+  const [passwordErrors, setPasswordErrors] = useState([]);
+  const [showPassword, setShowPassword] = useState(false);
+  const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+
+  useEffect(() => {
+    setTimeout(() => setShowContent(true), 100);
+  }, []);
+
+  // Password validation effect
+  useEffect(() => {
+    if (formData.password) {
+      const validation = validatePassword(formData.password);
+      setPasswordStrength(validation.strength);
+      setPasswordErrors(validation.errors);
+    } else {
+      setPasswordStrength(0);
+      setPasswordErrors([]);
+    }
+  }, [formData.password]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    clearError();
+
+    if (formData.password !== formData.confirmPassword) {
+      return; // Let validation handle this
+    }
+
+    const validation = validatePassword(formData.password);
+    if (!validation.isValid) {
+      return; // Let validation handle this
+    }
+
+    const result = await setupPassword(formData.password);
+    if (result.success) {
+      // Navigation will be handled by useEffect in FitMoodApp
+    }
+  };
+
+  const handleSkip = () => {
+    skipPasswordSetup();
+    // Navigation will be handled by useEffect in FitMoodApp
   };
 
   return (
@@ -968,42 +1702,7 @@ function PasswordSetupPage({ setCurrentPage }) {
 
             {/* Password Strength Indicator */}
             {formData.password && (
-              <div className="space-y-2">
-                <div className="flex items-center justify-between text-sm">
-                  <span className="text-gray-600 dark:text-gray-400">Password Strength</span>
-                  <span className={`font-medium ${
-                    passwordStrength >= 80 ? 'text-green-600 dark:text-green-400' :
-                    passwordStrength >= 60 ? 'text-yellow-600 dark:text-yellow-400' :
-                    passwordStrength >= 40 ? 'text-orange-600 dark:text-orange-400' :
-                    'text-red-600 dark:text-red-400'
-                  }`}>
-                    {passwordStrength >= 80 ? 'Strong' :
-                     passwordStrength >= 60 ? 'Good' :
-                     passwordStrength >= 40 ? 'Fair' : 'Weak'}
-                  </span>
-                </div>
-                <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
-                  <div 
-                    className={`h-2 rounded-full transition-all duration-300 ${
-                      passwordStrength >= 80 ? 'bg-green-500' :
-                      passwordStrength >= 60 ? 'bg-yellow-500' :
-                      passwordStrength >= 40 ? 'bg-orange-500' :
-                      'bg-red-500'
-                    }`}
-                    style={{ width: `${passwordStrength}%` }}
-                  ></div>
-                </div>
-                {passwordErrors.length > 0 && (
-                  <div className="text-xs text-red-600 dark:text-red-400 space-y-1">
-                    {passwordErrors.map((error, index) => (
-                      <div key={index} className="flex items-center gap-1">
-                        <span>•</span>
-                        <span>{error}</span>
-                      </div>
-                    ))}
-                  </div>
-                )}
-              </div>
+              <PasswordStrengthMeter strength={passwordStrength} errors={passwordErrors} />
             )}
 
             {/* Confirm Password Field */}
@@ -1099,12 +1798,82 @@ function PasswordSetupPage({ setCurrentPage }) {
   );
 }
 
+// ========================================
+// MOOD EDIT / DELETE HELPERS
+// ========================================
+// Moods logged offline only exist in IndexedDB until they sync, so their
+// changes are applied locally instead of being sent to the server
+async function submitMoodChange(action, mood, payload) {
+  return mood.synced === false
+    ? queueMoodChange(action, await encryptMoodPayload(action, payload), mood.userId)
+    : apiCall(action, payload);
+}
+
+// ========================================
+// ANNOUNCEMENT BANNERS
+// ========================================
+function AnnouncementBanners() {
+  const [announcements, setAnnouncements] = useState([]);
+
+  useEffect(() => {
+    if (!navigator.onLine) return;
+    apiCall('getAnnouncements')
+      .then(result => setAnnouncements(result.announcements || []))
+      .catch(err => console.error('Announcements error:', err));
+  }, []);
+
+  const dismiss = (announcementId) => {
+    setAnnouncements(prev => prev.filter(a => a.id !== announcementId));
+    apiCall('dismissAnnouncement', { announcementId })
+      .catch(err => console.error('Dismiss announcement error:', err));
+  };
+
+  if (announcements.length === 0) return null;
+
+  return (
+    <div className="space-y-3 mb-6">
+      {announcements.map(announcement => (
+        <div
+          key={announcement.id}
+          className="relative bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-800 rounded-2xl p-4 pr-12 animate-fade-in-up"
+        >
+          <div className="flex items-start gap-3">
+            <Bell className="text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" size={20} />
+            <div>
+              <h3 className="font-semibold text-amber-900 dark:text-amber-100">{announcement.title}</h3>
+              <p className="text-sm text-amber-800 dark:text-amber-200 whitespace-pre-wrap">{announcement.body}</p>
+            </div>
+          </div>
+          <button
+            onClick={() => dismiss(announcement.id)}
+            className="absolute top-3 right-3 p-1 rounded-lg text-amber-700 dark:text-amber-300 hover:bg-amber-100 dark:hover:bg-amber-800/50"
+            aria-label="Dismiss announcement"
+          >
+            <X size={18} />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // ========================================
 // HOME PAGE WITH ENHANCED LAYOUT
 // ========================================
 function HomePage({ currentUser, moodHistory, loadUserData, userStats, darkMode, setCurrentPage }) {
   const [showMoodEntry, setShowMoodEntry] = useState(false);
   const [recommendations, setRecommendations] = useState(null);
+  const [editingMood, setEditingMood] = useState(null);
+
+  const handleDeleteMood = async (mood) => {
+    if (!confirm('Delete this mood entry? This cannot be undone.')) return;
+    try {
+      await submitMoodChange('deleteMood', mood, { moodId: mood.id });
+      loadUserData(currentUser.userId);
+    } catch (error) {
+      alert('Error deleting mood: ' + error.message);
+    }
+  };
 
   // Get recommendations based on latest mood
   useEffect(() => {
@@ -1115,27 +1884,12 @@ function HomePage({ currentUser, moodHistory, loadUserData, userStats, darkMode,
     }
   }, [moodHistory, userStats]);
 
-  const currentStreak = () => {
-    if (moodHistory.length === 0) return 0;
-    let streak = 0;
-    const today = new Date().toDateString();
-    for (let i = 0; i < moodHistory.length; i++) {
-      const entryDate = new Date(moodHistory[i].timestamp).toDateString();
-      if (entryDate === today || i === 0) {
-        streak++;
-        if (i > 0) {
-          const prevDate = new Date(moodHistory[i - 1].timestamp);
-          const currDate = new Date(moodHistory[i].timestamp);
-          const daysDiff = Math.floor((prevDate - currDate) / (1000 * 60 * 60 * 24));
-          if (daysDiff > 1) break;
-        }
-      } else break;
-    }
-    return streak;
-  };
+  const currentStreak = () => calculateStreak(moodHistory);
 
   return (
     <div className="p-4 max-w-4xl mx-auto">
+      <AnnouncementBanners />
+
       {/* Enhanced Header */}
       <div className={`bg-gradient-to-r from-indigo-500 via-purple-500 to-pink-500 dark:from-indigo-600 dark:via-purple-600 dark:to-pink-600 rounded-3xl p-6 text-white mb-6 shadow-xl`}>
         <div className="flex items-center justify-between mb-2">
@@ -1172,6 +1926,7 @@ function HomePage({ currentUser, moodHistory, loadUserData, userStats, darkMode,
       ) : (
         <MoodEntryForm 
           currentUser={currentUser} 
+          moodHistory={moodHistory}
           onClose={() => setShowMoodEntry(false)}
           onSuccess={() => {
             setShowMoodEntry(false);
@@ -1287,27 +2042,67 @@ function HomePage({ currentUser, moodHistory, loadUserData, userStats, darkMode,
               <div key={idx} className="flex items-center gap-4 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 transition">
                 <div className="text-4xl">{mood.moodEmoji || '😐'}</div>
                 <div className="flex-1">
-                  <div className="font-medium text-gray-900 dark:text-white">{mood.notes || 'No notes'}</div>
+                  <div className="font-medium text-gray-900 dark:text-white">
+                    {mood.locked ? '🔒 Encrypted note' : (mood.notes || 'No notes')}
+                  </div>
                   <div className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                    {getTimeSlotInfo(getMoodTimeSlot(mood)).icon}{' '}
                     {new Date(mood.timestamp).toLocaleDateString('en-US', { 
                       month: 'short', 
                       day: 'numeric',
                       hour: 'numeric',
                       minute: '2-digit'
                     })}
+                    {mood.synced === false && (
+                      <span className="ml-2 inline-flex items-center gap-1 text-xs bg-yellow-100 dark:bg-yellow-900/40 text-yellow-700 dark:text-yellow-300 px-2 py-0.5 rounded-full" title="Saved on this device, waiting to sync">
+                        <CloudOff size={12} /> Not synced
+                      </span>
+                    )}
                   </div>
-                  {mood.triggers && (
-                    <div className="text-xs text-indigo-600 dark:text-indigo-400 mt-1">
-                      Triggers: {mood.triggers}
+                  {normalizeTriggers(mood.triggers).length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {normalizeTriggers(mood.triggers).map(trigger => (
+                        <span key={trigger} className="text-xs bg-indigo-100 dark:bg-indigo-900/40 text-indigo-700 dark:text-indigo-300 px-2 py-0.5 rounded-full">
+                          {getTriggerIcon(trigger)} {trigger}
+                        </span>
+                      ))}
                     </div>
                   )}
                 </div>
+                <div className="flex flex-col gap-1">
+                  <button
+                    onClick={() => setEditingMood(mood)}
+                    className="p-2 rounded-lg text-gray-400 dark:text-gray-500 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-white dark:hover:bg-gray-800 transition"
+                    title="Edit entry"
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDeleteMood(mood)}
+                    className="p-2 rounded-lg text-gray-400 dark:text-gray-500 hover:text-red-600 dark:hover:text-red-400 hover:bg-white dark:hover:bg-gray-800 transition"
+                    title="Delete entry"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
               </div>
             ))}
           </div>
         )}
       </div>
 
+      {editingMood && (
+        <MoodEditModal
+          mood={editingMood}
+          currentUser={currentUser}
+          onClose={() => setEditingMood(null)}
+          onSaved={() => {
+            setEditingMood(null);
+            loadUserData(currentUser.userId);
+          }}
+        />
+      )}
+
       <div className="text-center text-xs text-gray-400 py-4">
         <p>Powered by SAHA | Developed by AALEKH KUMAR</p>
       </div>
@@ -1318,10 +2113,13 @@ function HomePage({ currentUser, moodHistory, loadUserData, userStats, darkMode,
 // ========================================
 // MOOD ENTRY FORM WITH CUSTOM EMOJIS
 // ========================================
-function MoodEntryForm({ currentUser, onClose, onSuccess }) {
+function MoodEntryForm({ currentUser, moodHistory = [], onClose, onSuccess }) {
   const [moodLevel, setMoodLevel] = useState(3);
   const [notes, setNotes] = useState('');
-  const [triggers, setTriggers] = useState('');
+  const [triggers, setTriggers] = useState([]);
+  const [backdate, setBackdate] = useState(false);
+  const [loggedAt, setLoggedAt] = useState(() => toDateTimeLocalValue(new Date()));
+  const [timeSlot, setTimeSlot] = useState(() => getTimeSlotForDate(new Date()));
   const [suggestion, setSuggestion] = useState('');
   const [loading, setLoading] = useState(false);
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
@@ -1331,7 +2129,13 @@ function MoodEntryForm({ currentUser, onClose, onSuccess }) {
   const moodLabels = ['Very Sad', 'Sad', 'Neutral', 'Good', 'Very Happy'];
   const emojiPresets = getEmojiPresets();
 
+  const backdateBounds = getBackdateBounds();
+  const backdateError = backdate ? validateMoodTimestamp(loggedAt) : null;
+  const loggedSlots = getLoggedSlotsToday(moodHistory);
+
   const handleSubmit = async () => {
+    if (backdateError) return;
+
     setLoading(true);
     try {
       const moodEmoji = customEmojis[moodLevel - 1];
@@ -1340,7 +2144,9 @@ function MoodEntryForm({ currentUser, onClose, onSuccess }) {
         moodLevel: moodLevel,
         notes: notes,
         triggers: triggers,
-        moodEmoji: moodEmoji
+        moodEmoji: moodEmoji,
+        timeSlot: timeSlot,
+        ...(backdate && { timestamp: new Date(loggedAt).toISOString() })
       });
 
       if (result.success) {
@@ -1481,6 +2287,63 @@ function MoodEntryForm({ currentUser, onClose, onSuccess }) {
         </div>
       </div>
 
+      <div className="mb-4">
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-medium text-gray-900 dark:text-white">When?</label>
+          <button
+            type="button"
+            onClick={() => {
+              setBackdate(!backdate);
+              setLoggedAt(toDateTimeLocalValue(new Date()));
+              setTimeSlot(getTimeSlotForDate(new Date()));
+            }}
+            className="text-xs text-indigo-600 dark:text-indigo-400 hover:underline flex items-center gap-1"
+          >
+            <Clock size={12} />
+            {backdate ? 'Use current time' : 'Log for an earlier time'}
+          </button>
+        </div>
+        {backdate ? (
+          <>
+            <input
+              type="datetime-local"
+              value={loggedAt}
+              min={toDateTimeLocalValue(backdateBounds.min)}
+              max={toDateTimeLocalValue(backdateBounds.max)}
+              onChange={(e) => {
+                setLoggedAt(e.target.value);
+                if (!validateMoodTimestamp(e.target.value)) {
+                  setTimeSlot(getTimeSlotForDate(e.target.value));
+                }
+              }}
+              className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none"
+            />
+            {backdateError && (
+              <p className="text-xs text-red-600 dark:text-red-400 mt-1">{backdateError}</p>
+            )}
+          </>
+        ) : (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Now</p>
+        )}
+        <div className="grid grid-cols-3 gap-2 mt-3">
+          {getTimeSlots().map(slot => (
+            <button
+              key={slot.id}
+              type="button"
+              onClick={() => setTimeSlot(slot.id)}
+              className={`px-3 py-2 rounded-xl text-sm transition ${
+                timeSlot === slot.id
+                  ? 'bg-indigo-500 dark:bg-indigo-600 text-white shadow-md'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              {slot.icon} {slot.name}
+              {!backdate && loggedSlots.has(slot.id) && <span className="ml-1">✓</span>}
+            </button>
+          ))}
+        </div>
+      </div>
+
       <div className="mb-4">
         <label className="block text-sm font-medium mb-2 text-gray-900 dark:text-white">Notes (Optional)</label>
         <textarea
@@ -1494,18 +2357,12 @@ function MoodEntryForm({ currentUser, onClose, onSuccess }) {
 
       <div className="mb-6">
         <label className="block text-sm font-medium mb-2 text-gray-900 dark:text-white">Triggers (Optional)</label>
-        <input
-          type="text"
-          className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none"
-          placeholder="e.g., work, relationships, health"
-          value={triggers}
-          onChange={(e) => setTriggers(e.target.value)}
-        />
+        <TriggerPicker triggers={triggers} onChange={setTriggers} />
       </div>
 
       <button
         onClick={handleSubmit}
-        disabled={loading}
+        disabled={loading || !!backdateError}
         className="w-full bg-gradient-to-r from-indigo-500 to-purple-500 text-white py-3 rounded-xl font-semibold hover:shadow-lg transition disabled:opacity-50"
       >
         {loading ? 'Saving...' : 'Save Mood'}
@@ -1515,26 +2372,207 @@ function MoodEntryForm({ currentUser, onClose, onSuccess }) {
 }
 
 // ========================================
-// ANALYTICS PAGE WITH ENHANCED CHARTS
+// MOOD EDIT MODAL
 // ========================================
-function AnalyticsPage({ userStats, moodHistory, darkMode }) {
-  if (!userStats || moodHistory.length === 0) {
-    return (
-      <div className="p-4 max-w-4xl mx-auto">
-        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-8 text-center border border-gray-100 dark:border-gray-700">
-          <BarChart3 className="mx-auto text-gray-400 dark:text-gray-500 mb-4" size={64} />
-          <h3 className="text-xl font-semibold mb-2 text-gray-900 dark:text-white">No Data Yet</h3>
-          <p className="text-gray-600 dark:text-gray-400">Start logging your moods to see analytics!</p>
-        </div>
-      </div>
-    );
-  }
+function MoodEditModal({ mood, currentUser, onClose, onSaved }) {
+  const [moodLevel, setMoodLevel] = useState(Number(mood.moodLevel) || 3);
+  const [notes, setNotes] = useState(mood.notes || '');
+  const [triggers, setTriggers] = useState(() => normalizeTriggers(mood.triggers));
+  const [saving, setSaving] = useState(false);
+  const customEmojis = getCustomEmojis(currentUser?.userId);
+  const moodLabels = ['Very Sad', 'Sad', 'Neutral', 'Good', 'Very Happy'];
 
-  // Enhanced chart data
-  const chartData = (userStats.recentMoods || []).slice(-30).map(m => ({
-    date: new Date(m.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-    mood: m.level,
-    fullDate: m.date
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      // Locked notes can't be edited here; leave their ciphertext as it is
+      await submitMoodChange('updateMood', mood, {
+        moodId: mood.id,
+        moodLevel,
+        ...(!mood.locked && { notes, triggers }),
+        moodEmoji: customEmojis[moodLevel - 1]
+      });
+      onSaved();
+    } catch (error) {
+      alert('Error updating mood: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-semibold text-xl text-gray-900 dark:text-white">Edit Mood Entry</h3>
+          <button onClick={onClose} className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300">
+            <X size={24} />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          Logged {new Date(mood.timestamp).toLocaleString()}
+        </p>
+
+        <div className="flex justify-between gap-2 mb-6">
+          {customEmojis.map((emoji, idx) => (
+            <button
+              key={idx}
+              onClick={() => setMoodLevel(idx + 1)}
+              className={`flex-1 p-3 rounded-xl transition ${
+                moodLevel === idx + 1
+                  ? 'bg-indigo-500 dark:bg-indigo-600 text-white shadow-lg scale-105'
+                  : 'bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+              title={moodLabels[idx]}
+            >
+              <div className="text-2xl">{emoji}</div>
+            </button>
+          ))}
+        </div>
+
+        {mood.locked ? (
+          <div className="mb-6 p-3 rounded-xl text-sm bg-gray-50 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+            🔒 This entry's notes and triggers are encrypted. Unlock them from your profile to edit them on this device.
+          </div>
+        ) : (
+          <>
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-2 text-gray-900 dark:text-white">Notes</label>
+              <textarea
+                className="w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none"
+                rows="3"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+            </div>
+
+            <div className="mb-6">
+              <label className="block text-sm font-medium mb-2 text-gray-900 dark:text-white">Triggers</label>
+              <TriggerPicker triggers={triggers} onChange={setTriggers} />
+            </div>
+          </>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex-1 py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// TRIGGER PICKER (PRESET CHIPS + FREE TEXT)
+// ========================================
+function TriggerPicker({ triggers, onChange }) {
+  const [customTrigger, setCustomTrigger] = useState('');
+  const presetTriggers = getDefaultTriggers();
+
+  const toggleTrigger = (name) => {
+    onChange(hasTrigger(triggers, name) ? removeTrigger(triggers, name) : addTrigger(triggers, name));
+  };
+
+  const handleAddCustomTrigger = () => {
+    if (!customTrigger.trim()) return;
+    onChange(normalizeTriggers([...triggers, ...customTrigger.split(',')]));
+    setCustomTrigger('');
+  };
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {presetTriggers.map(trigger => {
+          const selected = hasTrigger(triggers, trigger.name);
+          return (
+            <button
+              key={trigger.id}
+              type="button"
+              onClick={() => toggleTrigger(trigger.name)}
+              className={`px-3 py-1 rounded-full text-sm transition ${
+                selected
+                  ? 'bg-indigo-500 dark:bg-indigo-600 text-white shadow'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              <span className="mr-1">{trigger.icon}</span>
+              {trigger.name}
+            </button>
+          );
+        })}
+        {triggers
+          .filter(name => !presetTriggers.some(t => t.name.toLowerCase() === name.toLowerCase()))
+          .map(name => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => toggleTrigger(name)}
+              className="px-3 py-1 rounded-full text-sm bg-indigo-500 dark:bg-indigo-600 text-white shadow flex items-center gap-1"
+            >
+              <span>🏷️ {name}</span>
+              <X size={14} />
+            </button>
+          ))}
+      </div>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          className="flex-1 px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none"
+          placeholder="Add your own, e.g. commute"
+          value={customTrigger}
+          onChange={(e) => setCustomTrigger(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+              e.preventDefault();
+              handleAddCustomTrigger();
+            }
+          }}
+        />
+        <button
+          type="button"
+          onClick={handleAddCustomTrigger}
+          className="px-4 py-3 rounded-xl bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
+        >
+          Add
+        </button>
+      </div>
+    </>
+  );
+}
+
+// ========================================
+// ANALYTICS PAGE WITH ENHANCED CHARTS
+// ========================================
+function AnalyticsPage({ userStats, moodHistory, darkMode }) {
+  if (!userStats || moodHistory.length === 0) {
+    return (
+      <div className="p-4 max-w-4xl mx-auto">
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-8 text-center border border-gray-100 dark:border-gray-700">
+          <BarChart3 className="mx-auto text-gray-400 dark:text-gray-500 mb-4" size={64} />
+          <h3 className="text-xl font-semibold mb-2 text-gray-900 dark:text-white">No Data Yet</h3>
+          <p className="text-gray-600 dark:text-gray-400">Start logging your moods to see analytics!</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Enhanced chart data
+  const chartData = (userStats.recentMoods || []).slice(-30).map(m => ({
+    date: new Date(m.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+    mood: m.level,
+    fullDate: m.date
   }));
 
   const moodDistData = Object.entries(userStats.moodDistribution || {}).map(([level, count]) => ({
@@ -1564,10 +2602,21 @@ function AnalyticsPage({ userStats, moodHistory, darkMode }) {
 
   const COLORS = ['#ef4444', '#f59e0b', '#eab308', '#22c55e', '#3b82f6'];
 
+  // Time-of-day data: every entry counts, not just the daily average
+  const slotAverages = getSlotAverages(moodHistory);
+  const heatmap = buildMoodHeatmap(moodHistory);
+
   return (
     <div className="p-4 max-w-4xl mx-auto">
       <h2 className="text-2xl font-bold mb-6 text-gray-900 dark:text-white">Your Analytics</h2>
 
+      {userStats.isLocal && (
+        <div className="flex items-center gap-2 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 text-yellow-800 dark:text-yellow-300 rounded-xl px-4 py-3 mb-6 text-sm">
+          <CloudOff size={16} />
+          <span>Can't reach the server. Showing stats from entries saved on this device.</span>
+        </div>
+      )}
+
       <div className="grid grid-cols-2 gap-4 mb-6">
         <div className="bg-gradient-to-br from-blue-500 to-blue-600 rounded-2xl shadow-lg p-4 text-white">
           <div className="text-3xl font-bold">{userStats.totalEntries || 0}</div>
@@ -1632,6 +2681,45 @@ function AnalyticsPage({ userStats, moodHistory, darkMode }) {
         </ResponsiveContainer>
       </div>
 
+      {/* Time of Day Heatmap */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 mb-6 border border-gray-100 dark:border-gray-700">
+        <h3 className="font-semibold text-lg mb-4 text-gray-900 dark:text-white">Mood by Time of Day</h3>
+        <div className="grid grid-cols-3 gap-2 mb-4">
+          {slotAverages.map(slot => (
+            <div key={slot.id} className="p-3 bg-gray-50 dark:bg-gray-700 rounded-xl text-center">
+              <div className="text-2xl">{slot.icon}</div>
+              <div className="text-lg font-bold text-gray-900 dark:text-white">{slot.avg ? slot.avg.toFixed(1) : '–'}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">{slot.name} · {slot.count}</div>
+            </div>
+          ))}
+        </div>
+        <div className="overflow-x-auto">
+          <div className="min-w-[480px]">
+            {heatmap.map(row => (
+              <div key={row.day} className="flex items-center gap-px mb-px">
+                <span className="w-10 text-xs text-gray-500 dark:text-gray-400">{row.day}</span>
+                {row.hours.map((avg, hour) => (
+                  <div
+                    key={hour}
+                    title={`${row.day} ${hour}:00 – ${avg ? avg.toFixed(1) : 'no entries'}`}
+                    className={`flex-1 h-5 rounded-sm ${avg ? '' : 'bg-gray-100 dark:bg-gray-700'}`}
+                    style={avg ? { backgroundColor: COLORS[Math.round(avg) - 1] || COLORS[2] } : undefined}
+                  />
+                ))}
+              </div>
+            ))}
+            <div className="flex gap-px mt-1">
+              <span className="w-10" />
+              {Array.from({ length: 24 }, (_, hour) => (
+                <span key={hour} className="flex-1 text-[10px] text-center text-gray-400 dark:text-gray-500">
+                  {hour % 6 === 0 ? hour : ''}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
       {/* Mood Distribution Pie Chart */}
       <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 mb-6 border border-gray-100 dark:border-gray-700">
         <h3 className="font-semibold text-lg mb-4 text-gray-900 dark:text-white">Mood Distribution</h3>
@@ -1663,14 +2751,14 @@ function AnalyticsPage({ userStats, moodHistory, darkMode }) {
       </div>
 
       {userStats.topTriggers && userStats.topTriggers.length > 0 && (
-        <div className="bg-white rounded-2xl shadow p-6">
-          <h3 className="font-semibold text-lg mb-4">Common Triggers</h3>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 border border-gray-100 dark:border-gray-700">
+          <h3 className="font-semibold text-lg mb-4 text-gray-900 dark:text-white">Common Triggers</h3>
           <div className="space-y-2">
-            {userStats.topTriggers.map(([trigger, count], idx) => (
-              <div key={idx} className="flex justify-between items-center p-3 bg-gray-50 rounded-xl">
-                <span className="font-medium">{trigger}</span>
+            {userStats.topTriggers.map((trigger, idx) => (
+              <div key={idx} className="flex justify-between items-center p-3 bg-gray-50 dark:bg-gray-700 rounded-xl">
+                <span className="font-medium text-gray-900 dark:text-white">{getTriggerIcon(trigger.name)} {trigger.name}</span>
                 <span className="bg-indigo-100 text-indigo-600 px-3 py-1 rounded-full text-sm">
-                  {count} times
+                  {trigger.count} times
                 </span>
               </div>
             ))}
@@ -1767,6 +2855,135 @@ function AIChatPage({ currentUser }) {
   );
 }
 
+// ========================================
+// INBOX (MESSAGES FROM THE FITMOOD TEAM)
+// ========================================
+// One thread per user, shared by the inbox and the admin user view. viewer is
+// 'user' or 'staff'; the viewer's own messages sit on the right with a read receipt.
+function MessageThread({ messages, viewer }) {
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: 'end' });
+  }, [messages.length]);
+
+  const formatTime = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+  return (
+    <div className="space-y-3">
+      {messages.map(message => {
+        const own = (viewer === 'staff') === message.fromStaff;
+        return (
+          <div key={message.id} className={`flex ${own ? 'justify-end' : 'justify-start'}`}>
+            <div className="max-w-md">
+              <div className={`px-4 py-3 rounded-2xl whitespace-pre-wrap break-words ${
+                own
+                  ? 'bg-indigo-500 text-white'
+                  : 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow'
+              }`}>
+                {message.body}
+              </div>
+              <div className={`text-xs text-gray-500 dark:text-gray-400 mt-1 ${own ? 'text-right' : ''}`}>
+                {message.fromStaff ? message.senderName || 'FitMood team' : viewer === 'staff' ? 'User' : 'You'}
+                {' · '}{formatTime(message.sentAt)}
+                {own && (message.readAt ? ` · Read ${formatTime(message.readAt)}` : ' · Sent')}
+                {viewer === 'staff' && message.emailedAt && ' · ✉️ Emailed'}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+      <div ref={bottomRef} />
+    </div>
+  );
+}
+
+function InboxPage({ isOnline, onRead }) {
+  const [messages, setMessages] = useState(null);
+  const [reply, setReply] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOnline) loadMessages();
+  }, [isOnline]);
+
+  const loadMessages = async () => {
+    try {
+      const result = await apiCall('getMessages');
+      setMessages(result.messages);
+      if (result.unreadCount > 0) {
+        await apiCall('markMessagesRead');
+      }
+      onRead();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    setSending(true);
+    setError('');
+    try {
+      const result = await apiCall('replyToSupport', { message: reply });
+      setMessages(prev => [...(prev || []), result.sentMessage]);
+      setReply('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="p-4 max-w-4xl mx-auto">
+      <div className="bg-gradient-to-r from-indigo-500 to-purple-500 dark:from-indigo-600 dark:to-purple-600 rounded-3xl p-6 text-white mb-6 shadow-xl">
+        <h2 className="text-2xl font-bold mb-1">Inbox</h2>
+        <p className="text-white/90">Messages from the FitMood team. Reply here and we'll see it.</p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-xl text-sm bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</div>
+      )}
+
+      <div className="bg-gray-50 dark:bg-gray-800 rounded-2xl p-4 mb-4 border border-gray-100 dark:border-gray-700 min-h-[200px]">
+        {!isOnline && !messages ? (
+          <p className="text-center py-8 text-gray-500 dark:text-gray-400">Your inbox is available when you're online.</p>
+        ) : !messages ? (
+          <p className="text-center py-8 text-gray-500 dark:text-gray-400">Loading messages...</p>
+        ) : messages.length === 0 ? (
+          <p className="text-center py-8 text-gray-500 dark:text-gray-400">No messages yet.</p>
+        ) : (
+          <MessageThread messages={messages} viewer="user" />
+        )}
+      </div>
+
+      {messages && (
+        <form onSubmit={handleReply} className="flex gap-2">
+          <textarea
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            placeholder="Write a reply..."
+            rows={2}
+            maxLength={2000}
+            className="flex-1 px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 focus:outline-none"
+          />
+          <button
+            type="submit"
+            disabled={sending || !isOnline || !reply.trim()}
+            className="bg-indigo-500 text-white px-6 py-3 rounded-xl hover:bg-indigo-600 transition disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Send'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
 // ========================================
 // HABITS PAGE - SELF-CARE HABITS TRACKING
 // ========================================
@@ -2095,44 +3312,93 @@ function LandingPage({ setCurrentPage }) {
 // ========================================
 // ENHANCED PROFILE PAGE WITH ANIMATIONS
 // ========================================
-function ProfilePage({ currentUser, userStats, logout, darkMode, toggleDarkMode }) {
-  const [notificationsEnabled, setNotificationsEnabled] = useState(false);
-  const [reminderTime, setReminderTime] = useState('09:00');
+function ProfilePage({ currentUser, userStats, moodHistory, loadUserData, logout, darkMode, toggleDarkMode }) {
+  const [reminderSchedule, setReminderSchedule] = useState(() => getDefaultReminderSchedule());
   const [showStats, setShowStats] = useState(false);
+  const [exportRange, setExportRange] = useState(() => {
+    const from = new Date();
+    from.setDate(from.getDate() - 30);
+    return { from: toLocalDateKey(from), to: toLocalDateKey(new Date()) };
+  });
+  const [exporting, setExporting] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [showDeleteAccount, setShowDeleteAccount] = useState(false);
+  const notificationsEnabled = reminderSchedule.enabled;
 
   useEffect(() => {
-    const savedTime = getStorageItem('reminder_time');
-    if (savedTime) {
-      setReminderTime(savedTime);
-      setNotificationsEnabled(true);
-    }
-    if (isNotificationSupported()) {
-      Notification.permission === 'granted' && setNotificationsEnabled(true);
-    }
+    loadReminderSchedule()
+      .then(setReminderSchedule)
+      .catch(err => console.error('Error loading reminders:', err));
     setTimeout(() => setShowStats(true), 300);
   }, []);
 
+  const updateReminderSchedule = async (schedule) => {
+    setReminderSchedule(schedule);
+    try {
+      await applyReminderSchedule(schedule);
+    } catch (error) {
+      console.error('Error saving reminders:', error);
+    }
+  };
+
   const handleNotificationToggle = async () => {
     if (!notificationsEnabled) {
       const result = await requestNotificationPermission();
       if (result.granted) {
-        setNotificationsEnabled(true);
-        await scheduleDailyReminder(reminderTime);
+        await updateReminderSchedule({ ...reminderSchedule, enabled: true });
       } else {
         alert('Please enable notifications in your browser settings.');
       }
     } else {
-      cancelReminders();
-      setNotificationsEnabled(false);
+      await updateReminderSchedule({ ...reminderSchedule, enabled: false });
     }
   };
 
-  const handleReminderTimeChange = async (time) => {
-    setReminderTime(time);
-    setStorageItem('reminder_time', time);
-    if (notificationsEnabled) {
-      cancelReminders();
-      await scheduleDailyReminder(time);
+  const handleReminderSlotChange = (slotId, changes) => {
+    updateReminderSchedule({
+      ...reminderSchedule,
+      slots: {
+        ...reminderSchedule.slots,
+        [slotId]: { ...reminderSchedule.slots[slotId], ...changes }
+      }
+    });
+  };
+
+  const toggleReminderDay = (slotId, day) => {
+    const days = reminderSchedule.slots[slotId].days;
+    handleReminderSlotChange(slotId, {
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort()
+    });
+  };
+
+  const handleExport = async (format) => {
+    // Open the report window now, while we're still inside the click
+    const reportWindow = format === 'report' ? window.open('', '_blank') : null;
+    setExporting(format);
+    try {
+      const result = await apiCall('exportUserData');
+      const decrypted = await decryptMoods(result.export.moods);
+      if (decrypted.some(m => m.locked)) {
+        throw new Error('Some notes are encrypted and locked on this device. Unlock them from your profile first.');
+      }
+      const moods = filterMoodsByRange(decrypted, exportRange.from, exportRange.to);
+
+      if (format === 'json') {
+        const bundle = await buildExportBundle({ ...result.export, moods }, currentUser.userId);
+        bundle.range = { from: exportRange.from || null, to: exportRange.to || null };
+        downloadFile(getExportFilename('json', exportRange.from, exportRange.to), JSON.stringify(bundle, null, 2), 'application/json');
+      } else if (format === 'csv') {
+        downloadFile(getExportFilename('csv', exportRange.from, exportRange.to), moodsToCsv(moods), 'text/csv;charset=utf-8');
+      } else if (reportWindow) {
+        openPrintableReport(reportWindow, buildPrintableReport({ user: result.export.user, moods, ...exportRange }));
+      } else {
+        alert('Please allow pop-ups to open the printable report.');
+      }
+    } catch (error) {
+      if (reportWindow) reportWindow.close();
+      alert('Export failed: ' + error.message);
+    } finally {
+      setExporting(null);
     }
   };
 
@@ -2171,7 +3437,7 @@ function ProfilePage({ currentUser, userStats, logout, darkMode, toggleDarkMode
           {/* Role Badge */}
           <div className="mt-4 inline-block">
             <span className="px-4 py-2 bg-white/20 backdrop-blur-lg rounded-full text-sm font-semibold border border-white/30">
-              {currentUser?.role === 'admin' ? '👑 Admin' : '👤 Member'}
+              {ROLE_LABELS[currentUser?.role] || ROLE_LABELS.user}
             </span>
           </div>
         </div>
@@ -2256,86 +3522,2203 @@ function ProfilePage({ currentUser, userStats, logout, darkMode, toggleDarkMode
           </button>
         </div>
 
-        {/* Notifications */}
-        {isNotificationSupported() && (
-          <>
-            <div className="flex items-center justify-between py-4 border-b border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 rounded-lg px-3 transition-colors">
-              <div className="flex items-center gap-4">
-                <div className={`p-3 rounded-xl ${notificationsEnabled ? 'bg-green-100 dark:bg-green-900/30' : 'bg-gray-100 dark:bg-gray-700'}`}>
-                  {notificationsEnabled ? <Bell className="text-green-600 dark:text-green-400" size={24} /> : <BellOff className="text-gray-400" size={24} />}
+        {/* Notifications */}
+        {isNotificationSupported() && (
+          <>
+            <div className="flex items-center justify-between py-4 border-b border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 rounded-lg px-3 transition-colors">
+              <div className="flex items-center gap-4">
+                <div className={`p-3 rounded-xl ${notificationsEnabled ? 'bg-green-100 dark:bg-green-900/30' : 'bg-gray-100 dark:bg-gray-700'}`}>
+                  {notificationsEnabled ? <Bell className="text-green-600 dark:text-green-400" size={24} /> : <BellOff className="text-gray-400" size={24} />}
+                </div>
+                <div>
+                  <span className="font-semibold text-gray-900 dark:text-white block">Daily Reminders</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">Never forget to check in</span>
+                </div>
+              </div>
+              <button
+                onClick={handleNotificationToggle}
+                className={`relative inline-flex h-7 w-12 items-center rounded-full transition-all duration-300 ${
+                  notificationsEnabled ? 'bg-green-600 shadow-lg shadow-green-500/50' : 'bg-gray-300'
+                }`}
+              >
+                <span
+                  className={`inline-block h-5 w-5 transform rounded-full bg-white transition-transform duration-300 shadow-md ${
+                    notificationsEnabled ? 'translate-x-6' : 'translate-x-1'
+                  }`}
+                />
+              </button>
+            </div>
+
+            {notificationsEnabled && (
+              <div className="py-4 px-3">
+                <label className="block text-sm font-semibold mb-3 text-gray-700 dark:text-gray-300">Check-in Reminders</label>
+                <div className="space-y-4">
+                  {getTimeSlots().map(slot => {
+                    const entry = reminderSchedule.slots[slot.id];
+                    return (
+                      <div key={slot.id}>
+                        <div className="flex items-center gap-3">
+                          <label className="flex items-center gap-2 w-36 text-sm text-gray-900 dark:text-white">
+                            <input
+                              type="checkbox"
+                              checked={entry.enabled}
+                              onChange={(e) => handleReminderSlotChange(slot.id, { enabled: e.target.checked })}
+                              className="w-4 h-4 accent-indigo-600"
+                            />
+                            {slot.icon} {slot.name}
+                          </label>
+                          <input
+                            type="time"
+                            value={entry.time}
+                            disabled={!entry.enabled}
+                            onChange={(e) => handleReminderSlotChange(slot.id, { time: e.target.value })}
+                            className="flex-1 px-4 py-2 border-2 border-indigo-200 dark:border-indigo-800 rounded-xl bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none transition-colors disabled:opacity-50"
+                          />
+                        </div>
+                        {entry.enabled && (
+                          <div className="flex gap-1 mt-2 ml-6">
+                            {['S', 'M', 'T', 'W', 'T', 'F', 'S'].map((label, day) => (
+                              <button
+                                key={day}
+                                type="button"
+                                onClick={() => toggleReminderDay(slot.id, day)}
+                                className={`w-8 h-8 rounded-full text-xs font-semibold transition ${
+                                  entry.days.includes(day)
+                                    ? 'bg-indigo-500 dark:bg-indigo-600 text-white'
+                                    : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
+                                }`}
+                              >
+                                {label}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Password, Email & Phone */}
+      <AccountSecurityCard currentUser={currentUser} />
+      <TwoFactorCard />
+      <NoteEncryptionCard currentUser={currentUser} loadUserData={loadUserData} />
+      <AppLockCard currentUser={currentUser} logout={logout} />
+      <DevicesCard />
+
+      {/* Data Export */}
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-6 border border-gray-100 dark:border-gray-700 animate-fade-in-up">
+        <div className="flex items-center gap-3 mb-2">
+          <Download className="text-indigo-600 dark:text-indigo-400" size={24} />
+          <h3 className="font-bold text-xl text-gray-900 dark:text-white">Export My Data</h3>
+        </div>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          Download your entries for your own records or to share with a therapist.
+        </p>
+
+        <div className="grid grid-cols-2 gap-3 mb-4">
+          <label className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+            From
+            <input
+              type="date"
+              value={exportRange.from}
+              max={exportRange.to || undefined}
+              onChange={(e) => setExportRange({ ...exportRange, from: e.target.value })}
+              className="mt-1 w-full px-4 py-2 border-2 border-indigo-200 dark:border-indigo-800 rounded-xl bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none transition-colors"
+            />
+          </label>
+          <label className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+            To
+            <input
+              type="date"
+              value={exportRange.to}
+              min={exportRange.from || undefined}
+              onChange={(e) => setExportRange({ ...exportRange, to: e.target.value })}
+              className="mt-1 w-full px-4 py-2 border-2 border-indigo-200 dark:border-indigo-800 rounded-xl bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none transition-colors"
+            />
+          </label>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3">
+          {[
+            { format: 'json', label: 'JSON', hint: 'Full backup' },
+            { format: 'csv', label: 'CSV', hint: 'Spreadsheet' },
+            { format: 'report', label: 'Report', hint: 'Print / PDF' }
+          ].map(option => (
+            <button
+              key={option.format}
+              onClick={() => handleExport(option.format)}
+              disabled={exporting !== null}
+              className="flex flex-col items-center gap-1 p-4 rounded-xl border-2 border-indigo-200 dark:border-indigo-800 hover:bg-indigo-50 dark:hover:bg-indigo-900/30 transition disabled:opacity-50"
+            >
+              {exporting === option.format
+                ? <RefreshCw className="text-indigo-600 dark:text-indigo-400 animate-spin" size={20} />
+                : <FileText className="text-indigo-600 dark:text-indigo-400" size={20} />}
+              <span className="font-semibold text-gray-900 dark:text-white">{option.label}</span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">{option.hint}</span>
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-400 dark:text-gray-500 mt-3">
+          The JSON backup also includes your habits and settings from this device.
+        </p>
+
+        <button
+          onClick={() => setShowImport(true)}
+          className="w-full mt-4 flex items-center justify-center gap-2 py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition"
+        >
+          <Upload size={18} />
+          Import from a backup or another app
+        </button>
+      </div>
+
+      {showImport && (
+        <ImportWizard
+          currentUser={currentUser}
+          moodHistory={moodHistory}
+          onClose={() => setShowImport(false)}
+          onImported={() => loadUserData(currentUser.userId)}
+        />
+      )}
+
+      {/* Enhanced Action Buttons */}
+      <div className="space-y-3 mb-6">
+        <button className="group w-full bg-gradient-to-r from-pink-500 via-purple-500 to-indigo-500 rounded-2xl shadow-lg p-5 text-left hover:shadow-xl transition-all duration-300 hover:scale-[1.02] border border-transparent">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-4">
+              <div className="p-3 bg-white/20 rounded-xl group-hover:bg-white/30 transition-colors">
+                <Heart className="text-white" size={24} />
+              </div>
+              <div>
+                <span className="font-semibold text-white block">Mental Health Resources</span>
+                <span className="text-xs text-white/80">Get support and guidance</span>
+              </div>
+            </div>
+            <ChevronRight className="text-white/80 group-hover:text-white group-hover:translate-x-1 transition-all" />
+          </div>
+        </button>
+
+        <button
+          onClick={logout}
+          className="group w-full bg-gradient-to-r from-red-500 to-pink-500 rounded-2xl shadow-lg p-5 text-left hover:shadow-xl transition-all duration-300 hover:scale-[1.02]"
+        >
+          <div className="flex items-center gap-4">
+            <div className="p-3 bg-white/20 rounded-xl group-hover:bg-white/30 transition-colors">
+              <LogOut className="text-white" size={24} />
+            </div>
+            <div>
+              <span className="font-semibold text-white block">Logout</span>
+              <span className="text-xs text-white/80">Sign out of your account</span>
+            </div>
+          </div>
+        </button>
+
+        <button
+          onClick={() => setShowDeleteAccount(true)}
+          className="group w-full bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-5 text-left hover:shadow-xl transition-all duration-300 border-2 border-red-200 dark:border-red-900"
+        >
+          <div className="flex items-center gap-4">
+            <div className="p-3 bg-red-100 dark:bg-red-900/30 rounded-xl">
+              <Trash2 className="text-red-600 dark:text-red-400" size={24} />
+            </div>
+            <div>
+              <span className="font-semibold text-red-600 dark:text-red-400 block">Delete Account</span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">Permanently erase your account and data</span>
+            </div>
+          </div>
+        </button>
+      </div>
+
+      {showDeleteAccount && (
+        <DeleteAccountModal onClose={() => setShowDeleteAccount(false)} />
+      )}
+
+      {/* Footer */}
+      <div className="text-center text-xs text-gray-400 dark:text-gray-500 py-6">
+        <p className="mb-1">Powered by SAHA</p>
+        <p>Developed by AALEKH KUMAR</p>
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// IMPORT WIZARD (FITMOOD BACKUPS + OTHER TRACKERS' CSVS)
+// ========================================
+function ImportWizard({ currentUser, moodHistory = [], onClose, onImported }) {
+  const [step, setStep] = useState('file');
+  const [source, setSource] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [options, setOptions] = useState({ scale: '1-5', dateFormat: 'auto' });
+  const [restoreSettings, setRestoreSettings] = useState(true);
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const fieldLabels = { date: 'Date', time: 'Time (optional)', level: 'Mood', notes: 'Notes (optional)', tags: 'Tags (optional)' };
+  const moodLabels = ['Very Sad', 'Sad', 'Neutral', 'Good', 'Very Happy'];
+
+  const showPreview = ({ entries, errors }) => {
+    const marked = markDuplicates(entries, moodHistory);
+    setPreview({
+      entries: marked,
+      errors,
+      newEntries: marked.filter(e => !e.duplicate),
+      duplicates: marked.filter(e => e.duplicate)
+    });
+    setStep('preview');
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setError('');
+
+    try {
+      const parsed = parseImportFile(await file.text(), file.name);
+      setSource(parsed);
+
+      if (parsed.type === 'bundle') {
+        showPreview(buildBundleEntries(parsed.bundle));
+      } else {
+        const guessed = guessColumnMapping(parsed.headers);
+        setMapping(guessed);
+        setOptions({
+          scale: guessed.level >= 0 ? detectScale(parsed.rows.map(row => row[guessed.level] || '')) : '1-5',
+          dateFormat: 'auto'
+        });
+        setStep('map');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleMappingChange = (field, index) => {
+    const updated = { ...mapping, [field]: index };
+    setMapping(updated);
+    if (field === 'level' && index >= 0) {
+      setOptions({ ...options, scale: detectScale(source.rows.map(row => row[index] || '')) });
+    }
+  };
+
+  const handleImport = async () => {
+    setStep('importing');
+    setError('');
+    try {
+      const totals = await importMoodBatches(apiCall, preview.newEntries, (done, total) => setProgress({ done, total }));
+      if (source.type === 'bundle' && restoreSettings) {
+        restoreBundleSettings(source.bundle, currentUser.userId);
+      }
+      setSummary(totals);
+      setStep('done');
+      onImported();
+    } catch (err) {
+      setError('Import failed: ' + err.message);
+      setStep('preview');
+    }
+  };
+
+  const selectClass = 'w-full px-3 py-2 border-2 border-indigo-200 dark:border-indigo-800 rounded-xl bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none';
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-lg w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-semibold text-xl text-gray-900 dark:text-white">Import Mood History</h3>
+          <button onClick={onClose} disabled={step === 'importing'} className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300">
+            <X size={24} />
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-xl bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm flex items-start gap-2">
+            <AlertCircle size={18} className="shrink-0 mt-0.5" />
+            {error}
+          </div>
+        )}
+
+        {step === 'file' && (
+          <div>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Choose a FitMood JSON backup, or a CSV exported from another mood tracker. Nothing is saved until you confirm.
+            </p>
+            <label className="flex flex-col items-center gap-2 p-8 border-2 border-dashed border-indigo-300 dark:border-indigo-700 rounded-2xl cursor-pointer hover:bg-indigo-50 dark:hover:bg-indigo-900/20 transition">
+              <Upload className="text-indigo-500" size={32} />
+              <span className="font-semibold text-gray-900 dark:text-white">Choose a .json or .csv file</span>
+              <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+        )}
+
+        {step === 'map' && source && (
+          <div>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Found {source.rows.length} rows. Match the columns to FitMood's fields.
+            </p>
+            <div className="space-y-3 mb-4">
+              {Object.keys(fieldLabels).map(field => (
+                <label key={field} className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                  {fieldLabels[field]}
+                  <select
+                    value={mapping[field]}
+                    onChange={(e) => handleMappingChange(field, Number(e.target.value))}
+                    className={`mt-1 ${selectClass}`}
+                  >
+                    <option value={-1}>— None —</option>
+                    {source.headers.map((header, idx) => (
+                      <option key={idx} value={idx}>
+                        {header || `Column ${idx + 1}`} (e.g. {source.rows[0][idx] || 'empty'})
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+            <div className="grid grid-cols-2 gap-3 mb-6">
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                Mood scale
+                <select value={options.scale} onChange={(e) => setOptions({ ...options, scale: e.target.value })} className={`mt-1 ${selectClass}`}>
+                  {getImportScales().map(scale => <option key={scale.id} value={scale.id}>{scale.name}</option>)}
+                </select>
+              </label>
+              <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300">
+                Date format
+                <select value={options.dateFormat} onChange={(e) => setOptions({ ...options, dateFormat: e.target.value })} className={`mt-1 ${selectClass}`}>
+                  {getDateFormats().map(format => <option key={format.id} value={format.id}>{format.name}</option>)}
+                </select>
+              </label>
+            </div>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setStep('file')}
+                className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+              >
+                Back
+              </button>
+              <button
+                onClick={() => showPreview(buildCsvEntries(source.rows, mapping, options))}
+                disabled={mapping.date < 0 || mapping.level < 0}
+                className="flex-1 py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition disabled:opacity-50"
+              >
+                Preview
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && preview && (
+          <div>
+            <div className="grid grid-cols-3 gap-2 mb-4 text-center">
+              <div className="p-3 rounded-xl bg-green-50 dark:bg-green-900/30">
+                <div className="text-2xl font-bold text-green-600 dark:text-green-400">{preview.newEntries.length}</div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">New</div>
+              </div>
+              <div className="p-3 rounded-xl bg-yellow-50 dark:bg-yellow-900/30">
+                <div className="text-2xl font-bold text-yellow-600 dark:text-yellow-400">{preview.duplicates.length}</div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">Duplicates</div>
+              </div>
+              <div className="p-3 rounded-xl bg-red-50 dark:bg-red-900/30">
+                <div className="text-2xl font-bold text-red-600 dark:text-red-400">{preview.errors.length}</div>
+                <div className="text-xs text-gray-600 dark:text-gray-400">Unreadable</div>
+              </div>
+            </div>
+
+            <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+              Duplicates match an existing entry at the same minute with the same mood and will be skipped.
+            </p>
+            <div className="max-h-60 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-xl mb-4">
+              {preview.entries.slice(0, 100).map((entry, idx) => (
+                <div key={idx} className={`flex items-center gap-3 px-3 py-2 text-sm border-b border-gray-100 dark:border-gray-700 last:border-0 ${entry.duplicate ? 'opacity-50' : ''}`}>
+                  <span className="w-36 text-gray-600 dark:text-gray-400">{new Date(entry.timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}</span>
+                  <span className="w-24 text-gray-900 dark:text-white">{moodLabels[entry.moodLevel - 1]}</span>
+                  <span className="flex-1 truncate text-gray-500 dark:text-gray-400">{entry.notes}</span>
+                  {entry.duplicate && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-yellow-100 dark:bg-yellow-900/40 text-yellow-700 dark:text-yellow-300">Duplicate</span>
+                  )}
+                </div>
+              ))}
+              {preview.entries.length > 100 && (
+                <div className="px-3 py-2 text-xs text-gray-500 dark:text-gray-400">…and {preview.entries.length - 100} more</div>
+              )}
+            </div>
+
+            {preview.errors.length > 0 && (
+              <details className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+                <summary className="cursor-pointer">Show unreadable rows</summary>
+                <ul className="mt-2 space-y-1 max-h-32 overflow-y-auto">
+                  {preview.errors.slice(0, 50).map(err => (
+                    <li key={err.line}>Line {err.line}: {err.error}</li>
+                  ))}
+                </ul>
+              </details>
+            )}
+
+            {source.type === 'bundle' && (
+              <label className="flex items-center gap-2 mb-4 text-sm text-gray-900 dark:text-white">
+                <input
+                  type="checkbox"
+                  checked={restoreSettings}
+                  onChange={(e) => setRestoreSettings(e.target.checked)}
+                  className="w-4 h-4 accent-indigo-600"
+                />
+                Also restore habits and custom emojis from this backup
+              </label>
+            )}
+
+            <div className="flex gap-3">
+              <button
+                onClick={() => setStep(source.type === 'csv' ? 'map' : 'file')}
+                className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={preview.newEntries.length === 0 && !(source.type === 'bundle' && restoreSettings)}
+                className="flex-1 py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition disabled:opacity-50"
+              >
+                Import {preview.newEntries.length} {preview.newEntries.length === 1 ? 'entry' : 'entries'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {step === 'importing' && (
+          <div className="text-center py-6">
+            <RefreshCw className="mx-auto mb-3 text-indigo-500 animate-spin" size={32} />
+            <p className="text-gray-900 dark:text-white font-semibold mb-3">Importing…</p>
+            <div className="bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+              <div
+                className="bg-indigo-500 rounded-full h-2 transition-all"
+                style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+              ></div>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">{progress.done} of {progress.total}</p>
+          </div>
+        )}
+
+        {step === 'done' && summary && (
+          <div className="text-center py-4">
+            <CheckCircle2 className="mx-auto mb-3 text-green-500" size={40} />
+            <p className="text-gray-900 dark:text-white font-semibold mb-1">Imported {summary.imported} {summary.imported === 1 ? 'entry' : 'entries'}</p>
+            {(summary.duplicates > 0 || summary.skipped > 0) && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {summary.duplicates > 0 && `${summary.duplicates} already existed. `}
+                {summary.skipped > 0 && `${summary.skipped} were rejected by the server.`}
+              </p>
+            )}
+            <button
+              onClick={onClose}
+              className="mt-6 w-full py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition"
+            >
+              Done
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// ACCOUNT SECURITY (CHANGE PASSWORD / EMAIL / PHONE)
+// ========================================
+function AccountSecurityCard({ currentUser }) {
+  const { changePassword, requestIdentifierChange, confirmIdentifierChange } = useAuth();
+  const [openForm, setOpenForm] = useState(null);
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [identifierForm, setIdentifierForm] = useState({ newIdentifier: '', password: '', code: '' });
+  const [pendingChange, setPendingChange] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const validation = validatePassword(passwordForm.newPassword);
+  const inputClass = 'w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none';
+
+  const toggleForm = (form) => {
+    setOpenForm(openForm === form ? null : form);
+    setMessage(null);
+  };
+
+  const signedOutNote = (count) =>
+    count > 0 ? ` ${count} other session${count === 1 ? ' was' : 's were'} signed out.` : '';
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setMessage({ type: 'error', text: 'New passwords do not match' });
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+    setSubmitting(false);
+
+    if (result.success) {
+      setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setOpenForm(null);
+      setMessage({ type: 'success', text: 'Password changed.' + signedOutNote(result.sessionsRevoked) });
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+  };
+
+  const handleIdentifierRequest = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const result = await requestIdentifierChange(identifierForm.newIdentifier, identifierForm.password);
+    setSubmitting(false);
+
+    if (result.success) {
+      setPendingChange({ identifierType: result.identifierType, sentTo: result.sentTo, smsFallback: !!result.smsFallback });
+      setIdentifierForm({ ...identifierForm, password: '', code: '' });
+      setMessage(null);
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+  };
+
+  const handleIdentifierConfirm = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const result = await confirmIdentifierChange(identifierForm.code);
+    setSubmitting(false);
+
+    if (result.success) {
+      setPendingChange(null);
+      setIdentifierForm({ newIdentifier: '', password: '', code: '' });
+      setOpenForm(null);
+      setMessage({
+        type: 'success',
+        text: `Your ${result.identifierType === 'email' ? 'email' : 'phone number'} is now ${result.value}.` + signedOutNote(result.sessionsRevoked)
+      });
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-6 border border-gray-100 dark:border-gray-700 animate-fade-in-up">
+      <div className="flex items-center gap-3 mb-4">
+        <Shield className="text-indigo-600 dark:text-indigo-400" size={24} />
+        <h3 className="font-bold text-xl text-gray-900 dark:text-white">Account Security</h3>
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-xl text-sm ${
+          message.type === 'success'
+            ? 'bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+            : 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Change Password */}
+      <button
+        onClick={() => toggleForm('password')}
+        className="w-full flex items-center justify-between py-3 px-3 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+      >
+        <span className="flex items-center gap-3 font-semibold text-gray-900 dark:text-white">
+          <Key size={20} className="text-indigo-500" />
+          Change Password
+        </span>
+        <ChevronRight size={20} className={`text-gray-400 transition-transform ${openForm === 'password' ? 'rotate-90' : ''}`} />
+      </button>
+      {openForm === 'password' && (
+        <form onSubmit={handlePasswordSubmit} className="space-y-3 px-3 pb-4">
+          <input
+            type="password"
+            placeholder="Current password"
+            autoComplete="current-password"
+            value={passwordForm.currentPassword}
+            onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <input
+            type="password"
+            placeholder="New password"
+            autoComplete="new-password"
+            value={passwordForm.newPassword}
+            onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+            className={inputClass}
+            required
+          />
+          {passwordForm.newPassword && (
+            <PasswordStrengthMeter strength={validation.strength} errors={validation.errors} />
+          )}
+          <input
+            type="password"
+            placeholder="Confirm new password"
+            autoComplete="new-password"
+            value={passwordForm.confirmPassword}
+            onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <p className="text-xs text-gray-500 dark:text-gray-400">You'll stay signed in here; other devices will be signed out.</p>
+          <button
+            type="submit"
+            disabled={submitting || !validation.isValid || !passwordForm.currentPassword}
+            className="w-full py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition disabled:opacity-50"
+          >
+            {submitting ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+      )}
+
+      {/* Change Email or Phone */}
+      <button
+        onClick={() => toggleForm('identifier')}
+        className="w-full flex items-center justify-between py-3 px-3 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+      >
+        <span className="flex items-center gap-3 font-semibold text-gray-900 dark:text-white">
+          <Phone size={20} className="text-indigo-500" />
+          Change Email or Phone
+        </span>
+        <ChevronRight size={20} className={`text-gray-400 transition-transform ${openForm === 'identifier' ? 'rotate-90' : ''}`} />
+      </button>
+      {openForm === 'identifier' && !pendingChange && (
+        <form onSubmit={handleIdentifierRequest} className="space-y-3 px-3 pb-4">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Currently {currentUser?.email} · {currentUser?.phone}
+          </p>
+          <input
+            type="text"
+            placeholder="New email or phone number"
+            value={identifierForm.newIdentifier}
+            onChange={(e) => setIdentifierForm({ ...identifierForm, newIdentifier: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <input
+            type="password"
+            placeholder="Current password"
+            autoComplete="current-password"
+            value={identifierForm.password}
+            onChange={(e) => setIdentifierForm({ ...identifierForm, password: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition disabled:opacity-50"
+          >
+            {submitting ? 'Sending...' : 'Send Verification Code'}
+          </button>
+        </form>
+      )}
+      {openForm === 'identifier' && pendingChange && (
+        <form onSubmit={handleIdentifierConfirm} className="space-y-3 px-3 pb-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {pendingChange.smsFallback
+              ? `Text messages aren't set up, so we sent a 6-digit code to your account email (${pendingChange.sentTo}) instead. Enter it to confirm your new phone number.`
+              : `We sent a 6-digit code to ${pendingChange.sentTo}. Enter it to confirm your new ${pendingChange.identifierType === 'email' ? 'email' : 'phone number'}.`}
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            placeholder="123456"
+            value={identifierForm.code}
+            onChange={(e) => setIdentifierForm({ ...identifierForm, code: e.target.value.replace(/\D/g, '') })}
+            className={`${inputClass} text-center text-2xl tracking-widest`}
+            required
+          />
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => setPendingChange(null)}
+              className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+            >
+              Start Over
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || identifierForm.code.length !== 6}
+              className="flex-1 py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition disabled:opacity-50"
+            >
+              {submitting ? 'Verifying...' : 'Confirm'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// ========================================
+// TWO-FACTOR AUTHENTICATION (TOTP ENROLLMENT)
+// ========================================
+function TwoFactorCard() {
+  const { getTwoFactorStatus, startTwoFactorSetup, confirmTwoFactorSetup, disableTwoFactor } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [step, setStep] = useState('idle'); // idle | password | scan | codes | disable
+  const [form, setForm] = useState({ password: '', code: '' });
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const inputClass = 'w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none';
+  const primaryButton = 'flex-1 py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition disabled:opacity-50';
+  const secondaryButton = 'flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors';
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const loadStatus = async () => {
+    const result = await getTwoFactorStatus();
+    if (result.success) {
+      setStatus(result);
+    }
+  };
+
+  const goTo = (nextStep) => {
+    setStep(nextStep);
+    setForm({ password: '', code: '' });
+    setError('');
+  };
+
+  const run = async (action) => {
+    setSubmitting(true);
+    setError('');
+    try {
+      await action();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStart = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await startTwoFactorSetup(form.password);
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      const qrCode = await QRCode.toDataURL(result.otpauthUrl, { width: 200, margin: 1 });
+      setSetup({ secret: result.secret, qrCode });
+      goTo('scan');
+    });
+  };
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await confirmTwoFactorSetup(form.code);
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      setSetup(null);
+      setRecoveryCodes(result.recoveryCodes);
+      goTo('codes');
+      loadStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await disableTwoFactor(form.password, form.code);
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      goTo('idle');
+      loadStatus();
+    });
+  };
+
+  const downloadRecoveryCodes = () => {
+    downloadFile(
+      'fitmood-recovery-codes.txt',
+      `FitMood recovery codes\r\nEach code works once.\r\n\r\n${recoveryCodes.join('\r\n')}\r\n`,
+      'text/plain'
+    );
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-6 border border-gray-100 dark:border-gray-700 animate-fade-in-up">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-3">
+          <Lock className="text-indigo-600 dark:text-indigo-400" size={24} />
+          <h3 className="font-bold text-xl text-gray-900 dark:text-white">Two-Factor Authentication</h3>
+        </div>
+        {status && (
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+            status.enabled
+              ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+              : 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300'
+          }`}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Ask for a code from an authenticator app (Google Authenticator, 1Password, Authy…) after your password.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-xl text-sm bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">
+          {error}
+        </div>
+      )}
+
+      {step === 'idle' && status && (
+        status.enabled ? (
+          <div className="space-y-3">
+            <p className={`text-sm ${status.recoveryCodesRemaining <= 2 ? 'text-orange-600 dark:text-orange-400' : 'text-gray-600 dark:text-gray-400'}`}>
+              {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+            </p>
+            <button onClick={() => goTo('disable')} className={`w-full ${secondaryButton}`}>
+              Turn Off Two-Factor Authentication
+            </button>
+          </div>
+        ) : (
+          <button onClick={() => goTo('password')} className={`w-full ${primaryButton}`}>
+            Set Up Authenticator App
+          </button>
+        )
+      )}
+
+      {step === 'password' && (
+        <form onSubmit={handleStart} className="space-y-3">
+          <input
+            type="password"
+            placeholder="Current password"
+            autoComplete="current-password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <div className="flex gap-3">
+            <button type="button" onClick={() => goTo('idle')} className={secondaryButton}>Cancel</button>
+            <button type="submit" disabled={submitting} className={primaryButton}>
+              {submitting ? 'Checking...' : 'Continue'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === 'scan' && setup && (
+        <form onSubmit={handleConfirm} className="space-y-3">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Scan this QR code with your authenticator app, or enter the key by hand. Then type the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Authenticator QR code" className="mx-auto rounded-lg bg-white p-2" width={200} height={200} />
+          <div className="text-center font-mono text-sm break-all select-all text-gray-800 dark:text-gray-200 bg-gray-50 dark:bg-gray-700 rounded-lg p-2">
+            {setup.secret.match(/.{1,4}/g).join(' ')}
+          </div>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            maxLength={6}
+            placeholder="123456"
+            value={form.code}
+            onChange={(e) => setForm({ ...form, code: e.target.value.replace(/\D/g, '') })}
+            className={`${inputClass} text-center text-2xl tracking-widest`}
+            required
+          />
+          <div className="flex gap-3">
+            <button type="button" onClick={() => { setSetup(null); goTo('idle'); }} className={secondaryButton}>Cancel</button>
+            <button type="submit" disabled={submitting || form.code.length !== 6} className={primaryButton}>
+              {submitting ? 'Verifying...' : 'Turn On'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === 'codes' && (
+        <div className="space-y-3">
+          <p className="text-sm text-green-700 dark:text-green-300">
+            Two-factor authentication is on. Save these recovery codes somewhere safe: each one works once if you lose your phone, and they won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-center text-gray-800 dark:text-gray-200 bg-gray-50 dark:bg-gray-700 rounded-lg p-3">
+            {recoveryCodes.map(code => <span key={code}>{code}</span>)}
+          </div>
+          <div className="flex gap-3">
+            <button onClick={downloadRecoveryCodes} className={secondaryButton}>Download</button>
+            <button onClick={() => { setRecoveryCodes([]); goTo('idle'); }} className={primaryButton}>I've Saved Them</button>
+          </div>
+        </div>
+      )}
+
+      {step === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-3">
+          <input
+            type="password"
+            placeholder="Current password"
+            autoComplete="current-password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            placeholder="Authenticator or recovery code"
+            value={form.code}
+            onChange={(e) => setForm({ ...form, code: e.target.value })}
+            className={inputClass}
+            required
+          />
+          <div className="flex gap-3">
+            <button type="button" onClick={() => goTo('idle')} className={secondaryButton}>Cancel</button>
+            <button type="submit" disabled={submitting} className={primaryButton}>
+              {submitting ? 'Turning off...' : 'Turn Off'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// ========================================
+// ENCRYPTED NOTES (END-TO-END)
+// ========================================
+function NoteEncryptionCard({ currentUser, loadUserData }) {
+  const [status, setStatus] = useState(null);
+  const [step, setStep] = useState('idle'); // idle | enable | disable | unlock
+  const [form, setForm] = useState({ password: '', previousPassword: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const inputClass = 'w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none';
+  const primaryButton = 'flex-1 py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition disabled:opacity-50';
+  const secondaryButton = 'flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors';
+
+  useEffect(() => {
+    loadStatus();
+  }, [currentUser.userId]);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await getNoteEncryptionStatus(apiCall, currentUser.userId));
+    } catch (error) {
+      console.error('Note encryption status error:', error);
+    }
+  };
+
+  const goTo = (nextStep) => {
+    setStep(nextStep);
+    setForm({ password: '', previousPassword: '' });
+    setMessage(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setMessage(null);
+
+    try {
+      let text;
+      if (step === 'enable') {
+        const result = await enableNoteEncryption(apiCall, currentUser.userId, form.password);
+        text = `Encrypted notes are on. ${result.encrypted} existing entr${result.encrypted === 1 ? 'y was' : 'ies were'} encrypted.`;
+      } else if (step === 'disable') {
+        await disableNoteEncryption(apiCall, currentUser.userId, form.password);
+        text = 'Encrypted notes are off. Your notes are stored as plain text again.';
+      } else {
+        await unlockNotesOnDevice(apiCall, currentUser.userId, form.password, form.previousPassword || undefined);
+        text = 'Your notes are unlocked on this device.';
+      }
+
+      goTo('idle');
+      setMessage({ type: 'success', text });
+      await loadStatus();
+      loadUserData(currentUser.userId);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const descriptions = {
+    enable: 'Enter your password to turn on encryption. Existing notes and triggers are encrypted too. Other devices will be signed out and need your password to read them.',
+    disable: 'Enter your password to decrypt every note and store them as plain text again.',
+    unlock: 'Enter your password to read encrypted notes on this device. If you reset your password since turning encryption on, also enter the previous one.'
+  };
+  const submitLabels = { enable: 'Encrypt Notes', disable: 'Turn Off', unlock: 'Unlock' };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-6 border border-gray-100 dark:border-gray-700 animate-fade-in-up">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-3">
+          <Lock className="text-indigo-600 dark:text-indigo-400" size={24} />
+          <h3 className="font-bold text-xl text-gray-900 dark:text-white">Encrypted Notes</h3>
+        </div>
+        {status && (
+          <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+            !status.enabled
+              ? 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300'
+              : status.unlocked
+                ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+                : 'bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200'
+          }`}>
+            {!status.enabled ? 'Off' : status.unlocked ? 'On' : 'Locked'}
+          </span>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Encrypt your notes and triggers on this device with a key only your password can open. Mood levels stay readable so your stats keep working.
+      </p>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-xl text-sm ${
+          message.type === 'success'
+            ? 'bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+            : 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {step === 'idle' && status && (
+        !status.enabled ? (
+          <button onClick={() => goTo('enable')} className={`w-full ${primaryButton}`}>
+            Encrypt My Notes
+          </button>
+        ) : (
+          <div className="flex gap-3">
+            {!status.unlocked && (
+              <button onClick={() => goTo('unlock')} className={primaryButton}>Unlock Notes</button>
+            )}
+            <button onClick={() => goTo('disable')} className={secondaryButton}>Turn Off</button>
+          </div>
+        )
+      )}
+
+      {step !== 'idle' && (
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <p className="text-sm text-gray-600 dark:text-gray-400">{descriptions[step]}</p>
+          {step === 'enable' && (
+            <p className="text-sm text-orange-600 dark:text-orange-400">
+              If you forget your password, a reset link gets you back into your account but not into your encrypted notes, unless you still remember the old password.
+            </p>
+          )}
+          <input
+            type="password"
+            placeholder={step === 'unlock' ? 'Current password' : 'Password'}
+            autoComplete="current-password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            className={inputClass}
+            required
+          />
+          {step === 'unlock' && (
+            <input
+              type="password"
+              placeholder="Previous password (only after a reset)"
+              autoComplete="off"
+              value={form.previousPassword}
+              onChange={(e) => setForm({ ...form, previousPassword: e.target.value })}
+              className={inputClass}
+            />
+          )}
+          <div className="flex gap-3">
+            <button type="button" onClick={() => goTo('idle')} className={secondaryButton}>Cancel</button>
+            <button type="submit" disabled={submitting} className={primaryButton}>
+              {submitting ? 'Working...' : submitLabels[step]}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// ========================================
+// APP LOCK SETTINGS
+// ========================================
+function AppLockCard({ currentUser, logout }) {
+  const [settings, setSettings] = useState(() => getAppLockSettings(currentUser.userId));
+  const [step, setStep] = useState('idle'); // idle | enable | disable
+  const [form, setForm] = useState({ pin: '', confirmPin: '', idleMinutes: APP_LOCK_CONFIG.defaultIdleMinutes });
+  const [biometricsAvailable, setBiometricsAvailable] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const inputClass = 'w-full px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none';
+  const primaryButton = 'flex-1 py-3 px-4 rounded-xl bg-gradient-to-r from-indigo-500 to-purple-500 text-white font-semibold hover:shadow-lg transition disabled:opacity-50';
+  const secondaryButton = 'flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors';
+  const enabled = !!settings?.pinHash;
+
+  useEffect(() => {
+    isPlatformAuthenticatorAvailable().then(setBiometricsAvailable);
+  }, []);
+
+  const refresh = () => setSettings(getAppLockSettings(currentUser.userId));
+
+  const goTo = (nextStep) => {
+    setStep(nextStep);
+    setForm({ pin: '', confirmPin: '', idleMinutes: settings?.idleMinutes || APP_LOCK_CONFIG.defaultIdleMinutes });
+    setMessage(null);
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    if (!APP_LOCK_CONFIG.pinPattern.test(form.pin)) {
+      setMessage({ type: 'error', text: 'Use 4 to 8 digits for your PIN' });
+      return;
+    }
+    if (form.pin !== form.confirmPin) {
+      setMessage({ type: 'error', text: 'PINs do not match' });
+      return;
+    }
+
+    setSubmitting(true);
+    await enableAppLock(currentUser.userId, form.pin, Number(form.idleMinutes));
+    setSubmitting(false);
+    refresh();
+    goTo('idle');
+    setMessage({ type: 'success', text: 'App lock is on.' });
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const result = await verifyPin(currentUser.userId, form.pin);
+    setSubmitting(false);
+
+    if (result.success) {
+      disableAppLock(currentUser.userId);
+      refresh();
+      goTo('idle');
+      setMessage({ type: 'success', text: 'App lock is off.' });
+    } else if (result.signOut) {
+      alert('Too many wrong PINs. Please log in with your password.');
+      logout();
+    } else {
+      setForm({ ...form, pin: '' });
+      setMessage({ type: 'error', text: `Wrong PIN. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left.` });
+    }
+  };
+
+  const handleIdleChange = (idleMinutes) => {
+    updateAppLockSettings(currentUser.userId, { idleMinutes: Number(idleMinutes) });
+    refresh();
+  };
+
+  const handleAddBiometrics = async () => {
+    setMessage(null);
+    try {
+      await registerBiometricUnlock(currentUser);
+      refresh();
+      setMessage({ type: 'success', text: 'You can now unlock with your fingerprint or face.' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.name === 'NotAllowedError' ? 'Setup was cancelled.' : error.message });
+    }
+  };
+
+  const handleRemoveBiometrics = () => {
+    removeBiometricUnlock(currentUser.userId);
+    refresh();
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-6 border border-gray-100 dark:border-gray-700 animate-fade-in-up">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-3">
+          <Lock className="text-indigo-600 dark:text-indigo-400" size={24} />
+          <h3 className="font-bold text-xl text-gray-900 dark:text-white">App Lock</h3>
+        </div>
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+          enabled
+            ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+            : 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300'
+        }`}>
+          {enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        On a shared device, ask for a PIN when FitMood is opened again after a while, and hide your data in the app switcher.
+        After {APP_LOCK_CONFIG.maxPinAttempts} wrong PINs you are signed out.
+      </p>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-xl text-sm ${
+          message.type === 'success'
+            ? 'bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+            : 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {step === 'idle' && !enabled && (
+        <button onClick={() => goTo('enable')} className={`w-full ${primaryButton}`}>
+          Set Up a PIN
+        </button>
+      )}
+
+      {step === 'idle' && enabled && (
+        <div className="space-y-3">
+          <label className="flex items-center justify-between gap-3 text-sm text-gray-700 dark:text-gray-300">
+            Lock after
+            <select
+              value={settings.idleMinutes}
+              onChange={(e) => handleIdleChange(e.target.value)}
+              className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {APP_LOCK_CONFIG.idleOptions.map(minutes => (
+                <option key={minutes} value={minutes}>{minutes} min idle</option>
+              ))}
+            </select>
+          </label>
+          {biometricsAvailable && (
+            settings.credentialId ? (
+              <button onClick={handleRemoveBiometrics} className={`w-full ${secondaryButton}`}>
+                Stop Using Fingerprint or Face
+              </button>
+            ) : (
+              <button onClick={handleAddBiometrics} className={`w-full ${secondaryButton}`}>
+                Also Unlock with Fingerprint or Face
+              </button>
+            )
+          )}
+          <button onClick={() => goTo('disable')} className={`w-full ${secondaryButton}`}>
+            Turn Off App Lock
+          </button>
+        </div>
+      )}
+
+      {step === 'enable' && (
+        <form onSubmit={handleEnable} className="space-y-3">
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            maxLength={8}
+            placeholder="New PIN (4-8 digits)"
+            value={form.pin}
+            onChange={(e) => setForm({ ...form, pin: e.target.value.replace(/\D/g, '') })}
+            className={inputClass}
+            required
+          />
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            maxLength={8}
+            placeholder="Confirm PIN"
+            value={form.confirmPin}
+            onChange={(e) => setForm({ ...form, confirmPin: e.target.value.replace(/\D/g, '') })}
+            className={inputClass}
+            required
+          />
+          <select
+            value={form.idleMinutes}
+            onChange={(e) => setForm({ ...form, idleMinutes: e.target.value })}
+            className={inputClass}
+          >
+            {APP_LOCK_CONFIG.idleOptions.map(minutes => (
+              <option key={minutes} value={minutes}>Lock after {minutes} min idle</option>
+            ))}
+          </select>
+          <div className="flex gap-3">
+            <button type="button" onClick={() => goTo('idle')} className={secondaryButton}>Cancel</button>
+            <button type="submit" disabled={submitting} className={primaryButton}>
+              {submitting ? 'Saving...' : 'Turn On'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-3">
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            maxLength={8}
+            placeholder="Current PIN"
+            value={form.pin}
+            onChange={(e) => setForm({ ...form, pin: e.target.value.replace(/\D/g, '') })}
+            className={inputClass}
+            required
+          />
+          <div className="flex gap-3">
+            <button type="button" onClick={() => goTo('idle')} className={secondaryButton}>Cancel</button>
+            <button type="submit" disabled={submitting} className={primaryButton}>
+              {submitting ? 'Checking...' : 'Turn Off'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// ========================================
+// YOUR DEVICES (SESSIONS)
+// ========================================
+const isMobilePlatform = (platform) => ['iOS', 'Android'].includes(platform);
+
+function DevicesCard() {
+  const { getDevices, signOutDevice, signOutEverywhere } = useAuth();
+  const [devices, setDevices] = useState(null);
+  const [working, setWorking] = useState(null); // deviceId or 'everywhere'
+  const [confirmEverywhere, setConfirmEverywhere] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadDevices();
+  }, []);
+
+  const loadDevices = async () => {
+    const result = await getDevices();
+    if (result.success) {
+      setDevices(result.devices);
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+  };
+
+  const handleSignOutDevice = async (device) => {
+    setWorking(device.deviceId);
+    setMessage(null);
+    const result = await signOutDevice(device.deviceId);
+    if (result.signedOutCurrent) return; // Back to the login page
+
+    setWorking(null);
+    if (result.success) {
+      setMessage({ type: 'success', text: `Signed out of ${device.label}.` });
+      loadDevices();
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    setWorking('everywhere');
+    setMessage(null);
+    const result = await signOutEverywhere();
+    if (result.success) return; // Back to the login page
+
+    setWorking(null);
+    setConfirmEverywhere(false);
+    setMessage({ type: 'error', text: result.error });
+  };
+
+  const formatSeen = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl p-6 mb-6 border border-gray-100 dark:border-gray-700 animate-fade-in-up">
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-3">
+          <Monitor className="text-indigo-600 dark:text-indigo-400" size={24} />
+          <h3 className="font-bold text-xl text-gray-900 dark:text-white">Your devices</h3>
+        </div>
+        {devices && (
+          <span className="px-2 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200">
+            {devices.length} active
+          </span>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Where you're signed in right now. Sign out anything you don't recognise, then change your password.
+      </p>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-xl text-sm ${
+          message.type === 'success'
+            ? 'bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+            : 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {!devices ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading devices...</p>
+      ) : (
+        <div className="space-y-3 mb-4">
+          {devices.map(device => {
+            const DeviceIcon = isMobilePlatform(device.platform) ? Smartphone : Monitor;
+            return (
+              <div key={device.deviceId} className="flex items-center gap-3 p-3 rounded-xl bg-gray-50 dark:bg-gray-700/50">
+                <DeviceIcon className="text-gray-500 dark:text-gray-400 flex-shrink-0" size={22} />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-gray-900 dark:text-white truncate">{device.label}</span>
+                    {device.current && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
+                        This device
+                      </span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">
+                    Last active {formatSeen(device.lastSeen)} · First seen {formatSeen(device.firstSeen)}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleSignOutDevice(device)}
+                  disabled={!!working}
+                  className="px-3 py-2 rounded-lg text-sm font-medium text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 transition disabled:opacity-50"
+                >
+                  {working === device.deviceId ? 'Signing out...' : 'Sign out'}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {confirmEverywhere ? (
+        <div className="flex gap-3">
+          <button
+            onClick={() => setConfirmEverywhere(false)}
+            className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSignOutEverywhere}
+            disabled={!!working}
+            className="flex-1 py-3 px-4 rounded-xl bg-red-600 text-white font-semibold hover:bg-red-700 transition disabled:opacity-50"
+          >
+            {working === 'everywhere' ? 'Signing out...' : 'Yes, sign out everywhere'}
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => setConfirmEverywhere(true)}
+          disabled={!devices || !!working}
+          className="w-full py-3 px-4 rounded-xl border-2 border-red-200 dark:border-red-800 text-red-600 dark:text-red-400 font-semibold hover:bg-red-50 dark:hover:bg-red-900/30 transition disabled:opacity-50"
+        >
+          <LogOut size={18} className="inline mr-2" />
+          Sign out everywhere
+        </button>
+      )}
+    </div>
+  );
+}
+
+// ========================================
+// DELETE ACCOUNT (PASSWORD RE-CHECK + GRACE PERIOD)
+// ========================================
+function DeleteAccountModal({ onClose }) {
+  const { deleteAccount } = useAuth();
+  const [password, setPassword] = useState('');
+  const [confirmText, setConfirmText] = useState('');
+  const [deleting, setDeleting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setDeleting(true);
+    setError('');
+
+    const result = await deleteAccount(password);
+    if (result.success) {
+      alert(
+        `Your account is scheduled for deletion on ${new Date(result.deletionScheduledFor).toLocaleDateString()}. ` +
+        'Log in before then if you change your mind.'
+      );
+    } else {
+      setError(result.error);
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleDelete} className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl max-w-md w-full p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="font-semibold text-xl text-red-600 dark:text-red-400">Delete Account</h3>
+          <button type="button" onClick={onClose} className="text-gray-400 dark:text-gray-500 hover:text-gray-600 dark:hover:text-gray-300">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="text-sm text-gray-600 dark:text-gray-400 space-y-2 mb-4">
+          <p>
+            Your account, mood entries and sessions will be permanently erased after {ACCOUNT_DELETION_GRACE_DAYS} days.
+            Log in again before then to cancel.
+          </p>
+          <p>
+            You'll be signed out everywhere, and your habits, settings and offline data will be removed from this device right away.
+            Export your data first if you want to keep a copy.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-xl bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300 text-sm">{error}</div>
+        )}
+
+        <label className="block text-sm font-medium mb-2 text-gray-900 dark:text-white">Password</label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          className="w-full mb-4 px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-red-500 focus:outline-none"
+        />
+
+        <label className="block text-sm font-medium mb-2 text-gray-900 dark:text-white">Type DELETE to confirm</label>
+        <input
+          type="text"
+          value={confirmText}
+          onChange={(e) => setConfirmText(e.target.value)}
+          className="w-full mb-6 px-4 py-3 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-red-500 focus:outline-none"
+        />
+
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 py-3 px-4 rounded-xl border-2 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={deleting || !password || confirmText !== 'DELETE'}
+            className="flex-1 py-3 px-4 rounded-xl bg-red-600 text-white font-semibold hover:bg-red-700 transition disabled:opacity-50"
+          >
+            {deleting ? 'Deleting...' : 'Delete Account'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// ================= ROLES & PERMISSIONS =================
+// The backend owns the permission matrix (getRoles); these only label it
+const STAFF_ROLES = ['viewer', 'moderator', 'admin'];
+const isStaffRole = (role) => STAFF_ROLES.includes(role);
+
+const ROLE_LABELS = {
+  user: '👤 Member',
+  viewer: '👀 Support',
+  moderator: '🛡️ Moderator',
+  admin: '👑 Admin'
+};
+
+const PERMISSION_LABELS = {
+  'users.view': 'View users and their mood history',
+  'users.message': 'Message users',
+  'users.unlock': 'Unlock locked accounts',
+  'users.resetPassword': 'Reset passwords',
+  'users.revokeSessions': 'Sign users out of their devices',
+  'users.changeRole': 'Change roles',
+  'users.delete': 'Delete users',
+  'roles.manage': 'Edit role permissions',
+  'audit.view': 'View the audit log',
+  'announcements.manage': 'Send announcements'
+};
+
+// Permission needed for each UserActionModal action
+const USER_ACTION_PERMISSIONS = {
+  message: 'users.message',
+  role: 'users.changeRole',
+  resetPassword: 'users.resetPassword'
+};
+
+const roleBadgeClass = (role) => ({
+  admin: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200',
+  moderator: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200',
+  viewer: 'bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200'
+}[role] || 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200');
+
+function RolesEditor({ access, onSaved }) {
+  const [matrix, setMatrix] = useState(access.matrix);
+  const [saving, setSaving] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const togglePermission = (role, permission) => {
+    const current = matrix[role] || [];
+    setMatrix({
+      ...matrix,
+      [role]: current.includes(permission)
+        ? current.filter(p => p !== permission)
+        : [...current, permission]
+    });
+  };
+
+  const saveRole = async (role) => {
+    setSaving(role);
+    setMessage(null);
+    try {
+      const result = await apiCall('updateRolePermissions', { role, permissions: matrix[role] });
+      setMatrix(result.matrix);
+      setMessage({ type: 'success', text: `${ROLE_LABELS[role]} permissions saved.` });
+      onSaved();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const staffRoles = access.roles.filter(isStaffRole);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 mb-6 border border-gray-100 dark:border-gray-700">
+      <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-1">Roles & Permissions</h2>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Members have no staff permissions and admins always have all of them. You can't edit your own role or grant permissions you don't hold.
+      </p>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg text-sm ${
+          message.type === 'success'
+            ? 'bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+            : 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 dark:text-gray-400">
+              <th className="py-2 pr-4 font-medium">Permission</th>
+              {staffRoles.map(role => (
+                <th key={role} className="py-2 px-3 font-medium text-center">{ROLE_LABELS[role] || role}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {access.permissions.map(permission => (
+              <tr key={permission}>
+                <td className="py-2 pr-4 text-gray-900 dark:text-white">{PERMISSION_LABELS[permission] || permission}</td>
+                {staffRoles.map(role => (
+                  <td key={role} className="py-2 px-3 text-center">
+                    <input
+                      type="checkbox"
+                      checked={(matrix[role] || []).includes(permission)}
+                      disabled={!access.editableRoles.includes(role) || !access.myPermissions.includes(permission)}
+                      onChange={() => togglePermission(role, permission)}
+                      className="w-4 h-4 accent-blue-600 disabled:opacity-50"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr>
+              <td></td>
+              {staffRoles.map(role => (
+                <td key={role} className="pt-3 px-3 text-center">
+                  {access.editableRoles.includes(role) && (
+                    <button
+                      onClick={() => saveRole(role)}
+                      disabled={!!saving}
+                      className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-xs disabled:opacity-50"
+                    >
+                      {saving === role ? 'Saving...' : 'Save'}
+                    </button>
+                  )}
+                </td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// ================= ANNOUNCEMENTS (ADMIN) =================
+const ANNOUNCEMENT_AUDIENCE_LABELS = {
+  all: 'All users',
+  role: 'Users with a role',
+  inactive: 'No mood logged for N days',
+  decliningMood: 'Average mood declining over N days'
+};
+
+const describeAnnouncementAudience = (audience) => {
+  switch (audience.type) {
+    case 'role': return `Role: ${ROLE_LABELS[audience.role] || audience.role}`;
+    case 'inactive': return `No mood logged for ${audience.days} days`;
+    case 'decliningMood': return `Mood declining over ${audience.days} days`;
+    default: return 'All users';
+  }
+};
+
+const ANNOUNCEMENT_STATUS_CLASSES = {
+  active: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  scheduled: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  expired: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+  cancelled: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+};
+
+const emptyAnnouncement = () => ({
+  title: '',
+  body: '',
+  audienceType: 'all',
+  role: 'user',
+  days: 14,
+  startsAt: '',
+  expiresAt: ''
+});
+
+function AnnouncementsPanel({ roles }) {
+  const [announcements, setAnnouncements] = useState(null);
+  const [form, setForm] = useState(emptyAnnouncement);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadAnnouncements();
+  }, []);
+
+  const loadAnnouncements = async () => {
+    try {
+      const result = await apiCall('getAllAnnouncements');
+      setAnnouncements(result.announcements);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+
+    const audience = { type: form.audienceType };
+    if (form.audienceType === 'role') audience.role = form.role;
+    if (form.audienceType === 'inactive' || form.audienceType === 'decliningMood') audience.days = Number(form.days);
+
+    try {
+      await apiCall('createAnnouncement', {
+        title: form.title,
+        body: form.body,
+        audience,
+        startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : undefined,
+        expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : undefined
+      });
+      setForm(emptyAnnouncement());
+      setMessage({ type: 'success', text: form.startsAt ? 'Announcement scheduled.' : 'Announcement is live.' });
+      loadAnnouncements();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const cancelAnnouncement = async (announcement) => {
+    if (!confirm(`Stop showing "${announcement.title}"?`)) return;
+    try {
+      await apiCall('cancelAnnouncement', { announcementId: announcement.id });
+      loadAnnouncements();
+    } catch (error) {
+      alert('Error cancelling announcement: ' + error.message);
+    }
+  };
+
+  const fieldClass = 'w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+  const needsDays = form.audienceType === 'inactive' || form.audienceType === 'decliningMood';
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 border border-gray-100 dark:border-gray-700 space-y-3">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white">New Announcement</h2>
+
+        {message && (
+          <div className={`p-3 rounded-lg text-sm ${
+            message.type === 'success'
+              ? 'bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300'
+              : 'bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300'
+          }`}>
+            {message.text}
+          </div>
+        )}
+
+        <input
+          type="text"
+          placeholder="Title"
+          value={form.title}
+          onChange={(e) => setForm({ ...form, title: e.target.value })}
+          maxLength={120}
+          className={fieldClass}
+          required
+        />
+        <textarea
+          placeholder="Message shown on the home page..."
+          value={form.body}
+          onChange={(e) => setForm({ ...form, body: e.target.value })}
+          rows={3}
+          maxLength={2000}
+          className={fieldClass}
+          required
+        />
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <label className="text-sm text-gray-600 dark:text-gray-400">
+            Audience
+            <select
+              value={form.audienceType}
+              onChange={(e) => setForm({ ...form, audienceType: e.target.value })}
+              className={`mt-1 ${fieldClass}`}
+            >
+              {Object.entries(ANNOUNCEMENT_AUDIENCE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {form.audienceType === 'role' && (
+            <label className="text-sm text-gray-600 dark:text-gray-400">
+              Role
+              <select
+                value={form.role}
+                onChange={(e) => setForm({ ...form, role: e.target.value })}
+                className={`mt-1 ${fieldClass}`}
+              >
+                {roles.map(role => (
+                  <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {needsDays && (
+            <label className="text-sm text-gray-600 dark:text-gray-400">
+              Days
+              <input
+                type="number"
+                min={1}
+                max={365}
+                value={form.days}
+                onChange={(e) => setForm({ ...form, days: e.target.value })}
+                className={`mt-1 ${fieldClass}`}
+                required
+              />
+            </label>
+          )}
+          <label className="text-sm text-gray-600 dark:text-gray-400">
+            Starts (leave empty for now)
+            <input
+              type="datetime-local"
+              value={form.startsAt}
+              onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+              className={`mt-1 ${fieldClass}`}
+            />
+          </label>
+          <label className="text-sm text-gray-600 dark:text-gray-400">
+            Expires (optional)
+            <input
+              type="datetime-local"
+              value={form.expiresAt}
+              onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+              className={`mt-1 ${fieldClass}`}
+            />
+          </label>
+        </div>
+        {form.audienceType === 'decliningMood' && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Matches users whose average mood over the last {form.days || 'N'} days is at least half a point below the {form.days || 'N'} days before.
+          </p>
+        )}
+        <button type="submit" disabled={saving} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm disabled:opacity-50">
+          {saving ? 'Saving...' : form.startsAt ? '📅 Schedule' : '📣 Publish'}
+        </button>
+      </form>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg border border-gray-100 dark:border-gray-700">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            Announcements {announcements && `(${announcements.length})`}
+          </h2>
+        </div>
+        {!announcements ? (
+          <div className="p-8 text-center text-gray-500 dark:text-gray-400">Loading announcements...</div>
+        ) : announcements.length === 0 ? (
+          <div className="p-8 text-center text-gray-500 dark:text-gray-400">No announcements yet.</div>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {announcements.map(announcement => (
+              <div key={announcement.id} className="p-6">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <div className="flex items-center gap-2 mb-1">
+                      <h3 className="font-semibold text-gray-900 dark:text-white">{announcement.title}</h3>
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${ANNOUNCEMENT_STATUS_CLASSES[announcement.status]}`}>
+                        {announcement.status}
+                      </span>
+                    </div>
+                    <p className="text-sm text-gray-600 dark:text-gray-300 whitespace-pre-wrap">{announcement.body}</p>
+                  </div>
+                  {(announcement.status === 'active' || announcement.status === 'scheduled') && (
+                    <button
+                      onClick={() => cancelAnnouncement(announcement)}
+                      className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded-lg text-xs whitespace-nowrap"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+                <div className="mt-3 text-sm text-gray-500 dark:text-gray-400 flex flex-wrap items-center gap-4">
+                  <span>🎯 {describeAnnouncementAudience(announcement.audience)} ({announcement.audienceSize} now)</span>
+                  <span>📅 {new Date(announcement.startsAt).toLocaleString()}{announcement.expiresAt && ` → ${new Date(announcement.expiresAt).toLocaleString()}`}</span>
+                  <span>📬 {announcement.delivered} delivered</span>
+                  <span>🙈 {announcement.dismissed} dismissed</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ================= AUDIT LOG =================
+const AUDIT_ACTION_LABELS = {
+  updateUserRole: 'Role changed',
+  adminResetPassword: 'Password reset',
+  deleteUser: 'User deleted',
+  sendUserMessage: 'Message sent',
+  adminUnlockAccount: 'Account unlocked',
+  adminRevokeSessions: 'Sessions revoked',
+  updateRolePermissions: 'Role permissions changed',
+  createAnnouncement: 'Announcement created',
+  cancelAnnouncement: 'Announcement cancelled'
+};
+
+// Hand-edited cells that aren't JSON come back as plain strings
+const formatAuditValue = (value) => {
+  if (!value) return '—';
+  if (typeof value !== 'object') return String(value);
+  return Object.entries(value).map(([key, v]) => `${key}: ${Array.isArray(v) ? v.join(', ') || '—' : v}`).join(' · ');
+};
+
+function AuditLogPanel() {
+  const [filters, setFilters] = useState({ search: '', action: '', from: '', to: '' });
+  const [log, setLog] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadLog();
+  }, []);
+
+  const loadLog = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      // Date inputs are local days; the backend compares UTC timestamps
+      setLog(await apiCall('getAuditLog', {
+        search: filters.search,
+        action: filters.action,
+        from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+        to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : ''
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadLog();
+  };
+
+  const exportCsv = () => {
+    downloadFile(`fitmood-audit-${toLocalDateKey(new Date())}.csv`, auditLogToCsv(log.entries), 'text/csv;charset=utf-8');
+  };
+
+  const fieldClass = 'p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSearch} className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 border border-gray-100 dark:border-gray-700">
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            placeholder="Search by email, user ID or value..."
+            value={filters.search}
+            onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+            className={`flex-1 ${fieldClass}`}
+          />
+          <select
+            value={filters.action}
+            onChange={(e) => setFilters({ ...filters, action: e.target.value })}
+            className={fieldClass}
+          >
+            <option value="">All Actions</option>
+            {(log?.actions || Object.keys(AUDIT_ACTION_LABELS)).map(action => (
+              <option key={action} value={action}>{AUDIT_ACTION_LABELS[action] || action}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            className={fieldClass}
+            aria-label="From"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            className={fieldClass}
+            aria-label="To"
+          />
+          <button type="submit" disabled={loading} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm disabled:opacity-50">
+            {loading ? 'Searching...' : 'Search'}
+          </button>
+        </div>
+      </form>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg border border-gray-100 dark:border-gray-700">
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+            Audit Log {log && `(${log.total})`}
+          </h2>
+          <button
+            onClick={exportCsv}
+            disabled={!log?.entries.length}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm transition-colors disabled:opacity-50"
+          >
+            ⬇️ Export CSV
+          </button>
+        </div>
+
+        {error && (
+          <div className="m-6 p-3 rounded-lg text-sm bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</div>
+        )}
+        {log?.truncated && (
+          <p className="px-6 pt-4 text-sm text-yellow-600 dark:text-yellow-400">
+            Showing the newest {log.entries.length} entries. Narrow the filters to see older ones.
+          </p>
+        )}
+
+        {!log ? (
+          <div className="p-8 text-center text-gray-500 dark:text-gray-400">Loading audit log...</div>
+        ) : log.entries.length === 0 ? (
+          <div className="p-8 text-center text-gray-500 dark:text-gray-400">No audit entries match these filters.</div>
+        ) : (
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {log.entries.map(entry => (
+              <div key={entry.id} className="p-4 text-sm">
+                <div className="flex items-center justify-between gap-4">
+                  <span className="font-medium text-gray-900 dark:text-white">
+                    {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                    {(entry.targetEmail || entry.targetId) && (
+                      <span className="font-normal text-gray-600 dark:text-gray-400"> · {entry.targetEmail || entry.targetId}</span>
+                    )}
+                  </span>
+                  <span className="text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                    {entry.timestamp ? new Date(entry.timestamp).toLocaleString() : 'Unknown time'}
+                  </span>
                 </div>
-                <div>
-                  <span className="font-semibold text-gray-900 dark:text-white block">Daily Reminders</span>
-                  <span className="text-xs text-gray-500 dark:text-gray-400">Never forget to check in</span>
+                <div className="text-gray-500 dark:text-gray-400 mt-1">By {entry.actorEmail || entry.actorId}</div>
+                <div className="mt-1 text-gray-600 dark:text-gray-300 break-words">
+                  <span className="text-gray-400">Before:</span> {formatAuditValue(entry.before)}
+                  <span className="text-gray-400 ml-3">After:</span> {formatAuditValue(entry.after)}
                 </div>
               </div>
-              <button
-                onClick={handleNotificationToggle}
-                className={`relative inline-flex h-7 w-12 items-center rounded-full transition-all duration-300 ${
-                  notificationsEnabled ? 'bg-green-600 shadow-lg shadow-green-500/50' : 'bg-gray-300'
-                }`}
-              >
-                <span
-                  className={`inline-block h-5 w-5 transform rounded-full bg-white transition-transform duration-300 shadow-md ${
-                    notificationsEnabled ? 'translate-x-6' : 'translate-x-1'
-                  }`}
-                />
-              </button>
-            </div>
-
-            {notificationsEnabled && (
-              <div className="py-4 px-3">
-                <label className="block text-sm font-semibold mb-3 text-gray-700 dark:text-gray-300">Reminder Time</label>
-                <input
-                  type="time"
-                  value={reminderTime}
-                  onChange={(e) => handleReminderTimeChange(e.target.value)}
-                  className="w-full px-4 py-3 border-2 border-indigo-200 dark:border-indigo-800 rounded-xl bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:border-indigo-500 dark:focus:border-indigo-400 focus:outline-none transition-colors"
-                />
-              </div>
-            )}
-          </>
+            ))}
+          </div>
         )}
       </div>
+    </div>
+  );
+}
 
-      {/* Enhanced Action Buttons */}
-      <div className="space-y-3 mb-6">
-        <button className="group w-full bg-gradient-to-r from-pink-500 via-purple-500 to-indigo-500 rounded-2xl shadow-lg p-5 text-left hover:shadow-xl transition-all duration-300 hover:scale-[1.02] border border-transparent">
-          <div className="flex items-center justify-between">
-            <div className="flex items-center gap-4">
-              <div className="p-3 bg-white/20 rounded-xl group-hover:bg-white/30 transition-colors">
-                <Heart className="text-white" size={24} />
-              </div>
-              <div>
-                <span className="font-semibold text-white block">Mental Health Resources</span>
-                <span className="text-xs text-white/80">Get support and guidance</span>
-              </div>
-            </div>
-            <ChevronRight className="text-white/80 group-hover:text-white group-hover:translate-x-1 transition-all" />
-          </div>
-        </button>
+// ================= ADMIN MESSAGE THREAD =================
+function AdminMessagesTab({ user, canSend }) {
+  const [messages, setMessages] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [emailCopy, setEmailCopy] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
 
-        <button
-          onClick={logout}
-          className="group w-full bg-gradient-to-r from-red-500 to-pink-500 rounded-2xl shadow-lg p-5 text-left hover:shadow-xl transition-all duration-300 hover:scale-[1.02]"
-        >
-          <div className="flex items-center gap-4">
-            <div className="p-3 bg-white/20 rounded-xl group-hover:bg-white/30 transition-colors">
-              <LogOut className="text-white" size={24} />
-            </div>
-            <div>
-              <span className="font-semibold text-white block">Logout</span>
-              <span className="text-xs text-white/80">Sign out of your account</span>
-            </div>
-          </div>
-        </button>
-      </div>
+  useEffect(() => {
+    loadMessages();
+  }, [user.userId]);
 
-      {/* Footer */}
-      <div className="text-center text-xs text-gray-400 dark:text-gray-500 py-6">
-        <p className="mb-1">Powered by SAHA</p>
-        <p>Developed by AALEKH KUMAR</p>
+  const loadMessages = async () => {
+    try {
+      const result = await apiCall('getUserMessages', { targetUserId: user.userId });
+      setMessages(result.messages);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError('');
+    try {
+      const result = await apiCall('sendUserMessage', { targetUserId: user.userId, message: draft, sendEmailCopy: emailCopy });
+      setMessages(prev => [...(prev || []), { ...result.sentMessage, senderName: 'You' }]);
+      setDraft('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 border border-gray-100 dark:border-gray-700">
+      <h3 className="font-semibold text-lg mb-4 text-gray-900 dark:text-white">Messages</h3>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg text-sm bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300">{error}</div>
+      )}
+
+      <div className="bg-gray-50 dark:bg-gray-900/40 rounded-xl p-4 mb-4 max-h-[28rem] overflow-y-auto">
+        {!messages ? (
+          <p className="text-center py-8 text-gray-500 dark:text-gray-400">Loading messages...</p>
+        ) : messages.length === 0 ? (
+          <p className="text-center py-8 text-gray-500 dark:text-gray-400">No messages with this user yet.</p>
+        ) : (
+          <MessageThread messages={messages} viewer="staff" />
+        )}
       </div>
+
+      {canSend && (
+        <form onSubmit={handleSend} className="space-y-2">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder={`Message ${user.name}...`}
+            rows={3}
+            maxLength={2000}
+            className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+          <div className="flex items-center justify-between gap-4">
+            {user.email ? (
+              <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                <input type="checkbox" checked={emailCopy} onChange={(e) => setEmailCopy(e.target.checked)} />
+                Also email a copy
+              </label>
+            ) : <span />}
+            <button
+              type="submit"
+              disabled={sending || !draft.trim()}
+              className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm disabled:opacity-50"
+            >
+              {sending ? 'Sending...' : '📧 Send'}
+            </button>
+          </div>
+        </form>
+      )}
     </div>
   );
 }
@@ -2352,15 +5735,35 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
   const [showUserModal, setShowUserModal] = useState(false);
   const [selectedUserForAction, setSelectedUserForAction] = useState(null);
   const [actionType, setActionType] = useState('');
+  const [access, setAccess] = useState(null);
+  const [showRoles, setShowRoles] = useState(false);
+  const [adminView, setAdminView] = useState('users'); // users | announcements | audit
 
   useEffect(() => {
     loadAllUsers();
+    loadAccess();
   }, []);
 
+  // The caller's permissions decide which actions are shown
+  const loadAccess = async () => {
+    try {
+      setAccess(await apiCall('getRoles'));
+    } catch (error) {
+      console.error('Error loading roles:', error);
+    }
+  };
+
+  const can = (permission) => !!access?.myPermissions.includes(permission);
+
+  // Mirrors canManageUser on the backend: staff only act on users whose role
+  // they could have assigned, so a moderator can't unlock or message an admin
+  const canManage = (user) =>
+    !!access && !!user && (access.matrix[user.role || 'user'] || []).every(permission => access.myPermissions.includes(permission));
+
   const loadAllUsers = async () => {
     setLoading(true);
     try {
-      const result = await apiCall('getAllUsers', { requestingUserId: currentUser.userId });
+      const result = await apiCall('getAllUsers');
       setAllUsers(result.users || []);
     } catch (error) {
       console.error('Error loading users:', error);
@@ -2372,10 +5775,7 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
   const viewUserDetails = async (userId) => {
     setLoading(true);
     try {
-      const result = await apiCall('getUserDetails', {
-        requesterId: currentUser.userId,
-        userId
-      });
+      const result = await apiCall('getUserDetails', { userId });
       setUserDetails(result);
       setSelectedUser(userId);
     } catch (error) {
@@ -2388,7 +5788,6 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
   const updateUserRole = async (userId, newRole) => {
     try {
       const result = await apiCall('updateUserRole', {
-        requestingUserId: currentUser.userId,
         targetUserId: userId,
         newRole
       });
@@ -2407,7 +5806,6 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
     if (confirm('Are you sure you want to reset this user\'s password? They will need to set a new password on their next login.')) {
       try {
         const result = await apiCall('adminResetPassword', {
-          requestingUserId: currentUser.userId,
           targetUserId: userId
         });
         if (result.success) {
@@ -2421,15 +5819,40 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
     }
   };
 
-  const sendUserMessage = async (userId, message) => {
+  const unlockUserAccount = async (userId) => {
+    try {
+      await apiCall('adminUnlockAccount', { targetUserId: userId });
+      loadAllUsers();
+    } catch (error) {
+      alert('Error unlocking account: ' + error.message);
+    }
+  };
+
+  // Without a deviceId every session of the user is revoked
+  const revokeUserSessions = async (userId, deviceId) => {
+    const prompt = deviceId
+      ? 'Sign this user out of this device?'
+      : 'Sign this user out of every device? They will need to log in again everywhere.';
+    if (!confirm(prompt)) return;
+
+    try {
+      const result = await apiCall('adminRevokeSessions', { targetUserId: userId, deviceId });
+      alert(`Revoked ${result.revoked} session${result.revoked === 1 ? '' : 's'}.`);
+      viewUserDetails(userId);
+    } catch (error) {
+      alert('Error revoking sessions: ' + error.message);
+    }
+  };
+
+  const sendUserMessage = async (userId, message, sendEmailCopy) => {
     try {
       const result = await apiCall('sendUserMessage', {
-        requestingUserId: currentUser.userId,
         targetUserId: userId,
-        message
+        message,
+        sendEmailCopy
       });
       if (result.success) {
-        alert('Message sent successfully');
+        alert(result.emailed ? 'Message sent, with an email copy' : 'Message sent successfully');
       } else {
         alert('Error sending message: ' + result.error);
       }
@@ -2438,6 +5861,8 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
     }
   };
 
+  const lockedUsers = allUsers.filter(user => user.lockedUntil);
+
   // Filter and sort users
   const filteredUsers = allUsers
     .filter(user => {
@@ -2467,14 +5892,16 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
   // User action modal
   const UserActionModal = () => {
     const [message, setMessage] = useState('');
-    const [newRole, setNewRole] = useState('user');
+    const [emailCopy, setEmailCopy] = useState(false);
+    const [newRole, setNewRole] = useState(selectedUserForAction?.role || 'user');
 
     if (!showUserModal || !selectedUserForAction) return null;
+    if (!can(USER_ACTION_PERMISSIONS[actionType]) || !canManage(selectedUserForAction)) return null;
 
     const handleAction = async () => {
       switch (actionType) {
         case 'message':
-          await sendUserMessage(selectedUserForAction.userId, message);
+          await sendUserMessage(selectedUserForAction.userId, message, emailCopy);
           break;
         case 'role':
           await updateUserRole(selectedUserForAction.userId, newRole);
@@ -2511,6 +5938,12 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
                 rows={4}
               />
             )}
+            {actionType === 'message' && selectedUserForAction.email && (
+              <label className="flex items-center gap-2 mt-2 text-sm text-gray-600 dark:text-gray-300">
+                <input type="checkbox" checked={emailCopy} onChange={(e) => setEmailCopy(e.target.checked)} />
+                Also email a copy to {selectedUserForAction.email}
+              </label>
+            )}
             
             {actionType === 'role' && (
               <select
@@ -2518,8 +5951,9 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
                 onChange={(e) => setNewRole(e.target.value)}
                 className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
               >
-                <option value="user">User</option>
-                <option value="admin">Admin</option>
+                {access.assignableRoles.map(role => (
+                  <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+                ))}
               </select>
             )}
             
@@ -2574,46 +6008,56 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
               <div className="flex items-center gap-4 text-sm text-gray-600 dark:text-gray-400">
                 <span>{userDetails.user.email}</span>
                 <span>{userDetails.user.phone}</span>
-                <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                  userDetails.user.role === 'admin' 
-                    ? 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200'
-                    : 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
-                }`}>
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${roleBadgeClass(userDetails.user.role)}`}>
                   {userDetails.user.role}
                 </span>
               </div>
             </div>
             <div className="flex gap-2">
-              <button
-                onClick={() => {
-                  setSelectedUserForAction(userDetails.user);
-                  setActionType('message');
-                  setShowUserModal(true);
-                }}
-                className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm"
-              >
-                📧 Message
-              </button>
-              <button
-                onClick={() => {
-                  setSelectedUserForAction(userDetails.user);
-                  setActionType('role');
-                  setShowUserModal(true);
-                }}
-                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm"
-              >
-                👑 Role
-              </button>
-              <button
-                onClick={() => {
-                  setSelectedUserForAction(userDetails.user);
-                  setActionType('resetPassword');
-                  setShowUserModal(true);
-                }}
-                className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm"
-              >
-                🔑 Reset Password
-              </button>
+              {can('users.message') && canManage(userDetails.user) && (
+                <button
+                  onClick={() => {
+                    setSelectedUserForAction(userDetails.user);
+                    setActionType('message');
+                    setShowUserModal(true);
+                  }}
+                  className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm"
+                >
+                  📧 Message
+                </button>
+              )}
+              {can('users.changeRole') && selectedUser !== currentUser.userId && (
+                <button
+                  onClick={() => {
+                    setSelectedUserForAction(userDetails.user);
+                    setActionType('role');
+                    setShowUserModal(true);
+                  }}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm"
+                >
+                  👑 Role
+                </button>
+              )}
+              {can('users.resetPassword') && canManage(userDetails.user) && (
+                <button
+                  onClick={() => {
+                    setSelectedUserForAction(userDetails.user);
+                    setActionType('resetPassword');
+                    setShowUserModal(true);
+                  }}
+                  className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm"
+                >
+                  🔑 Reset Password
+                </button>
+              )}
+              {can('users.revokeSessions') && canManage(userDetails.user) && (
+                <button
+                  onClick={() => revokeUserSessions(selectedUser)}
+                  className="px-4 py-2 bg-gray-700 hover:bg-gray-800 text-white rounded-lg text-sm"
+                >
+                  🚪 Sign Out All Devices
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -2625,8 +6069,10 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
               { id: 'overview', label: '📊 Overview', icon: '📊' },
               { id: 'moods', label: '😊 Mood History', icon: '😊' },
               { id: 'analytics', label: '📈 Analytics', icon: '📈' },
-              { id: 'activity', label: '🎯 Activity', icon: '🎯' }
-            ].map(tab => (
+              { id: 'activity', label: '🎯 Activity', icon: '🎯' },
+              { id: 'devices', label: '💻 Devices', icon: '💻' },
+              canManage(userDetails.user) && { id: 'messages', label: '💬 Messages', icon: '💬' }
+            ].filter(Boolean).map(tab => (
               <button
                 key={tab.id}
                 onClick={() => setActiveTab(tab.id)}
@@ -2735,7 +6181,7 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
                         )}
                       </div>
                       <div className="text-gray-700 dark:text-gray-300 mb-2">
-                        {mood.notes || 'No notes provided'}
+                        {isEncryptedNote(mood.notes) ? '🔒 Encrypted note' : (mood.notes || 'No notes provided')}
                       </div>
                       <div className="text-sm text-gray-500 dark:text-gray-400">
                         {new Date(mood.timestamp).toLocaleString()}
@@ -2745,9 +6191,9 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
                           Activities: {Array.isArray(mood.activities) ? mood.activities.join(', ') : mood.activities}
                         </div>
                       )}
-                      {mood.triggers && (
+                      {normalizeTriggers(mood.triggers).length > 0 && (
                         <div className="text-xs text-red-600 dark:text-red-400 mt-1">
-                          Triggers: {mood.triggers}
+                          Triggers: {normalizeTriggers(mood.triggers).join(', ')}
                         </div>
                       )}
                     </div>
@@ -2782,6 +6228,21 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
                     )}
                   </div>
                 </div>
+                <div>
+                  <h4 className="font-medium text-gray-900 dark:text-white mb-3">Top Triggers</h4>
+                  <div className="space-y-2">
+                    {userDetails.analytics?.topTriggers?.length > 0 ? (
+                      userDetails.analytics.topTriggers.map((trigger, idx) => (
+                        <div key={idx} className="flex items-center justify-between">
+                          <span className="text-gray-700 dark:text-gray-300">{getTriggerIcon(trigger.name)} {trigger.name}</span>
+                          <span className="font-medium text-gray-900 dark:text-white">{trigger.count}</span>
+                        </div>
+                      ))
+                    ) : (
+                      <p className="text-gray-500 dark:text-gray-400">No trigger data available</p>
+                    )}
+                  </div>
+                </div>
                 <div>
                   <h4 className="font-medium text-gray-900 dark:text-white mb-3">Activity Patterns</h4>
                   <div className="space-y-2">
@@ -2827,17 +6288,124 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
           </div>
         )}
 
+        {activeTab === 'messages' && canManage(userDetails.user) && (
+          <AdminMessagesTab user={userDetails.user} canSend={can('users.message')} />
+        )}
+
+        {activeTab === 'devices' && (
+          <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 border border-gray-100 dark:border-gray-700">
+            <h3 className="font-semibold text-lg mb-4 text-gray-900 dark:text-white">Signed-in Devices</h3>
+            <div className="space-y-3">
+              {userDetails.devices?.length > 0 ? (
+                userDetails.devices.map(device => (
+                  <div key={device.deviceId} className="flex items-center gap-3 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+                    <div className="text-2xl">{isMobilePlatform(device.platform) ? '📱' : '💻'}</div>
+                    <div className="flex-1">
+                      <div className="font-medium text-gray-900 dark:text-white">
+                        {device.label}
+                        {device.sessions > 1 && (
+                          <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{device.sessions} sessions</span>
+                        )}
+                      </div>
+                      <div className="text-sm text-gray-500 dark:text-gray-400">
+                        Last seen {new Date(device.lastSeen).toLocaleString()} · First seen {new Date(device.firstSeen).toLocaleString()}
+                      </div>
+                    </div>
+                    {can('users.revokeSessions') && canManage(userDetails.user) && (
+                      <button
+                        onClick={() => revokeUserSessions(selectedUser, device.deviceId)}
+                        className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded-lg text-xs"
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </div>
+                ))
+              ) : (
+                <div className="text-center py-8 text-gray-500 dark:text-gray-400">
+                  This user isn't signed in anywhere.
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
         <UserActionModal />
       </div>
     );
   }
 
-  return (
-    <div className="p-4 max-w-7xl mx-auto">
+  const adminViews = [
+    { id: 'users', label: '👥 Users' },
+    can('announcements.manage') && { id: 'announcements', label: '📣 Announcements' },
+    can('audit.view') && { id: 'audit', label: '📜 Audit' }
+  ].filter(Boolean);
+
+  const dashboardHeader = (
+    <>
       <div className="mb-6">
-        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">Admin Dashboard</h1>
-        <p className="text-gray-600 dark:text-gray-400">Manage users and monitor app activity</p>
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">Admin Dashboard</h1>
+            <p className="text-gray-600 dark:text-gray-400">
+              Manage users and monitor app activity
+              {access && ` · Signed in as ${ROLE_LABELS[access.myRole] || access.myRole}`}
+            </p>
+          </div>
+          {can('roles.manage') && (
+            <button
+              onClick={() => setShowRoles(!showRoles)}
+              className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm transition-colors"
+            >
+              🛡️ {showRoles ? 'Hide Roles' : 'Roles'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showRoles && access && <RolesEditor access={access} onSaved={loadAccess} />}
+
+      {adminViews.length > 1 && (
+        <div className="flex space-x-1 bg-gray-100 dark:bg-gray-700 rounded-lg p-1 mb-6">
+          {adminViews.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setAdminView(tab.id)}
+              className={`flex-1 py-2 px-4 rounded-md text-sm font-medium transition-colors ${
+                adminView === tab.id
+                  ? 'bg-white dark:bg-gray-800 text-blue-600 dark:text-blue-400 shadow-sm'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  if (adminView === 'audit' && can('audit.view')) {
+    return (
+      <div className="p-4 max-w-7xl mx-auto">
+        {dashboardHeader}
+        <AuditLogPanel />
+      </div>
+    );
+  }
+
+  if (adminView === 'announcements' && can('announcements.manage')) {
+    return (
+      <div className="p-4 max-w-7xl mx-auto">
+        {dashboardHeader}
+        <AnnouncementsPanel roles={access.roles} />
       </div>
+    );
+  }
+
+  return (
+    <div className="p-4 max-w-7xl mx-auto">
+      {dashboardHeader}
 
       {/* Dashboard Stats */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
@@ -2847,9 +6415,9 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
         </div>
         <div className="bg-gradient-to-br from-green-500 to-green-600 rounded-2xl shadow-lg p-4 text-white">
           <div className="text-3xl font-bold">
-            {allUsers.filter(u => u.role === 'admin').length}
+            {allUsers.filter(u => isStaffRole(u.role)).length}
           </div>
-          <div className="text-sm opacity-90">Admins</div>
+          <div className="text-sm opacity-90">Staff</div>
         </div>
         <div className="bg-gradient-to-br from-purple-500 to-purple-600 rounded-2xl shadow-lg p-4 text-white">
           <div className="text-3xl font-bold">
@@ -2884,8 +6452,9 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
               className="p-3 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
             >
               <option value="all">All Roles</option>
-              <option value="user">Users</option>
-              <option value="admin">Admins</option>
+              {(access?.roles || ['user', ...STAFF_ROLES]).map(role => (
+                <option key={role} value={role}>{ROLE_LABELS[role] || role}</option>
+              ))}
             </select>
             <select
               value={sortBy}
@@ -2902,6 +6471,33 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
         </div>
       </div>
 
+      {/* Accounts locked after failed logins */}
+      {lockedUsers.length > 0 && (
+        <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-2xl p-6 mb-6">
+          <h2 className="text-lg font-semibold text-red-800 dark:text-red-200 mb-3">
+            🔒 Locked Accounts ({lockedUsers.length})
+          </h2>
+          <div className="space-y-2">
+            {lockedUsers.map(user => (
+              <div key={user.userId} className="flex items-center justify-between gap-4 text-sm">
+                <div className="text-red-700 dark:text-red-300">
+                  <span className="font-medium">{user.name}</span> ({user.email}) · {user.failedLogins} failed logins ·
+                  locked until {new Date(user.lockedUntil).toLocaleTimeString()}
+                </div>
+                {can('users.unlock') && canManage(user) && (
+                  <button
+                    onClick={() => unlockUserAccount(user.userId)}
+                    className="px-3 py-1 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm transition-colors"
+                  >
+                    🔓 Unlock
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Users List */}
       <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg border border-gray-100 dark:border-gray-700">
         <div className="p-6 border-b border-gray-200 dark:border-gray-700">
@@ -2932,11 +6528,7 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
                       <h3 className="font-semibold text-gray-900 dark:text-white">{user.name}</h3>
                       <p className="text-gray-600 dark:text-gray-400">{user.email}</p>
                       <div className="flex items-center gap-2 mt-1">
-                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${
-                          user.role === 'admin' 
-                            ? 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200'
-                            : 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
-                        }`}>
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${roleBadgeClass(user.role)}`}>
                           {user.role}
                         </span>
                         {user.hasPassword && (
@@ -2949,6 +6541,15 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
                             📦 Migrated
                           </span>
                         )}
+                        {user.lockedUntil ? (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200">
+                            🔒 Locked
+                          </span>
+                        ) : user.failedLogins > 0 && (
+                          <span className="px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800 dark:bg-orange-900 dark:text-orange-200">
+                            ⚠️ {user.failedLogins} failed logins
+                          </span>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -2959,26 +6560,30 @@ function AdminPage({ currentUser, allUsers, setAllUsers, darkMode }) {
                     >
                       👁️ View Details
                     </button>
-                    <button
-                      onClick={() => {
-                        setSelectedUserForAction(user);
-                        setActionType('message');
-                        setShowUserModal(true);
-                      }}
-                      className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm transition-colors"
-                    >
-                      📧 Message
-                    </button>
-                    <button
-                      onClick={() => {
-                        setSelectedUserForAction(user);
-                        setActionType('role');
-                        setShowUserModal(true);
-                      }}
-                      className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm transition-colors"
-                    >
-                      👑 Role
-                    </button>
+                    {can('users.message') && canManage(user) && (
+                      <button
+                        onClick={() => {
+                          setSelectedUserForAction(user);
+                          setActionType('message');
+                          setShowUserModal(true);
+                        }}
+                        className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm transition-colors"
+                      >
+                        📧 Message
+                      </button>
+                    )}
+                    {can('users.changeRole') && user.userId !== currentUser.userId && (
+                      <button
+                        onClick={() => {
+                          setSelectedUserForAction(user);
+                          setActionType('role');
+                          setShowUserModal(true);
+                        }}
+                        className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg text-sm transition-colors"
+                      >
+                        👑 Role
+                      </button>
+                    )}
                   </div>
                 </div>
                 <div className="mt-3 text-sm text-gray-500 dark:text-gray-400 flex items-center gap-4">
@@ -3008,7 +6613,7 @@ function AdminPageFallback({ currentUser, allUsers, setAllUsers, darkMode }) {
   const loadAllUsers = async () => {
     setLoading(true);
     try {
-      const result = await apiCall('getAllUsers', { requestingUserId: currentUser.userId });
+      const result = await apiCall('getAllUsers');
       setAllUsers(result.users || []);
     } catch (error) {
       console.error('Error loading users:', error);
@@ -3019,10 +6624,7 @@ function AdminPageFallback({ currentUser, allUsers, setAllUsers, darkMode }) {
 
   const viewUserDetails = async (userId) => {
     try {
-      const result = await apiCall('getUserDetails', {
-        requesterId: currentUser.userId,
-        userId
-      });
+      const result = await apiCall('getUserDetails', { userId });
       alert(`User Details:\nName: ${result.user.name}\nEmail: ${result.user.email}\nTotal Moods: ${result.stats.totalEntries || 0}`);
     } catch (error) {
       alert('Error loading user details: ' + error.message);
@@ -3085,17 +6687,18 @@ function AdminPageFallback({ currentUser, allUsers, setAllUsers, darkMode }) {
 }
 
 // ================= NAVIGATION WITH DARK MODE =================
-function Navigation({ currentUser, currentPage, setCurrentPage, darkMode, toggleDarkMode, isOnline }) {
+function Navigation({ currentUser, currentPage, setCurrentPage, darkMode, toggleDarkMode, isOnline, pendingSync = 0, unreadMessages = 0 }) {
   const navItems = [
     { id: 'home', icon: Home, label: 'Home' },
     { id: 'habits', icon: Target, label: 'Habits' },
     { id: 'analytics', icon: BarChart3, label: 'Analytics' },
     { id: 'ai-chat', icon: MessageCircle, label: 'AI Chat' },
+    { id: 'inbox', icon: Mail, label: 'Inbox', badge: unreadMessages },
     { id: 'contact', icon: Phone, label: 'Contact' },
     { id: 'profile', icon: User, label: 'Profile' },
   ];
 
-  if (currentUser?.role === 'admin') {
+  if (isStaffRole(currentUser?.role)) {
     navItems.push({ id: 'admin', icon: Users, label: 'Admin' });
   }
 
@@ -3116,7 +6719,14 @@ function Navigation({ currentUser, currentPage, setCurrentPage, darkMode, toggle
                   : 'text-gray-600 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400'
               }`}
             >
-              <Icon size={24} />
+              <span className="relative">
+                <Icon size={24} />
+                {item.badge > 0 && (
+                  <span className="absolute -top-1.5 -right-2 min-w-[18px] h-[18px] px-1 rounded-full bg-red-500 text-white text-[10px] font-bold flex items-center justify-center">
+                    {item.badge > 9 ? '9+' : item.badge}
+                  </span>
+                )}
+              </span>
               <span className="text-xs mt-1">{item.label}</span>
             </button>
           );
@@ -3132,7 +6742,7 @@ function Navigation({ currentUser, currentPage, setCurrentPage, darkMode, toggle
       {!isOnline && (
         <div className="absolute top-0 left-0 right-0 bg-yellow-500 dark:bg-yellow-600 text-white text-center py-1 text-xs">
           <WifiOff size={12} className="inline mr-1" />
-          Offline
+          Offline{pendingSync > 0 && ` · ${pendingSync} pending`}
         </div>
       )}
     </nav>
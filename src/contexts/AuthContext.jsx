@@ -1,6 +1,10 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { AuthenticationService } from '../utils/auth';
-import { migrationService, getStorageItem, setStorageItem, getStorageKey } from '../utils/migration';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { AuthenticationService, getSession, saveSession, clearSession, isSessionExpired, SESSION_CONFIG } from '../utils/auth';
+import { migrationService, getStorageItem, setStorageItem, getStorageKey, clearUserStorage } from '../utils/migration';
+import { clearSyncCredentials, clearOfflineData, clearCachedMoods } from '../utils/offlineStorage';
+import { cancelReminders } from '../utils/notifications';
+import { markAppUnlocked } from '../utils/appLock';
+import { activateNoteKey, rewrapNoteKeyForNewPassword, replaceNoteKeyEnvelope, clearNoteKey } from '../utils/noteEncryption';
 
 // Authentication context
 const AuthContext = createContext();
@@ -11,7 +15,8 @@ const AUTH_ACTIONS = {
   SET_USER: 'SET_USER',
   SET_ERROR: 'SET_ERROR',
   CLEAR_AUTH: 'CLEAR_AUTH',
-  SET_NEEDS_PASSWORD_SETUP: 'SET_NEEDS_PASSWORD_SETUP'
+  SET_NEEDS_PASSWORD_SETUP: 'SET_NEEDS_PASSWORD_SETUP',
+  SET_TWO_FACTOR_CHALLENGE: 'SET_TWO_FACTOR_CHALLENGE'
 };
 
 // Authentication reducer
@@ -26,7 +31,8 @@ function authReducer(state, action) {
         isAuthenticated: !!action.payload,
         loading: false,
         error: null,
-        needsPasswordSetup: false
+        needsPasswordSetup: false,
+        twoFactorChallenge: null
       };
     case AUTH_ACTIONS.SET_ERROR:
       return { ...state, error: action.payload, loading: false };
@@ -37,10 +43,13 @@ function authReducer(state, action) {
         isAuthenticated: false, 
         loading: false, 
         error: null,
-        needsPasswordSetup: false
+        needsPasswordSetup: false,
+        twoFactorChallenge: null
       };
     case AUTH_ACTIONS.SET_NEEDS_PASSWORD_SETUP:
       return { ...state, needsPasswordSetup: action.payload };
+    case AUTH_ACTIONS.SET_TWO_FACTOR_CHALLENGE:
+      return { ...state, twoFactorChallenge: action.payload, loading: false, error: null };
     default:
       return state;
   }
@@ -52,18 +61,32 @@ const initialState = {
   isAuthenticated: false,
   loading: true,
   error: null,
-  needsPasswordSetup: false
+  needsPasswordSetup: false,
+  twoFactorChallenge: null // { challengeToken, expiresAt } between the password and code steps
 };
 
 // Authentication provider component
 export function AuthProvider({ children, apiCall }) {
   const [state, dispatch] = useReducer(authReducer, initialState);
+  // Held between the password and 2FA steps to unlock encrypted notes afterwards
+  const pendingPasswordRef = useRef(null);
 
   // Initialize authentication state
   useEffect(() => {
     initializeAuth();
   }, []);
 
+  // Log out when the backend rejects the session token
+  useEffect(() => {
+    const handleSessionExpired = () => {
+      clearAuth();
+      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: 'Your session has expired. Please log in again.' });
+    };
+
+    window.addEventListener(SESSION_CONFIG.expiredEvent, handleSessionExpired);
+    return () => window.removeEventListener(SESSION_CONFIG.expiredEvent, handleSessionExpired);
+  }, []);
+
   const initializeAuth = async () => {
     try {
       dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
@@ -82,6 +105,13 @@ export function AuthProvider({ children, apiCall }) {
           return;
         }
         
+        // A cached user without a valid session token has to log in again
+        if (isSessionExpired(getSession())) {
+          console.warn('Session missing or expired, clearing session');
+          clearAuth();
+          return;
+        }
+        
         // Check if existing user needs password setup
         const needsSetup = await migrationService.promptPasswordSetup(user.userId);
         if (needsSetup) {
@@ -132,18 +162,19 @@ export function AuthProvider({ children, apiCall }) {
       const authService = new AuthenticationService(apiCall);
       const result = await authService.login(credentials);
 
+      // Second step: AuthPage asks for the authenticator code
+      if (result.success && result.twoFactorRequired) {
+        pendingPasswordRef.current = credentials.password;
+        dispatch({
+          type: AUTH_ACTIONS.SET_TWO_FACTOR_CHALLENGE,
+          payload: { challengeToken: result.challengeToken, expiresAt: result.challengeExpiresAt }
+        });
+        return { success: false, twoFactorRequired: true };
+      }
+
       if (result.success) {
-        const user = {
-          userId: result.userId,
-          name: result.name,
-          email: result.email,
-          phone: result.phone,
-          role: result.role
-        };
-        
-        setStorageItem('user', JSON.stringify(user));
-        dispatch({ type: AUTH_ACTIONS.SET_USER, payload: user });
-        return { success: true, user };
+        await activateNoteKey(result.userId, result.noteKey, credentials.password);
+        return startUserSession(result);
       } else {
         dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: result.error });
         return { success: false, error: result.error };
@@ -155,6 +186,49 @@ export function AuthProvider({ children, apiCall }) {
     }
   };
 
+  const verifyTwoFactor = async (code) => {
+    if (!state.twoFactorChallenge) {
+      return { success: false, error: 'Please log in again' };
+    }
+
+    const authService = new AuthenticationService(apiCall);
+    const result = await authService.verifyTwoFactorLogin(state.twoFactorChallenge.challengeToken, code);
+    if (!result.success) {
+      if (result.restartLogin) {
+        pendingPasswordRef.current = null;
+        dispatch({ type: AUTH_ACTIONS.SET_TWO_FACTOR_CHALLENGE, payload: null });
+      }
+      return result;
+    }
+
+    await activateNoteKey(result.userId, result.noteKey, pendingPasswordRef.current);
+    pendingPasswordRef.current = null;
+    return { ...startUserSession(result), recoveryCodesRemaining: result.recoveryCodesRemaining };
+  };
+
+  const cancelTwoFactor = () => {
+    pendingPasswordRef.current = null;
+    dispatch({ type: AUTH_ACTIONS.SET_TWO_FACTOR_CHALLENGE, payload: null });
+  };
+
+  // Store the session from a successful login response
+  const startUserSession = (result) => {
+    const user = {
+      userId: result.userId,
+      name: result.name,
+      email: result.email,
+      phone: result.phone,
+      role: result.role,
+      deletionScheduledFor: result.deletionScheduledFor || null
+    };
+    
+    saveSession(result.sessionToken, result.sessionExpiresAt);
+    setStorageItem('user', JSON.stringify(user));
+    markAppUnlocked(user.userId);
+    dispatch({ type: AUTH_ACTIONS.SET_USER, payload: user });
+    return { success: true, user };
+  };
+
   const register = async (userData) => {
     try {
       dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
@@ -171,7 +245,10 @@ export function AuthProvider({ children, apiCall }) {
           role: result.role
         };
         
+        saveSession(result.sessionToken, result.sessionExpiresAt);
         setStorageItem('user', JSON.stringify(user));
+        await activateNoteKey(result.userId, null);
+        markAppUnlocked(result.userId);
         dispatch({ type: AUTH_ACTIONS.SET_USER, payload: user });
         return { success: true, user };
       } else {
@@ -226,42 +303,165 @@ export function AuthProvider({ children, apiCall }) {
     }
   };
 
+  // Reset pages keep their own loading state; the global flag would swap them for the splash loader
   const requestPasswordReset = async (identifier) => {
+    const authService = new AuthenticationService(apiCall);
+    return authService.requestPasswordReset(identifier);
+  };
+
+  const resetPassword = async (token, newPassword) => {
+    const authService = new AuthenticationService(apiCall);
+    return authService.resetPassword(token, newPassword);
+  };
+
+  const unlockAccount = async (token) => {
+    const authService = new AuthenticationService(apiCall);
+    return authService.unlockAccount(token);
+  };
+
+  // Encrypted notes stay readable: their key is re-wrapped for the new password
+  // and saved in the same request
+  const changePassword = async (currentPassword, newPassword) => {
+    let noteKey;
     try {
-      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
-      
-      const authService = new AuthenticationService(apiCall);
-      const result = await authService.requestPasswordReset(identifier);
-      
-      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
-      return result;
+      noteKey = await rewrapNoteKeyForNewPassword(apiCall, currentPassword, newPassword);
     } catch (error) {
-      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: error.message });
-      return { success: false, error: error.message };
+      return { success: false, error: error.message || 'Password change failed' };
     }
+
+    const authService = new AuthenticationService(apiCall);
+    const result = await authService.changePassword(currentPassword, newPassword, noteKey);
+    if (result.success && noteKey) {
+      await replaceNoteKeyEnvelope(noteKey);
+    }
+    return result;
   };
 
-  const resetPassword = async (token, newPassword) => {
+  const getTwoFactorStatus = async () => {
+    const authService = new AuthenticationService(apiCall);
+    return authService.getTwoFactorStatus();
+  };
+
+  const startTwoFactorSetup = async (password) => {
+    const authService = new AuthenticationService(apiCall);
+    return authService.startTwoFactorSetup(password);
+  };
+
+  const confirmTwoFactorSetup = async (code) => {
+    const authService = new AuthenticationService(apiCall);
+    return authService.confirmTwoFactorSetup(code);
+  };
+
+  const disableTwoFactor = async (password, code) => {
+    const authService = new AuthenticationService(apiCall);
+    return authService.disableTwoFactor(password, code);
+  };
+
+  const getDevices = async () => {
+    const authService = new AuthenticationService(apiCall);
+    return authService.getDevices();
+  };
+
+  // Signing out this device ends the local session too
+  const signOutDevice = async (deviceId) => {
+    const authService = new AuthenticationService(apiCall);
+    const result = await authService.signOutDevice(deviceId);
+    if (result.success && result.signedOutCurrent) {
+      clearAuth();
+    }
+    return result;
+  };
+
+  const signOutEverywhere = async () => {
+    const authService = new AuthenticationService(apiCall);
+    const result = await authService.signOutEverywhere();
+    if (result.success) {
+      clearAuth();
+    }
+    return result;
+  };
+
+  const requestIdentifierChange = async (newIdentifier, password) => {
+    const authService = new AuthenticationService(apiCall);
+    return authService.requestIdentifierChange(newIdentifier, password);
+  };
+
+  const confirmIdentifierChange = async (code) => {
+    const authService = new AuthenticationService(apiCall);
+    const result = await authService.confirmIdentifierChange(code);
+
+    if (result.success) {
+      const updatedUser = { ...state.user, [result.identifierType]: result.value };
+      setStorageItem('user', JSON.stringify(updatedUser));
+      dispatch({ type: AUTH_ACTIONS.SET_USER, payload: updatedUser });
+    }
+    return result;
+  };
+
+  const logout = async () => {
+    // Revoke the session server-side; log out locally regardless of the outcome
+    if (getSession()) {
+      try {
+        await apiCall('logout');
+      } catch (error) {
+        console.warn('Server logout failed:', error.message);
+      }
+    }
+    clearAuth();
+  };
+
+  // Schedule the account for erasure, then remove everything it left on this
+  // device. The backend revokes every session, so there is no logout call.
+  const deleteAccount = async (password) => {
     try {
-      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
-      
-      const authService = new AuthenticationService(apiCall);
-      const result = await authService.resetPassword(token, newPassword);
-      
-      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
-      return result;
+      const result = await apiCall('requestAccountDeletion', { password });
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      await cancelReminders().catch(err => console.error('Cancelling reminders failed:', err));
+      await clearOfflineData().catch(err => console.error('Clearing offline data failed:', err));
+      clearUserStorage(state.user.userId);
+      clearAuth();
+      return { success: true, deletionScheduledFor: result.deletionScheduledFor };
     } catch (error) {
-      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: error.message });
-      return { success: false, error: error.message };
+      return { success: false, error: error.message || 'Account deletion failed' };
     }
   };
 
-  const logout = () => {
-    clearAuth();
+  const cancelAccountDeletion = async () => {
+    try {
+      const result = await apiCall('cancelAccountDeletion');
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+
+      const updatedUser = { ...state.user, deletionScheduledFor: null };
+      setStorageItem('user', JSON.stringify(updatedUser));
+      dispatch({ type: AUTH_ACTIONS.SET_USER, payload: updatedUser });
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message || 'Cancelling account deletion failed' };
+    }
   };
 
+  // Changes this user queued offline stay on the device, but without their
+  // sync credentials they are only replayed once the same user signs in again
+  // (read from storage: listeners registered on mount see a stale state)
   const clearAuth = () => {
+    try {
+      const savedUser = JSON.parse(getStorageItem('user') || 'null');
+      if (savedUser?.userId) {
+        clearCachedMoods(savedUser.userId).catch(err => console.error('Clearing mood cache failed:', err));
+      }
+    } catch (error) {
+      console.warn('Could not read the signed-in user:', error);
+    }
     localStorage.removeItem(getStorageKey('user'));
+    clearSession();
+    clearSyncCredentials().catch(err => console.error('Clearing sync credentials failed:', err));
+    clearNoteKey().catch(err => console.error('Clearing notes key failed:', err));
+    pendingPasswordRef.current = null;
     dispatch({ type: AUTH_ACTIONS.CLEAR_AUTH });
   };
 
@@ -276,11 +476,26 @@ export function AuthProvider({ children, apiCall }) {
   const contextValue = {
     ...state,
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
     setupPassword,
     requestPasswordReset,
     resetPassword,
+    unlockAccount,
     logout,
+    changePassword,
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    confirmTwoFactorSetup,
+    disableTwoFactor,
+    getDevices,
+    signOutDevice,
+    signOutEverywhere,
+    requestIdentifierChange,
+    confirmIdentifierChange,
+    deleteAccount,
+    cancelAccountDeletion,
     clearError,
     skipPasswordSetup
   };
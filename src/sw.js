@@ -0,0 +1,167 @@
+// FitMood Service Worker
+// Precaches the app shell, replays the offline sync queue via Background Sync
+// and checks reminder schedules via Periodic Background Sync
+import { precacheAndRoute, cleanupOutdatedCaches } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { clientsClaim } from 'workbox-core';
+import { saveMoodOffline, syncOfflineData, getSyncStatus, getSyncCredentials, SYNC_CONFIG } from './utils/offlineStorage';
+import { checkDueReminders, getQuickLogMood, recordMoodLogged, saveMoodActivity, REMINDER_CONFIG } from './utils/reminders';
+import { getTimeSlotForDate, getTimeSlotInfo } from './utils/timeSlots';
+import { generateUUID } from './utils/crypto';
+import { getTimeZone } from './utils/moodDates';
+
+self.skipWaiting();
+clientsClaim();
+
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+
+registerRoute(
+  ({ url }) => url.origin === 'https://script.google.com',
+  new NetworkFirst({
+    cacheName: 'google-scripts-cache',
+    plugins: [
+      new ExpirationPlugin({
+        maxEntries: 10,
+        maxAgeSeconds: 60 * 60 * 24 * 7 // 7 days
+      })
+    ]
+  })
+);
+
+// Same contract as sendRequest in App.jsx, using the credentials the page left in IndexedDB
+const sendQueuedRequest = async (action, payload) => {
+  const credentials = await getSyncCredentials();
+  if (!credentials || !credentials.sessionToken) {
+    const error = new Error('Not logged in');
+    error.sessionExpired = true;
+    throw error;
+  }
+
+  const response = await fetch(credentials.apiUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'text/plain;charset=utf-8'
+    },
+    body: JSON.stringify({
+      action,
+      ...payload,
+      sessionToken: credentials.sessionToken
+    })
+  });
+
+  const result = JSON.parse(await response.text());
+  if (result.error) {
+    const error = new Error(result.error);
+    error.sessionExpired = !!result.sessionExpired;
+    throw error;
+  }
+  return result;
+};
+
+const flushSyncQueue = async () => {
+  const summary = await syncOfflineData(sendQueuedRequest);
+
+  // Let open tabs refresh their pending count and history
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage({ type: SYNC_CONFIG.completeMessage, summary }));
+
+  // Rejecting makes the browser fire the sync event again later
+  const { pending } = await getSyncStatus();
+  if (pending > 0) {
+    throw new Error(`${pending} queued change(s) still waiting to sync`);
+  }
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_CONFIG.backgroundSyncTag) {
+    event.waitUntil(flushSyncQueue());
+  }
+});
+
+const showReminder = (title, options) =>
+  self.registration.showNotification(title, {
+    icon: '/icon-192.png',
+    badge: '/icon-192.png',
+    ...options
+  });
+
+// Pick up entries logged on other devices before deciding whether to remind
+const refreshMoodActivity = async () => {
+  try {
+    const { stats } = await sendQueuedRequest('getUserStats', { timeZone: getTimeZone() });
+    if (stats) {
+      await saveMoodActivity({ lastMoodAt: stats.lastEntryAt || null, streak: stats.streak || 0 });
+    }
+  } catch (error) {
+    // Offline or logged out: use what the page last stored
+  }
+};
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_CONFIG.periodicSyncTag) {
+    event.waitUntil(
+      refreshMoodActivity().then(() => checkDueReminders(showReminder, new Date(), { maxActions: Notification.maxActions }))
+    );
+  }
+});
+
+// Log a mood straight from a reminder's action button. It goes through the
+// offline queue, so it is saved even if the request can't be sent right now.
+const quickLogMood = async (quickLog, data) => {
+  const credentials = await getSyncCredentials();
+  if (!credentials || !credentials.userId) {
+    return self.clients.openWindow('/');
+  }
+
+  const now = new Date();
+  const timeSlot = (data && data.slotId) || getTimeSlotForDate(now);
+  await saveMoodOffline({
+    userId: credentials.userId,
+    moodLevel: quickLog.moodLevel,
+    notes: '',
+    triggers: [],
+    timeSlot: timeSlot,
+    clientId: generateUUID(),
+    timestamp: now.toISOString()
+  });
+  const activity = await recordMoodLogged(now);
+
+  try {
+    await flushSyncQueue();
+  } catch (error) {
+    if (self.registration.sync) {
+      await self.registration.sync.register(SYNC_CONFIG.backgroundSyncTag);
+    }
+  }
+
+  const slot = getTimeSlotInfo(timeSlot);
+  await showReminder(`Logged ${quickLog.title}`, {
+    body: activity.streak > 1
+      ? `${slot.name} check-in saved. That's a ${activity.streak}-day streak!`
+      : `${slot.name} check-in saved.`,
+    tag: 'fitmood-quick-log'
+  });
+};
+
+// Focus an open tab, or open the app, when a notification is tapped
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  const quickLog = getQuickLogMood(event.action);
+  if (quickLog) {
+    event.waitUntil(quickLogMood(quickLog, event.notification.data));
+    return;
+  }
+
+  const url = (event.notification.data && event.notification.data.url) || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const existing = windows.find(client => 'focus' in client);
+      return existing ? existing.focus() : self.clients.openWindow(url);
+    })
+  );
+});
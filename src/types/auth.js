@@ -15,6 +15,8 @@
  * @property {UserData} [user] - User data if successful
  * @property {string} [error] - Error message if failed
  * @property {string} [token] - Authentication token if applicable
+ * @property {string} [sessionToken] - Signed session token issued on login/registration
+ * @property {string} [sessionExpiresAt] - ISO date string of session token expiry
  */
 
 /**
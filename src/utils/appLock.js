@@ -0,0 +1,182 @@
+// App Lock for shared devices
+//
+// An optional lock that shows when the app is resumed after being idle. It
+// unlocks with a PIN (only a PBKDF2 hash is kept) or a platform WebAuthn
+// credential such as Touch ID, Face ID or Windows Hello. Everything stays on
+// this device; signing in with the password always unlocks.
+import { getStorageItem, setStorageItem, getStorageKey } from './migration';
+import { deriveKey, generateRandomBytes, bytesToBase64, base64ToBytes, timingSafeEqual } from './crypto';
+
+export const APP_LOCK_CONFIG = {
+  idleOptions: [1, 5, 15, 30, 60], // minutes
+  defaultIdleMinutes: 5,
+  maxPinAttempts: 5, // Then the user is signed out
+  pinPattern: /^\d{4,8}$/,
+  pinIterations: 100000,
+  activityThrottleMs: 15 * 1000
+};
+
+const LAST_ACTIVE_KEY = 'app_lock_last_active';
+
+// Per-user keys end in the user ID so clearUserStorage removes them
+const settingsKey = (userId) => `app_lock_${userId}`;
+
+export const getAppLockSettings = (userId) => {
+  try {
+    return JSON.parse(getStorageItem(settingsKey(userId)) || 'null');
+  } catch (error) {
+    console.error('Error loading app lock settings:', error);
+    return null;
+  }
+};
+
+const saveAppLockSettings = (userId, settings) => {
+  setStorageItem(settingsKey(userId), JSON.stringify(settings));
+};
+
+export const updateAppLockSettings = (userId, changes) => {
+  const settings = getAppLockSettings(userId);
+  if (settings) {
+    saveAppLockSettings(userId, { ...settings, ...changes });
+  }
+};
+
+export const isAppLockEnabled = (userId) => !!getAppLockSettings(userId)?.pinHash;
+
+const hashPin = (pin, salt) => deriveKey(pin, salt, APP_LOCK_CONFIG.pinIterations);
+
+export const enableAppLock = async (userId, pin, idleMinutes = APP_LOCK_CONFIG.defaultIdleMinutes) => {
+  const pinSalt = bytesToBase64(generateRandomBytes(16));
+  saveAppLockSettings(userId, {
+    pinHash: await hashPin(pin, pinSalt),
+    pinSalt,
+    idleMinutes,
+    failedAttempts: 0,
+    credentialId: null
+  });
+  recordAppActivity();
+};
+
+export const disableAppLock = (userId) => {
+  localStorage.removeItem(getStorageKey(settingsKey(userId)));
+};
+
+// Wrong PINs are counted across reloads; returns { success, attemptsLeft, signOut }
+export const verifyPin = async (userId, pin) => {
+  const settings = getAppLockSettings(userId);
+  if (!settings?.pinHash) {
+    return { success: true };
+  }
+
+  if (timingSafeEqual(await hashPin(pin, settings.pinSalt), settings.pinHash)) {
+    saveAppLockSettings(userId, { ...settings, failedAttempts: 0 });
+    return { success: true };
+  }
+
+  const failedAttempts = (settings.failedAttempts || 0) + 1;
+  saveAppLockSettings(userId, { ...settings, failedAttempts });
+  const attemptsLeft = Math.max(0, APP_LOCK_CONFIG.maxPinAttempts - failedAttempts);
+  return { success: false, attemptsLeft, signOut: attemptsLeft === 0 };
+};
+
+// ========================================
+// IDLE TRACKING
+// ========================================
+
+export const recordAppActivity = () => {
+  setStorageItem(LAST_ACTIVE_KEY, String(Date.now()));
+};
+
+export const isAppLockDue = (userId) => {
+  const settings = getAppLockSettings(userId);
+  if (!settings?.pinHash) return false;
+
+  const lastActive = Number(getStorageItem(LAST_ACTIVE_KEY)) || 0;
+  return Date.now() - lastActive >= settings.idleMinutes * 60 * 1000;
+};
+
+// Signing in with the password counts as unlocking
+export const markAppUnlocked = (userId) => {
+  recordAppActivity();
+  updateAppLockSettings(userId, { failedAttempts: 0 });
+};
+
+// ========================================
+// WEBAUTHN (PLATFORM AUTHENTICATOR)
+// ========================================
+
+const toBase64Url = (bytes) =>
+  bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+export const isPlatformAuthenticatorAvailable = async () => {
+  if (!window.PublicKeyCredential?.isUserVerifyingPlatformAuthenticatorAvailable) {
+    return false;
+  }
+  try {
+    return await window.PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+  } catch (error) {
+    return false;
+  }
+};
+
+export const registerBiometricUnlock = async (user) => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      challenge: generateRandomBytes(32),
+      rp: { name: 'FitMood' },
+      user: {
+        id: new TextEncoder().encode(user.userId),
+        name: user.email || user.phone || user.userId,
+        displayName: user.name
+      },
+      pubKeyCredParams: [
+        { type: 'public-key', alg: -7 }, // ES256
+        { type: 'public-key', alg: -257 } // RS256
+      ],
+      authenticatorSelection: {
+        authenticatorAttachment: 'platform',
+        userVerification: 'required',
+        residentKey: 'discouraged'
+      },
+      attestation: 'none',
+      timeout: 60000
+    }
+  });
+
+  updateAppLockSettings(user.userId, { credentialId: bytesToBase64(new Uint8Array(credential.rawId)) });
+};
+
+export const removeBiometricUnlock = (userId) => {
+  updateAppLockSettings(userId, { credentialId: null });
+};
+
+// There is no server round trip, so the assertion is checked here: it has to
+// answer our challenge, come from the registered credential and carry the
+// user-verified flag
+export const unlockWithBiometrics = async (userId) => {
+  const settings = getAppLockSettings(userId);
+  if (!settings?.credentialId) return false;
+
+  const challenge = generateRandomBytes(32);
+  const assertion = await navigator.credentials.get({
+    publicKey: {
+      challenge,
+      allowCredentials: [{ type: 'public-key', id: base64ToBytes(settings.credentialId) }],
+      userVerification: 'required',
+      timeout: 60000
+    }
+  });
+  if (!assertion) return false;
+
+  const clientData = JSON.parse(new TextDecoder().decode(assertion.response.clientDataJSON));
+  const flags = new Uint8Array(assertion.response.authenticatorData)[32];
+  const verified = clientData.type === 'webauthn.get' &&
+    clientData.challenge === toBase64Url(challenge) &&
+    bytesToBase64(new Uint8Array(assertion.rawId)) === settings.credentialId &&
+    (flags & 0x04) !== 0; // UV flag
+
+  if (verified) {
+    saveAppLockSettings(userId, { ...settings, failedAttempts: 0 });
+  }
+  return verified;
+};
@@ -1,6 +1,8 @@
 // ========================================
 // AUTHENTICATION UTILITIES
 // ========================================
+import { getStorageItem, setStorageItem, getStorageKey } from './migration';
+import { deriveKey, sha256Hash, timingSafeEqual, generateUUID, createDeviceFingerprint } from './crypto';
 
 /**
  * Password validation configuration
@@ -10,7 +12,8 @@ export const PASSWORD_CONFIG = {
   requireSpecialChar: true,
   requireNumber: false,
   requireUppercase: false,
-  hashAlgorithm: 'SHA-256',
+  hashAlgorithm: 'pbkdf2-sha256', // Must match PASSWORD_HASH_ALGORITHM in the backend
+  hashIterations: 100000,
   saltLength: 16
 };
 
@@ -96,31 +99,221 @@ export function generateSalt() {
 }
 
 /**
- * Hashes a password with salt using Web Crypto API
+ * Hashes a password with salt using PBKDF2 (Web Crypto API)
  * @param {string} password - The password to hash
- * @param {string} salt - The salt to use
- * @returns {Promise<string>} - Base64 encoded hash
+ * @param {string} salt - The base64 salt to use
+ * @returns {Promise<string>} - Versioned hash: 'pbkdf2-sha256$<iterations>$<base64 hash>'
  */
 export async function hashPassword(password, salt) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password + salt);
-  
-  const hashBuffer = await crypto.subtle.digest(PASSWORD_CONFIG.hashAlgorithm, data);
-  const hashArray = new Uint8Array(hashBuffer);
-  
-  return btoa(String.fromCharCode(...hashArray));
+  const hash = await deriveKey(password, salt, PASSWORD_CONFIG.hashIterations);
+  return [PASSWORD_CONFIG.hashAlgorithm, PASSWORD_CONFIG.hashIterations, hash].join('$');
 }
 
 /**
- * Verifies a password against a stored hash
+ * Splits a stored hash into its parts; hashes without a version are legacy SHA-256
+ * @param {string} storedHash - The stored hash
+ * @returns {{algorithm: string, iterations: number, hash: string}|null} - Parsed hash, or null if malformed
+ */
+export function parsePasswordHash(storedHash) {
+  const parts = String(storedHash || '').split('$');
+  if (parts.length === 1) {
+    return { algorithm: 'sha256', iterations: 1, hash: parts[0] };
+  }
+  if (parts.length !== 3) {
+    return null;
+  }
+  return { algorithm: parts[0], iterations: parseInt(parts[1], 10), hash: parts[2] };
+}
+
+/**
+ * Verifies a password against a stored hash in any supported format
  * @param {string} password - The password to verify
  * @param {string} storedHash - The stored hash
  * @param {string} salt - The salt used for hashing
  * @returns {Promise<boolean>} - True if password matches
  */
 export async function verifyPassword(password, storedHash, salt) {
-  const computedHash = await hashPassword(password, salt);
-  return computedHash === storedHash;
+  const parsed = parsePasswordHash(storedHash);
+  if (!parsed) {
+    return false;
+  }
+  
+  let computedHash;
+  if (parsed.algorithm === 'sha256') {
+    computedHash = await sha256Hash(password + salt);
+  } else if (parsed.algorithm === PASSWORD_CONFIG.hashAlgorithm) {
+    computedHash = await deriveKey(password, salt, parsed.iterations);
+  } else {
+    return false;
+  }
+  
+  return timingSafeEqual(computedHash, parsed.hash);
+}
+
+/**
+ * Session token configuration
+ */
+export const SESSION_CONFIG = {
+  refreshWindowMs: 24 * 60 * 60 * 1000, // Refresh when less than a day remains
+  expiredEvent: 'fitmood:session-expired'
+};
+
+/**
+ * Days a deleted account can still be restored (must match the backend)
+ */
+export const ACCOUNT_DELETION_GRACE_DAYS = 7;
+
+/**
+ * Paths of the links the backend emails (?token=...)
+ */
+export const RESET_PASSWORD_PATH = '/reset-password';
+export const UNLOCK_ACCOUNT_PATH = '/unlock-account';
+
+function getTokenForPath(path) {
+  if (window.location.pathname !== path) {
+    return null;
+  }
+  return new URLSearchParams(window.location.search).get('token') || '';
+}
+
+/**
+ * Reads the token from a password reset link, if the app was opened from one
+ * @returns {string|null} - The reset token, or null when not on the reset route
+ */
+export function getResetTokenFromUrl() {
+  return getTokenForPath(RESET_PASSWORD_PATH);
+}
+
+/**
+ * Reads the token from an account unlock link, if the app was opened from one
+ * @returns {string|null} - The unlock token, or null when not on the unlock route
+ */
+export function getUnlockTokenFromUrl() {
+  return getTokenForPath(UNLOCK_ACCOUNT_PATH);
+}
+
+/**
+ * Removes an emailed link from the address bar and history once it is used
+ */
+export function clearLinkTokenFromUrl() {
+  if ([RESET_PASSWORD_PATH, UNLOCK_ACCOUNT_PATH].includes(window.location.pathname)) {
+    window.history.replaceState(null, '', '/');
+  }
+}
+
+/**
+ * Returns this browser's device ID, creating it on first use
+ * The backend counts failed logins per device as well as per account.
+ * @returns {string} - Device ID (UUID)
+ */
+export function getDeviceId() {
+  let deviceId = getStorageItem('device_id');
+  if (!deviceId) {
+    deviceId = generateUUID();
+    setStorageItem('device_id', deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * Describes this browser for the "Your devices" list
+ * The label and platform are rough guesses from the user agent; the
+ * fingerprint lets the backend recognise the device after site data is cleared.
+ * @returns {Promise<{deviceId: string, deviceLabel: string, platform: string, fingerprint: string}>}
+ */
+export async function getDeviceInfo() {
+  const ua = navigator.userAgent;
+  const platforms = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/CrOS/, 'ChromeOS'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\//, 'Opera'],
+    [/SamsungBrowser/, 'Samsung Internet'],
+    [/Firefox|FxiOS/, 'Firefox'],
+    [/Chrome|CriOS/, 'Chrome'],
+    [/Safari/, 'Safari']
+  ];
+  const platform = (platforms.find(([pattern]) => pattern.test(ua)) || [null, 'Unknown'])[1];
+  const browser = (browsers.find(([pattern]) => pattern.test(ua)) || [null, 'Browser'])[1];
+  const standalone = window.matchMedia?.('(display-mode: standalone)').matches || navigator.standalone;
+  
+  let fingerprint = '';
+  try {
+    fingerprint = await createDeviceFingerprint();
+  } catch (error) {
+    console.warn('Device fingerprint unavailable:', error.message);
+  }
+  
+  return {
+    deviceId: getDeviceId(),
+    deviceLabel: `${standalone ? 'FitMood app' : browser} on ${platform}`,
+    platform,
+    fingerprint
+  };
+}
+
+/**
+ * Reads the stored session issued by the backend
+ * @returns {{token: string, expiresAt: string}|null} - Stored session or null
+ */
+export function getSession() {
+  try {
+    const stored = getStorageItem('session');
+    if (!stored) return null;
+    
+    const session = JSON.parse(stored);
+    return session && session.token ? session : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores a session token issued by the backend
+ * @param {string} token - Signed session token
+ * @param {string} expiresAt - ISO date string of token expiry
+ */
+export function saveSession(token, expiresAt) {
+  setStorageItem('session', JSON.stringify({ token, expiresAt }));
+}
+
+/**
+ * Removes the stored session token
+ */
+export function clearSession() {
+  localStorage.removeItem(getStorageKey('session'));
+}
+
+/**
+ * Checks whether a session has passed its expiry time
+ * @param {{expiresAt: string}} session - Stored session
+ * @returns {boolean} - True if the session is expired
+ */
+export function isSessionExpired(session) {
+  return !session || new Date(session.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Checks whether a session is close enough to expiry to be refreshed
+ * @param {{expiresAt: string}} session - Stored session
+ * @returns {boolean} - True if the session should be refreshed
+ */
+export function sessionNeedsRefresh(session) {
+  if (!session) return false;
+  return new Date(session.expiresAt).getTime() - Date.now() < SESSION_CONFIG.refreshWindowMs;
+}
+
+/**
+ * Notifies listeners (the auth context) that the backend rejected the session
+ */
+export function notifySessionExpired() {
+  window.dispatchEvent(new CustomEvent(SESSION_CONFIG.expiredEvent));
 }
 
 /**
@@ -210,7 +403,8 @@ export class AuthenticationService {
         email: userData.email.toLowerCase().trim(),
         phone: normalizedPhone,
         passwordHash,
-        salt
+        salt,
+        ...(await getDeviceInfo())
       });
       
       return result;
@@ -252,11 +446,21 @@ export class AuthenticationService {
       const result = await this.apiCall('login', {
         identifier: normalizedIdentifier,
         identifierType,
-        password: credentials.password
+        password: credentials.password,
+        ...(await getDeviceInfo())
       });
       
       return result;
     } catch (error) {
+      // Throttled attempts carry a "try again in ..." message worth showing
+      if (error.response?.retryAfterSeconds) {
+        return {
+          success: false,
+          error: error.message,
+          retryAfterSeconds: error.response.retryAfterSeconds,
+          locked: !!error.response.locked
+        };
+      }
       return {
         success: false,
         error: 'Invalid login credentials'
@@ -264,6 +468,133 @@ export class AuthenticationService {
     }
   }
   
+  /**
+   * Completes a login that needs a second factor
+   * @param {string} challengeToken - Challenge returned by login
+   * @param {string} code - Authenticator code or recovery code
+   * @returns {Promise<Object>} - Login result; restartLogin is set when the challenge is used up
+   */
+  async verifyTwoFactorLogin(challengeToken, code) {
+    try {
+      return await this.apiCall('verifyTwoFactorLogin', {
+        challengeToken,
+        code: code.trim(),
+        ...(await getDeviceInfo())
+      });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Verification failed',
+        restartLogin: !!error.response?.restartLogin
+      };
+    }
+  }
+  
+  /**
+   * Gets the signed-in user's two-factor settings
+   * @returns {Promise<Object>} - { enabled, enabledAt, recoveryCodesRemaining }
+   */
+  async getTwoFactorStatus() {
+    try {
+      return await this.apiCall('getTwoFactorStatus');
+    } catch (error) {
+      return { success: false, error: error.message || 'Failed to load two-factor settings' };
+    }
+  }
+  
+  /**
+   * Starts authenticator enrollment after checking the password
+   * @param {string} password - The user's current password
+   * @returns {Promise<Object>} - { secret, otpauthUrl } for the authenticator app
+   */
+  async startTwoFactorSetup(password) {
+    try {
+      return await this.apiCall('startTwoFactorSetup', { password });
+    } catch (error) {
+      return { success: false, error: error.message || 'Failed to start two-factor setup' };
+    }
+  }
+  
+  /**
+   * Turns two-factor authentication on with a code from the authenticator app
+   * @param {string} code - Current authenticator code
+   * @returns {Promise<Object>} - Result with the one-time recovery codes
+   */
+  async confirmTwoFactorSetup(code) {
+    try {
+      return await this.apiCall('confirmTwoFactorSetup', { code: code.trim() });
+    } catch (error) {
+      return { success: false, error: error.message || 'Failed to turn on two-factor authentication' };
+    }
+  }
+  
+  /**
+   * Turns two-factor authentication off
+   * @param {string} password - The user's current password
+   * @param {string} code - Authenticator code or recovery code
+   * @returns {Promise<Object>} - Result
+   */
+  async disableTwoFactor(password, code) {
+    try {
+      return await this.apiCall('disableTwoFactor', { password, code: code.trim() });
+    } catch (error) {
+      return { success: false, error: error.message || 'Failed to turn off two-factor authentication' };
+    }
+  }
+  
+  /**
+   * Lists the devices the user is signed in on
+   * @returns {Promise<Object>} - { devices } grouped by device, most recent first
+   */
+  async getDevices() {
+    try {
+      return await this.apiCall('getDevices');
+    } catch (error) {
+      return { success: false, error: error.message || 'Failed to load devices' };
+    }
+  }
+  
+  /**
+   * Signs out every session on one device
+   * @param {string} deviceId - Device ID from getDevices
+   * @returns {Promise<Object>} - Result; signedOutCurrent is set for this device
+   */
+  async signOutDevice(deviceId) {
+    try {
+      return await this.apiCall('signOutDevice', { deviceId });
+    } catch (error) {
+      return { success: false, error: error.message || 'Failed to sign out device' };
+    }
+  }
+  
+  /**
+   * Signs out every session of the user, this one included
+   * @returns {Promise<Object>} - Result with the number of revoked sessions
+   */
+  async signOutEverywhere() {
+    try {
+      return await this.apiCall('signOutEverywhere');
+    } catch (error) {
+      return { success: false, error: error.message || 'Failed to sign out everywhere' };
+    }
+  }
+  
+  /**
+   * Unlocks an account with the token from a lockout email
+   * @param {string} token - Unlock token
+   * @returns {Promise<Object>} - Unlock result
+   */
+  async unlockAccount(token) {
+    try {
+      return await this.apiCall('unlockAccount', { token });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Failed to unlock account'
+      };
+    }
+  }
+  
   /**
    * Requests a password reset
    * @param {string} identifier - Email or phone number
@@ -337,4 +668,91 @@ export class AuthenticationService {
       };
     }
   }
+  
+  /**
+   * Changes the password of the signed-in user
+   * @param {string} currentPassword - The user's current password
+   * @param {string} newPassword - The new password
+   * @param {Object} [noteKey] - Encrypted-notes key re-wrapped for the new password
+   * @returns {Promise<Object>} - Result; other sessions are signed out
+   */
+  async changePassword(currentPassword, newPassword, noteKey) {
+    try {
+      const passwordValidation = validatePassword(newPassword);
+      if (!passwordValidation.isValid) {
+        return {
+          success: false,
+          error: passwordValidation.errors.join('. ')
+        };
+      }
+      
+      const salt = generateSalt();
+      const passwordHash = await hashPassword(newPassword, salt);
+      
+      return await this.apiCall('changePassword', {
+        currentPassword,
+        passwordHash,
+        salt,
+        noteKey
+      });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Password change failed'
+      };
+    }
+  }
+  
+  /**
+   * Starts changing the signed-in user's email or phone; a verification
+   * code is sent that confirmIdentifierChange must be called with
+   * @param {string} newIdentifier - New email address or phone number
+   * @param {string} password - The user's current password
+   * @returns {Promise<Object>} - Result with identifierType and sentTo
+   */
+  async requestIdentifierChange(newIdentifier, password) {
+    try {
+      const identifierType = getIdentifierType(newIdentifier);
+      
+      if (identifierType === 'unknown') {
+        return {
+          success: false,
+          error: 'Please enter a valid email address or phone number'
+        };
+      }
+      
+      const newValue = identifierType === 'email'
+        ? newIdentifier.trim().toLowerCase()
+        : normalizePhoneNumber(newIdentifier.trim());
+      
+      const result = await this.apiCall('requestIdentifierChange', {
+        identifierType,
+        newValue,
+        password
+      });
+      
+      return { ...result, identifierType };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Could not send verification code'
+      };
+    }
+  }
+  
+  /**
+   * Confirms a pending email/phone change
+   * @param {string} code - Verification code that was sent
+   * @returns {Promise<Object>} - Result with identifierType and the new value
+   */
+  async confirmIdentifierChange(code) {
+    try {
+      return await this.apiCall('confirmIdentifierChange', { code });
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Verification failed'
+      };
+    }
+  }
 }
\ No newline at end of file
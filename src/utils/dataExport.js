@@ -0,0 +1,247 @@
+// Personal Data Export (JSON bundle, CSV, printable report)
+import { getStorageItem } from './migration';
+import { getUserHabits, getAllHabitLogs } from './habits';
+import { getCustomEmojis } from './customEmojis';
+import { getReminderSchedule } from './reminders';
+import { calculateLocalStats } from './moodHistory';
+import { getSlotAverages, getMoodTimeSlot, getTimeSlotInfo } from './timeSlots';
+import { normalizeTriggers } from './triggers';
+import { toLocalDateKey } from './moodDates';
+
+// Bump when the bundle layout changes; the importer checks it
+export const EXPORT_FORMAT = 'fitmood-export';
+export const EXPORT_FORMAT_VERSION = 1;
+
+const MOOD_LABELS = ['Very Sad', 'Sad', 'Neutral', 'Good', 'Very Happy'];
+const MOOD_COLORS = ['#ef4444', '#f59e0b', '#eab308', '#22c55e', '#3b82f6'];
+
+// Combine the backend export with the habits and settings kept on this device
+export const buildExportBundle = async (serverExport, userId) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_FORMAT_VERSION,
+  exportedAt: new Date().toISOString(),
+  user: serverExport.user,
+  moods: serverExport.moods,
+  habits: {
+    habits: getUserHabits(userId),
+    logs: getAllHabitLogs(userId)
+  },
+  settings: {
+    customEmojis: getCustomEmojis(userId),
+    darkMode: getStorageItem('dark_mode') === 'true',
+    reminders: await getReminderSchedule()
+  }
+});
+
+// Entries between two YYYY-MM-DD dates, inclusive, in local time
+export const filterMoodsByRange = (moods, from, to) =>
+  moods.filter(m => {
+    const day = toLocalDateKey(m.timestamp);
+    return (!from || day >= from) && (!to || day <= to);
+  });
+
+// Text starting with =, +, -, @, tab or CR would run as a formula in Excel or
+// Sheets, so it gets a leading ' (numbers are left alone)
+const escapeCsv = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const moodsToCsv = (moods) => {
+  const header = ['id', 'date', 'time', 'time_slot', 'mood_level', 'mood_label', 'mood_emoji', 'notes', 'triggers'];
+  const rows = moods.map(m => {
+    const date = new Date(m.timestamp);
+    const level = Number(m.moodLevel);
+    return [
+      m.id,
+      toLocalDateKey(date),
+      date.toTimeString().slice(0, 5),
+      getMoodTimeSlot(m),
+      level,
+      MOOD_LABELS[level - 1] || '',
+      m.moodEmoji || '',
+      m.notes || '',
+      normalizeTriggers(m.triggers).join('; ')
+    ];
+  });
+
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+};
+
+// Admin audit log entries; before/after stay as JSON
+export const auditLogToCsv = (entries) => {
+  const header = ['id', 'timestamp', 'actor_id', 'actor_email', 'action', 'target_id', 'target_email', 'before', 'after'];
+  const rows = entries.map(e => [
+    e.id,
+    e.timestamp,
+    e.actorId,
+    e.actorEmail,
+    e.action,
+    e.targetId,
+    e.targetEmail,
+    e.before ? JSON.stringify(e.before) : '',
+    e.after ? JSON.stringify(e.after) : ''
+  ]);
+
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n');
+};
+
+export const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const getExportFilename = (extension, from, to) => {
+  const range = from || to ? `-${from || 'start'}-to-${to || 'today'}` : '';
+  return `fitmood${range}-${toLocalDateKey(new Date())}.${extension}`;
+};
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Daily average mood as a line chart, drawn as static SVG so it prints
+const renderTrendChart = (moods) => {
+  const days = {};
+  moods.forEach(m => {
+    const day = toLocalDateKey(m.timestamp);
+    days[day] = days[day] || { total: 0, count: 0 };
+    days[day].total += Number(m.moodLevel) || 3;
+    days[day].count++;
+  });
+  const points = Object.keys(days).sort().map(day => ({ day, avg: days[day].total / days[day].count }));
+  if (points.length === 0) return '<p class="muted">No entries in this range.</p>';
+
+  const width = 640;
+  const height = 200;
+  const pad = 30;
+  const x = (i) => pad + (points.length === 1 ? (width - 2 * pad) / 2 : (i * (width - 2 * pad)) / (points.length - 1));
+  const y = (avg) => height - pad - ((avg - 1) / 4) * (height - 2 * pad);
+
+  const grid = [1, 2, 3, 4, 5].map(level =>
+    `<line x1="${pad}" x2="${width - pad}" y1="${y(level)}" y2="${y(level)}" stroke="#e5e7eb" />` +
+    `<text x="${pad - 8}" y="${y(level) + 4}" font-size="10" text-anchor="end" fill="#6b7280">${level}</text>`
+  ).join('');
+  const line = points.map((p, i) => `${x(i)},${y(p.avg)}`).join(' ');
+  const dots = points.map((p, i) => `<circle cx="${x(i)}" cy="${y(p.avg)}" r="3" fill="#6366f1" />`).join('');
+  const labels = [0, points.length - 1]
+    .filter((i, idx, arr) => arr.indexOf(i) === idx)
+    .map(i => `<text x="${x(i)}" y="${height - 8}" font-size="10" text-anchor="middle" fill="#6b7280">${points[i].day}</text>`)
+    .join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" width="100%">${grid}<polyline points="${line}" fill="none" stroke="#6366f1" stroke-width="2" />${dots}${labels}</svg>`;
+};
+
+const renderBars = (items) => {
+  const max = Math.max(1, ...items.map(item => item.value));
+  return items.map(item => `
+    <div class="bar-row">
+      <span class="bar-label">${escapeHtml(item.label)}</span>
+      <span class="bar-track"><span class="bar" style="width:${(item.value / max) * 100}%;background:${item.color}"></span></span>
+      <span class="bar-value">${escapeHtml(item.display)}</span>
+    </div>`).join('');
+};
+
+export const buildPrintableReport = ({ user, moods, from, to }) => {
+  const sorted = [...moods].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const stats = calculateLocalStats(sorted);
+  const distribution = MOOD_LABELS.map((label, idx) => ({
+    label,
+    value: stats.moodDistribution[idx + 1] || 0,
+    display: String(stats.moodDistribution[idx + 1] || 0),
+    color: MOOD_COLORS[idx]
+  }));
+  const slots = getSlotAverages(sorted).map(slot => ({
+    label: `${slot.icon} ${slot.name}`,
+    value: slot.avg || 0,
+    display: slot.avg ? `${slot.avg.toFixed(1)} (${slot.count})` : '–',
+    color: '#8b5cf6'
+  }));
+  const triggers = stats.topTriggers.map(t => ({ label: t.name, value: t.count, display: `${t.count}×`, color: '#6366f1' }));
+
+  const rows = sorted.map(m => `
+    <tr>
+      <td>${escapeHtml(new Date(m.timestamp).toLocaleString())}</td>
+      <td>${escapeHtml(getTimeSlotInfo(getMoodTimeSlot(m)).name)}</td>
+      <td>${escapeHtml(m.moodEmoji || '')} ${escapeHtml(MOOD_LABELS[Number(m.moodLevel) - 1] || m.moodLevel)}</td>
+      <td>${escapeHtml(m.notes || '')}</td>
+      <td>${escapeHtml(normalizeTriggers(m.triggers).join(', '))}</td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>FitMood Report – ${escapeHtml(user.name)}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 32px; }
+  h1 { margin: 0 0 4px; color: #4f46e5; }
+  h2 { margin: 28px 0 12px; font-size: 16px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .muted { color: #6b7280; font-size: 13px; }
+  .stats { display: flex; gap: 16px; margin-top: 16px; }
+  .stat { flex: 1; border: 1px solid #e5e7eb; border-radius: 12px; padding: 12px; text-align: center; }
+  .stat strong { display: block; font-size: 24px; color: #4f46e5; }
+  .bar-row { display: flex; align-items: center; gap: 8px; margin: 4px 0; font-size: 13px; }
+  .bar-label { width: 120px; }
+  .bar-track { flex: 1; background: #f3f4f6; border-radius: 4px; height: 12px; }
+  .bar { display: block; height: 12px; border-radius: 4px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .bar-value { width: 70px; text-align: right; color: #6b7280; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  th { background: #f9fafb; }
+  .print { margin-top: 16px; padding: 8px 16px; border: 0; border-radius: 8px; background: #4f46e5; color: white; cursor: pointer; }
+  @media print { .print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+  <h1>FitMood Report</h1>
+  <div class="muted">${escapeHtml(user.name)} · ${escapeHtml(from || 'All time')} to ${escapeHtml(to || 'today')} · generated ${escapeHtml(new Date().toLocaleString())}</div>
+  <button class="print" onclick="window.print()">Print / Save as PDF</button>
+
+  <div class="stats">
+    <div class="stat"><strong>${stats.totalEntries}</strong>Entries</div>
+    <div class="stat"><strong>${stats.avgMood.toFixed(1)}</strong>Average mood (1–5)</div>
+    <div class="stat"><strong>${new Set(sorted.map(m => toLocalDateKey(m.timestamp))).size}</strong>Days logged</div>
+  </div>
+
+  <h2>Mood Trend (daily average)</h2>
+  ${renderTrendChart(sorted)}
+
+  <h2>Mood Distribution</h2>
+  ${renderBars(distribution)}
+
+  <h2>Mood by Time of Day</h2>
+  ${renderBars(slots)}
+
+  ${triggers.length > 0 ? `<h2>Common Triggers</h2>${renderBars(triggers)}` : ''}
+
+  <h2>Entries</h2>
+  <table>
+    <thead><tr><th>When</th><th>Slot</th><th>Mood</th><th>Notes</th><th>Triggers</th></tr></thead>
+    <tbody>${rows || '<tr><td colspan="5" class="muted">No entries in this range.</td></tr>'}</tbody>
+  </table>
+</body>
+</html>`;
+};
+
+// Write the report into a window opened during the click, so popup
+// blockers don't stop it after the export request resolves
+export const openPrintableReport = (reportWindow, html) => {
+  reportWindow.document.open();
+  reportWindow.document.write(html);
+  reportWindow.document.close();
+  reportWindow.focus();
+};
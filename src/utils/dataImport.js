@@ -0,0 +1,345 @@
+// Data Import (FitMood export bundles and other mood trackers' CSVs)
+import { EXPORT_FORMAT, EXPORT_FORMAT_VERSION } from './dataExport';
+import { saveUserHabits, saveAllHabitLogs } from './habits';
+import { saveCustomEmojis } from './customEmojis';
+import { normalizeTriggers } from './triggers';
+import { getTimeSlotForDate } from './timeSlots';
+
+// Must match MAX_IMPORT_BATCH in the backend
+export const IMPORT_BATCH_SIZE = 200;
+
+// Scales other trackers commonly use, mapped linearly onto 1–5
+const IMPORT_SCALES = [
+  { id: '1-5', name: '1 to 5', min: 1, max: 5 },
+  { id: '1-10', name: '1 to 10', min: 1, max: 10 },
+  { id: '0-10', name: '0 to 10', min: 0, max: 10 },
+  { id: '0-100', name: '0 to 100', min: 0, max: 100 },
+  { id: 'words', name: 'Words (e.g. "good", "meh")' }
+];
+
+// Mood words from FitMood and popular trackers such as Daylio
+const MOOD_WORDS = {
+  awful: 1, terrible: 1, 'very sad': 1, 'very bad': 1,
+  bad: 2, sad: 2, low: 2, down: 2,
+  meh: 3, okay: 3, ok: 3, neutral: 3, fine: 3,
+  good: 4, happy: 4,
+  rad: 5, great: 5, amazing: 5, 'very happy': 5, excellent: 5
+};
+
+const DATE_FORMATS = [
+  { id: 'auto', name: 'Automatic' },
+  { id: 'ymd', name: 'Year-Month-Day' },
+  { id: 'dmy', name: 'Day/Month/Year' },
+  { id: 'mdy', name: 'Month/Day/Year' }
+];
+
+// Header names we recognise for each field, lowercase, best match first
+const COLUMN_HINTS = {
+  date: ['full_date', 'timestamp', 'datetime', 'date', 'day', 'created', 'created_at', 'time_logged'],
+  time: ['time', 'hour'],
+  level: ['mood_level', 'mood', 'level', 'rating', 'score', 'value'],
+  notes: ['notes', 'note', 'journal', 'comment', 'comments', 'description', 'text'],
+  tags: ['triggers', 'tags', 'activities', 'labels', 'factors']
+};
+
+export const getImportScales = () => IMPORT_SCALES;
+
+export const getDateFormats = () => DATE_FORMATS;
+
+// RFC 4180 CSV: quoted fields, escaped quotes, CRLF or LF line endings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Work out what kind of file was picked. Throws if it's neither a FitMood
+// bundle we understand nor a CSV with a header and at least one row.
+export const parseImportFile = (text, filename = '') => {
+  const trimmed = text.trim();
+
+  if (filename.toLowerCase().endsWith('.json') || trimmed.startsWith('{')) {
+    let bundle;
+    try {
+      bundle = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('This file is not valid JSON.');
+    }
+    if (!bundle || bundle.format !== EXPORT_FORMAT || !Array.isArray(bundle.moods)) {
+      throw new Error('This JSON file is not a FitMood export.');
+    }
+    if (bundle.version > EXPORT_FORMAT_VERSION) {
+      throw new Error('This export was made by a newer version of FitMood. Please update the app first.');
+    }
+    return { type: 'bundle', bundle };
+  }
+
+  const [headers, ...rows] = parseCsv(text);
+  if (!headers || rows.length === 0) {
+    throw new Error('This CSV file has no entries.');
+  }
+  return { type: 'csv', headers: headers.map(h => h.trim()), rows };
+};
+
+// Pick the most likely column for each field from the header names
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(h => h.toLowerCase().replace(/[\s-]+/g, '_'));
+  const used = new Set();
+  const mapping = {};
+
+  Object.entries(COLUMN_HINTS).forEach(([field, hints]) => {
+    const index = hints
+      .map(hint => normalized.findIndex((header, i) => header === hint && !used.has(i)))
+      .find(i => i !== -1);
+    mapping[field] = index === undefined ? -1 : index;
+    if (mapping[field] !== -1) used.add(mapping[field]);
+  });
+
+  return mapping;
+};
+
+const parseNumber = (value) => {
+  const number = Number(String(value).trim().replace(',', '.'));
+  return String(value).trim() !== '' && !isNaN(number) ? number : null;
+};
+
+// Guess the scale from the values in the level column
+export const detectScale = (values) => {
+  const numbers = values.map(parseNumber).filter(n => n !== null);
+  if (numbers.length < values.filter(v => String(v).trim()).length / 2) {
+    return 'words';
+  }
+
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  if (max <= 5 && min >= 1) return '1-5';
+  if (max <= 10) return min < 1 ? '0-10' : '1-10';
+  return '0-100';
+};
+
+// Map a value on the chosen scale onto 1–5. Returns null if it can't be read.
+export const rescaleMoodLevel = (value, scaleId) => {
+  if (scaleId === 'words') {
+    return MOOD_WORDS[String(value).trim().toLowerCase()] || null;
+  }
+
+  const scale = IMPORT_SCALES.find(s => s.id === scaleId) || IMPORT_SCALES[0];
+  const number = parseNumber(value);
+  if (number === null || number < scale.min || number > scale.max) return null;
+
+  const level = Math.round(1 + ((number - scale.min) * 4) / (scale.max - scale.min));
+  return Math.min(5, Math.max(1, level));
+};
+
+const parseTime = (text) => {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(am|pm)?$/i.exec(text.trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const meridiem = match[4] && match[4].toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  return { hours, minutes: Number(match[2]), seconds: Number(match[3] || 0) };
+};
+
+// Dates without a time are placed at midday so they land on the right day in any timezone
+export const parseImportDate = (dateText, timeText, format = 'auto') => {
+  const text = String(dateText || '').trim();
+  if (!text) return null;
+
+  const match = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:[ T]+(.+))?$/.exec(text);
+  let date;
+
+  // Times with a zone (e.g. ISO strings ending in Z) are left to Date
+  if (match && !/[zZ]|[+-]\d{2}:?\d{2}$/.test(match[4] || '')) {
+    const [, a, b, c, rest] = match;
+    const detected = format !== 'auto' ? format : a.length === 4 ? 'ymd' : Number(a) > 12 ? 'dmy' : 'mdy';
+    let year, month, day;
+    if (detected === 'dmy') {
+      [day, month, year] = [a, b, c];
+    } else if (detected === 'mdy') {
+      [month, day, year] = [a, b, c];
+    } else {
+      [year, month, day] = [a, b, c];
+    }
+
+    date = new Date(Number(year), Number(month) - 1, Number(day), 12, 0, 0, 0);
+    if (date.getMonth() !== Number(month) - 1) return null;
+
+    const time = parseTime(timeText || rest || '');
+    if (time) {
+      date.setHours(time.hours, time.minutes, time.seconds, 0);
+    } else if (rest) {
+      return null;
+    }
+  } else if (/\d{4}/.test(text)) {
+    // Other formats such as "March 5, 2024"; without a year Date guesses 2001
+    date = new Date(text);
+    if (timeText && !isNaN(date.getTime())) {
+      const time = parseTime(timeText);
+      if (time) date.setHours(time.hours, time.minutes, time.seconds, 0);
+    }
+  } else {
+    return null;
+  }
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Stable ID for an imported row, so importing the same file twice is caught
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+const splitTags = (value) => String(value || '').split(/[;|,]/);
+
+// Turn CSV rows into entries using the chosen mapping. Rows that can't be
+// read are returned in errors with their 1-based line number.
+export const buildCsvEntries = (rows, mapping, { scale, dateFormat }) => {
+  const entries = [];
+  const errors = [];
+  const now = Date.now();
+
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    const cell = (field) => (mapping[field] >= 0 ? row[mapping[field]] || '' : '');
+
+    const date = parseImportDate(cell('date'), mapping.time >= 0 ? cell('time') : '', dateFormat);
+    if (!date) {
+      errors.push({ line, error: `Unreadable date "${cell('date')}"` });
+      return;
+    }
+    if (date.getTime() > now) {
+      errors.push({ line, error: 'Date is in the future' });
+      return;
+    }
+
+    const moodLevel = rescaleMoodLevel(cell('level'), scale);
+    if (!moodLevel) {
+      errors.push({ line, error: `Unreadable mood "${cell('level')}"` });
+      return;
+    }
+
+    const notes = cell('notes').trim();
+    entries.push({
+      moodLevel,
+      notes,
+      triggers: normalizeTriggers(splitTags(cell('tags'))),
+      timestamp: date.toISOString(),
+      timeSlot: getTimeSlotForDate(date),
+      clientId: `import-${hashString(`${date.toISOString()}|${moodLevel}|${notes}`)}`
+    });
+  });
+
+  return { entries, errors };
+};
+
+export const buildBundleEntries = (bundle) => {
+  const entries = [];
+  const errors = [];
+
+  bundle.moods.forEach((m, index) => {
+    const date = new Date(m.timestamp);
+    const moodLevel = Number(m.moodLevel);
+    if (isNaN(date.getTime()) || !(moodLevel >= 1 && moodLevel <= 5)) {
+      errors.push({ line: index + 1, error: 'Invalid entry in export' });
+      return;
+    }
+
+    entries.push({
+      moodLevel,
+      notes: m.notes || '',
+      triggers: normalizeTriggers(m.triggers),
+      moodEmoji: m.moodEmoji || '',
+      timestamp: date.toISOString(),
+      timeSlot: m.timeSlot || getTimeSlotForDate(date),
+      clientId: `import-${m.id}`
+    });
+  });
+
+  return { entries, errors };
+};
+
+// Same key the backend uses: time to the minute plus level
+const getDuplicateKey = (timestamp, moodLevel) =>
+  `${Math.floor(new Date(timestamp).getTime() / 60000)}:${Number(moodLevel)}`;
+
+// Flag entries already in the history, or repeated earlier in the same file
+export const markDuplicates = (entries, existingMoods) => {
+  const seen = new Set(existingMoods.map(m => getDuplicateKey(m.timestamp, m.moodLevel)));
+
+  return entries.map(entry => {
+    const key = getDuplicateKey(entry.timestamp, entry.moodLevel);
+    const duplicate = seen.has(key);
+    seen.add(key);
+    return { ...entry, duplicate };
+  });
+};
+
+// Send entries in batches; onProgress(done, total) after each one
+export const importMoodBatches = async (apiCall, entries, onProgress) => {
+  const totals = { imported: 0, duplicates: 0, skipped: 0 };
+
+  for (let i = 0; i < entries.length; i += IMPORT_BATCH_SIZE) {
+    const batch = entries.slice(i, i + IMPORT_BATCH_SIZE).map(({ duplicate, ...entry }) => entry);
+    const result = await apiCall('importMoods', { moods: batch });
+    totals.imported += result.imported || 0;
+    totals.duplicates += result.duplicates || 0;
+    totals.skipped += (result.skipped || []).length;
+    if (onProgress) onProgress(Math.min(i + IMPORT_BATCH_SIZE, entries.length), entries.length);
+  }
+
+  return totals;
+};
+
+// Habits and settings live on the device, so they are restored locally
+export const restoreBundleSettings = (bundle, userId) => {
+  if (bundle.habits) {
+    if (Array.isArray(bundle.habits.habits)) saveUserHabits(userId, bundle.habits.habits);
+    if (bundle.habits.logs) saveAllHabitLogs(userId, bundle.habits.logs);
+  }
+  if (bundle.settings && bundle.settings.customEmojis) {
+    saveCustomEmojis(userId, bundle.settings.customEmojis);
+  }
+};
@@ -109,6 +109,31 @@ export const getHabitLogs = (userId, startDate, endDate) => {
   }
 };
 
+// Every logged day, keyed by date string (used for data export)
+export const getAllHabitLogs = (userId) => {
+  try {
+    return JSON.parse(getStorageItem(`habit_log_${userId}`) || '{}');
+  } catch (error) {
+    console.error('Error getting habit logs:', error);
+    return {};
+  }
+};
+
+// Merge restored logs into the existing ones (used for data import)
+export const saveAllHabitLogs = (userId, logs) => {
+  try {
+    const merged = getAllHabitLogs(userId);
+    Object.entries(logs).forEach(([date, habitIds]) => {
+      merged[date] = [...new Set([...(merged[date] || []), ...habitIds])];
+    });
+    setStorageItem(`habit_log_${userId}`, JSON.stringify(merged));
+    return true;
+  } catch (error) {
+    console.error('Error saving habit logs:', error);
+    return false;
+  }
+};
+
 export const getHabitStats = (userId, days = 30) => {
   try {
     const key = `habit_log_${userId}`;
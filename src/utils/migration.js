@@ -391,4 +391,31 @@ export function setStorageItem(key, value) {
   const service = new MigrationService();
   const newKey = service.newPrefix + key;
   localStorage.setItem(newKey, value);
-}
\ No newline at end of file
+}
+/**
+ * Removes everything this app stored in localStorage for a user (habits,
+ * habit logs, emojis, password setup flags) plus the signed-in user and
+ * session, under both the current and the legacy prefix
+ * @param {string} userId - The user whose data should be removed
+ * @returns {string[]} - The keys that were removed
+ */
+export function clearUserStorage(userId) {
+  const service = new MigrationService();
+  const prefixes = [service.newPrefix, service.oldPrefix];
+  const sharedKeys = ['user', 'session'];
+  const removed = [];
+
+  for (let i = localStorage.length - 1; i >= 0; i--) {
+    const key = localStorage.key(i);
+    const prefix = prefixes.find(p => key && key.startsWith(p));
+    if (!prefix) continue;
+
+    const name = key.slice(prefix.length);
+    if (sharedKeys.includes(name) || name.endsWith(`_${userId}`)) {
+      localStorage.removeItem(key);
+      removed.push(key);
+    }
+  }
+
+  return removed;
+}
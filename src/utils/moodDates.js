@@ -0,0 +1,71 @@
+// Mood Timestamp & Streak Utilities
+
+// How far back a mood can be logged (must match MAX_BACKDATE_DAYS in the backend)
+export const MAX_BACKDATE_DAYS = 30;
+
+// Local calendar day key (YYYY-MM-DD) so streaks follow the user's timezone
+export const toLocalDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// The device's IANA time zone, sent with getUserStats so the server counts
+// streak days the same way calculateStreak does
+export const getTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Value for an <input type="datetime-local">, in local time
+export const toDateTimeLocalValue = (date) => {
+  const d = new Date(date);
+  const hours = String(d.getHours()).padStart(2, '0');
+  const minutes = String(d.getMinutes()).padStart(2, '0');
+  return `${toLocalDateKey(d)}T${hours}:${minutes}`;
+};
+
+export const getBackdateBounds = (now = new Date()) => {
+  const min = new Date(now);
+  min.setDate(min.getDate() - MAX_BACKDATE_DAYS);
+  return { min, max: new Date(now) };
+};
+
+// Returns an error message, or null if the timestamp can be logged
+export const validateMoodTimestamp = (value, now = new Date()) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return 'Please choose a valid date and time';
+  }
+
+  const { min, max } = getBackdateBounds(now);
+  if (date > max) {
+    return 'Moods can\'t be logged in the future';
+  }
+  if (date < min) {
+    return `Moods can only be logged up to ${MAX_BACKDATE_DAYS} days back`;
+  }
+  return null;
+};
+
+// Consecutive days with at least one entry, ending today. A streak that
+// ended yesterday is still alive until today is over.
+export const calculateStreak = (moods, now = new Date()) => {
+  const days = new Set(moods.map(m => toLocalDateKey(m.timestamp)));
+  const cursor = new Date(now);
+
+  if (!days.has(toLocalDateKey(cursor))) {
+    cursor.setDate(cursor.getDate() - 1);
+  }
+
+  let streak = 0;
+  while (days.has(toLocalDateKey(cursor))) {
+    streak++;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+  return streak;
+};
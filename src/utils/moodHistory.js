@@ -0,0 +1,61 @@
+// Mood History Merging & Local Statistics
+import { calculateStreak } from './moodDates';
+import { normalizeTriggers } from './triggers';
+
+const byNewest = (a, b) => new Date(b.timestamp) - new Date(a.timestamp);
+
+// Combine server moods with the IndexedDB copies. Only rows that haven't
+// synced are added; one whose sync reached the server without the queue
+// hearing back is matched by its server ID or client ID and dropped, so each
+// entry shows up once.
+export const mergeMoodHistory = (serverMoods, localMoods) => {
+  const serverIds = new Set(serverMoods.map(m => m.id));
+  const clientIds = new Set(serverMoods.map(m => m.clientId).filter(Boolean));
+
+  const localOnly = localMoods.filter(m =>
+    !m.synced &&
+    !serverIds.has(m.serverId) &&
+    !(m.clientId && clientIds.has(m.clientId))
+  );
+
+  return [...serverMoods, ...localOnly].sort(byNewest);
+};
+
+// Same shape as the backend's getUserStats, plus the chart fields AnalyticsPage reads
+export const calculateLocalStats = (moods) => {
+  const levels = moods.map(m => Number(m.moodLevel)).filter(level => level >= 1 && level <= 5);
+  const totalEntries = moods.length;
+  const avgMood = levels.length > 0
+    ? Math.round((levels.reduce((sum, level) => sum + level, 0) / levels.length) * 10) / 10
+    : 0;
+
+  const moodDistribution = {};
+  levels.forEach(level => {
+    moodDistribution[level] = (moodDistribution[level] || 0) + 1;
+  });
+
+  const triggerCounts = {};
+  moods.forEach(m => {
+    normalizeTriggers(m.triggers).forEach(name => {
+      triggerCounts[name] = (triggerCounts[name] || 0) + 1;
+    });
+  });
+  const topTriggers = Object.entries(triggerCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([name, count]) => ({ name, count }));
+
+  const recentMoods = [...moods]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map(m => ({ date: m.timestamp, level: Number(m.moodLevel) }));
+
+  return {
+    totalEntries,
+    avgMood,
+    streak: calculateStreak(moods),
+    topTriggers,
+    moodDistribution,
+    recentMoods,
+    isLocal: true
+  };
+};
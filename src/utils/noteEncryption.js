@@ -0,0 +1,302 @@
+// End-to-end encryption of mood notes and triggers
+//
+// Notes and triggers are encrypted on the device with a random AES-GCM data
+// key. The backend only stores that key wrapped with a key derived from the
+// password (PBKDF2 with its own salt, so it never matches the password hash),
+// plus the IV and ciphertext of each entry. moodLevel and timestamps stay in
+// plaintext so stats and charts keep working.
+import { deriveKey, generateRandomBytes, bytesToBase64, base64ToBytes } from './crypto';
+import { saveSetting, getSetting } from './offlineStorage';
+import { normalizeTriggers } from './triggers';
+
+// Encrypted Notes cells look like enc:v1:<iv>:<ciphertext>
+export const NOTE_CIPHER_PREFIX = 'enc:v1:';
+
+const NOTE_KEY_CONFIG = {
+  version: 1,
+  iterations: 100000,
+  saltLength: 16,
+  ivLength: 12,
+  keyLength: 32,
+  rewriteBatchSize: 200 // The backend's MAX_IMPORT_BATCH
+};
+
+// The unlocked key is a non-extractable CryptoKey, kept in IndexedDB so it
+// survives reloads and removed on logout
+const NOTE_KEY_SETTING = 'note_key';
+
+// { userId, envelope, key } for the signed-in user; key is null while locked
+let noteKeyState;
+
+const importAesKey = (rawBytes, usages) =>
+  crypto.subtle.importKey('raw', rawBytes, { name: 'AES-GCM' }, false, usages);
+
+const deriveWrappingKey = async (password, salt, iterations) =>
+  importAesKey(base64ToBytes(await deriveKey(password, salt, iterations)), ['encrypt', 'decrypt']);
+
+const aesEncrypt = async (key, bytes) => {
+  const iv = generateRandomBytes(NOTE_KEY_CONFIG.ivLength);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv: bytesToBase64(iv), ciphertext: bytesToBase64(new Uint8Array(ciphertext)) };
+};
+
+const aesDecrypt = async (key, iv, ciphertext) =>
+  new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(ciphertext)));
+
+const wrapKeyBytes = async (keyBytes, password) => {
+  const salt = bytesToBase64(generateRandomBytes(NOTE_KEY_CONFIG.saltLength));
+  const wrappingKey = await deriveWrappingKey(password, salt, NOTE_KEY_CONFIG.iterations);
+  const { iv, ciphertext } = await aesEncrypt(wrappingKey, keyBytes);
+
+  return {
+    version: NOTE_KEY_CONFIG.version,
+    algorithm: 'AES-GCM',
+    kdf: 'pbkdf2-sha256',
+    iterations: NOTE_KEY_CONFIG.iterations,
+    salt,
+    iv,
+    wrappedKey: ciphertext
+  };
+};
+
+const unwrapKeyBytes = async (envelope, password) => {
+  const wrappingKey = await deriveWrappingKey(password, envelope.salt, envelope.iterations);
+  try {
+    return await aesDecrypt(wrappingKey, envelope.iv, envelope.wrappedKey);
+  } catch (error) {
+    throw new Error('That password does not unlock your encrypted notes');
+  }
+};
+
+// New data key plus its envelope for the backend
+export const createNoteKey = async (password) => {
+  const keyBytes = generateRandomBytes(NOTE_KEY_CONFIG.keyLength);
+  const envelope = await wrapKeyBytes(keyBytes, password);
+  const key = await importAesKey(keyBytes, ['encrypt', 'decrypt']);
+  keyBytes.fill(0);
+  return { envelope, key };
+};
+
+// Throws if the envelope was wrapped with a different password
+export const unlockNoteKey = async (envelope, password) => {
+  const keyBytes = await unwrapKeyBytes(envelope, password);
+  const key = await importAesKey(keyBytes, ['encrypt', 'decrypt']);
+  keyBytes.fill(0);
+  return key;
+};
+
+// Same data key, wrapped for a new password
+export const rewrapNoteKey = async (envelope, oldPassword, newPassword) => {
+  const keyBytes = await unwrapKeyBytes(envelope, oldPassword);
+  const rewrapped = await wrapKeyBytes(keyBytes, newPassword);
+  keyBytes.fill(0);
+  return rewrapped;
+};
+
+export const isEncryptedNote = (value) =>
+  typeof value === 'string' && value.startsWith(NOTE_CIPHER_PREFIX);
+
+const encryptNote = async (key, { notes, triggers }) => {
+  const plaintext = new TextEncoder().encode(JSON.stringify({ notes: notes || '', triggers: normalizeTriggers(triggers) }));
+  const { iv, ciphertext } = await aesEncrypt(key, plaintext);
+  return `${NOTE_CIPHER_PREFIX}${iv}:${ciphertext}`;
+};
+
+const decryptNote = async (key, value) => {
+  const [iv, ciphertext] = value.slice(NOTE_CIPHER_PREFIX.length).split(':');
+  const plaintext = await aesDecrypt(key, iv, ciphertext);
+  const { notes, triggers } = JSON.parse(new TextDecoder().decode(plaintext));
+  return { notes: notes || '', triggers: normalizeTriggers(triggers) };
+};
+
+// ========================================
+// KEY STATE ON THIS DEVICE
+// ========================================
+
+const readNoteKeyState = async () => {
+  if (noteKeyState === undefined) {
+    noteKeyState = (await getSetting(NOTE_KEY_SETTING).catch(() => null)) || null;
+  }
+  return noteKeyState;
+};
+
+const setNoteKeyState = async (userId, envelope, key) => {
+  noteKeyState = { userId, envelope: envelope || null, key: key || null };
+  await saveSetting(NOTE_KEY_SETTING, noteKeyState);
+  return noteKeyState;
+};
+
+const fetchNoteKey = async (apiCall) => {
+  const result = await apiCall('getNoteKey');
+  return result.noteKey || null;
+};
+
+// Called at login with the envelope from the login response. Returns false if
+// the password didn't unlock it (the notes were encrypted before a reset).
+export const activateNoteKey = async (userId, envelope, password) => {
+  let key = null;
+  if (envelope) {
+    try {
+      key = await unlockNoteKey(envelope, password);
+    } catch (error) {
+      console.warn('Encrypted notes stay locked:', error.message);
+    }
+  }
+  await setNoteKeyState(userId, envelope, key)
+    .catch(err => console.error('Saving notes key failed:', err));
+  return !envelope || !!key;
+};
+
+// { enabled, unlocked } for the user; asks the backend when this device
+// doesn't know yet (e.g. a session started before encryption was turned on)
+export const getNoteEncryptionStatus = async (apiCall, userId) => {
+  let state = await readNoteKeyState();
+  if (!state || state.userId !== userId) {
+    state = await setNoteKeyState(userId, await fetchNoteKey(apiCall), null);
+  }
+  return { enabled: !!state.envelope, unlocked: !!state.key };
+};
+
+// New envelope for changePassword, or undefined when there is nothing to
+// re-wrap or the current password doesn't unlock it
+export const rewrapNoteKeyForNewPassword = async (apiCall, currentPassword, newPassword) => {
+  const envelope = await fetchNoteKey(apiCall);
+  if (!envelope) return undefined;
+
+  try {
+    return await rewrapNoteKey(envelope, currentPassword, newPassword);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Keep the stored envelope in step after the backend accepted a new one
+export const replaceNoteKeyEnvelope = async (envelope) => {
+  const state = await readNoteKeyState();
+  if (state) {
+    await setNoteKeyState(state.userId, envelope, state.key);
+  }
+};
+
+export const clearNoteKey = async () => {
+  noteKeyState = null;
+  await saveSetting(NOTE_KEY_SETTING, null);
+};
+
+// ========================================
+// ENTRIES
+// ========================================
+
+// Encrypt the notes and triggers of an outgoing addMood/updateMood/importMoods
+// payload. updateMood must send notes and triggers together: they share one
+// ciphertext, so a missing one would be saved as empty.
+export const encryptMoodPayload = async (action, payload) => {
+  if (action === 'importMoods') {
+    const moods = [];
+    for (const mood of payload.moods) {
+      moods.push(await encryptMoodPayload('addMood', mood));
+    }
+    return { ...payload, moods };
+  }
+
+  if (action !== 'addMood' && action !== 'updateMood') return payload;
+  if (payload.notes === undefined && payload.triggers === undefined) return payload;
+  if (isEncryptedNote(payload.notes)) return payload;
+
+  const state = await readNoteKeyState();
+  if (!state?.envelope) return payload;
+  if (!payload.notes && normalizeTriggers(payload.triggers).length === 0) return payload;
+  if (!state.key) {
+    throw new Error('Your notes are encrypted. Unlock them in Profile before saving notes on this device.');
+  }
+
+  return { ...payload, notes: await encryptNote(state.key, payload), triggers: [] };
+};
+
+// Decrypt entries for display. Entries that can't be decrypted here come back
+// with empty notes and locked: true; their ciphertext is left untouched.
+export const decryptMoods = async (moods) => {
+  const state = await readNoteKeyState();
+
+  return Promise.all(moods.map(async (mood) => {
+    if (!isEncryptedNote(mood.notes)) return mood;
+    if (!state?.key) return { ...mood, notes: '', triggers: [], locked: true };
+
+    try {
+      return { ...mood, ...(await decryptNote(state.key, mood.notes)), encrypted: true };
+    } catch (error) {
+      console.error('Decrypting mood notes failed:', error);
+      return { ...mood, notes: '', triggers: [], locked: true };
+    }
+  }));
+};
+
+// Run every saved entry through transform and send the changed ones back in
+// batches; returns how many were rewritten
+const rewriteSavedNotes = async (apiCall, transform) => {
+  const { moods } = await apiCall('getUserMoods');
+  const entries = [];
+  for (const mood of moods) {
+    const change = await transform(mood);
+    if (change) entries.push({ moodId: mood.id, ...change });
+  }
+
+  for (let i = 0; i < entries.length; i += NOTE_KEY_CONFIG.rewriteBatchSize) {
+    await apiCall('rewriteMoodNotes', { entries: entries.slice(i, i + NOTE_KEY_CONFIG.rewriteBatchSize) });
+  }
+  return entries.length;
+};
+
+// Turn encryption on and encrypt every existing entry. Running it again
+// after an interruption reuses the saved key and finishes the remaining ones.
+export const enableNoteEncryption = async (apiCall, userId, password) => {
+  let envelope = await fetchNoteKey(apiCall);
+  let key;
+  let sessionsRevoked = 0;
+
+  if (envelope) {
+    key = await unlockNoteKey(envelope, password);
+  } else {
+    ({ envelope, key } = await createNoteKey(password));
+    ({ sessionsRevoked } = await apiCall('saveNoteKey', { password, noteKey: envelope }));
+  }
+  await setNoteKeyState(userId, envelope, key);
+
+  const encrypted = await rewriteSavedNotes(apiCall, async (mood) => {
+    const triggers = normalizeTriggers(mood.triggers);
+    if (isEncryptedNote(mood.notes) || (!mood.notes && triggers.length === 0)) return null;
+    return { notes: await encryptNote(key, { notes: mood.notes, triggers }), triggers: [] };
+  });
+
+  return { encrypted, sessionsRevoked };
+};
+
+// Write every entry back in plaintext, then drop the key
+export const disableNoteEncryption = async (apiCall, userId, password) => {
+  const envelope = await fetchNoteKey(apiCall);
+
+  if (envelope) {
+    const key = await unlockNoteKey(envelope, password);
+    await rewriteSavedNotes(apiCall, (mood) => (isEncryptedNote(mood.notes) ? decryptNote(key, mood.notes) : null));
+    await apiCall('disableNoteEncryption', { password });
+  }
+  await setNoteKeyState(userId, null, null);
+};
+
+// Unlock the notes on this device. After a password reset the key is still
+// wrapped with the old password; previousPassword re-wraps it for the current one.
+export const unlockNotesOnDevice = async (apiCall, userId, password, previousPassword) => {
+  let envelope = await fetchNoteKey(apiCall);
+  if (!envelope) {
+    await setNoteKeyState(userId, null, null);
+    return;
+  }
+
+  if (previousPassword) {
+    const noteKey = await rewrapNoteKey(envelope, previousPassword, password);
+    await apiCall('saveNoteKey', { password, noteKey, replace: true });
+    envelope = noteKey;
+  }
+
+  await setNoteKeyState(userId, envelope, await unlockNoteKey(envelope, password));
+};
@@ -1,8 +1,24 @@
 // Push Notifications Utility
-import { getStorageItem, setStorageItem, getStorageKey } from './migration';
+import { getStorageItem, getStorageKey } from './migration';
+import {
+  REMINDER_CONFIG,
+  getReminderSchedule,
+  saveReminderSchedule,
+  normalizeReminderSchedule,
+  getDefaultReminderSchedule,
+  getReminderOccurrences,
+  getNextReminder,
+  buildReminderNotification,
+  checkDueReminders,
+  markRemindersChecked,
+  getMoodActivity,
+  saveMoodActivity,
+  isSlotLogged
+} from './reminders';
 
 let registration = null;
 let permission = null;
+let reminderTimer = null;
 
 export const requestNotificationPermission = async () => {
   if (!('Notification' in window)) {
@@ -21,42 +37,14 @@ export const requestNotificationPermission = async () => {
   return { granted: false, error: 'Permission denied' };
 };
 
-export const scheduleDailyReminder = async (time = '09:00') => {
-  if (!('serviceWorker' in navigator)) return;
-
-  try {
-    registration = await navigator.serviceWorker.ready;
-    
-    // Cancel existing notifications
-    const notifications = await registration.getNotifications();
-    notifications.forEach(n => n.close());
-
-    // Schedule daily notification
-    const [hours, minutes] = time.split(':').map(Number);
-    const now = new Date();
-    const scheduledTime = new Date();
-    scheduledTime.setHours(hours, minutes, 0, 0);
-
-    if (scheduledTime <= now) {
-      scheduledTime.setDate(scheduledTime.getDate() + 1);
-    }
-
-    const delay = scheduledTime.getTime() - now.getTime();
-
-    setTimeout(() => {
-      showNotification('Daily Mood Check-in', 'How are you feeling today? Take a moment to log your mood.');
-      // Schedule next day
-      scheduleDailyReminder(time);
-    }, delay);
-
-    // Store reminder time
-    setStorageItem('reminder_time', time);
-  } catch (error) {
-    console.error('Error scheduling reminder:', error);
+const getRegistration = async () => {
+  if (!registration && 'serviceWorker' in navigator) {
+    registration = (await navigator.serviceWorker.getRegistration()) || null;
   }
+  return registration;
 };
 
-export const showNotification = (title, options = {}) => {
+export const showNotification = async (title, options = {}) => {
   if (!('Notification' in window) || Notification.permission !== 'granted') {
     return;
   }
@@ -70,23 +58,161 @@ export const showNotification = (title, options = {}) => {
     ...options
   };
 
-  if (registration) {
-    registration.showNotification(title, notificationOptions);
+  const worker = await getRegistration();
+  if (worker) {
+    await worker.showNotification(title, notificationOptions);
   } else {
-    new Notification(title, notificationOptions);
+    // Action buttons need a service worker to handle them
+    const { actions, ...pageOptions } = notificationOptions;
+    new Notification(title, pageOptions);
   }
 };
 
-export const cancelReminders = () => {
-  if (registration) {
-    registration.getNotifications().then(notifications => {
-      notifications.forEach(n => n.close());
-    });
+const getMaxActions = () => Notification.maxActions;
+
+// Loads the saved schedule, carrying over the localStorage settings used
+// before schedules moved to IndexedDB
+export const loadReminderSchedule = async () => {
+  const schedule = await getReminderSchedule();
+  if (schedule.enabled) return schedule;
+
+  const legacySchedule = getStorageItem('reminder_schedule');
+  const legacyTime = getStorageItem('reminder_time');
+  if (!legacySchedule && !legacyTime) return schedule;
+
+  const migrated = getDefaultReminderSchedule();
+  migrated.enabled = true;
+  try {
+    if (legacySchedule) {
+      migrated.slots = normalizeReminderSchedule({ slots: JSON.parse(legacySchedule) }).slots;
+    } else {
+      migrated.slots.morning = { ...migrated.slots.morning, enabled: true, time: legacyTime };
+    }
+  } catch (error) {
+    console.error('Error migrating reminder schedule:', error);
   }
+
+  await saveReminderSchedule(migrated);
+  localStorage.removeItem(getStorageKey('reminder_schedule'));
   localStorage.removeItem(getStorageKey('reminder_time'));
+  return migrated;
+};
+
+// Periodic Background Sync lets the service worker check reminders while
+// the app is closed (installed PWAs in Chromium browsers)
+const updatePeriodicSync = async (schedule) => {
+  const worker = await getRegistration();
+  if (!worker || !('periodicSync' in worker)) return false;
+
+  try {
+    if (!schedule.enabled) {
+      await worker.periodicSync.unregister(REMINDER_CONFIG.periodicSyncTag);
+      return false;
+    }
+
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    if (status.state !== 'granted') return false;
+
+    await worker.periodicSync.register(REMINDER_CONFIG.periodicSyncTag, {
+      minInterval: REMINDER_CONFIG.periodicSyncIntervalMs
+    });
+    return true;
+  } catch (error) {
+    console.warn('Periodic sync unavailable:', error);
+    return false;
+  }
+};
+
+// Notification Triggers hand the exact times to the browser, where supported
+const updateTriggeredReminders = async (schedule) => {
+  const worker = await getRegistration();
+  if (!worker || !('showTrigger' in Notification.prototype) || typeof TimestampTrigger === 'undefined') {
+    return false;
+  }
+
+  try {
+    const pending = await worker.getNotifications({ includeTriggered: true });
+    pending
+      .filter(n => n.tag && n.tag.startsWith('fitmood-reminder-') && n.timestamp > Date.now())
+      .forEach(n => n.close());
+
+    const now = new Date();
+    const weekAhead = new Date(now);
+    weekAhead.setDate(weekAhead.getDate() + 7);
+    const activity = await getMoodActivity();
+
+    // Triggers can't check anything when they fire, so leave out slots
+    // that are already logged; this runs again whenever the history changes
+    const occurrences = getReminderOccurrences(schedule, now, weekAhead)
+      .filter(occurrence => !isSlotLogged(occurrence, activity));
+
+    for (const occurrence of occurrences) {
+      const { title, options } = buildReminderNotification(occurrence, { activity, now, maxActions: getMaxActions() });
+      await worker.showNotification(title, {
+        icon: '/icon-192.png',
+        badge: '/icon-192.png',
+        ...options,
+        showTrigger: new TimestampTrigger(occurrence.at.getTime())
+      });
+    }
+    return true;
+  } catch (error) {
+    console.warn('Notification triggers unavailable:', error);
+    return false;
+  }
+};
+
+// While the app is open, fire the next reminder from the page as well
+const startReminderTimer = (schedule) => {
+  clearTimeout(reminderTimer);
+
+  const next = getNextReminder(schedule);
+  if (!next) return;
+
+  reminderTimer = setTimeout(async () => {
+    await checkDueReminders(showNotification, new Date(), { maxActions: getMaxActions() });
+    startReminderTimer(await getReminderSchedule());
+  }, next.at.getTime() - Date.now());
+};
+
+export const applyReminderSchedule = async (schedule) => {
+  const normalized = normalizeReminderSchedule(schedule);
+  await saveReminderSchedule(normalized);
+  await markRemindersChecked();
+  await updatePeriodicSync(normalized);
+  await updateTriggeredReminders(normalized);
+  startReminderTimer(normalized);
+  return normalized;
+};
+
+// Called on app open: shows a reminder that came due while the app was
+// closed and nothing else delivered it, then arms the in-page timer
+export const initReminders = async () => {
+  if (!isNotificationSupported() || Notification.permission !== 'granted') return;
+
+  const schedule = await loadReminderSchedule();
+  if (!schedule.enabled) return;
+
+  await checkDueReminders(showNotification, new Date(), { maxActions: getMaxActions() });
+  startReminderTimer(schedule);
+};
+
+// Called whenever the mood history changes, so reminders know the latest
+// entry and streak even when the service worker evaluates them
+export const updateMoodActivity = async (activity) => {
+  await saveMoodActivity(activity);
+
+  const schedule = await getReminderSchedule();
+  if (schedule.enabled) {
+    await updateTriggeredReminders(schedule);
+  }
+};
+
+export const cancelReminders = async () => {
+  const schedule = await getReminderSchedule();
+  return applyReminderSchedule({ ...schedule, enabled: false });
 };
 
 export const isNotificationSupported = () => {
   return 'Notification' in window && 'serviceWorker' in navigator;
 };
-
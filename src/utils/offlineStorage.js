@@ -1,13 +1,39 @@
 // Offline Storage Utility using IndexedDB
 const DB_NAME = 'fitmood_db';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORES = {
   moods: 'moods',
   syncQueue: 'syncQueue',
+  deadLetter: 'deadLetter',
   settings: 'settings'
 };
 
+// Failed sync items are retried with exponential backoff, then moved to the
+// dead-letter store where the user can retry or discard them
+export const SYNC_CONFIG = {
+  maxRetries: 5,
+  baseDelayMs: 5000,
+  maxDelayMs: 10 * 60 * 1000,
+  statusEvent: 'fitmood:sync-status',
+  backgroundSyncTag: 'fitmood-sync-queue',
+  completeMessage: 'fitmood:sync-complete',
+  lockName: 'fitmood-sync'
+};
+
+// The service worker can't read localStorage, so the endpoint and session
+// token it replays the queue with are kept in the settings store
+const SYNC_CREDENTIALS_KEY = 'sync_credentials';
+
+// Queue items belong to whoever was signed in when they were queued, and are
+// only replayed with that user's session. The backend takes the user from the
+// session token, so replaying them for someone else would write into their account.
+const getItemOwner = (item) => item.userId || item.payload?.userId || null;
+
+const getCurrentOwner = async () => (await getSyncCredentials())?.userId || null;
+
 let db = null;
+let syncInProgress = null;
+let retryTimer = null;
 
 export const initDB = () => {
   return new Promise((resolve, reject) => {
@@ -33,6 +59,10 @@ export const initDB = () => {
         syncStore.createIndex('action', 'action', { unique: false });
       }
 
+      if (!database.objectStoreNames.contains(STORES.deadLetter)) {
+        database.createObjectStore(STORES.deadLetter, { keyPath: 'id', autoIncrement: true });
+      }
+
       if (!database.objectStoreNames.contains(STORES.settings)) {
         database.createObjectStore(STORES.settings, { keyPath: 'key' });
       }
@@ -48,8 +78,14 @@ export const saveMoodOffline = async (moodData) => {
     const moodStore = transaction.objectStore(STORES.moods);
     const syncStore = transaction.objectStore(STORES.syncQueue);
 
-    const moodWithId = {
+    // Stamp the entry now so it keeps the time it was logged, not the time it syncs
+    const payload = {
       ...moodData,
+      timestamp: moodData.timestamp || new Date().toISOString()
+    };
+
+    const moodWithId = {
+      ...payload,
       id: Date.now(),
       synced: false
     };
@@ -60,13 +96,69 @@ export const saveMoodOffline = async (moodData) => {
       // Add to sync queue
       syncStore.add({
         action: 'addMood',
-        payload: moodData,
+        payload: payload,
+        userId: moodData.userId,
+        localId: moodWithId.id,
+        retries: 0,
         timestamp: Date.now()
       });
-      resolve(moodWithId);
     };
     
-    request.onerror = () => reject(request.error);
+    transaction.oncomplete = () => {
+      notifySyncStatus();
+      requestBackgroundSync();
+      resolve(moodWithId);
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// Queues an updateMood/deleteMood call for userId. Edits to a mood that never
+// reached the server are folded into its pending addMood instead of being queued separately.
+export const queueMoodChange = async (action, payload, userId) => {
+  if (!db) await initDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.moods, STORES.syncQueue], 'readwrite');
+    const moodStore = transaction.objectStore(STORES.moods);
+    const syncStore = transaction.objectStore(STORES.syncQueue);
+    const { moodId, ...changes } = payload;
+
+    const localRequest = moodStore.get(moodId);
+
+    localRequest.onsuccess = () => {
+      const localMood = localRequest.result;
+
+      if (!localMood || localMood.synced) {
+        syncStore.add({ action, payload, userId, retries: 0, timestamp: Date.now() });
+        return;
+      }
+
+      if (action === 'deleteMood') {
+        moodStore.delete(moodId);
+      } else {
+        moodStore.put({ ...localMood, ...changes });
+      }
+
+      const queueRequest = syncStore.index('action').getAll('addMood');
+      queueRequest.onsuccess = () => {
+        const pending = queueRequest.result.find(item => item.localId === moodId);
+        if (!pending) return;
+
+        if (action === 'deleteMood') {
+          syncStore.delete(pending.id);
+        } else {
+          syncStore.put({ ...pending, payload: { ...pending.payload, ...changes } });
+        }
+      };
+    };
+
+    transaction.oncomplete = () => {
+      notifySyncStatus();
+      requestBackgroundSync();
+      resolve({ success: true, offline: true });
+    };
+    transaction.onerror = () => reject(transaction.error);
   });
 };
 
@@ -84,37 +176,247 @@ export const getMoodsOffline = async (userId) => {
   });
 };
 
-export const syncOfflineData = async (apiCall) => {
+const getAllFromStore = async (storeName) => {
   if (!db) await initDB();
-  if (!navigator.onLine) return { synced: 0, failed: 0 };
 
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORES.syncQueue], 'readonly');
-    const store = transaction.objectStore(STORES.syncQueue);
-    const request = store.getAll();
-
-    request.onsuccess = async () => {
-      const queue = request.result;
-      let synced = 0;
-      let failed = 0;
-
-      for (const item of queue) {
-        try {
-          await apiCall(item.action, item.payload);
-          // Remove from queue
-          const deleteTransaction = db.transaction([STORES.syncQueue], 'readwrite');
-          deleteTransaction.objectStore(STORES.syncQueue).delete(item.id);
-          synced++;
-        } catch (error) {
-          console.error('Sync failed:', error);
-          failed++;
+    const transaction = db.transaction([storeName], 'readonly');
+    const request = transaction.objectStore(storeName).getAll();
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Queue or dead-letter items that belong to the signed-in user
+const getOwnItems = async (storeName) => {
+  const [items, owner] = await Promise.all([getAllFromStore(storeName), getCurrentOwner()]);
+  return owner ? items.filter(item => getItemOwner(item) === owner) : [];
+};
+
+// Remove a synced item from the queue and mark its local mood as synced
+const completeSyncItem = (item, result) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.syncQueue, STORES.moods], 'readwrite');
+    const moodStore = transaction.objectStore(STORES.moods);
+    transaction.objectStore(STORES.syncQueue).delete(item.id);
+
+    if (item.action === 'addMood' && item.localId) {
+      const request = moodStore.get(item.localId);
+      request.onsuccess = () => {
+        if (request.result) {
+          moodStore.put({ ...request.result, synced: true, serverId: result?.moodId });
         }
-      }
+      };
+    }
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// Schedule the next attempt, or dead-letter the item once it runs out of retries
+const failSyncItem = (item, error) => {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.syncQueue, STORES.deadLetter], 'readwrite');
+    const syncStore = transaction.objectStore(STORES.syncQueue);
+    const retries = (item.retries || 0) + 1;
+
+    if (retries >= SYNC_CONFIG.maxRetries) {
+      const { id, ...rest } = item;
+      syncStore.delete(id);
+      transaction.objectStore(STORES.deadLetter).add({
+        ...rest,
+        retries,
+        lastError: error.message,
+        failedAt: Date.now()
+      });
+    } else {
+      const delay = Math.min(SYNC_CONFIG.baseDelayMs * 2 ** (retries - 1), SYNC_CONFIG.maxDelayMs);
+      syncStore.put({ ...item, retries, lastError: error.message, nextAttemptAt: Date.now() + delay });
+    }
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const runSync = async (sendRequest) => {
+  if (!db) await initDB();
+  if (!navigator.onLine) return { synced: 0, failed: 0, deferred: 0 };
+
+  // Other users' items stay queued until they sign in again
+  const queue = (await getOwnItems(STORES.syncQueue)).sort((a, b) => a.timestamp - b.timestamp);
+  const now = Date.now();
+  let synced = 0;
+  let failed = 0;
+  let deferred = 0;
+
+  for (const item of queue) {
+    if (item.nextAttemptAt && item.nextAttemptAt > now) {
+      deferred++;
+      continue;
+    }
+
+    try {
+      const result = await sendRequest(item.action, item.payload);
+      await completeSyncItem(item, result);
+      synced++;
+    } catch (error) {
+      // Leave the queue untouched until the user is back online / logged in
+      if (error.sessionExpired || !navigator.onLine) break;
+      console.error('Sync failed:', error);
+      await failSyncItem(item, error);
+      failed++;
+    }
+  }
+
+  return { synced, failed, deferred };
+};
+
+const scheduleRetry = async (sendRequest) => {
+  // The service worker relies on the browser re-firing the sync event instead
+  if (typeof window === 'undefined') return;
+  clearTimeout(retryTimer);
+
+  const queue = await getOwnItems(STORES.syncQueue);
+  if (queue.length === 0) return;
+
+  const nextAttemptAt = Math.min(...queue.map(item => item.nextAttemptAt || 0));
+  const delay = Math.max(nextAttemptAt - Date.now(), SYNC_CONFIG.baseDelayMs);
+  retryTimer = setTimeout(() => {
+    syncOfflineData(sendRequest).catch(err => console.log('Sync error:', err));
+  }, delay);
+};
+
+// Replays the sync queue. Only one pass runs at a time; callers that arrive
+// while it is running share its result. sendRequest must not queue offline.
+// The Web Locks API keeps the page and the service worker from overlapping.
+export const syncOfflineData = (sendRequest) => {
+  if (!syncInProgress) {
+    const run = () => runSync(sendRequest);
+    const locked = typeof navigator !== 'undefined' && navigator.locks
+      ? navigator.locks.request(SYNC_CONFIG.lockName, run)
+      : run();
+
+    syncInProgress = locked
+      .then(async (summary) => {
+        await scheduleRetry(sendRequest);
+        return summary;
+      })
+      .finally(() => {
+        syncInProgress = null;
+        notifySyncStatus();
+      });
+    notifySyncStatus();
+  }
+  return syncInProgress;
+};
+
+export const getSyncStatus = async () => {
+  const [queue, deadLetters] = await Promise.all([
+    getOwnItems(STORES.syncQueue),
+    getOwnItems(STORES.deadLetter)
+  ]);
+  return { pending: queue.length, failed: deadLetters.length, syncing: !!syncInProgress };
+};
+
+export const notifySyncStatus = () => {
+  if (typeof window === 'undefined') return;
+  getSyncStatus()
+    .then(status => window.dispatchEvent(new CustomEvent(SYNC_CONFIG.statusEvent, { detail: status })))
+    .catch(err => console.error('Sync status error:', err));
+};
+
+// Ask the service worker to flush the queue once there is connectivity, even
+// if the tab is closed by then. Browsers without Background Sync fall back to
+// syncing when the app is next open and online.
+export const requestBackgroundSync = async () => {
+  if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration || !('sync' in registration)) return false;
+    await registration.sync.register(SYNC_CONFIG.backgroundSyncTag);
+    return true;
+  } catch (error) {
+    console.warn('Background sync registration failed:', error);
+    return false;
+  }
+};
+
+export const saveSyncCredentials = (credentials) => saveSetting(SYNC_CREDENTIALS_KEY, credentials);
+
+export const getSyncCredentials = () => getSetting(SYNC_CREDENTIALS_KEY);
 
-      resolve({ synced, failed });
+export const clearSyncCredentials = () => saveSetting(SYNC_CREDENTIALS_KEY, null);
+
+// The last server copy of a user's moods, kept for offline use
+export const getCachedMoods = (userId) => getSetting(`moods_${userId}`);
+
+export const saveCachedMoods = (userId, moods) => saveSetting(`moods_${userId}`, moods);
+
+export const clearCachedMoods = (userId) => saveSetting(`moods_${userId}`, null);
+
+export const getDeadLetters = () => getOwnItems(STORES.deadLetter);
+
+// Move every dead-lettered item back into the queue with a fresh retry budget
+export const retryDeadLetters = async () => {
+  const items = await getDeadLetters();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.syncQueue, STORES.deadLetter], 'readwrite');
+    const syncStore = transaction.objectStore(STORES.syncQueue);
+
+    const deadLetterStore = transaction.objectStore(STORES.deadLetter);
+
+    items.forEach(({ id, lastError, failedAt, nextAttemptAt, ...item }) => {
+      syncStore.add({ ...item, retries: 0 });
+      deadLetterStore.delete(id);
+    });
+
+    transaction.oncomplete = () => {
+      notifySyncStatus();
+      resolve(items.length);
     };
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
 
-    request.onerror = () => reject(request.error);
+// Drop dead-lettered items, along with the local copies of moods that never synced
+export const discardDeadLetters = async () => {
+  const items = await getDeadLetters();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORES.deadLetter, STORES.moods], 'readwrite');
+    const moodStore = transaction.objectStore(STORES.moods);
+    const deadLetterStore = transaction.objectStore(STORES.deadLetter);
+
+    items.forEach(item => {
+      if (item.action === 'addMood' && item.localId) moodStore.delete(item.localId);
+      deadLetterStore.delete(item.id);
+    });
+
+    transaction.oncomplete = () => {
+      notifySyncStatus();
+      resolve();
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+// Empty every store: local moods, the sync queue, dead letters and settings
+// (reminder schedules, sync credentials). Used when an account is deleted.
+export const clearOfflineData = async () => {
+  if (!db) await initDB();
+
+  return new Promise((resolve, reject) => {
+    const storeNames = Object.values(STORES);
+    const transaction = db.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => transaction.objectStore(name).clear());
+
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
   });
 };
 
@@ -0,0 +1,201 @@
+// Reminder Schedules
+// Shared by the page and the service worker, so nothing here may touch
+// window or localStorage. Schedules live in the IndexedDB settings store.
+import { getSetting, saveSetting } from './offlineStorage';
+import { getTimeSlots, getTimeSlotInfo } from './timeSlots';
+import { toLocalDateKey } from './moodDates';
+
+export const REMINDER_CONFIG = {
+  scheduleKey: 'reminder_schedule',
+  lastCheckedKey: 'reminder_last_checked',
+  // Latest entry time and streak, kept current by the page and the worker
+  activityKey: 'mood_activity',
+  periodicSyncTag: 'fitmood-reminders',
+  periodicSyncIntervalMs: 60 * 60 * 1000,
+  // Reminders missed by more than this are dropped rather than shown late
+  missedWindowMs: 12 * 60 * 60 * 1000,
+  // Shown later than this counts as missed and is worded that way
+  lateAfterMs: 10 * 60 * 1000
+};
+
+export const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Notification buttons that log a mood without opening the app
+const QUICK_LOG_MOODS = [
+  { action: 'log-mood-4', moodLevel: 4, title: '🙂 Good' },
+  { action: 'log-mood-3', moodLevel: 3, title: '😐 Okay' },
+  { action: 'log-mood-2', moodLevel: 2, title: '😟 Low' }
+];
+
+export const getQuickLogMood = (action) => QUICK_LOG_MOODS.find(m => m.action === action) || null;
+
+export const getDefaultReminderSchedule = () => ({
+  enabled: false,
+  slots: getTimeSlots().reduce((slots, slot) => ({
+    ...slots,
+    [slot.id]: { enabled: slot.id === 'morning', time: slot.defaultReminder, days: ALL_WEEKDAYS }
+  }), {})
+});
+
+// Fill in anything missing from a stored schedule
+export const normalizeReminderSchedule = (value) => {
+  const defaults = getDefaultReminderSchedule();
+  if (!value) return defaults;
+
+  return {
+    enabled: !!value.enabled,
+    slots: getTimeSlots().reduce((slots, slot) => {
+      const saved = (value.slots && value.slots[slot.id]) || {};
+      return {
+        ...slots,
+        [slot.id]: {
+          ...defaults.slots[slot.id],
+          ...saved,
+          days: Array.isArray(saved.days) ? saved.days : ALL_WEEKDAYS
+        }
+      };
+    }, {})
+  };
+};
+
+export const getReminderSchedule = async () =>
+  normalizeReminderSchedule(await getSetting(REMINDER_CONFIG.scheduleKey));
+
+export const saveReminderSchedule = (schedule) =>
+  saveSetting(REMINDER_CONFIG.scheduleKey, normalizeReminderSchedule(schedule));
+
+// Every reminder time in (from, to], oldest first
+export const getReminderOccurrences = (schedule, from, to) => {
+  if (!schedule.enabled) return [];
+
+  const occurrences = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+
+  while (day <= to) {
+    Object.entries(schedule.slots).forEach(([slotId, slot]) => {
+      if (!slot.enabled || !slot.days.includes(day.getDay())) return;
+      const [hours, minutes] = slot.time.split(':').map(Number);
+      const at = new Date(day);
+      at.setHours(hours, minutes, 0, 0);
+      if (at > from && at <= to) {
+        occurrences.push({ slotId, at });
+      }
+    });
+    day.setDate(day.getDate() + 1);
+  }
+
+  return occurrences.sort((a, b) => a.at - b.at);
+};
+
+export const getNextReminder = (schedule, now = new Date()) => {
+  const weekAhead = new Date(now);
+  weekAhead.setDate(weekAhead.getDate() + 8);
+  return getReminderOccurrences(schedule, now, weekAhead)[0] || null;
+};
+
+// One tag per slot and day, so the same reminder shown from two places
+// (trigger, periodic sync, open tab) replaces itself instead of stacking
+export const getReminderTag = (occurrence) =>
+  `fitmood-reminder-${occurrence.slotId}-${toLocalDateKey(occurrence.at)}`;
+
+export const getMoodActivity = async () =>
+  (await getSetting(REMINDER_CONFIG.activityKey)) || { lastMoodAt: null, streak: 0 };
+
+export const saveMoodActivity = (activity) => saveSetting(REMINDER_CONFIG.activityKey, activity);
+
+// Update the stored activity for a mood logged outside the page (e.g. a
+// notification button), extending the streak the same way calculateStreak does
+export const recordMoodLogged = async (at = new Date()) => {
+  const activity = await getMoodActivity();
+  const last = activity.lastMoodAt ? new Date(activity.lastMoodAt) : null;
+  const yesterday = new Date(at);
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  let streak = 1;
+  if (last && toLocalDateKey(last) === toLocalDateKey(at)) {
+    streak = Math.max(activity.streak, 1);
+  } else if (last && toLocalDateKey(last) === toLocalDateKey(yesterday)) {
+    streak = activity.streak + 1;
+  }
+
+  const updated = {
+    lastMoodAt: last && last > at ? activity.lastMoodAt : at.toISOString(),
+    streak
+  };
+  await saveMoodActivity(updated);
+  return updated;
+};
+
+// A reminder is pointless if the user already logged a mood since its slot began today
+export const isSlotLogged = (occurrence, activity) => {
+  if (!activity || !activity.lastMoodAt) return false;
+
+  const slotStart = new Date(occurrence.at);
+  slotStart.setHours(getTimeSlotInfo(occurrence.slotId).startHour, 0, 0, 0);
+  if (slotStart > occurrence.at) {
+    // Evening reminders set after midnight belong to the previous evening
+    slotStart.setDate(slotStart.getDate() - 1);
+  }
+  return new Date(activity.lastMoodAt) >= slotStart;
+};
+
+const getReminderBody = (period, activity, missed, now) => {
+  const streak = activity ? activity.streak : 0;
+  const loggedToday = !!(activity && activity.lastMoodAt) &&
+    toLocalDateKey(activity.lastMoodAt) === toLocalDateKey(now);
+
+  if (loggedToday) {
+    return `You've already checked in today. How's your ${period} going?`;
+  }
+  if (streak > 0) {
+    return `Keep your ${streak}-day streak going! Log how your ${period} is going.`;
+  }
+  return missed
+    ? `You had a ${period} check-in planned. It's not too late to log how you felt.`
+    : `How is your ${period} going? Take a moment to log your mood.`;
+};
+
+export const buildReminderNotification = (occurrence, { missed = false, activity = null, now = new Date(), maxActions } = {}) => {
+  const slot = getTimeSlotInfo(occurrence.slotId);
+  const period = slot.name.toLowerCase();
+
+  return {
+    title: missed ? `${slot.icon} Missed ${period} check-in` : `${slot.icon} ${slot.name} Check-in`,
+    options: {
+      body: getReminderBody(period, activity, missed, now),
+      tag: getReminderTag(occurrence),
+      data: { url: '/', slotId: occurrence.slotId },
+      actions: QUICK_LOG_MOODS
+        .slice(0, maxActions === undefined ? QUICK_LOG_MOODS.length : maxActions)
+        .map(({ action, title }) => ({ action, title }))
+    }
+  };
+};
+
+// Nothing before this point counts as missed (e.g. right after enabling reminders)
+export const markRemindersChecked = (now = new Date()) =>
+  saveSetting(REMINDER_CONFIG.lastCheckedKey, now.getTime());
+
+// Show the most recent reminder that came due since the last check, unless
+// its slot was already logged. show(title, options) does the actual display
+// for the calling context; options.maxActions caps the quick-log buttons.
+export const checkDueReminders = async (show, now = new Date(), { maxActions } = {}) => {
+  const schedule = await getReminderSchedule();
+  const lastChecked = await getSetting(REMINDER_CONFIG.lastCheckedKey);
+  const from = new Date(Math.max(lastChecked || 0, now.getTime() - REMINDER_CONFIG.missedWindowMs));
+
+  await markRemindersChecked(now);
+
+  const due = getReminderOccurrences(schedule, from, now);
+  const latest = due[due.length - 1];
+  if (!latest) return null;
+
+  const activity = await getMoodActivity();
+  if (isSlotLogged(latest, activity)) return null;
+
+  const missed = now - latest.at > REMINDER_CONFIG.lateAfterMs;
+  const { title, options } = buildReminderNotification(latest, { missed, activity, now, maxActions });
+  await show(title, options);
+  return latest;
+};
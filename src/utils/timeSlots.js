@@ -0,0 +1,64 @@
+// Check-in Time Slots & Time-of-Day Analytics
+
+// Hours are local time; evening wraps past midnight into the early morning
+const TIME_SLOTS = [
+  { id: 'morning', name: 'Morning', icon: '🌅', startHour: 5, endHour: 12, defaultReminder: '09:00' },
+  { id: 'afternoon', name: 'Afternoon', icon: '☀️', startHour: 12, endHour: 17, defaultReminder: '14:00' },
+  { id: 'evening', name: 'Evening', icon: '🌙', startHour: 17, endHour: 5, defaultReminder: '20:00' }
+];
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export const getTimeSlots = () => TIME_SLOTS;
+
+export const getTimeSlotInfo = (slotId) => TIME_SLOTS.find(s => s.id === slotId) || null;
+
+export const getTimeSlotForDate = (date = new Date()) => {
+  const hour = new Date(date).getHours();
+  const slot = TIME_SLOTS.find(s => s.startHour < s.endHour
+    ? hour >= s.startHour && hour < s.endHour
+    : hour >= s.startHour || hour < s.endHour);
+  return slot ? slot.id : TIME_SLOTS[0].id;
+};
+
+// Entries logged before slots existed fall back to the slot of their timestamp
+export const getMoodTimeSlot = (mood) =>
+  getTimeSlotInfo(mood.timeSlot) ? mood.timeSlot : getTimeSlotForDate(mood.timestamp);
+
+// Slots that already have an entry today
+export const getLoggedSlotsToday = (moods, now = new Date()) => {
+  const today = new Date(now).toDateString();
+  return new Set(
+    moods
+      .filter(m => new Date(m.timestamp).toDateString() === today)
+      .map(getMoodTimeSlot)
+  );
+};
+
+// Average mood per weekday (rows, Monday first) and hour of day (columns)
+export const buildMoodHeatmap = (moods) => {
+  const cells = WEEKDAYS.map(() => Array.from({ length: 24 }, () => ({ total: 0, count: 0 })));
+
+  moods.forEach(mood => {
+    const date = new Date(mood.timestamp);
+    if (isNaN(date.getTime())) return;
+    const weekday = (date.getDay() + 6) % 7;
+    const cell = cells[weekday][date.getHours()];
+    cell.total += Number(mood.moodLevel) || 3;
+    cell.count++;
+  });
+
+  return WEEKDAYS.map((day, idx) => ({
+    day,
+    hours: cells[idx].map(cell => (cell.count > 0 ? cell.total / cell.count : null))
+  }));
+};
+
+export const getSlotAverages = (moods) =>
+  TIME_SLOTS.map(slot => {
+    const slotMoods = moods.filter(m => getMoodTimeSlot(m) === slot.id);
+    const avg = slotMoods.length > 0
+      ? slotMoods.reduce((sum, m) => sum + (Number(m.moodLevel) || 3), 0) / slotMoods.length
+      : null;
+    return { ...slot, count: slotMoods.length, avg };
+  });
@@ -0,0 +1,68 @@
+// Mood Triggers / Tags Management
+
+const DEFAULT_TRIGGERS = [
+  { id: 'work', name: 'Work', icon: '💼' },
+  { id: 'school', name: 'School', icon: '🎓' },
+  { id: 'relationships', name: 'Relationships', icon: '❤️' },
+  { id: 'family', name: 'Family', icon: '👪' },
+  { id: 'friends', name: 'Friends', icon: '👥' },
+  { id: 'health', name: 'Health', icon: '🩺' },
+  { id: 'sleep', name: 'Sleep', icon: '😴' },
+  { id: 'money', name: 'Money', icon: '💰' },
+  { id: 'weather', name: 'Weather', icon: '🌦️' },
+  { id: 'exercise', name: 'Exercise', icon: '🏃' },
+  { id: 'food', name: 'Food', icon: '🍽️' },
+  { id: 'news', name: 'News', icon: '📰' }
+];
+
+const MAX_TRIGGERS = 10;
+const MAX_TRIGGER_LENGTH = 40;
+
+export const getDefaultTriggers = () => DEFAULT_TRIGGERS;
+
+export const getTriggerIcon = (name) => {
+  const preset = DEFAULT_TRIGGERS.find(t => t.name.toLowerCase() === String(name).toLowerCase());
+  return preset ? preset.icon : '🏷️';
+};
+
+// Accepts an array, a JSON array string or a comma-separated string
+// (entries logged before triggers were structured) and returns a clean list
+export const normalizeTriggers = (value) => {
+  if (!value) return [];
+
+  let list = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        list = JSON.parse(trimmed);
+      } catch {
+        list = trimmed.split(',');
+      }
+    } else {
+      list = trimmed.split(',');
+    }
+  }
+
+  if (!Array.isArray(list)) return [];
+
+  const seen = new Set();
+  const result = [];
+  list.forEach(item => {
+    const name = String(item || '').trim().slice(0, MAX_TRIGGER_LENGTH);
+    const key = name.toLowerCase();
+    if (name && !seen.has(key) && result.length < MAX_TRIGGERS) {
+      seen.add(key);
+      result.push(name);
+    }
+  });
+  return result;
+};
+
+export const addTrigger = (triggers, name) => normalizeTriggers([...triggers, name]);
+
+export const removeTrigger = (triggers, name) =>
+  triggers.filter(t => t.toLowerCase() !== String(name).toLowerCase());
+
+export const hasTrigger = (triggers, name) =>
+  triggers.some(t => t.toLowerCase() === String(name).toLowerCase());